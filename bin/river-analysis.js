@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * River Erosion Predictor - command-line batch analysis
+ * Merges optional LiDAR data into a river GeoJSON, runs the analysis at one or
+ * more discharges and writes results GeoJSON and statistics JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const river = require('../src/node');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    INVALID_INPUT: 3,
+    VALIDATION_FAILED: 4
+};
+
+const USAGE = `Usage: river-analysis <river.geojson> [options]
+
+Options:
+  -d, --discharge <list>      Discharge(s), comma separated, in the input unit system
+                              (default ${river.APP_CONFIG.defaultDischarge} m³/s)
+  -l, --lidar <file>          LiDAR points (.csv, or .geojson/.json), a classified
+                              LAS point cloud (.las) to derive bank metrics from, or a
+                              GeoTIFF DEM (.tif/.tiff) to derive bed slope and bank heights from
+      --lidar-columns <map>   CSV columns for LiDAR fields, e.g. latitude=Y,longitude=X
+                              (unlisted fields are matched by header name)
+  -b, --buffer <m>            Aggregate LiDAR points this close to each segment's line;
+                              also the bank buffer for .las clouds
+                              (default ${river.LIDAR_CONFIG.bufferDistanceM} m)
+  -m, --max-match-distance <m>
+                              Segments with no point in the buffer take the nearest point
+                              this close to their centre, else stay unmerged
+                              (default ${river.LIDAR_CONFIG.maxMatchDistanceM} m)
+      --statistic <id>        ${river.LIDAR_CONFIG.statistics.map(statistic => statistic.id).join(' | ')} (default ${river.LIDAR_CONFIG.defaultStatistic})
+      --percentile <p>        Percentile for --statistic percentile (default ${river.LIDAR_CONFIG.defaultPercentile})
+  -x, --cross-sections <file> Surveyed cross sections (CSV or HEC-RAS geometry text) setting
+                              channel width, bankfull depth, side slope and bank heights
+  -u, --input-units <system>  si | us: units of inputs without unit metadata (default si)
+  -o, --out-dir <dir>         Output directory (default: current directory)
+  -r, --routing               Route discharge down the network
+  -s, --strict                Skip segments with clamped or rejected parameters
+                              and exit ${EXIT_CODES.VALIDATION_FAILED} if any were skipped
+  -p, --parameter-source <s>  supplied | derived (curvature and slope from geometry)
+      --scheme <id>           Classification scheme id
+  -q, --quiet                 Only print errors (no progress or warnings)
+  -h, --help                  Show this help
+
+Exit codes:
+  ${EXIT_CODES.OK}  success
+  ${EXIT_CODES.ERROR}  unexpected error
+  ${EXIT_CODES.USAGE}  bad command line
+  ${EXIT_CODES.INVALID_INPUT}  input file missing, unreadable or invalid
+  ${EXIT_CODES.VALIDATION_FAILED}  strict validation skipped one or more segments`;
+
+/**
+ * Error carrying the exit code to finish with
+ */
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+    const aliases = { d: 'discharge', l: 'lidar', x: 'cross-sections', b: 'buffer', m: 'max-match-distance', u: 'input-units', o: 'out-dir', r: 'routing', s: 'strict', p: 'parameter-source', q: 'quiet', h: 'help' };
+    const flags = ['routing', 'strict', 'quiet', 'help'];
+    const valued = ['discharge', 'lidar', 'lidar-columns', 'cross-sections', 'buffer', 'max-match-distance', 'statistic', 'percentile', 'input-units', 'out-dir', 'parameter-source', 'scheme'];
+    const options = { positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            options.positional.push(arg);
+            continue;
+        }
+
+        let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        name = aliases[name] || name;
+
+        if (flags.includes(name)) {
+            options[name] = true;
+        } else if (valued.includes(name)) {
+            if (value === undefined) {
+                value = argv[++i];
+            }
+            if (value === undefined) {
+                throw new CliError(`--${name} needs a value`, EXIT_CODES.USAGE);
+            }
+            options[name] = value;
+        } else {
+            throw new CliError(`Unknown option ${arg}`, EXIT_CODES.USAGE);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Parse the discharge list
+ */
+function parseDischarges(value) {
+    const discharges = String(value).split(',').map(item => item.trim()).filter(item => item !== '').map(Number);
+
+    if (discharges.length === 0 || discharges.some(q => !isFinite(q) || q <= 0)) {
+        throw new CliError(`Discharges must be positive numbers, got "${value}"`, EXIT_CODES.USAGE);
+    }
+
+    return discharges;
+}
+
+/**
+ * Read a file as UTF-8 text (or raw bytes when encoding is null), mapping failures to INVALID_INPUT
+ */
+function readInput(file, label, encoding = 'utf8') {
+    try {
+        return fs.readFileSync(file, encoding);
+    } catch (error) {
+        throw new CliError(`Cannot read ${label} ${file}: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+}
+
+/**
+ * Read and check the river GeoJSON, converting it to SI
+ */
+function loadRiver(file, inputUnits) {
+    let data;
+    try {
+        data = JSON.parse(readInput(file, 'river GeoJSON'));
+    } catch (error) {
+        if (error instanceof CliError) throw error;
+        throw new CliError(`${file} is not valid JSON: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new CliError(`${file}: Invalid GeoJSON format. Must be FeatureCollection`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    if (!data.features.some(river.isLineFeature)) {
+        throw new CliError(`${file}: no LineString or MultiLineString segments`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    try {
+        river.normalizeInputUnits(data, inputUnits);
+    } catch (error) {
+        throw new CliError(`${file}: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    return data;
+}
+
+/**
+ * Read surveyed cross sections and apply them to the river's segments
+ */
+function loadCrossSections(file, inputUnits, riverData) {
+    const content = readInput(file, 'cross-section file', null);
+
+    try {
+        const parsed = river.parseCrossSections(river.decodeCSVBytes(content).text, inputUnits);
+        river.applyCrossSections(riverData, parsed.sections);
+        return { format: parsed.format, ...riverData.crossSectionMerge };
+    } catch (error) {
+        throw new CliError(`${file}: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+}
+
+/**
+ * Column mapping for a LiDAR CSV: header matches overridden by --lidar-columns
+ */
+function getLidarColumnMapping(parsed, columnSpec) {
+    const fields = river.CSV_CONFIG.lidarFields;
+    const mapping = river.suggestColumnMapping(parsed.header, fields);
+
+    if (columnSpec !== undefined) {
+        let explicit;
+        try {
+            explicit = river.parseColumnMappingSpec(columnSpec, parsed.header, fields);
+        } catch (error) {
+            throw new CliError(`--lidar-columns: ${error.message}`, EXIT_CODES.USAGE);
+        }
+
+        // Columns named on the command line are no longer matched to other fields
+        const claimed = Object.values(explicit);
+        Object.keys(mapping).forEach(field => {
+            if (claimed.includes(mapping[field])) delete mapping[field];
+        });
+        Object.assign(mapping, explicit);
+    }
+
+    return mapping;
+}
+
+/**
+ * Read, parse and validate LiDAR points, converting bank heights to metres
+ * CSV files may be in any supported delimiter and encoding. LAS clouds are
+ * reduced to bank-metric stations along the river's segments within bankBuffer,
+ * and DEMs to bed-slope and bank-height stations.
+ */
+function loadLidar(file, { inputUnits, columnSpec, riverData, bankBuffer }) {
+    const isCsv = /\.csv$/i.test(file);
+    const isLas = /\.las$/i.test(file);
+    const isDem = /\.tiff?$/i.test(file);
+    const content = readInput(file, 'LiDAR file', isCsv || isLas || isDem ? null : 'utf8');
+    let points;
+    let las = null;
+    let dem = null;
+
+    try {
+        if (isLas) {
+            const cloud = river.readLasFile(content);
+            las = river.getLasSummary(cloud);
+            points = river.deriveLasBankMetrics(riverData, cloud, bankBuffer);
+            las.stations = points.length;
+        } else if (isDem) {
+            const raster = river.readGeoTiff(content);
+            dem = river.getDemSummary(raster);
+            points = river.sampleDemAlongRiver(riverData, raster);
+            dem.stations = points.length;
+        } else if (isCsv) {
+            const parsed = river.parseCSV(river.decodeCSVBytes(content).text);
+            points = river.processLidarCSV(parsed, getLidarColumnMapping(parsed, columnSpec));
+            river.normalizeLidarUnits(points, inputUnits);
+        } else {
+            const data = JSON.parse(content);
+            points = river.processLidarGeoJSON(data);
+            river.normalizeLidarUnits(points, river.parseUnitMetadata(data.units, inputUnits).system);
+        }
+    } catch (error) {
+        if (error instanceof CliError) throw error;
+        throw new CliError(`${file}: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    const validation = river.validateLidarData(points);
+    if (!validation.isValid) {
+        throw new CliError(`${file}: ${validation.errors.join('; ')}`, EXIT_CODES.INVALID_INPUT);
+    }
+
+    const source = isLas ? 'las' : isDem ? 'dem' : 'points';
+    return { points, validation, las, dem, source };
+}
+
+/**
+ * Per-run parameter validation summary
+ */
+function summariseValidation(results) {
+    const summary = { segments: 0, notAnalysed: [], strictSkipped: [], solverFailed: [], clamped: 0, rejected: 0, diagnostics: [] };
+
+    results.features.forEach((feature, index) => {
+        if (!river.isLineFeature(feature)) return;
+
+        const props = feature.properties;
+        const id = river.getSegmentId(feature, index);
+        summary.segments++;
+
+        if (props.validation) {
+            summary.clamped += props.validation.counts[river.PARAMETER_STATUS.CLAMPED];
+            summary.rejected += props.validation.counts[river.PARAMETER_STATUS.REJECTED];
+        }
+
+        if (!props.calculated) {
+            summary.notAnalysed.push(id);
+            // Strict validation stops before the solver; anything else failed to solve
+            if (props.validation && !props.validation.analysed) {
+                summary.strictSkipped.push(id);
+            } else {
+                summary.solverFailed.push(id);
+            }
+        }
+
+        (props.diagnostics || []).forEach(diagnostic => {
+            summary.diagnostics.push({ segment: id, code: diagnostic.code, message: diagnostic.message });
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * "Q = 10000 cfs (283.168 m³/s)": the discharge as entered, with SI when it differs
+ */
+function describeDischarge(entered, unit, discharge) {
+    const si = river.getDisplayUnitLabel('discharge', 'si');
+    return unit === si ? `Q = ${entered} ${unit}` : `Q = ${entered} ${unit} (${discharge} ${si})`;
+}
+
+/**
+ * Check the LiDAR merge options before any file is read
+ */
+function validateMergeOptions({ bufferDistance, maxDistance, statistic, percentile }) {
+    if (bufferDistance !== undefined && !(bufferDistance > 0)) {
+        throw new CliError('--buffer must be a positive distance', EXIT_CODES.USAGE);
+    }
+
+    if (maxDistance !== undefined && !(maxDistance > 0)) {
+        throw new CliError('--max-match-distance must be a positive distance', EXIT_CODES.USAGE);
+    }
+
+    if (statistic !== undefined && !river.LIDAR_CONFIG.statistics.some(candidate => candidate.id === statistic)) {
+        throw new CliError(`Unknown LiDAR statistic "${statistic}"`, EXIT_CODES.USAGE);
+    }
+
+    if (percentile !== undefined && !(percentile >= 0 && percentile <= 100)) {
+        throw new CliError('--percentile must be between 0 and 100', EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Run the analysis at every discharge and write the outputs
+ */
+function run(options) {
+    if (options.positional.length !== 1) {
+        throw new CliError('Expected exactly one river GeoJSON file', EXIT_CODES.USAGE);
+    }
+
+    const input = options.positional[0];
+    const inputUnits = options['input-units'] || river.UNIT_CONFIG.defaultInputSystem;
+    if (!river.UNIT_CONFIG.systems.some(system => system.id === inputUnits)) {
+        throw new CliError(`Unknown unit system "${inputUnits}"`, EXIT_CODES.USAGE);
+    }
+
+    // Discharges as entered (for messages and file names) and in SI (for the analysis)
+    const dischargeUnit = river.getDisplayUnitLabel('discharge', inputUnits);
+    const discharges = options.discharge !== undefined
+        ? parseDischarges(options.discharge).map(q => ({ entered: q, si: river.fromDisplayValue(q, 'discharge', inputUnits) }))
+        : [{ entered: river.toDisplayValue(river.APP_CONFIG.defaultDischarge, 'discharge', inputUnits), si: river.APP_CONFIG.defaultDischarge }];
+    const source = options['parameter-source'] || river.DERIVATION_CONFIG.defaultSource;
+    const log = options.quiet ? () => {} : message => console.log(message);
+    const warn = options.quiet ? () => {} : message => console.warn(message);
+
+    if (!river.DERIVATION_CONFIG.sources.some(candidate => candidate.id === source)) {
+        throw new CliError(`Unknown parameter source "${source}"`, EXIT_CODES.USAGE);
+    }
+
+    if (options.scheme) {
+        try {
+            river.setActiveScheme(options.scheme);
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.USAGE);
+        }
+    }
+
+    const mergeOptions = {
+        bufferDistance: options.buffer !== undefined ? Number(options.buffer) : undefined,
+        maxDistance: options['max-match-distance'] !== undefined ? Number(options['max-match-distance']) : undefined,
+        statistic: options.statistic,
+        percentile: options.percentile !== undefined ? Number(options.percentile) : undefined
+    };
+
+    validateMergeOptions(mergeOptions);
+
+    let data = loadRiver(input, inputUnits);
+    let lidar = null;
+    let crossSections = null;
+
+    if (options['cross-sections']) {
+        crossSections = loadCrossSections(options['cross-sections'], inputUnits, data);
+        log(`Snapped ${crossSections.snapped} of ${crossSections.sections} cross sections from ${options['cross-sections']} to ${crossSections.segments} segments`);
+        crossSections.unsnapped.forEach(item => warn(`Cross-section warning: ${item.id} not snapped (${item.reason})`));
+        crossSections.invalid.forEach(item => warn(`Cross-section warning: ${item.id} skipped (${item.message})`));
+        crossSections.warnings.forEach(warning => warn(`Cross-section warning: ${warning}`));
+    }
+
+    if (options.lidar) {
+        lidar = loadLidar(options.lidar, {
+            inputUnits: inputUnits,
+            columnSpec: options['lidar-columns'],
+            riverData: data,
+            bankBuffer: mergeOptions.bufferDistance
+        });
+        lidar.validation.warnings.forEach(warning => warn(`LiDAR warning: ${warning}`));
+        if (lidar.las) {
+            log(`Read LAS ${lidar.las.version} cloud of ${lidar.las.points} points (EPSG:${lidar.las.epsg}): ${lidar.las.stations} stations with bank metrics`);
+        }
+        if (lidar.dem) {
+            log(`Read ${lidar.dem.width} × ${lidar.dem.height} DEM of ${lidar.dem.pixelSizeM} m pixels (EPSG:${lidar.dem.epsg}): ${lidar.dem.stations} stations with bed slope and bank heights`);
+        }
+        try {
+            data = river.mergeLidarWithRiver(data, lidar.points, { ...mergeOptions, source: lidar.source });
+        } catch (error) {
+            throw new CliError(`${options.lidar}: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+        }
+        if (lidar.dem) {
+            lidar.dem.profiles = river.attachDemProfiles(data, lidar.points);
+        }
+
+        const merge = data.lidarMerge;
+        log(`Merged ${lidar.points.length} LiDAR points from ${options.lidar} into ${merge.matched}/${merge.segments} segments ` +
+            `(${merge.statistic} within ${merge.bufferM} m, ${merge.nearestOnly} from the nearest point only)`);
+        if (merge.unmatched.length > 0) {
+            warn(`LiDAR warning: segments ${merge.unmatched.join(', ')} left unmerged`);
+        }
+    }
+
+    const params = {
+        ...river.HYDRODYNAMIC_PARAMS,
+        strictValidation: !!options.strict,
+        parameterSource: source
+    };
+
+    const outDir = options['out-dir'] || '.';
+    fs.mkdirSync(outDir, { recursive: true });
+    const base = path.basename(input).replace(/\.(geo)?json$/i, '');
+
+    const runs = discharges.map(({ entered, si: discharge }) => {
+        const results = options.routing
+            ? river.calculateRoutedRiskProfile(discharge, river.cloneGeoJSON(data), params)
+            : river.calculateRiskProfile(discharge, river.cloneGeoJSON(data), params);
+        river.refreshClassification(results);
+        results.units = river.getUnitAnnotations();
+
+        const resultsFile = path.join(outDir, discharges.length > 1 ? `${base}-results-q${entered}.geojson` : `${base}-results.geojson`);
+        fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+
+        const statistics = river.getAnalysisStatistics(results);
+        const validation = summariseValidation(results);
+
+        log(`${describeDischarge(entered, dischargeUnit, discharge)}: ${statistics.totalSegments}/${validation.segments} segments analysed, ` +
+            Object.entries(statistics.categoryCounts).map(([name, count]) => `${name} ${count}`).join(', ') +
+            ` -> ${resultsFile}`);
+
+        return {
+            discharge: discharge,
+            enteredDischarge: { value: entered, unit: dischargeUnit },
+            resultsFile: resultsFile,
+            statistics: statistics,
+            validation: validation,
+            routingWarnings: results.routing ? results.routing.warnings : []
+        };
+    });
+
+    const statsFile = path.join(outDir, `${base}-stats.json`);
+    fs.writeFileSync(statsFile, JSON.stringify({
+        input: input,
+        crossSections: crossSections ? { file: options['cross-sections'], ...crossSections } : null,
+        lidar: lidar ? { file: options.lidar, points: lidar.points.length, las: lidar.las, dem: lidar.dem, warnings: lidar.validation.warnings, merge: data.lidarMerge } : null,
+        options: {
+            routing: !!options.routing,
+            strictValidation: !!options.strict,
+            parameterSource: source,
+            classificationScheme: river.getActiveScheme().id,
+            inputUnits: inputUnits
+        },
+        units: river.getUnitAnnotations(),
+        runs: runs
+    }, null, 2));
+    log(`Statistics -> ${statsFile}`);
+
+    runs.forEach(result => {
+        result.validation.diagnostics.forEach(diagnostic => {
+            warn(`${describeDischarge(result.enteredDischarge.value, dischargeUnit, result.discharge)}, segment ${diagnostic.segment}: ${diagnostic.message}`);
+        });
+    });
+
+    runs.filter(result => result.validation.solverFailed.length > 0).forEach(result => {
+        warn(`${describeDischarge(result.enteredDischarge.value, dischargeUnit, result.discharge)}: no solution for segments ${result.validation.solverFailed.join(', ')}`);
+    });
+
+    const skipped = runs.filter(result => result.validation.strictSkipped.length > 0);
+    if (options.strict && skipped.length > 0) {
+        throw new CliError(`Strict validation skipped segments ${skipped[0].validation.strictSkipped.join(', ')}`, EXIT_CODES.VALIDATION_FAILED);
+    }
+
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Entry point: returns the process exit code
+ */
+function main(argv) {
+    try {
+        const options = parseArgs(argv);
+
+        if (options.help) {
+            console.log(USAGE);
+            return EXIT_CODES.OK;
+        }
+
+        return run(options);
+    } catch (error) {
+        console.error(`✗ Error: ${error.message}`);
+        if (error.exitCode === EXIT_CODES.USAGE) {
+            console.error(`\n${USAGE}`);
+        }
+        return error.exitCode !== undefined ? error.exitCode : EXIT_CODES.ERROR;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, EXIT_CODES };
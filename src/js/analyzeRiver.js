@@ -4,11 +4,12 @@
  */
 
 /**
- * Calculate flow depth using Manning's equation
+ * Estimate flow depth using Manning's equation (wide rectangular channel)
+ * Used as the starting guess for the normal-depth solver; NaN when slope is missing
  */
 function calculateFlowDepth(discharge, channelWidth, manningN, baseSlope) {
-    if (!baseSlope || baseSlope === 0) {
-        return 1.5;
+    if (!baseSlope || baseSlope <= 0) {
+        return NaN;
     }
     return Math.pow((discharge * manningN) / (channelWidth * Math.sqrt(baseSlope)), 0.6);
 }
@@ -65,14 +66,214 @@ function calculateRiskIndex(shearStress, adjustedCriticalShear, bankHeight) {
 }
 
 /**
- * Determine risk category based on risk index
+ * Determine risk category with the active classification scheme
+ * Null while a data-driven scheme waits for the breaks of a full run
  */
 function getRiskCategory(riskIndex) {
-    if (riskIndex > 1.5) return 'High Erosion';
-    if (riskIndex > 1.1) return 'Medium Erosion';
-    if (riskIndex < 0.6) return 'High Deposition';
-    if (riskIndex < 0.9) return 'Medium Deposition';
-    return 'Stable';
+    return getActiveScheme().breaks ? classifyRiskIndex(riskIndex).name : null;
+}
+
+/**
+ * HEC-15 bend coefficient Kb from the ratio of bend radius to top width
+ */
+function calculateBendCoefficient(radiusToWidth) {
+    if (radiusToWidth <= DERIVATION_CONFIG.bendTightRatio) {
+        return 2.0;
+    }
+    
+    if (radiusToWidth >= DERIVATION_CONFIG.bendGentleRatio) {
+        return 1.05;
+    }
+    
+    return 2.38 - 0.206 * radiusToWidth + 0.0073 * Math.pow(radiusToWidth, 2);
+}
+
+/**
+ * Point at a distance along a projected polyline, given its cumulative chainage
+ */
+function interpolateAlongLine(projected, chainage, distance) {
+    let i = 1;
+    while (i < projected.length - 1 && chainage[i] < distance) i++;
+    
+    const a = projected[i - 1];
+    const b = projected[i];
+    const span = chainage[i] - chainage[i - 1];
+    const t = span > 0 ? Math.min(1, Math.max(0, (distance - chainage[i - 1]) / span)) : 0;
+    
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+}
+
+/**
+ * Sinuosity (geodesic length / chord length) and tightest bend radius of a line
+ * The bend radius is the circumradius through points windowM either side of
+ * stations along the line, so digitising jitter shorter than the window does not
+ * read as a tight bend. Parts shorter than two windows are measured end to end.
+ */
+function calculateLineCurvatureMetrics(geometry, windowM = Infinity) {
+    const parts = getLineParts(geometry);
+    let length = 0;
+    let chordLength = 0;
+    let minBendRadius = Infinity;
+    let interiorVertices = 0;
+    
+    parts.forEach(part => {
+        if (part.length < 2) return;
+        
+        const first = part[0];
+        const last = part[part.length - 1];
+        length += calculatePathLength(part);
+        chordLength += haversineDistance(first[1], first[0], last[1], last[0]);
+        interiorVertices += part.length - 2;
+        if (part.length < 3) return;
+        
+        const refLat = part.reduce((sum, coord) => sum + coord[1], 0) / part.length;
+        const projected = part.map(coord => projectToLocalMetres(coord, refLat));
+        const chainage = [0];
+        for (let i = 1; i < projected.length; i++) {
+            chainage.push(chainage[i - 1] + Math.hypot(projected[i][0] - projected[i - 1][0], projected[i][1] - projected[i - 1][1]));
+        }
+        
+        const total = chainage[chainage.length - 1];
+        const halfWindow = Math.min(windowM, total / 2);
+        if (!(halfWindow > 0)) return;
+        
+        const at = distance => interpolateAlongLine(projected, chainage, distance);
+        for (let station = halfWindow; station <= total - halfWindow + 1e-6; station += halfWindow / 2) {
+            minBendRadius = Math.min(minBendRadius, calculateCircumradius(at(station - halfWindow), at(station), at(station + halfWindow)));
+        }
+    });
+    
+    return {
+        length: length,
+        chordLength: chordLength,
+        sinuosity: chordLength > 0 ? length / chordLength : null,
+        minBendRadius: minBendRadius,
+        interiorVertices: interiorVertices
+    };
+}
+
+/**
+ * Bed slope from Z coordinates (least-squares fit of elevation against chainage)
+ * or from upstream/downstream elevation properties. Lines run upstream to downstream.
+ */
+function calculateLineSlope(geometry, props) {
+    const points = [];
+    let chainage = 0;
+    
+    getLineParts(geometry).forEach(part => {
+        part.forEach((coord, i) => {
+            if (i > 0) {
+                chainage += haversineDistance(part[i - 1][1], part[i - 1][0], coord[1], coord[0]);
+            }
+            if (coord.length > 2 && typeof coord[2] === 'number' && isFinite(coord[2])) {
+                points.push({ x: chainage, z: coord[2] });
+            }
+        });
+    });
+    
+    if (points.length >= 2 && chainage > 0) {
+        const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const meanZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+        let sxx = 0;
+        let sxz = 0;
+        points.forEach(p => {
+            sxx += Math.pow(p.x - meanX, 2);
+            sxz += (p.x - meanX) * (p.z - meanZ);
+        });
+        
+        if (sxx > 0) {
+            return { value: -sxz / sxx, method: 'z-coordinates', samples: points.length, lengthM: chainage };
+        }
+    }
+    
+    const upstream = props[DERIVATION_CONFIG.upstreamElevationProperty];
+    const downstream = props[DERIVATION_CONFIG.downstreamElevationProperty];
+    
+    if (typeof upstream === 'number' && typeof downstream === 'number' && chainage > 0) {
+        return { value: (upstream - downstream) / chainage, method: 'endpoint-elevations', samples: 2, lengthM: chainage };
+    }
+    
+    return null;
+}
+
+/**
+ * Derive curvature and base slope from a segment's geometry
+ * Returns { values: { property: { value, method, ... } }, notes: [] }
+ */
+function deriveSegmentParameters(feature, channelWidth) {
+    const props = feature.properties || {};
+    const values = {};
+    const notes = [];
+    
+    const metrics = calculateLineCurvatureMetrics(feature.geometry, DERIVATION_CONFIG.bendWindowWidths * channelWidth);
+    
+    if (metrics.interiorVertices === 0) {
+        notes.push('curvature: line has no interior vertices to measure a bend');
+    } else {
+        // Lines below the straight-channel sinuosity get no bend allowance
+        const straight = metrics.minBendRadius === Infinity ||
+            (metrics.sinuosity !== null && metrics.sinuosity < DERIVATION_CONFIG.straightSinuosity);
+        const kb = straight
+            ? DERIVATION_CONFIG.straightCurvature
+            : calculateBendCoefficient(metrics.minBendRadius / channelWidth);
+        const range = PARAMETER_RANGES.curvature;
+        
+        values.curvature = {
+            value: parseFloat(Math.min(range.max, Math.max(range.min, kb)).toFixed(2)),
+            method: 'hec15-bend',
+            sinuosity: metrics.sinuosity !== null ? parseFloat(metrics.sinuosity.toFixed(3)) : null,
+            minBendRadiusM: metrics.minBendRadius === Infinity ? null : parseFloat(metrics.minBendRadius.toFixed(0)),
+            lengthM: parseFloat(metrics.length.toFixed(0))
+        };
+    }
+    
+    const slope = calculateLineSlope(feature.geometry, props);
+    
+    if (!slope) {
+        notes.push('base_slope: no Z coordinates or endpoint elevations');
+    } else if (slope.value <= 0) {
+        notes.push(`base_slope: elevations do not fall downstream (${slope.method})`);
+    } else {
+        values.base_slope = {
+            value: parseFloat(slope.value.toPrecision(3)),
+            method: slope.method,
+            samples: slope.samples,
+            lengthM: parseFloat(slope.lengthM.toFixed(0))
+        };
+    }
+    
+    return { values: values, notes: notes };
+}
+
+/**
+ * Choose supplied or derived values, then validate
+ * 'supplied' uses derived values only where a property is missing; 'derived' prefers them
+ */
+function resolveSegmentParameters(feature, params = {}) {
+    const props = feature.properties;
+    const source = params.parameterSource || DERIVATION_CONFIG.defaultSource;
+    
+    const channelWidth = validateParameterValue('channelWidth', props.channel_width).value;
+    const derived = deriveSegmentParameters(feature, channelWidth);
+    const effective = { ...props };
+    const used = [];
+    
+    Object.entries(derived.values).forEach(([property, result]) => {
+        const supplied = props[property] !== undefined && props[property] !== null && props[property] !== '';
+        result.used = source === 'derived' || !supplied;
+        
+        if (result.used) {
+            effective[property] = result.value;
+            used.push(property);
+        }
+    });
+    
+    const { values, report } = validateSegmentParameters(effective, params.strictValidation);
+    used.forEach(property => {
+        report.parameters[property].derived = true;
+    });
+    
+    return { values, report, derived };
 }
 
 /**
@@ -81,49 +282,99 @@ function getRiskCategory(riskIndex) {
 function calculateSegmentRisk(feature, discharge, params = {}) {
     const props = feature.properties;
     
-    const channelWidth = props.channel_width || 200;
-    const manningN = props.manning_n || 0.035;
-    const baseSlope = props.base_slope || 0.0005;
-    const criticalShear = props.critical_shear || 2.5;
-    const curvature = props.curvature || 1.0;
-    const bankHeight = props.lidar_avg_bank_height_m || 10.0;
-    const vegDensity = props.lidar_riparian_veg_density || 0.5;
+    const { values, report, derived } = resolveSegmentParameters(feature, params);
+    const { channelWidth, manningN, baseSlope, criticalShear, curvature, bankHeight, vegDensity } = values;
     
     const waterDensity = params.waterDensity || 1000;
     const gravity = params.gravity || 9.81;
     
-    if (!channelWidth || channelWidth <= 0) {
+    delete feature.properties.diagnostics;
+    feature.properties.validation = report;
+    feature.properties.derived = derived;
+    
+    const validationDiagnostics = getValidationDiagnostics(report).concat(getLidarMatchDiagnostics(props));
+    if (validationDiagnostics.length > 0) {
+        feature.properties.diagnostics = validationDiagnostics;
+    }
+    
+    if (!report.analysed) {
+        delete feature.properties.calculated;
         return feature;
     }
     
-    const flowDepth = calculateFlowDepth(discharge, channelWidth, manningN, baseSlope);
-    const hydraulicRadius = calculateHydraulicRadius(channelWidth, flowDepth);
+    const channelGeometry = getChannelGeometry(props, channelWidth, manningN);
+    const section = solveCompoundFlowDepth(discharge, channelGeometry, baseSlope, gravity);
+    
+    if (section.diagnostics.length > 0) {
+        feature.properties.diagnostics = validationDiagnostics.concat(section.diagnostics);
+    }
+    
+    if (!section.solved) {
+        delete feature.properties.calculated;
+        return feature;
+    }
+    
+    const flowDepth = section.flowDepth;
+    const hydraulicRadius = section.hydraulicRadius;
     const velocity = calculateVelocity(hydraulicRadius, manningN, baseSlope);
     let shearStress = calculateShearStress(hydraulicRadius, baseSlope, curvature, waterDensity, gravity);
+    const bedShear = calculateShearStress(hydraulicRadius, baseSlope, 1.0, waterDensity, gravity);
+    const sediment = calculateSedimentTransport(props, { velocity, flowDepth, bedShear }, params);
     
     const vegetationResistance = calculateVegetationResistance(vegDensity);
     const adjustedCriticalShear = calculateAdjustedCriticalShear(criticalShear, vegDensity);
     const riskIndex = calculateRiskIndex(shearStress, adjustedCriticalShear, bankHeight);
     const riskCategory = getRiskCategory(riskIndex);
+    const bankErosion = calculateBankErosion(feature, { shearStress, adjustedCriticalShear, criticalShear, bankHeight }, params);
     
     feature.properties.calculated = {
+        discharge: discharge,
         riskIndex: parseFloat(riskIndex.toFixed(2)),
         riskCategory: riskCategory,
         shearStress: parseFloat(shearStress.toFixed(2)),
         velocity: parseFloat(velocity.toFixed(2)),
         flowDepth: parseFloat(flowDepth.toFixed(2)),
         hydraulicRadius: parseFloat(hydraulicRadius.toFixed(2)),
+        criticalDepth: parseFloat(section.criticalDepth.toFixed(2)),
+        froudeNumber: parseFloat(section.froudeNumber.toFixed(3)),
+        specificEnergy: parseFloat(section.specificEnergy.toFixed(3)),
+        flowRegime: section.flowRegime,
+        solverConverged: section.solverConverged,
+        solverIterations: section.solverIterations,
         bankHeight: bankHeight,
         vegDensity: vegDensity,
         vegetationResistance: parseFloat(vegetationResistance.toFixed(2)),
-        adjustedCriticalShear: parseFloat(adjustedCriticalShear.toFixed(2))
+        adjustedCriticalShear: parseFloat(adjustedCriticalShear.toFixed(2)),
+        overbankFlow: section.overbankFlow,
+        mainChannelDischarge: parseFloat(section.mainDischarge.toFixed(1)),
+        floodplainDepth: parseFloat(section.floodplainDepth.toFixed(2)),
+        floodplainDischarge: parseFloat(section.floodplainDischarge.toFixed(1)),
+        floodplainVelocity: parseFloat(section.floodplainVelocity.toFixed(2)),
+        inundatedWidth: parseFloat(section.inundatedWidth.toFixed(1)),
+        floodplainDischargeShare: parseFloat(section.floodplainDischargeShare.toFixed(3)),
+        bedloadCapacity: sediment.bedloadCapacity,
+        totalLoadCapacity: sediment.totalLoadCapacity,
+        shieldsParameter: sediment.shieldsParameter,
+        bedloadFormula: sediment.bedloadFormula,
+        totalLoadFormula: sediment.totalLoadFormula,
+        ...bankErosion
     };
     
     return feature;
 }
 
+/**
+ * Stable identifier for a segment: its id property, else its position
+ */
+function getSegmentId(feature, index) {
+    const props = feature.properties || {};
+    return props.id !== undefined && props.id !== null ? String(props.id) : String(index);
+}
+
 /**
  * Calculate risk profile for all river segments
+ * discharge may be a number or a function returning the discharge for a feature
+ * Non-line features (e.g. inflow points) are passed through unchanged
  */
 function calculateRiskProfile(discharge, geojsonData, params = {}) {
     if (!geojsonData || !geojsonData.features) {
@@ -132,13 +383,214 @@ function calculateRiskProfile(discharge, geojsonData, params = {}) {
     }
     
     const updatedFeatures = geojsonData.features.map(feature => {
-        return calculateSegmentRisk(feature, discharge, params);
+        if (feature.geometry && feature.geometry.type === 'Point') {
+            return feature;
+        }
+        
+        const featureDischarge = typeof discharge === 'function' ? discharge(feature) : discharge;
+        return calculateSegmentRisk(feature, featureDischarge, params);
     });
     
-    return {
+    const results = {
         ...geojsonData,
         features: updatedFeatures
     };
+    
+    // The first run under a data-driven scheme supplies its breaks
+    if (!getActiveScheme().breaks) {
+        refreshClassification(results);
+    }
+    
+    return results;
+}
+
+/**
+ * Deep-copy GeoJSON so repeated runs don't overwrite each other's results
+ */
+function cloneGeoJSON(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Build the list of discharges covered by a sweep
+ */
+function buildDischargeSeries(minDischarge, maxDischarge, step) {
+    if (!(step > 0) || !(maxDischarge > minDischarge)) {
+        throw new Error('Sweep needs max discharge above min discharge and a positive step');
+    }
+    
+    const stepCount = Math.floor((maxDischarge - minDischarge) / step);
+    if (stepCount + 1 > SWEEP_CONFIG.maxSteps) {
+        throw new Error(`Sweep would need ${stepCount + 1} runs per segment (limit ${SWEEP_CONFIG.maxSteps}). Increase the step.`);
+    }
+    
+    const series = [];
+    for (let i = 0; i <= stepCount; i++) {
+        series.push(parseFloat((minDischarge + i * step).toFixed(6)));
+    }
+    
+    if (series[series.length - 1] < maxDischarge) {
+        series.push(maxDischarge);
+    }
+    
+    return series;
+}
+
+/**
+ * Evaluate a single segment at one discharge without touching the original feature
+ */
+function evaluateSegmentAtDischarge(feature, discharge, params = {}) {
+    return calculateSegmentRisk(cloneGeoJSON(feature), discharge, params).properties.calculated;
+}
+
+/**
+ * Narrow down the discharge at which a segment changes risk category
+ */
+function findCategoryThreshold(feature, lowDischarge, highDischarge, params = {}) {
+    const lowCategory = evaluateSegmentAtDischarge(feature, lowDischarge, params).riskCategory;
+    let low = lowDischarge;
+    let high = highDischarge;
+    
+    while (high - low > SWEEP_CONFIG.thresholdTolerance) {
+        const mid = (low + high) / 2;
+        const calc = evaluateSegmentAtDischarge(feature, mid, params);
+        
+        if (calc && calc.riskCategory === lowCategory) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return parseFloat(high.toFixed(1));
+}
+
+/**
+ * Run calculateSegmentRisk across a discharge series for one segment
+ */
+function calculateDischargeSweep(feature, dischargeSeries, params = {}) {
+    const props = feature.properties || {};
+    const points = [];
+    const thresholds = [];
+    
+    dischargeSeries.forEach(discharge => {
+        const calc = evaluateSegmentAtDischarge(feature, discharge, params);
+        if (!calc) return;
+        
+        const previous = points[points.length - 1];
+        if (previous && previous.riskCategory !== calc.riskCategory) {
+            thresholds.push({
+                discharge: findCategoryThreshold(feature, previous.discharge, discharge, params),
+                fromCategory: previous.riskCategory,
+                toCategory: calc.riskCategory
+            });
+        }
+        
+        points.push({
+            discharge: discharge,
+            riskIndex: calc.riskIndex,
+            riskCategory: calc.riskCategory,
+            shearStress: calc.shearStress,
+            velocity: calc.velocity,
+            flowDepth: calc.flowDepth
+        });
+    });
+    
+    return {
+        id: props.id,
+        name: props.name || 'Segment ' + props.id,
+        points: points,
+        thresholds: thresholds
+    };
+}
+
+/**
+ * Run a discharge sweep for all river segments (point inflows are not segments)
+ * Data-driven schemes need the breaks of a full run first
+ */
+function calculateSweepProfile(minDischarge, maxDischarge, step, geojsonData, params = {}) {
+    if (!geojsonData || !geojsonData.features) {
+        console.error('Invalid GeoJSON data');
+        return [];
+    }
+    
+    requireSchemeBreaks();
+    const dischargeSeries = buildDischargeSeries(minDischarge, maxDischarge, step);
+    
+    return geojsonData.features.filter(isLineFeature).map(feature => {
+        return calculateDischargeSweep(feature, dischargeSeries, params);
+    });
+}
+
+/**
+ * Step one segment through a hydrograph and accumulate excess-shear metrics
+ */
+function calculateSegmentHydrographResponse(feature, hydrograph, params = {}) {
+    const props = feature.properties || {};
+    const timeline = [];
+    
+    let daysAboveCritical = 0;
+    let cumulativeExcessShear = 0;
+    let peak = null;
+    
+    hydrograph.forEach(step => {
+        const calc = evaluateSegmentAtDischarge(feature, step.discharge, params);
+        if (!calc) return;
+        
+        const excessShear = calc.shearStress - calc.adjustedCriticalShear;
+        
+        if (excessShear > 0) {
+            daysAboveCritical += step.durationDays;
+            cumulativeExcessShear += excessShear * step.durationDays;
+        }
+        
+        if (!peak || calc.riskIndex > peak.riskIndex) {
+            peak = { date: step.date, discharge: step.discharge, riskIndex: calc.riskIndex, riskCategory: calc.riskCategory };
+        }
+        
+        timeline.push({
+            date: step.date,
+            time: step.time,
+            discharge: step.discharge,
+            riskIndex: calc.riskIndex,
+            riskCategory: calc.riskCategory,
+            shearStress: calc.shearStress,
+            excessShear: parseFloat(excessShear.toFixed(2))
+        });
+    });
+    
+    return {
+        id: props.id,
+        name: props.name || 'Segment ' + props.id,
+        daysAboveCritical: parseFloat(daysAboveCritical.toFixed(1)),
+        cumulativeExcessShear: parseFloat(cumulativeExcessShear.toFixed(2)),
+        peakRiskDate: peak ? peak.date : null,
+        peakRiskIndex: peak ? peak.riskIndex : null,
+        peakRiskCategory: peak ? peak.riskCategory : null,
+        peakDischarge: peak ? peak.discharge : null,
+        timeline: timeline
+    };
+}
+
+/**
+ * Compute each segment's state for every hydrograph timestep
+ * Only line features are segments; point inflows are skipped
+ */
+function calculateHydrographResponse(hydrograph, geojsonData, params = {}) {
+    if (!geojsonData || !geojsonData.features) {
+        console.error('Invalid GeoJSON data');
+        return [];
+    }
+    
+    if (!Array.isArray(hydrograph) || hydrograph.length === 0) {
+        throw new Error('Hydrograph contains no timesteps');
+    }
+    
+    requireSchemeBreaks();
+    
+    return geojsonData.features.filter(isLineFeature).map(feature => {
+        return calculateSegmentHydrographResponse(feature, hydrograph, params);
+    });
 }
 
 /**
@@ -151,11 +603,7 @@ function getAnalysisStatistics(geojsonData) {
     
     let stats = {
         totalSegments: 0,
-        highErosion: 0,
-        mediumErosion: 0,
-        stable: 0,
-        mediumDeposition: 0,
-        highDeposition: 0,
+        categoryCounts: {},
         avgRiskIndex: 0,
         maxRiskIndex: -Infinity,
         minRiskIndex: Infinity,
@@ -163,6 +611,11 @@ function getAnalysisStatistics(geojsonData) {
         avgShearStress: 0
     };
     
+    // Highest risk first, matching the order of the legend
+    getSchemeClasses().slice().reverse().forEach(cls => {
+        stats.categoryCounts[cls.name] = 0;
+    });
+    
     let totalRiskIndex = 0;
     let totalVelocity = 0;
     let totalShearStress = 0;
@@ -172,24 +625,7 @@ function getAnalysisStatistics(geojsonData) {
         
         const calc = feature.properties.calculated;
         stats.totalSegments++;
-        
-        switch (calc.riskCategory) {
-            case 'High Erosion':
-                stats.highErosion++;
-                break;
-            case 'Medium Erosion':
-                stats.mediumErosion++;
-                break;
-            case 'Stable':
-                stats.stable++;
-                break;
-            case 'Medium Deposition':
-                stats.mediumDeposition++;
-                break;
-            case 'High Deposition':
-                stats.highDeposition++;
-                break;
-        }
+        stats.categoryCounts[calc.riskCategory] = (stats.categoryCounts[calc.riskCategory] || 0) + 1;
         
         totalRiskIndex += calc.riskIndex;
         totalVelocity += calc.velocity;
@@ -9,11 +9,25 @@
 
 let appState = {
     currentGeoJSON: null,
+    originalGeoJSON: null,
     lidarData: null,
+    lidarCsv: null,
+    lasCloud: null,
+    demRaster: null,
+    crossSections: null,
     analysisResults: null,
+    sweepResults: null,
+    sensitivityResults: null,
+    mitigationPlan: null,
+    scenarioComparison: null,
+    projectionBatch: null,
+    floodFrequency: null,
+    hydrograph: null,
+    hydrographResults: null,
     lastDischarge: 300,
     map: null,
-    riverLayer: null
+    riverLayer: null,
+    legendControl: null
 };
 
 // ========================================
@@ -113,6 +127,12 @@ function initializeMapView() {
 function initializeUIComponents() {
     console.log('Initializing UI components...');
     initializeTabs();
+    renderUnitControls();
+    setDischargeValue(APP_CONFIG.defaultDischarge);
+    setDischargeValue(APP_CONFIG.defaultDischarge, 'scenario-discharge-input');
+    renderClassificationControls();
+    renderScenarioControls(appState.currentGeoJSON);
+    renderProjectionList();
 }
 
 /**
@@ -132,6 +152,191 @@ function setupEventListeners() {
         console.log('Run Analysis button listener added');
     }
     
+    // Discharge sweep button
+    if (buttons.runSweep) {
+        buttons.runSweep.addEventListener('click', function() {
+            console.log('Run Sweep clicked');
+            handleRunSweep();
+        });
+        console.log('Run Sweep button listener added');
+    }
+    
+    const sweepMetricSelect = document.getElementById('sweep-metric-select');
+    if (sweepMetricSelect) {
+        sweepMetricSelect.addEventListener('change', function() {
+            renderSweepChart();
+        });
+    }
+    
+    // Monte Carlo button
+    if (buttons.runUncertainty) {
+        buttons.runUncertainty.addEventListener('click', function() {
+            console.log('Run Monte Carlo clicked');
+            handleRunUncertainty();
+        });
+        console.log('Run Monte Carlo button listener added');
+    }
+    
+    const symbologySelect = document.getElementById('map-symbology-select');
+    if (symbologySelect) {
+        symbologySelect.addEventListener('change', function() {
+            console.log('Map symbology changed to:', getMapSymbology());
+            updateMapDisplay(appState.analysisResults);
+        });
+    }
+    
+    // Sensitivity button
+    if (buttons.runSensitivity) {
+        buttons.runSensitivity.addEventListener('click', function() {
+            console.log('Run Sensitivity clicked');
+            handleRunSensitivity();
+        });
+        console.log('Run Sensitivity button listener added');
+    }
+    
+    const sensitivitySegmentSelect = document.getElementById('sensitivity-segment-select');
+    if (sensitivitySegmentSelect) {
+        sensitivitySegmentSelect.addEventListener('change', function() {
+            renderSensitivityResults();
+        });
+    }
+    
+    // Mitigation planner buttons
+    if (buttons.runMitigation) {
+        buttons.runMitigation.addEventListener('click', function() {
+            console.log('Plan Mitigation clicked');
+            handleRunMitigation();
+        });
+        console.log('Mitigation button listener added');
+    }
+    
+    if (buttons.mitigationScenario) {
+        buttons.mitigationScenario.addEventListener('click', function() {
+            console.log('Save mitigation scenario clicked');
+            handleMitigationScenario();
+        });
+    }
+    
+    // Segmentation buttons
+    if (buttons.segmentReaches) {
+        buttons.segmentReaches.addEventListener('click', function() {
+            console.log('Split into reaches clicked');
+            handleSegmentReaches();
+        });
+        console.log('Segmentation button listener added');
+    }
+    
+    if (buttons.restoreSegments) {
+        buttons.restoreSegments.addEventListener('click', function() {
+            console.log('Restore segments clicked');
+            handleRestoreSegments();
+        });
+    }
+    
+    // Scenario controls
+    if (buttons.createScenario) {
+        buttons.createScenario.addEventListener('click', function() {
+            console.log('Create scenario clicked');
+            handleCreateScenario();
+        });
+        console.log('Scenario button listeners added');
+    }
+    
+    if (buttons.deleteScenario) {
+        buttons.deleteScenario.addEventListener('click', function() {
+            console.log('Delete scenario clicked');
+            handleDeleteScenario();
+        });
+    }
+    
+    if (buttons.addOverride) {
+        buttons.addOverride.addEventListener('click', function() {
+            console.log('Apply override clicked');
+            handleAddOverride();
+        });
+    }
+    
+    if (buttons.compareScenarios) {
+        buttons.compareScenarios.addEventListener('click', function() {
+            console.log('Run comparison clicked');
+            handleCompareScenarios();
+        });
+    }
+    
+    if (buttons.exportComparison) {
+        buttons.exportComparison.addEventListener('click', function() {
+            console.log('Export comparison clicked');
+            handleExportComparison();
+        });
+    }
+    
+    const scenarioSelect = document.getElementById('scenario-select');
+    if (scenarioSelect) {
+        scenarioSelect.addEventListener('change', function() {
+            renderScenarioControls(appState.currentGeoJSON);
+        });
+    }
+    
+    // Override remove buttons are re-rendered, so listen on their container
+    const overridesList = document.getElementById('scenario-overrides');
+    if (overridesList) {
+        overridesList.addEventListener('click', function(e) {
+            const button = e.target.closest('.remove-override-btn');
+            if (button) {
+                handleRemoveOverride(button.dataset.segment, button.dataset.property);
+            }
+        });
+    }
+    
+    const scenarioMapSelect = document.getElementById('scenario-map-select');
+    if (scenarioMapSelect) {
+        scenarioMapSelect.addEventListener('change', function(e) {
+            handleScenarioMapChange(e.target.value);
+        });
+    }
+    
+    // Climate projection controls
+    if (buttons.runProjections) {
+        buttons.runProjections.addEventListener('click', function() {
+            console.log('Run projections clicked');
+            handleRunProjections();
+        });
+        console.log('Projection button listeners added');
+    }
+    
+    if (buttons.saveProjection) {
+        buttons.saveProjection.addEventListener('click', function() {
+            console.log('Save projection clicked');
+            handleSaveProjection();
+        });
+    }
+    
+    const lidarMappingFields = document.getElementById('lidar-mapping-fields');
+    if (lidarMappingFields) {
+        lidarMappingFields.addEventListener('change', function(e) {
+            if (e.target.classList.contains('lidar-mapping-select')) {
+                handleLidarMappingChange();
+            }
+        });
+    }
+    
+    const projectionList = document.getElementById('projection-list');
+    if (projectionList) {
+        projectionList.addEventListener('click', function(e) {
+            const button = e.target.closest('.delete-projection-btn');
+            if (button) {
+                handleDeleteProjection(button.dataset.projection);
+            }
+        });
+    }
+    
+    const projectionMapSelect = document.getElementById('projection-map-select');
+    if (projectionMapSelect) {
+        projectionMapSelect.addEventListener('change', function(e) {
+            handleProjectionMapChange(e.target.value);
+        });
+    }
+    
     // Merge LiDAR button
     if (buttons.mergeLidar) {
         buttons.mergeLidar.addEventListener('click', function() {
@@ -187,15 +392,155 @@ function setupEventListeners() {
         console.log('LiDAR GeoJSON upload listener added');
     }
     
+    const lidarLasInput = document.getElementById('lidar-las-upload');
+    if (lidarLasInput) {
+        lidarLasInput.addEventListener('change', function(e) {
+            console.log('LAS file selected');
+            handleLidarLasUpload(e);
+        });
+        console.log('LAS upload listener added');
+    }
+    
+    const lidarDemInput = document.getElementById('lidar-dem-upload');
+    if (lidarDemInput) {
+        lidarDemInput.addEventListener('change', function(e) {
+            console.log('DEM file selected');
+            handleLidarDemUpload(e);
+        });
+        console.log('DEM upload listener added');
+    }
+    
+    const demProfileSelect = document.getElementById('dem-profile-segment-select');
+    if (demProfileSelect) {
+        demProfileSelect.addEventListener('change', function() {
+            renderDemProfile();
+        });
+    }
+    
+    const floodCsvInput = document.getElementById('flood-csv-upload');
+    if (floodCsvInput) {
+        floodCsvInput.addEventListener('change', function(e) {
+            console.log('Annual peaks CSV file selected');
+            handleFloodCsvUpload(e);
+        });
+        console.log('Flood frequency upload listener added');
+    }
+    
+    const floodDistributionSelect = document.getElementById('flood-distribution-select');
+    if (floodDistributionSelect) {
+        floodDistributionSelect.addEventListener('change', function() {
+            console.log('Flood distribution changed to:', getFloodDistribution());
+            runReturnPeriodAnalysis();
+        });
+    }
+    
+    const floodMapSelect = document.getElementById('flood-map-select');
+    if (floodMapSelect) {
+        floodMapSelect.addEventListener('change', function(e) {
+            handleFloodMapChange(e.target.value);
+        });
+    }
+    
+    const hydrographCsvInput = document.getElementById('hydrograph-csv-upload');
+    if (hydrographCsvInput) {
+        hydrographCsvInput.addEventListener('change', function(e) {
+            console.log('Hydrograph CSV file selected');
+            handleHydrographCsvUpload(e);
+        });
+        console.log('Hydrograph upload listener added');
+    }
+    
+    const crossSectionInput = document.getElementById('cross-section-upload');
+    if (crossSectionInput) {
+        crossSectionInput.addEventListener('change', function(e) {
+            console.log('Cross-section file selected');
+            handleCrossSectionUpload(e);
+        });
+        console.log('Cross-section upload listener added');
+    }
+    
+    const crossSectionSelect = document.getElementById('cross-section-select');
+    if (crossSectionSelect) {
+        crossSectionSelect.addEventListener('change', function() {
+            renderCrossSection();
+        });
+    }
+    
+    ['bedload-formula-select', 'total-load-formula-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', function() {
+                console.log('Sediment formula changed:', getSedimentFormulas());
+                performAnalysis();
+            });
+        }
+    });
+    
+    const parameterSourceSelect = document.getElementById('parameter-source-select');
+    if (parameterSourceSelect) {
+        parameterSourceSelect.addEventListener('change', function() {
+            console.log('Parameter source:', getParameterSource());
+            performAnalysis();
+        });
+    }
+    
+    const strictToggle = document.getElementById('strict-validation-toggle');
+    if (strictToggle) {
+        strictToggle.addEventListener('change', function() {
+            console.log('Strict validation:', isStrictValidationEnabled() ? 'on' : 'off');
+            performAnalysis();
+        });
+    }
+    
+    const routingToggle = document.getElementById('routing-toggle');
+    if (routingToggle) {
+        routingToggle.addEventListener('change', function() {
+            console.log('Flow routing:', isRoutingEnabled() ? 'on' : 'off');
+            performAnalysis();
+        });
+    }
+    
+    // Classification scheme controls
+    const schemeSelect = document.getElementById('classification-scheme-select');
+    if (schemeSelect) {
+        schemeSelect.addEventListener('change', function(e) {
+            handleSchemeChange(e.target.value);
+        });
+    }
+    
+    const saveSchemeBtn = document.getElementById('save-scheme-btn');
+    if (saveSchemeBtn) {
+        saveSchemeBtn.addEventListener('click', function() {
+            console.log('Save scheme clicked');
+            handleSaveScheme();
+        });
+    }
+    
+    const deleteSchemeBtn = document.getElementById('delete-scheme-btn');
+    if (deleteSchemeBtn) {
+        deleteSchemeBtn.addEventListener('click', function() {
+            console.log('Delete scheme clicked');
+            handleDeleteScheme();
+        });
+    }
+    
     // Discharge input change
     const dischargeInput = document.getElementById('discharge-input');
     if (dischargeInput) {
         dischargeInput.addEventListener('change', function(e) {
-            appState.lastDischarge = parseFloat(e.target.value);
+            appState.lastDischarge = getDischargeValue();
             console.log('Discharge changed to:', appState.lastDischarge);
         });
         console.log('Discharge input listener added');
     }
+    
+    // Unit system controls
+    const displayUnitsSelect = document.getElementById('display-units-select');
+    if (displayUnitsSelect) {
+        displayUnitsSelect.addEventListener('change', function(e) {
+            handleDisplayUnitsChange(e.target.value);
+        });
+    }
 }
 
 // ========================================
@@ -216,46 +561,999 @@ function handleRunAnalysis() {
 }
 
 /**
- * Handle GeoJSON file upload
+ * Handle run sweep button click
  */
-function handleGeoJsonUpload(event) {
+function handleRunSweep() {
     try {
-        const file = event.target.files[0];
-        console.log('File selected:', file ? file.name : 'none');
+        console.log('Starting discharge sweep...');
         
-        if (!file) {
-            console.log('No file selected');
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
             return;
         }
         
-        const reader = new FileReader();
+        const sweep = getSweepInputs();
+        console.log('Sweep range:', sweep);
         
-        reader.onload = function(e) {
-            try {
-                console.log('File loaded, parsing JSON...');
-                const content = e.target.result;
-                const data = JSON.parse(content);
-                
-                console.log('Parsed data:', data);
-                
-                // Validate GeoJSON
-                if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
-                    throw new Error('Invalid GeoJSON format. Must be FeatureCollection');
-                }
-                
-                console.log('GeoJSON validated, features:', data.features.length);
-                
-                appState.currentGeoJSON = data;
-                updateRiverCount(data.features.length);
-                
-                showSuccess(`Loaded: ${file.name} (${data.features.length} segments)`);
-                
-                console.log('Running analysis with loaded data...');
-                performAnalysis();
-            } catch (error) {
-                console.error('Error processing file:', error);
-                showError('Failed to load GeoJSON: ' + error.message);
+        appState.sweepResults = calculateSweepProfile(
+            sweep.min,
+            sweep.max,
+            sweep.step,
+            appState.currentGeoJSON,
+            getAnalysisParams()
+        );
+        
+        renderSweepResults();
+        showSuccess(`Sweep complete: ${sweep.min}-${sweep.max} m³/s in steps of ${sweep.step}`);
+    } catch (error) {
+        showError('Sweep failed: ' + error.message);
+        console.error('Sweep error:', error);
+    }
+}
+
+/**
+ * Handle Monte Carlo button click
+ */
+function handleRunUncertainty() {
+    try {
+        console.log('Starting Monte Carlo analysis...');
+        
+        if (!appState.analysisResults) {
+            showError('No analysis results. Run analysis first.');
+            return;
+        }
+        
+        const realisations = getRealisationsValue();
+        
+        calculateUncertaintyProfile(
+            appState.lastDischarge,
+            appState.analysisResults,
+            realisations,
+            getAnalysisParams()
+        );
+        
+        renderUncertaintyTable(appState.analysisResults);
+        setElementVisible('uncertainty-results', true);
+        updateMapDisplay(appState.analysisResults);
+        
+        showSuccess(`Monte Carlo complete: ${realisations} realisations per segment`);
+    } catch (error) {
+        showError('Monte Carlo failed: ' + error.message);
+        console.error('Monte Carlo error:', error);
+    }
+}
+
+/**
+ * Handle sensitivity button click
+ */
+function handleRunSensitivity() {
+    try {
+        console.log('Starting sensitivity analysis...');
+        
+        if (!appState.analysisResults) {
+            showError('No analysis results. Run analysis first.');
+            return;
+        }
+        
+        const options = getSensitivityOptions();
+        appState.sensitivityResults = calculateSensitivityProfile(
+            appState.lastDischarge,
+            appState.analysisResults,
+            options,
+            getAnalysisParams()
+        );
+        
+        const segmentSelect = document.getElementById('sensitivity-segment-select');
+        populateSelect(
+            'sensitivity-segment-select',
+            Object.entries(appState.sensitivityResults).map(([id, result]) => ({ value: id, label: result.name })),
+            segmentSelect ? segmentSelect.value : null
+        );
+        
+        setElementVisible('sensitivity-results', true);
+        renderSensitivityResults();
+        
+        showSuccess(`Sensitivity complete: ${Object.keys(appState.sensitivityResults).length} segments`);
+    } catch (error) {
+        showError('Sensitivity analysis failed: ' + error.message);
+        console.error('Sensitivity error:', error);
+    }
+}
+
+/**
+ * Handle mitigation planner button click
+ */
+function handleRunMitigation() {
+    try {
+        if (!appState.analysisResults) {
+            showError('Run analysis first');
+            return;
+        }
+        
+        const { unitCosts, budget } = getMitigationInputs();
+        console.log('Planning mitigation, budget:', budget, 'unit costs:', unitCosts);
+        
+        const plan = calculateMitigationPlan(appState.analysisResults, unitCosts, budget, getAnalysisParams());
+        appState.mitigationPlan = plan;
+        
+        renderMitigationPlan(plan);
+        setElementVisible('mitigation-results', true);
+        setElementVisible('mitigation-scenario-btn', plan.selection.selected.length > 0);
+        
+        showSuccess(`Mitigation plan: ${plan.selection.selected.length} of ${plan.segments.length} segments within budget (cost ${plan.selection.totalCost.toLocaleString()})`);
+    } catch (error) {
+        showError('Mitigation planning failed: ' + error.message);
+        console.error('Mitigation error:', error);
+    }
+}
+
+/**
+ * Save the selected mitigation interventions as a scenario for comparison
+ */
+function handleMitigationScenario() {
+    try {
+        const plan = appState.mitigationPlan;
+        if (!plan || plan.selection.selected.length === 0) {
+            showError('No interventions selected');
+            return;
+        }
+        
+        let n = 1;
+        while (getScenarios(appState.currentGeoJSON).some(scenario => scenario.name === `Mitigation plan ${n}`)) n++;
+        
+        const scenario = createScenario(appState.currentGeoJSON, `Mitigation plan ${n}`, appState.lastDischarge);
+        plan.selection.selected.forEach(option => {
+            setScenarioOverrides(scenario, [option.id], option.property, option.to);
+        });
+        
+        renderScenarioControls(appState.currentGeoJSON, scenario.id);
+        showSuccess(`Saved "${scenario.name}" with ${plan.selection.selected.length} intervention(s); compare it in the Scenarios tab`);
+    } catch (error) {
+        showError('Could not save scenario: ' + error.message);
+        console.error('Scenario error:', error);
+    }
+}
+
+/**
+ * Switch classification scheme and reclassify everything on screen
+ */
+function handleSchemeChange(schemeId) {
+    try {
+        const scheme = setActiveScheme(schemeId);
+        console.log('Classification scheme:', scheme.name);
+        
+        renderClassificationControls();
+        performAnalysis();
+        
+        // Sweep thresholds are category changes, so they depend on the scheme too
+        if (appState.sweepResults) {
+            handleRunSweep();
+        }
+    } catch (error) {
+        showError('Could not switch scheme: ' + error.message);
+        console.error('Scheme change error:', error);
+    }
+}
+
+/**
+ * Switch the display unit system and redraw everything showing dimensional values
+ */
+function handleDisplayUnitsChange(systemId) {
+    try {
+        const discharge = getDischargeValue();
+        const scenarioDischarge = getNewScenarioValues().discharge;
+        
+        setDisplayUnitSystem(systemId);
+        renderUnitControls();
+        setDischargeValue(discharge);
+        setDischargeValue(scenarioDischarge, 'scenario-discharge-input');
+        renderScenarioControls(appState.currentGeoJSON, getSelectedScenarioId());
+        
+        if (appState.analysisResults) {
+            updateMapDisplay(appState.analysisResults);
+            updateStatistics(getAnalysisStatistics(appState.analysisResults));
+            formatAndDisplayResults(appState.analysisResults);
+        }
+        
+        console.log('Display units changed to:', systemId);
+    } catch (error) {
+        showError('Could not change units: ' + error.message);
+        console.error('Units error:', error);
+    }
+}
+
+/**
+ * Save the scheme defined in the editor and make it active
+ */
+function handleSaveScheme() {
+    try {
+        const { scheme, persisted } = saveClassificationScheme(getSchemeEditorValues());
+        handleSchemeChange(scheme.id);
+        
+        if (persisted) {
+            showSuccess(`Saved scheme "${scheme.name}"`);
+        } else {
+            showError(`Scheme "${scheme.name}" could not be stored in this browser`);
+        }
+    } catch (error) {
+        showError('Could not save scheme: ' + error.message);
+        console.error('Scheme save error:', error);
+    }
+}
+
+/**
+ * Delete the selected saved scheme
+ */
+function handleDeleteScheme() {
+    try {
+        const select = document.getElementById('classification-scheme-select');
+        if (!select) return;
+        
+        deleteClassificationScheme(select.value);
+        handleSchemeChange(getActiveScheme().id);
+        showSuccess('Scheme deleted');
+    } catch (error) {
+        showError('Could not delete scheme: ' + error.message);
+        console.error('Scheme delete error:', error);
+    }
+}
+
+/**
+ * Add a named scenario to the current dataset
+ */
+function handleCreateScenario() {
+    try {
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            return;
+        }
+        
+        const { name, discharge } = getNewScenarioValues();
+        const scenario = createScenario(appState.currentGeoJSON, name, discharge);
+        
+        renderScenarioControls(appState.currentGeoJSON, scenario.id);
+        showSuccess(`Created scenario "${scenario.name}" at ${formatQuantity(scenario.discharge, 'discharge')}`);
+    } catch (error) {
+        showError('Could not create scenario: ' + error.message);
+        console.error('Scenario error:', error);
+    }
+}
+
+/**
+ * Delete the scenario selected for editing
+ */
+function handleDeleteScenario() {
+    try {
+        const scenarioId = getSelectedScenarioId();
+        if (!scenarioId) {
+            showError('No scenario selected');
+            return;
+        }
+        
+        deleteScenario(appState.currentGeoJSON, scenarioId);
+        renderScenarioControls(appState.currentGeoJSON);
+        showSuccess('Scenario deleted');
+    } catch (error) {
+        showError('Could not delete scenario: ' + error.message);
+        console.error('Scenario error:', error);
+    }
+}
+
+/**
+ * Apply the override editor's value to the selected segments
+ */
+function handleAddOverride() {
+    try {
+        const scenarioId = getSelectedScenarioId();
+        if (!scenarioId) {
+            showError('Create a scenario first');
+            return;
+        }
+        
+        const scenario = findScenario(appState.currentGeoJSON, scenarioId);
+        const { segmentIds, property, value } = getOverrideEditorValues();
+        setScenarioOverrides(scenario, segmentIds, property, value);
+        
+        renderScenarioControls(appState.currentGeoJSON, scenarioId);
+        console.log(`Scenario "${scenario.name}": ${property} = ${value} on`, segmentIds);
+        showSuccess(`Set ${property} = ${value} on ${segmentIds.length} segment(s) in "${scenario.name}"`);
+    } catch (error) {
+        showError('Could not apply override: ' + error.message);
+        console.error('Scenario error:', error);
+    }
+}
+
+/**
+ * Remove one override from the selected scenario
+ */
+function handleRemoveOverride(segmentId, property) {
+    try {
+        const scenario = findScenario(appState.currentGeoJSON, getSelectedScenarioId());
+        removeScenarioOverride(scenario, segmentId, property);
+        renderScenarioControls(appState.currentGeoJSON, scenario.id);
+    } catch (error) {
+        showError('Could not remove override: ' + error.message);
+        console.error('Scenario error:', error);
+    }
+}
+
+/**
+ * Run two scenarios and compare them segment by segment
+ */
+function handleCompareScenarios() {
+    try {
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            return;
+        }
+        
+        const selection = getComparisonSelection();
+        if (selection.a === selection.b) {
+            showError('Choose two different scenarios to compare');
+            return;
+        }
+        
+        const discharge = getDischargeValue();
+        const scenarioA = findScenario(appState.currentGeoJSON, selection.a, discharge);
+        const scenarioB = findScenario(appState.currentGeoJSON, selection.b, discharge);
+        const params = getAnalysisParams();
+        const routed = isRoutingEnabled();
+        
+        console.log(`Comparing "${scenarioB.name}" against "${scenarioA.name}"`);
+        const resultsA = runScenario(appState.currentGeoJSON, scenarioA, params, routed);
+        const resultsB = runScenario(appState.currentGeoJSON, scenarioB, params, routed);
+        const comparison = compareScenarioResults(resultsA, resultsB, scenarioA, scenarioB);
+        
+        appState.scenarioComparison = { resultsA, resultsB, comparison };
+        
+        renderScenarioComparison(comparison);
+        setElementVisible('scenario-comparison-results', true);
+        handleScenarioMapChange(getScenarioMapMode());
+        
+        const summary = comparison.scenarioComparison.summary;
+        showSuccess(`Compared ${summary.compared} segments: ${summary.increased} higher, ${summary.decreased} lower, ${summary.categoryChanges} change category`);
+    } catch (error) {
+        showError('Comparison failed: ' + error.message);
+        console.error('Comparison error:', error);
+    }
+}
+
+/**
+ * Handle scenario comparison map toggle
+ */
+function handleScenarioMapChange(value) {
+    const scenarioComparison = appState.scenarioComparison;
+    if (value === 'current' || !scenarioComparison) {
+        updateMapDisplay(appState.analysisResults);
+        return;
+    }
+    
+    const views = {
+        a: scenarioComparison.resultsA,
+        b: scenarioComparison.resultsB,
+        difference: scenarioComparison.comparison
+    };
+    
+    console.log('Showing scenario result on map:', value);
+    updateMapDisplay(views[value]);
+}
+
+/**
+ * Export the last scenario comparison
+ */
+function handleExportComparison() {
+    try {
+        if (!appState.scenarioComparison) {
+            showError('No comparison to export. Run a comparison first.');
+            return;
+        }
+        
+        exportAsJSON({ ...appState.scenarioComparison.comparison, units: getUnitAnnotations() }, 'scenario-comparison');
+    } catch (error) {
+        showError('Failed to export: ' + error.message);
+        console.error('Export error:', error);
+    }
+}
+
+/**
+ * Run the baseline and every ticked climate projection
+ */
+function handleRunProjections() {
+    try {
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            return;
+        }
+        
+        const selected = new Set(getSelectedProjectionIds());
+        const projections = getAvailableProjections().filter(projection => selected.has(projection.id));
+        const discharge = getDischargeValue();
+        
+        console.log('Running projections:', projections.map(projection => projection.id));
+        const batch = calculateProjectionBatch(appState.currentGeoJSON, projections, discharge, getAnalysisParams(), isRoutingEnabled());
+        appState.projectionBatch = batch;
+        
+        renderProjectionMatrix(batch);
+        populateSelect('projection-map-select', [{ value: 'current', label: 'Current analysis' }].concat(
+            batch.runs.map(run => ({ value: run.projection.id, label: `${run.projection.name} (${run.projection.horizon})` }))
+        ), 'current');
+        setElementVisible('projection-results', true);
+        
+        const changed = batch.matrix.rows.filter(row => Object.values(row.cells).some(cell => cell && cell.shift)).length;
+        showSuccess(`Ran ${batch.runs.length} projection(s): ${changed} of ${batch.matrix.rows.length} segments change category`);
+    } catch (error) {
+        showError('Projections failed: ' + error.message);
+        console.error('Projection error:', error);
+    }
+}
+
+/**
+ * Save the projection editor as a custom projection
+ */
+function handleSaveProjection() {
+    try {
+        const { projection, persisted } = saveProjection(getProjectionEditorValues());
+        renderProjectionList();
+        
+        if (persisted) {
+            showSuccess(`Saved projection "${projection.name}"`);
+        } else {
+            showError(`Projection "${projection.name}" could not be stored in this browser`);
+        }
+    } catch (error) {
+        showError('Could not save projection: ' + error.message);
+        console.error('Projection error:', error);
+    }
+}
+
+/**
+ * Delete a saved custom projection
+ */
+function handleDeleteProjection(projectionId) {
+    try {
+        deleteProjection(projectionId);
+        renderProjectionList();
+        showSuccess('Projection deleted');
+    } catch (error) {
+        showError('Could not delete projection: ' + error.message);
+        console.error('Projection error:', error);
+    }
+}
+
+/**
+ * Handle projection map toggle
+ */
+function handleProjectionMapChange(value) {
+    const run = appState.projectionBatch && appState.projectionBatch.runs.find(candidate => candidate.projection.id === value);
+    if (value === 'current' || !run) {
+        updateMapDisplay(appState.analysisResults);
+        return;
+    }
+    
+    console.log('Showing projection on map:', value);
+    updateMapDisplay(run.results);
+}
+
+/**
+ * Drop a scenario comparison that no longer matches the loaded data
+ */
+function clearScenarioComparison() {
+    appState.scenarioComparison = null;
+    setElementVisible('scenario-comparison-results', false);
+    renderScenarioControls(appState.currentGeoJSON);
+}
+
+/**
+ * Split the current river segments into fixed-length reaches
+ */
+function handleSegmentReaches() {
+    try {
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            return;
+        }
+        
+        if (isSegmented(appState.currentGeoJSON)) {
+            handleRestoreSegments(false);
+        }
+        
+        const reachLengthKm = getReachLengthValue();
+        const original = appState.currentGeoJSON;
+        let segmented = segmentRiverNetwork(cloneGeoJSON(original), reachLengthKm);
+        
+        // Located sections snap to their own reach; the rest go to every reach of their segment
+        if (appState.crossSections) {
+            applyCrossSections(segmented, appState.crossSections.sections);
+        }
+        
+        if (appState.lasCloud) {
+            deriveLasStations();
+        } else if (appState.demRaster) {
+            deriveDemStations();
+        }
+        
+        // Each reach takes its own nearest LiDAR sample
+        if (appState.lidarData && appState.lidarData.length > 0) {
+            segmented = mergeLidarWithRiver(segmented, appState.lidarData, { ...getLidarMergeOptions(), source: getLidarSource() });
+        }
+        
+        appState.originalGeoJSON = original;
+        appState.currentGeoJSON = segmented;
+        updateRiverCount(segmented.segmentation.reachCount);
+        
+        if (appState.crossSections) {
+            showCrossSections();
+        }
+        
+        if (appState.demRaster) {
+            attachDemProfiles(segmented, appState.lidarData);
+            showDemProfiles();
+        }
+        clearScenarioComparison();
+        
+        showSuccess(`Split ${segmented.segmentation.parentCount} segments into ${segmented.segmentation.reachCount} reaches of ${reachLengthKm} km`);
+        performAnalysis();
+    } catch (error) {
+        showError('Segmentation failed: ' + error.message);
+        console.error('Segmentation error:', error);
+    }
+}
+
+/**
+ * Return to the segments as loaded
+ */
+function handleRestoreSegments(rerun = true) {
+    if (!appState.originalGeoJSON) {
+        if (rerun) showError('Data is not segmented');
+        return;
+    }
+    
+    // Scenarios added while segmented stay with the dataset
+    if (appState.currentGeoJSON.scenarios) {
+        appState.originalGeoJSON.scenarios = appState.currentGeoJSON.scenarios;
+    }
+    
+    appState.currentGeoJSON = appState.originalGeoJSON;
+    appState.originalGeoJSON = null;
+    updateRiverCount(appState.currentGeoJSON.features.length);
+    
+    if (appState.crossSections) {
+        showCrossSections();
+    }
+    setElementVisible('parent-summary', false);
+    clearScenarioComparison();
+    
+    if (rerun) {
+        showSuccess('Restored original segments');
+        performAnalysis();
+    }
+}
+
+/**
+ * Handle GeoJSON file upload
+ */
+function handleGeoJsonUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('File selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('File loaded, parsing JSON...');
+                const content = e.target.result;
+                const data = JSON.parse(content);
+                
+                console.log('Parsed data:', data);
+                
+                // Validate GeoJSON
+                if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+                    throw new Error('Invalid GeoJSON format. Must be FeatureCollection');
+                }
+                
+                console.log('GeoJSON validated, features:', data.features.length);
+                
+                const conversion = normalizeInputUnits(data, getInputUnitSystem());
+                console.log('Converted to SI:', conversion);
+                
+                appState.currentGeoJSON = data;
+                appState.originalGeoJSON = null;
+                appState.crossSections = null;
+                setElementVisible('parent-summary', false);
+                setElementVisible('cross-section-results', false);
+                updateCrossSectionStatus('');
+                updateRiverCount(data.features.length);
+                clearScenarioComparison();
+                
+                showSuccess(`Loaded: ${file.name} (${data.features.length} segments` +
+                    (conversion.values > 0 ? `, ${conversion.values} values converted to SI)` : ')'));
+                
+                console.log('Running analysis with loaded data...');
+                performAnalysis();
+            } catch (error) {
+                console.error('Error processing file:', error);
+                showError('Failed to load GeoJSON: ' + error.message);
+                event.target.value = '';
+            }
+        };
+        
+        reader.onerror = function() {
+            console.error('FileReader error');
+            showError('Error reading file');
+            event.target.value = '';
+        };
+        
+        reader.readAsText(file);
+    } catch (error) {
+        console.error('Error in handleGeoJsonUpload:', error);
+        showError('Failed to load GeoJSON: ' + error.message);
+        event.target.value = '';
+    }
+}
+
+/**
+ * Handle LiDAR CSV upload
+ */
+function handleLidarCsvUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('LiDAR CSV file selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('CSV file loaded, processing...');
+                const decoded = decodeCSVBytes(e.target.result);
+                const parsed = parseCSV(decoded.text);
+                
+                appState.lidarCsv = {
+                    fileName: file.name,
+                    encoding: decoded.encoding,
+                    parsed: parsed,
+                    mapping: suggestColumnMapping(parsed.header, CSV_CONFIG.lidarFields)
+                };
+                console.log('CSV parsed:', parsed.header, 'suggested mapping:', appState.lidarCsv.mapping);
+                
+                renderLidarColumnMapping(appState.lidarCsv);
+                applyLidarColumnMapping();
+                
+                showSuccess(`Loaded LiDAR CSV: ${appState.lidarData.length} points`);
+            } catch (error) {
+                console.error('Error processing CSV:', error);
+                showError('Failed to load LiDAR CSV: ' + error.message);
+                if (!appState.lidarCsv) {
+                    event.target.value = '';
+                }
+                appState.lidarData = null;
+            }
+        };
+        
+        reader.onerror = function() {
+            console.error('FileReader error');
+            showError('Error reading file');
+            event.target.value = '';
+        };
+        
+        appState.lidarCsv = null;
+        appState.lasCloud = null;
+        appState.demRaster = null;
+        setElementVisible('lidar-column-mapping', false);
+        reader.readAsArrayBuffer(file);
+    } catch (error) {
+        console.error('Error in handleLidarCsvUpload:', error);
+        showError('Failed to load LiDAR CSV: ' + error.message);
+        event.target.value = '';
+        appState.lidarData = null;
+    }
+}
+
+/**
+ * Build LiDAR points from the uploaded CSV with the current column mapping
+ */
+function applyLidarColumnMapping() {
+    const { parsed, mapping } = appState.lidarCsv;
+    
+    appState.lidarData = null;
+    updateLidarStatus('Map the latitude and longitude columns to use this CSV');
+    
+    appState.lidarData = processLidarCSV(parsed, mapping);
+    const converted = normalizeLidarUnits(appState.lidarData, getInputUnitSystem());
+    console.log('LiDAR data processed:', appState.lidarData.length, 'points,', converted, 'bank heights converted to m');
+    
+    updateLidarStatus(
+        `✓ LiDAR CSV loaded (${appState.lidarData.length} points)`,
+        true
+    );
+}
+
+/**
+ * Re-read the LiDAR CSV after a column mapping change
+ */
+function handleLidarMappingChange() {
+    try {
+        if (!appState.lidarCsv) return;
+        
+        appState.lidarCsv.mapping = getLidarColumnMapping();
+        console.log('LiDAR column mapping:', appState.lidarCsv.mapping);
+        
+        applyLidarColumnMapping();
+        showSuccess(`LiDAR CSV remapped: ${appState.lidarData.length} points`);
+    } catch (error) {
+        console.error('Column mapping error:', error);
+        showError('LiDAR column mapping: ' + error.message);
+    }
+}
+
+/**
+ * Handle LiDAR GeoJSON upload
+ */
+function handleLidarGeoJsonUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('LiDAR GeoJSON file selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('GeoJSON file loaded, parsing...');
+                const content = e.target.result;
+                const data = JSON.parse(content);
+                
+                console.log('Parsed GeoJSON');
+                
+                appState.lidarCsv = null;
+                appState.lasCloud = null;
+                appState.demRaster = null;
+                setElementVisible('lidar-column-mapping', false);
+                appState.lidarData = processLidarGeoJSON(data);
+                const converted = normalizeLidarUnits(appState.lidarData, parseUnitMetadata(data.units, getInputUnitSystem()).system);
+                
+                console.log('LiDAR GeoJSON processed:', appState.lidarData.length, 'features,', converted, 'bank heights converted to m');
+                
+                updateLidarStatus(
+                    `✓ LiDAR GeoJSON loaded (${appState.lidarData.length} features)`,
+                    true
+                );
+                
+                showSuccess(`Loaded LiDAR GeoJSON: ${appState.lidarData.length} features`);
+            } catch (error) {
+                console.error('Error processing GeoJSON:', error);
+                showError('Failed to load LiDAR GeoJSON: ' + error.message);
+                event.target.value = '';
+                appState.lidarData = null;
+            }
+        };
+        
+        reader.onerror = function() {
+            console.error('FileReader error');
+            showError('Error reading file');
+            event.target.value = '';
+        };
+        
+        reader.readAsText(file);
+    } catch (error) {
+        console.error('Error in handleLidarGeoJsonUpload:', error);
+        showError('Failed to load LiDAR GeoJSON: ' + error.message);
+        event.target.value = '';
+        appState.lidarData = null;
+    }
+}
+
+/**
+ * Handle LAS point cloud upload
+ */
+function handleLidarLasUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('LAS file selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            event.target.value = '';
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('LAS file loaded, reading points...');
+                appState.lasCloud = readLasFile(e.target.result);
+                appState.lidarCsv = null;
+                appState.demRaster = null;
+                setElementVisible('lidar-column-mapping', false);
+                
+                const summary = getLasSummary(appState.lasCloud);
+                console.log('LAS cloud read:', summary);
+                
+                deriveLasStations();
+                
+                showSuccess(`Loaded LAS ${summary.version}: ${summary.points} points, ${appState.lidarData.length} stations with bank metrics`);
+            } catch (error) {
+                console.error('Error processing LAS:', error);
+                showError('Failed to load LAS: ' + error.message);
+                event.target.value = '';
+                appState.lasCloud = null;
+                appState.lidarData = null;
+            }
+        };
+        
+        reader.onerror = function() {
+            console.error('FileReader error');
+            showError('Error reading file');
+            event.target.value = '';
+        };
+        
+        reader.readAsArrayBuffer(file);
+    } catch (error) {
+        console.error('Error in handleLidarLasUpload:', error);
+        showError('Failed to load LAS: ' + error.message);
+        event.target.value = '';
+        appState.lidarData = null;
+    }
+}
+
+/**
+ * Derive bank-metric stations from the loaded LAS cloud along the current
+ * segments, within the LiDAR buffer
+ */
+function deriveLasStations() {
+    const river = appState.originalGeoJSON || appState.currentGeoJSON;
+    const bankBuffer = getLidarMergeOptions().bufferDistance;
+    const summary = getLasSummary(appState.lasCloud);
+    
+    appState.lidarData = null;
+    appState.lidarData = deriveLasBankMetrics(river, appState.lasCloud, bankBuffer);
+    console.log('LAS stations derived:', appState.lidarData.length, 'within', bankBuffer, 'm');
+    
+    updateLidarStatus(
+        `✓ LAS ${summary.version} loaded (${summary.points} points, EPSG:${summary.epsg}; ` +
+            `${summary.groundReturns} ground, ${summary.waterReturns} water, ${summary.vegetationReturns} vegetation): ` +
+            `${appState.lidarData.length} stations with bank metrics`,
+        true
+    );
+}
+
+/**
+ * Handle GeoTIFF DEM upload
+ */
+function handleLidarDemUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('DEM file selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            event.target.value = '';
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('DEM file loaded, reading raster...');
+                appState.demRaster = readGeoTiff(e.target.result);
+                appState.lidarCsv = null;
+                appState.lasCloud = null;
+                setElementVisible('lidar-column-mapping', false);
+                
+                const summary = getDemSummary(appState.demRaster);
+                console.log('DEM read:', summary);
+                
+                deriveDemStations();
+                
+                showSuccess(`Loaded DEM ${summary.width} × ${summary.height}: ${appState.lidarData.length} stations with bed slope and bank heights`);
+            } catch (error) {
+                console.error('Error processing DEM:', error);
+                showError('Failed to load DEM: ' + error.message);
+                event.target.value = '';
+                appState.demRaster = null;
+                appState.lidarData = null;
+            }
+        };
+        
+        reader.onerror = function() {
+            console.error('FileReader error');
+            showError('Error reading file');
+            event.target.value = '';
+        };
+        
+        reader.readAsArrayBuffer(file);
+    } catch (error) {
+        console.error('Error in handleLidarDemUpload:', error);
+        showError('Failed to load DEM: ' + error.message);
+        event.target.value = '';
+        appState.lidarData = null;
+    }
+}
+
+/**
+ * Sample the loaded DEM along the current segments
+ */
+function deriveDemStations() {
+    const river = appState.originalGeoJSON || appState.currentGeoJSON;
+    const summary = getDemSummary(appState.demRaster);
+    
+    appState.lidarData = null;
+    appState.lidarData = sampleDemAlongRiver(river, appState.demRaster);
+    console.log('DEM stations derived:', appState.lidarData.length);
+    
+    updateLidarStatus(
+        `✓ DEM loaded (${summary.width} × ${summary.height} pixels of ${summary.pixelSizeM} m, EPSG:${summary.epsg}; ` +
+            `${summary.minElevationM}–${summary.maxElevationM} m): ${appState.lidarData.length} stations with bed slope and bank heights`,
+        true
+    );
+}
+
+/**
+ * Source of the loaded LiDAR points (LIDAR_CONFIG.sources)
+ */
+function getLidarSource() {
+    if (appState.lasCloud) return 'las';
+    if (appState.demRaster) return 'dem';
+    return 'points';
+}
+
+/**
+ * Handle annual peak discharge CSV upload
+ */
+function handleFloodCsvUpload(event) {
+    try {
+        const file = event.target.files[0];
+        console.log('Annual peaks file selected:', file ? file.name : 'none');
+        
+        if (!file) {
+            console.log('No file selected');
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = function(e) {
+            try {
+                console.log('Annual peaks file loaded, fitting distributions...');
+                const peakSeries = parseAnnualPeaksCSV(decodeCSVBytes(e.target.result).text, getSystemUnit('discharge', getInputUnitSystem()));
+                const gauges = calculateFloodFrequency(peakSeries);
+                
+                appState.floodFrequency = { gauges: gauges, profiles: null };
+                console.log('Flood frequency fitted for gauges:', Object.keys(gauges));
+                
+                runReturnPeriodAnalysis();
+                showSuccess(`Loaded annual peaks: ${Object.keys(gauges).length} gauge(s)`);
+            } catch (error) {
+                console.error('Error processing annual peaks:', error);
+                showError('Failed to load annual peaks: ' + error.message);
                 event.target.value = '';
+                appState.floodFrequency = null;
             }
         };
         
@@ -265,48 +1563,64 @@ function handleGeoJsonUpload(event) {
             event.target.value = '';
         };
         
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     } catch (error) {
-        console.error('Error in handleGeoJsonUpload:', error);
-        showError('Failed to load GeoJSON: ' + error.message);
+        console.error('Error in handleFloodCsvUpload:', error);
+        showError('Failed to load annual peaks: ' + error.message);
         event.target.value = '';
+        appState.floodFrequency = null;
     }
 }
 
 /**
- * Handle LiDAR CSV upload
+ * Handle surveyed cross-section upload (CSV or HEC-RAS geometry text)
  */
-function handleLidarCsvUpload(event) {
+function handleCrossSectionUpload(event) {
     try {
         const file = event.target.files[0];
-        console.log('LiDAR CSV file selected:', file ? file.name : 'none');
+        console.log('Cross-section file selected:', file ? file.name : 'none');
         
         if (!file) {
             console.log('No file selected');
             return;
         }
         
+        if (!appState.currentGeoJSON) {
+            showError('No river data loaded');
+            event.target.value = '';
+            return;
+        }
+        
         const reader = new FileReader();
         
         reader.onload = function(e) {
             try {
-                console.log('CSV file loaded, processing...');
-                const content = e.target.result;
-                appState.lidarData = processLidarCSV(content);
+                console.log('Cross-section file loaded, parsing...');
+                appState.crossSections = parseCrossSections(decodeCSVBytes(e.target.result).text, getInputUnitSystem());
+                console.log('Cross sections parsed:', appState.crossSections.format, appState.crossSections.sections.length);
+                
+                // Apply to the loaded segments too, so restoring them keeps the survey
+                if (appState.originalGeoJSON) {
+                    applyCrossSections(appState.originalGeoJSON, appState.crossSections.sections);
+                }
+                applyCrossSections(appState.currentGeoJSON, appState.crossSections.sections);
                 
-                console.log('LiDAR data processed:', appState.lidarData.length, 'points');
+                const merge = appState.currentGeoJSON.crossSectionMerge;
+                console.log('Cross sections applied:', merge);
+                showCrossSections();
                 
-                updateLidarStatus(
-                    `✓ LiDAR CSV loaded (${appState.lidarData.length} points)`,
-                    true
-                );
+                if (merge.snapped === 0) {
+                    showError('No cross section could be snapped to a segment');
+                    return;
+                }
                 
-                showSuccess(`Loaded LiDAR CSV: ${appState.lidarData.length} points`);
+                showSuccess(`Loaded ${merge.snapped} cross sections into ${merge.segments} segments`);
+                performAnalysis();
             } catch (error) {
-                console.error('Error processing CSV:', error);
-                showError('Failed to load LiDAR CSV: ' + error.message);
+                console.error('Error processing cross sections:', error);
+                showError('Failed to load cross sections: ' + error.message);
                 event.target.value = '';
-                appState.lidarData = null;
+                appState.crossSections = null;
             }
         };
         
@@ -316,22 +1630,22 @@ function handleLidarCsvUpload(event) {
             event.target.value = '';
         };
         
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     } catch (error) {
-        console.error('Error in handleLidarCsvUpload:', error);
-        showError('Failed to load LiDAR CSV: ' + error.message);
+        console.error('Error in handleCrossSectionUpload:', error);
+        showError('Failed to load cross sections: ' + error.message);
         event.target.value = '';
-        appState.lidarData = null;
+        appState.crossSections = null;
     }
 }
 
 /**
- * Handle LiDAR GeoJSON upload
+ * Handle daily hydrograph CSV upload
  */
-function handleLidarGeoJsonUpload(event) {
+function handleHydrographCsvUpload(event) {
     try {
         const file = event.target.files[0];
-        console.log('LiDAR GeoJSON file selected:', file ? file.name : 'none');
+        console.log('Hydrograph file selected:', file ? file.name : 'none');
         
         if (!file) {
             console.log('No file selected');
@@ -342,27 +1656,17 @@ function handleLidarGeoJsonUpload(event) {
         
         reader.onload = function(e) {
             try {
-                console.log('GeoJSON file loaded, parsing...');
-                const content = e.target.result;
-                const data = JSON.parse(content);
-                
-                console.log('Parsed GeoJSON');
-                
-                appState.lidarData = processLidarGeoJSON(data);
+                console.log('Hydrograph file loaded, parsing...');
+                appState.hydrograph = parseHydrographCSV(decodeCSVBytes(e.target.result).text, getSystemUnit('discharge', getInputUnitSystem()));
+                console.log('Hydrograph parsed:', appState.hydrograph.length, 'timesteps');
                 
-                console.log('LiDAR GeoJSON processed:', appState.lidarData.length, 'features');
-                
-                updateLidarStatus(
-                    `✓ LiDAR GeoJSON loaded (${appState.lidarData.length} features)`,
-                    true
-                );
-                
-                showSuccess(`Loaded LiDAR GeoJSON: ${appState.lidarData.length} features`);
+                runHydrographSimulation();
+                showSuccess(`Simulated hydrograph: ${appState.hydrograph.length} timesteps`);
             } catch (error) {
-                console.error('Error processing GeoJSON:', error);
-                showError('Failed to load LiDAR GeoJSON: ' + error.message);
+                console.error('Error processing hydrograph:', error);
+                showError('Failed to load hydrograph: ' + error.message);
                 event.target.value = '';
-                appState.lidarData = null;
+                appState.hydrograph = null;
             }
         };
         
@@ -372,12 +1676,28 @@ function handleLidarGeoJsonUpload(event) {
             event.target.value = '';
         };
         
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     } catch (error) {
-        console.error('Error in handleLidarGeoJsonUpload:', error);
-        showError('Failed to load LiDAR GeoJSON: ' + error.message);
+        console.error('Error in handleHydrographCsvUpload:', error);
+        showError('Failed to load hydrograph: ' + error.message);
         event.target.value = '';
-        appState.lidarData = null;
+        appState.hydrograph = null;
+    }
+}
+
+/**
+ * Handle return-period map toggle
+ */
+function handleFloodMapChange(value) {
+    if (value === 'current' || !appState.floodFrequency || !appState.floodFrequency.profiles) {
+        updateMapDisplay(appState.analysisResults);
+        return;
+    }
+    
+    const profile = appState.floodFrequency.profiles[value];
+    if (profile) {
+        console.log('Showing return period on map:', value);
+        updateMapDisplay(profile);
     }
 }
 
@@ -398,6 +1718,13 @@ function handleMergeLidar() {
             return;
         }
         
+        // The bank buffer may have changed since the cloud was loaded
+        if (appState.lasCloud) {
+            deriveLasStations();
+        } else if (appState.demRaster) {
+            deriveDemStations();
+        }
+        
         console.log('Validating LiDAR data...');
         
         // Validate LiDAR data
@@ -412,17 +1739,29 @@ function handleMergeLidar() {
         console.log('Merging LiDAR with river data...');
         appState.currentGeoJSON = mergeLidarWithRiver(
             appState.currentGeoJSON,
-            appState.lidarData
+            appState.lidarData,
+            { ...getLidarMergeOptions(), source: getLidarSource() }
         );
         
-        console.log('Merge complete');
+        const merge = appState.currentGeoJSON.lidarMerge;
+        console.log('Merge complete:', merge);
+        
+        if (appState.demRaster) {
+            const profiles = attachDemProfiles(appState.currentGeoJSON, appState.lidarData);
+            console.log('DEM profiles attached:', profiles);
+            showDemProfiles();
+        }
         
         updateLidarStatus(
-            `✓ Merged with ${appState.lidarData.length} LiDAR points`,
-            true
+            `✓ Merged ${merge.matched}/${merge.segments} segments with ${appState.lidarData.length} LiDAR points` +
+                (merge.nearestOnly > 0 ? `; ${merge.nearestOnly} from the nearest point only` : '') +
+                (merge.unmatched.length > 0 ? `; ${merge.unmatched.length} unmerged (${merge.unmatched.join(', ')})` : ''),
+            merge.unmatched.length === 0
         );
         
-        showSuccess('LiDAR data merged successfully');
+        showSuccess(merge.unmatched.length > 0
+            ? `LiDAR merged into ${merge.matched} of ${merge.segments} segments; ${merge.unmatched.length} left unmerged`
+            : 'LiDAR data merged successfully');
         
         // Re-run analysis with merged data
         console.log('Running analysis with merged data...');
@@ -445,13 +1784,60 @@ function handleExportData() {
             return;
         }
         
-        exportAsJSON(appState.analysisResults, 'river-analysis');
+        exportAsJSON(buildExportData(), 'river-analysis');
     } catch (error) {
         showError('Failed to export: ' + error.message);
         console.error('Export error:', error);
     }
 }
 
+/**
+ * Assemble analysis results plus any supplementary studies for export
+ */
+function buildExportData() {
+    const data = cloneGeoJSON(appState.analysisResults);
+    data.units = getUnitAnnotations();
+    
+    if (isSegmented(data)) {
+        data.parentSegments = dissolveReachResults(data);
+    }
+    
+    if (appState.sensitivityResults) {
+        data.features.forEach((feature, index) => {
+            const sensitivity = appState.sensitivityResults[getSegmentId(feature, index)];
+            if (sensitivity) {
+                feature.properties.sensitivity = sensitivity;
+            }
+        });
+    }
+    
+    if (appState.mitigationPlan) {
+        data.mitigationPlan = appState.mitigationPlan;
+    }
+    
+    if (appState.projectionBatch) {
+        const { discharge, routed, runs, matrix } = appState.projectionBatch;
+        const rows = {};
+        matrix.rows.forEach(row => {
+            rows[row.id] = row;
+        });
+        
+        data.climateProjections = {
+            discharge: discharge,
+            routed: routed,
+            projections: runs.map(run => run.projection)
+        };
+        data.features.forEach((feature, index) => {
+            const row = rows[getSegmentId(feature, index)];
+            if (row) {
+                feature.properties.climateProjections = row.cells;
+            }
+        });
+    }
+    
+    return data;
+}
+
 /**
  * Handle clear/reset button click
  */
@@ -460,10 +1846,31 @@ function handleClearData() {
         console.log('Clearing data...');
         
         appState.currentGeoJSON = JSON.parse(JSON.stringify(DEFAULT_GEOJSON));
+        appState.originalGeoJSON = null;
         appState.lidarData = null;
+        appState.lidarCsv = null;
+        appState.lasCloud = null;
+        appState.demRaster = null;
+        appState.crossSections = null;
         appState.analysisResults = null;
+        appState.sweepResults = null;
+        appState.sensitivityResults = null;
+        appState.mitigationPlan = null;
+        appState.projectionBatch = null;
+        appState.floodFrequency = null;
+        appState.hydrograph = null;
+        appState.hydrographResults = null;
         
         clearFileInputs();
+        setElementVisible('sweep-results', false);
+        setElementVisible('flood-frequency-results', false);
+        setElementVisible('hydrograph-results', false);
+        setElementVisible('parent-summary', false);
+        setElementVisible('lidar-column-mapping', false);
+        setElementVisible('dem-profile-results', false);
+        setElementVisible('cross-section-results', false);
+        updateCrossSectionStatus('');
+        clearScenarioComparison();
         updateLidarStatus('No LiDAR data loaded');
         updateRiverCount(DEFAULT_GEOJSON.features.length);
         setDischargeValue(APP_CONFIG.defaultDischarge);
@@ -482,6 +1889,18 @@ function handleClearData() {
 // Analysis Functions
 // ========================================
 
+/**
+ * Collect model parameters for an analysis run
+ */
+function getAnalysisParams() {
+    return {
+        ...HYDRODYNAMIC_PARAMS,
+        ...getSedimentFormulas(),
+        strictValidation: isStrictValidationEnabled(),
+        parameterSource: getParameterSource()
+    };
+}
+
 /**
  * Perform river analysis
  */
@@ -501,16 +1920,32 @@ function performAnalysis() {
         console.log('Features to analyze:', appState.currentGeoJSON.features.length);
         
         // Run analysis
-        const results = calculateRiskProfile(
-            discharge,
-            appState.currentGeoJSON,
-            HYDRODYNAMIC_PARAMS
-        );
+        const routingEnabled = isRoutingEnabled();
+        const results = routingEnabled
+            ? calculateRoutedRiskProfile(discharge, appState.currentGeoJSON, getAnalysisParams())
+            : calculateRiskProfile(discharge, appState.currentGeoJSON, getAnalysisParams());
         
         console.log('Analysis complete, results:', results);
         
+        if (routingEnabled && results.routing.warnings.length > 0) {
+            console.warn('Routing warnings:', results.routing.warnings);
+        }
+        
+        // Quantile and natural-breaks schemes take their breaks from this run
+        refreshClassification(results);
+        renderClassificationControls();
+        
         appState.analysisResults = results;
         
+        // Monte Carlo, sensitivity, mitigation and projection results belong to the previous run
+        appState.sensitivityResults = null;
+        appState.mitigationPlan = null;
+        appState.projectionBatch = null;
+        setElementVisible('uncertainty-results', false);
+        setElementVisible('sensitivity-results', false);
+        setElementVisible('mitigation-results', false);
+        setElementVisible('projection-results', false);
+        
         // Update map
         console.log('Updating map display...');
         updateMapDisplay(results);
@@ -519,10 +1954,30 @@ function performAnalysis() {
         const stats = getAnalysisStatistics(results);
         console.log('Statistics:', stats);
         updateStatistics(stats);
+        renderValidationTable(results);
+        
+        if (isSegmented(results)) {
+            renderParentSummary(dissolveReachResults(results));
+            setElementVisible('parent-summary', true);
+        }
         
         // Update console
         formatAndDisplayResults(results);
         
+        // Keep return-period and hydrograph results in step with the current dataset
+        if (appState.floodFrequency) {
+            runReturnPeriodAnalysis();
+        }
+        
+        if (appState.hydrograph) {
+            runHydrographSimulation();
+        }
+        
+        // Water levels follow the new depths
+        if (appState.crossSections) {
+            renderCrossSection();
+        }
+        
         showSuccess('Analysis complete');
         console.log('=== Analysis Finished ===');
     } catch (error) {
@@ -531,6 +1986,237 @@ function performAnalysis() {
     }
 }
 
+/**
+ * Run the risk profile at each return-period discharge and refresh the table
+ */
+function runReturnPeriodAnalysis() {
+    try {
+        if (!appState.floodFrequency || !appState.currentGeoJSON) return;
+        
+        const distribution = getFloodDistribution();
+        const returnPeriods = FLOOD_FREQUENCY_CONFIG.returnPeriods;
+        
+        appState.floodFrequency.profiles = calculateReturnPeriodProfiles(
+            appState.floodFrequency.gauges,
+            distribution,
+            appState.currentGeoJSON,
+            getAnalysisParams(),
+            returnPeriods
+        );
+        
+        populateSelect(
+            'flood-map-select',
+            [{ value: 'current', label: `Current discharge (${formatQuantity(appState.lastDischarge, 'discharge')})` }]
+                .concat(returnPeriods.map(T => ({ value: T, label: `${T}-year flood` }))),
+            'current'
+        );
+        
+        renderFloodGaugeSummary(appState.floodFrequency.gauges, distribution);
+        renderReturnPeriodTable(appState.floodFrequency.profiles, returnPeriods);
+        setElementVisible('flood-frequency-results', true);
+        
+        console.log('Return-period analysis complete:', distribution);
+    } catch (error) {
+        showError('Return-period analysis failed: ' + error.message);
+        console.error('Return-period analysis error:', error);
+    }
+}
+
+/**
+ * Step every segment through the loaded hydrograph and show the results
+ */
+function runHydrographSimulation() {
+    try {
+        if (!appState.hydrograph || !appState.currentGeoJSON) return;
+        
+        appState.hydrographResults = calculateHydrographResponse(
+            appState.hydrograph,
+            appState.currentGeoJSON,
+            getAnalysisParams()
+        );
+        
+        const series = appState.hydrographResults.map((segment, index) => ({
+            label: segment.name,
+            color: CHART_CONFIG.palette[index % CHART_CONFIG.palette.length],
+            points: segment.timeline.map(step => ({ x: step.time, y: step.riskIndex }))
+        }));
+        
+        renderLineChart('hydrograph-chart', series, {
+            xLabel: 'Date',
+            yLabel: 'Risk Index',
+            xTickFormat: time => new Date(time).toISOString().slice(0, 10),
+            guides: getClassificationGuides(),
+            showLegend: true
+        });
+        
+        renderHydrographSummary(appState.hydrographResults);
+        setElementVisible('hydrograph-results', true);
+        
+        console.log('Hydrograph simulation complete');
+    } catch (error) {
+        showError('Hydrograph simulation failed: ' + error.message);
+        console.error('Hydrograph simulation error:', error);
+    }
+}
+
+/**
+ * Report the cross-section import and fill the section list
+ */
+function showCrossSections() {
+    const merge = appState.currentGeoJSON.crossSectionMerge;
+    if (!merge) return;
+    
+    const format = appState.crossSections.format === 'hec-ras' ? 'HEC-RAS' : 'CSV';
+    updateCrossSectionStatus(
+        `${merge.snapped} of ${merge.sections} ${format} cross sections snapped to ${merge.segments} segments` +
+            (merge.unsnapped.length > 0 ? `; unsnapped: ${merge.unsnapped.map(item => `${item.id} (${item.reason})`).join(', ')}` : '') +
+            (merge.invalid.length > 0 ? `; invalid: ${merge.invalid.map(item => `${item.id} (${item.message})`).join(', ')}` : '') +
+            (merge.warnings.length > 0 ? `; ${merge.warnings.join('; ')}` : '')
+    );
+    
+    const options = [];
+    appState.currentGeoJSON.features.forEach((feature, featureIndex) => {
+        (feature.properties.cross_sections || []).forEach((section, sectionIndex) => {
+            options.push({ value: `${featureIndex}:${sectionIndex}`, label: `${section.id} — ${feature.properties.name || `Segment ${getSegmentId(feature, featureIndex)}`}` });
+        });
+    });
+    
+    const select = document.getElementById('cross-section-select');
+    populateSelect('cross-section-select', options, select ? select.value : null);
+    setElementVisible('cross-section-results', options.length > 0);
+    renderCrossSection();
+}
+
+/**
+ * Draw the selected cross section with its bank tops, bankfull stage and,
+ * once analysed, the water level at the segment's discharge
+ */
+function renderCrossSection() {
+    const select = document.getElementById('cross-section-select');
+    if (!select || !select.value || !appState.currentGeoJSON) return;
+    
+    const [featureIndex, sectionIndex] = select.value.split(':').map(Number);
+    const feature = appState.currentGeoJSON.features[featureIndex];
+    const stored = feature && (feature.properties.cross_sections || [])[sectionIndex];
+    if (!stored) return;
+    
+    const geometry = stored.geometry;
+    const length = value => toDisplayValue(value, 'length');
+    const guides = [{ y: length(geometry.bankfullStage), color: CROSS_SECTION_CONFIG.bankfullColor, label: 'Bankfull' }];
+    let waterText = 'Run the analysis for a water level';
+    
+    const calculated = feature.properties.calculated;
+    if (calculated) {
+        const { manningN, baseSlope } = resolveSegmentParameters(feature, getAnalysisParams()).values;
+        const water = solveCrossSectionWaterLevel(getStoredCrossSection(stored), calculated.discharge, manningN, baseSlope);
+        if (isFinite(water.stage)) {
+            guides.push({ y: length(water.stage), color: CROSS_SECTION_CONFIG.waterColor, label: 'Water level' });
+            waterText = `Water level ${formatQuantity(parseFloat(water.stage.toFixed(2)), 'length')} ` +
+                `(depth ${formatQuantity(parseFloat(water.depth.toFixed(2)), 'length')}, top width ${formatQuantity(parseFloat(water.topWidth.toFixed(1)), 'length')}) ` +
+                `at ${formatQuantity(calculated.discharge, 'discharge')}${water.converged ? '' : ' (not converged)'}`;
+        }
+    }
+    
+    renderLineChart('cross-section-chart', [{
+        label: 'Ground',
+        color: CROSS_SECTION_CONFIG.groundColor,
+        points: stored.points.map(([station, elevation]) => ({ x: length(station), y: length(elevation) }))
+    }], {
+        xLabel: `Station (${getDisplayUnitLabel('length')})`,
+        yLabel: `Elevation (${getDisplayUnitLabel('length')})`,
+        markers: [
+            { x: length(geometry.leftBankStation), color: CROSS_SECTION_CONFIG.bankfullColor, label: 'Left bank' },
+            { x: length(geometry.rightBankStation), color: CROSS_SECTION_CONFIG.bankfullColor, label: 'Right bank' }
+        ],
+        guides: guides
+    });
+    
+    const summary = document.getElementById('cross-section-summary');
+    if (summary) {
+        summary.innerHTML =
+            `<p>Bottom width ${formatQuantity(geometry.bottomWidth, 'length')}, bankfull depth ${formatQuantity(geometry.bankfullDepth, 'length')}, ` +
+            `top width ${formatQuantity(geometry.topWidth, 'length')}</p>` +
+            `<p>Bank heights ${formatQuantity(geometry.bankHeightLeft, 'length')} left, ${formatQuantity(geometry.bankHeightRight, 'length')} right ` +
+            `(${geometry.bankSource === 'surveyed' ? 'surveyed bank stations' : 'highest points'}); side slopes ${geometry.sideSlopeLeft} / ${geometry.sideSlopeRight} H:V</p>` +
+            `<p>${escapeChartText(waterText)}</p>`;
+    }
+}
+
+/**
+ * Fill the DEM profile segment list and draw the selected profile
+ */
+function showDemProfiles() {
+    const options = [];
+    appState.currentGeoJSON.features.forEach((feature, index) => {
+        if (!feature.properties.dem_profile) return;
+        const id = getSegmentId(feature, index);
+        options.push({ value: id, label: feature.properties.name || `Segment ${id}` });
+    });
+    const segmentSelect = document.getElementById('dem-profile-segment-select');
+    
+    populateSelect('dem-profile-segment-select', options, segmentSelect ? segmentSelect.value : null);
+    
+    setElementVisible('dem-profile-results', options.length > 0);
+    renderDemProfile();
+}
+
+/**
+ * Draw the channel and bank-top elevations of the selected segment
+ */
+function renderDemProfile() {
+    if (!appState.currentGeoJSON) return;
+    
+    const segmentSelect = document.getElementById('dem-profile-segment-select');
+    const feature = appState.currentGeoJSON.features.find((candidate, index) =>
+        candidate.properties.dem_profile && getSegmentId(candidate, index) === (segmentSelect ? segmentSelect.value : ''));
+    if (!feature) return;
+    
+    const stations = feature.properties.dem_profile.stations;
+    const line = (label, color, key) => ({
+        label: label,
+        color: color,
+        points: stations.filter(station => station[key] !== undefined)
+            .map(station => ({ x: toDisplayValue(station.distanceM, 'length'), y: toDisplayValue(station[key], 'length') }))
+    });
+    
+    renderLineChart('dem-profile-chart', [
+        line('Channel', CHART_CONFIG.palette[0], 'channelM'),
+        line('Left bank', CHART_CONFIG.palette[1], 'leftBankM'),
+        line('Right bank', CHART_CONFIG.palette[2], 'rightBankM')
+    ], {
+        xLabel: `Distance (${getDisplayUnitLabel('length')})`,
+        yLabel: `Elevation (${getDisplayUnitLabel('length')})`,
+        showLegend: true
+    });
+}
+
+/**
+ * Draw the tornado chart and Sobol table for the selected segment
+ */
+function renderSensitivityResults() {
+    if (!appState.sensitivityResults) return;
+    
+    const segmentSelect = document.getElementById('sensitivity-segment-select');
+    const segmentId = segmentSelect ? segmentSelect.value : Object.keys(appState.sensitivityResults)[0];
+    const sensitivity = appState.sensitivityResults[segmentId];
+    if (!sensitivity) return;
+    
+    renderTornadoChart('tornado-chart', sensitivity.oneAtATime.map(row => ({
+        label: row.property,
+        lowValue: row.riskLow,
+        highValue: row.riskHigh,
+        lowLabel: `${row.property} = ${parseFloat(row.low.toPrecision(3))} → index ${row.riskLow}`,
+        highLabel: `${row.property} = ${parseFloat(row.high.toPrecision(3))} → index ${row.riskHigh}`
+    })), {
+        baseValue: sensitivity.baseRiskIndex,
+        xLabel: `Risk Index (base ${sensitivity.baseRiskIndex})`,
+        lowColor: SENSITIVITY_CONFIG.lowColor,
+        highColor: SENSITIVITY_CONFIG.highColor
+    });
+    
+    renderSobolTable(sensitivity);
+}
+
 /**
  * Update map display with new analysis data
  */
@@ -554,27 +2240,28 @@ function updateMapDisplay(geojsonData) {
         
         appState.riverLayer = L.geoJSON(geojsonData, {
             style: function(feature) {
-                const riskIndex = feature.properties.calculated?.riskIndex || 1.0;
-                let style = { opacity: 0.9 };
-                
-                if (riskIndex > 1.5) {
-                    style.color = '#ef4444';
-                    style.weight = 7;
-                } else if (riskIndex > 1.1) {
-                    style.color = '#f97316';
-                    style.weight = 6;
-                } else if (riskIndex < 0.6) {
-                    style.color = '#6366f1';
-                    style.weight = 7;
-                } else if (riskIndex < 0.9) {
-                    style.color = '#3b82f6';
-                    style.weight = 6;
-                } else {
-                    style.color = '#22c55e';
-                    style.weight = 4;
+                const comparison = feature.properties.calculated?.comparison;
+                if (geojsonData.scenarioComparison && comparison) {
+                    return {
+                        opacity: 0.9,
+                        color: getDifferenceColor(comparison.deltaRiskIndex),
+                        weight: comparison.categoryChanged ? SCENARIO_CONFIG.categoryChangeWeight : 5
+                    };
+                }
+                
+                const uncertainty = feature.properties.calculated?.uncertainty;
+                if (getMapSymbology() === 'probability' && uncertainty) {
+                    const probability = uncertainty.categoryProbabilities[getUncertaintyTargetCategory()] || 0;
+                    return { opacity: 0.9, color: getProbabilityColor(probability), weight: 6 };
+                }
+                
+                const riskIndex = feature.properties.calculated?.riskIndex ?? NaN;
+                if (!isFinite(riskIndex)) {
+                    return { ...MAP_CONFIG.unanalysedStyle };
                 }
                 
-                return style;
+                const riskClass = classifyRiskIndex(riskIndex);
+                return { opacity: 0.9, color: riskClass.color, weight: riskClass.weight };
             },
             onEachFeature: function(feature, layer) {
                 const props = feature.properties;
@@ -586,10 +2273,37 @@ function updateMapDisplay(geojsonData) {
                             <h4 class="font-bold text-lg text-blue-300">${props.name || 'Segment ' + props.id}</h4>
                             <p><strong class="text-gray-400">Risk:</strong> ${calc.riskCategory}</p>
                             <p><strong class="text-gray-400">Index:</strong> ${calc.riskIndex}</p>
+                            ${calc.comparison ? `<p><strong class="text-gray-400">Change vs ${escapeChartText(geojsonData.scenarioComparison ? geojsonData.scenarioComparison.a.name : 'baseline')}:</strong> ${calc.comparison.deltaRiskIndex > 0 ? '+' : ''}${calc.comparison.deltaRiskIndex} (${calc.comparison.baseRiskCategory} → ${calc.riskCategory})</p>` : ''}
+                            ${calc.uncertainty ? `<p><strong class="text-gray-400">P(${getUncertaintyTargetCategory()}):</strong> ${Math.round((calc.uncertainty.categoryProbabilities[getUncertaintyTargetCategory()] || 0) * 100)}% (index P5-P95: ${calc.uncertainty.riskIndexPercentiles.p5}-${calc.uncertainty.riskIndexPercentiles.p95})</p>` : ''}
+                            <p><strong class="text-gray-400">Discharge:</strong> ${formatQuantity(calc.discharge, 'discharge')}${calc.routedDischarge !== undefined ? ` (routed: ${formatQuantity(calc.upstreamInflow, 'discharge')} upstream + ${formatQuantity(calc.localInflow, 'discharge')} local)` : ''}</p>
+                            <hr class="border-white/10 my-2">
+                            <p><strong class="text-gray-400">Shear:</strong> ${formatQuantity(calc.shearStress, 'shearStress')}</p>
+                            <p><strong class="text-gray-400">Velocity:</strong> ${formatQuantity(calc.velocity, 'velocity')}</p>
+                            <p><strong class="text-gray-400">Depth:</strong> ${formatQuantity(calc.flowDepth, 'length')} (critical ${formatQuantity(calc.criticalDepth, 'length')})</p>
+                            <p><strong class="text-gray-400">Froude:</strong> ${calc.froudeNumber} (${calc.flowRegime})</p>
+                            <p><strong class="text-gray-400">Specific Energy:</strong> ${formatQuantity(calc.specificEnergy, 'length')}</p>
+                            ${formatDerivedParametersHtml(props)}
+                            ${formatLidarSamplesHtml(props)}
+                            ${calc.overbankFlow ? `
                             <hr class="border-white/10 my-2">
-                            <p><strong class="text-gray-400">Shear:</strong> ${calc.shearStress} Pa</p>
-                            <p><strong class="text-gray-400">Velocity:</strong> ${calc.velocity} m/s</p>
-                            <p><strong class="text-gray-400">Depth:</strong> ${calc.flowDepth} m</p>
+                            <p><strong class="text-gray-400">Floodplain:</strong> ${formatQuantity(calc.floodplainDepth, 'length')} deep, water surface ${formatQuantity(calc.inundatedWidth, 'length')} wide</p>
+                            <p><strong class="text-gray-400">Overbank Flow:</strong> ${formatQuantity(calc.floodplainDischarge, 'discharge')} (${Math.round(calc.floodplainDischargeShare * 100)}%)</p>` : ''}
+                            <hr class="border-white/10 my-2">
+                            <p><strong class="text-gray-400">Bedload:</strong> ${formatQuantity(calc.bedloadCapacity, 'transport')}</p>
+                            <p><strong class="text-gray-400">Total Load:</strong> ${formatQuantity(calc.totalLoadCapacity, 'transport')}</p>
+                            <hr class="border-white/10 my-2">
+                            <p><strong class="text-gray-400">Bank Retreat:</strong> ${formatQuantity(calc.bankRetreatRate, 'retreatRate')}</p>
+                            <p><strong class="text-gray-400">Bank Loss:</strong> ${formatQuantity(calc.bankVolumeLoss, 'volumeRate')}</p>
+                            ${formatDiagnosticsHtml(props.diagnostics)}
+                        </div>
+                    `;
+                    layer.bindPopup(content, { className: 'custom-popup' });
+                } else if (props.diagnostics) {
+                    const content = `
+                        <div class="space-y-2 text-sm text-white">
+                            <h4 class="font-bold text-lg text-blue-300">${props.name || 'Segment ' + props.id}</h4>
+                            <p><strong class="text-gray-400">Not analysed</strong></p>
+                            ${formatDiagnosticsHtml(props.diagnostics)}
                         </div>
                     `;
                     layer.bindPopup(content, { className: 'custom-popup' });
@@ -597,19 +2311,133 @@ function updateMapDisplay(geojsonData) {
             }
         }).addTo(appState.map);
         
+        updateMapLegend(geojsonData);
+        
         console.log('Map display updated');
     } catch (error) {
         console.error('Map update error:', error);
     }
 }
 
+/**
+ * Chart guide lines at the active scheme's class breaks
+ */
+function getClassificationGuides() {
+    return getSchemeClasses()
+        .filter(cls => isFinite(cls.minIndex))
+        .map(cls => ({ y: cls.minIndex, color: cls.color }));
+}
+
+/**
+ * Show the classes behind the current map symbology in a Leaflet legend
+ */
+function updateMapLegend(geojsonData = appState.analysisResults) {
+    if (!appState.map) return;
+    
+    if (appState.legendControl) {
+        appState.map.removeControl(appState.legendControl);
+        appState.legendControl = null;
+    }
+    
+    const showProbability = getMapSymbology() === 'probability' &&
+        geojsonData?.features.some(feature => feature.properties.calculated?.uncertainty);
+    
+    let title;
+    let entries;
+    if (geojsonData?.scenarioComparison) {
+        title = `Δ risk index (${geojsonData.scenarioComparison.b.name} − ${geojsonData.scenarioComparison.a.name})`;
+        entries = SCENARIO_CONFIG.differenceColors.map(bin => ({ color: bin.color, label: bin.label }))
+            .concat([{ color: '#e5e7eb', label: 'Thick line: category changed' }]);
+    } else if (showProbability) {
+        title = `P(${getUncertaintyTargetCategory()})`;
+        entries = UNCERTAINTY_CONFIG.probabilityColors.map(bin => ({ color: bin.color, label: `≥ ${Math.round(bin.min * 100)}%` }));
+    } else {
+        const scheme = getActiveScheme();
+        title = scheme.name;
+        entries = getSchemeClasses(scheme).slice().reverse().map(cls => ({ color: cls.color, label: cls.name }));
+        
+        const unanalysed = geojsonData?.features.some(feature => feature.geometry?.type !== 'Point' && !isFinite(feature.properties.calculated?.riskIndex ?? NaN));
+        if (unanalysed) {
+            entries.push({ color: MAP_CONFIG.unanalysedStyle.color, label: 'Not analysed', symbol: '┄' });
+        }
+    }
+    
+    appState.legendControl = L.control({ position: 'bottomleft' });
+    appState.legendControl.onAdd = function() {
+        const div = L.DomUtil.create('div', 'bg-gray-900/80 text-xs text-gray-300 p-2 rounded-lg border border-white/10');
+        div.innerHTML = `<p class="font-semibold mb-1">${escapeChartText(title)}</p>` + entries
+            .map(entry => `<div><span style="color: ${entry.color};">${entry.symbol || '■'}</span> ${escapeChartText(entry.label)}</div>`)
+            .join('');
+        return div;
+    };
+    appState.legendControl.addTo(appState.map);
+}
+
+/**
+ * Format geometry-derived slope and curvature for a map popup
+ */
+function formatDerivedParametersHtml(props) {
+    const derived = props.derived ? props.derived.values : {};
+    const labels = { curvature: 'Curvature', base_slope: 'Slope' };
+    
+    return Object.entries(derived).map(([property, result]) => {
+        const used = props.validation.parameters[property].value;
+        const note = result.used
+            ? `derived, ${result.method}`
+            : `geometry gives ${result.value} (${result.method})`;
+        const bend = property === 'curvature'
+            ? ` — sinuosity ${result.sinuosity}${result.minBendRadiusM !== null ? `, tightest bend ${formatQuantity(result.minBendRadiusM, 'length')}` : ''}`
+            : '';
+        return `<p><strong class="text-gray-400">${labels[property]}:</strong> ${used} (${note})${bend}</p>`;
+    }).join('');
+}
+
+/**
+ * Format the LiDAR samples behind a segment's merged values for a map popup
+ */
+function formatLidarSamplesHtml(props) {
+    const samples = props.lidar_samples;
+    if (!samples) {
+        return '';
+    }
+    
+    const statistic = LIDAR_CONFIG.statistics.find(candidate => candidate.id === samples.statistic);
+    const source = LIDAR_CONFIG.sources.find(candidate => candidate.id === samples.source) || LIDAR_CONFIG.sources[0];
+    const how = samples.method === 'buffer'
+        ? `${samples.count} points within ${formatQuantity(samples.bufferM, 'length')}, ${samples.statistic === 'percentile' ? `P${samples.percentile}` : statistic.label.toLowerCase()}`
+        : `nearest point, ${formatQuantity(props.lidar_match_distance_m, 'length')} from centre`;
+    const bank = samples.fields.lidar_avg_bank_height_m;
+    const spread = bank && bank.count > 1
+        ? ` — bank height ${formatQuantity(bank.value, 'length')} ± ${formatQuantity(bank.stdDev, 'length')}`
+        : '';
+    
+    const slope = samples.fields.base_slope ? ` — bed slope ${samples.fields.base_slope.value}` : '';
+    
+    return `<p><strong class="text-gray-400">${source.label}:</strong> ${how}${spread}${slope}</p>`;
+}
+
+/**
+ * Format per-segment diagnostics for a map popup
+ */
+function formatDiagnosticsHtml(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) {
+        return '';
+    }
+    
+    return '<hr class="border-white/10 my-2">' + diagnostics
+        .map(diagnostic => `<p class="text-xs" style="color: #facc15;">⚠ ${diagnostic.message}</p>`)
+        .join('');
+}
+
 /**
  * Format and display analysis results in console
  */
 function formatAndDisplayResults(results) {
     let output = '=== Analysis Results ===\n';
     output += `Total Segments: ${results.features.length}\n`;
-    output += `Discharge: ${appState.lastDischarge} m³/s\n`;
+    output += results.routing
+        ? `Upstream Discharge: ${formatQuantity(appState.lastDischarge, 'discharge')} (routed)\n`
+        : `Discharge: ${formatQuantity(appState.lastDischarge, 'discharge')}\n`;
     output += '─────────────────────\n\n';
     
     results.features.forEach((feature, index) => {
@@ -619,15 +2447,99 @@ function formatAndDisplayResults(results) {
         if (calc) {
             output += `${index + 1}. ${props.name || 'Segment ' + props.id}\n`;
             output += `   Risk: ${calc.riskCategory} (${calc.riskIndex})\n`;
-            output += `   Shear: ${calc.shearStress} Pa\n`;
-            output += `   Velocity: ${calc.velocity} m/s\n`;
-            output += `   Depth: ${calc.flowDepth} m\n\n`;
+            if (calc.routedDischarge !== undefined) {
+                output += `   Routed Discharge: ${formatQuantity(calc.routedDischarge, 'discharge')} (+${formatQuantity(calc.localInflow, 'discharge')} local)\n`;
+            }
+            output += `   Shear: ${formatQuantity(calc.shearStress, 'shearStress')}\n`;
+            output += `   Velocity: ${formatQuantity(calc.velocity, 'velocity')}\n`;
+            output += `   Depth: ${formatQuantity(calc.flowDepth, 'length')} (critical ${formatQuantity(calc.criticalDepth, 'length')})\n`;
+            output += `   Froude: ${calc.froudeNumber} (${calc.flowRegime})\n`;
+            Object.entries(props.derived ? props.derived.values : {}).forEach(([property, derived]) => {
+                if (derived.used) {
+                    output += `   Derived ${property}: ${derived.value} (${derived.method})\n`;
+                }
+            });
+            if (calc.overbankFlow) {
+                output += `   Floodplain: ${formatQuantity(calc.floodplainDepth, 'length')} deep, ${formatQuantity(calc.floodplainDischarge, 'discharge')}, water surface ${formatQuantity(calc.inundatedWidth, 'length')} wide\n`;
+            }
+            output += `   Bank Retreat: ${formatQuantity(calc.bankRetreatRate, 'retreatRate')} (${formatQuantity(calc.bankVolumeLoss, 'volumeRate')})\n`;
+        } else {
+            output += `${index + 1}. ${props.name || 'Segment ' + props.id}\n`;
+            output += '   Not analysed\n';
+        }
+        
+        (props.diagnostics || []).forEach(diagnostic => {
+            output += `   ⚠ ${diagnostic.message}\n`;
+        });
+        
+        if (calc || props.diagnostics) {
+            output += '\n';
         }
     });
     
+    (results.routing ? results.routing.warnings : []).forEach(warning => {
+        output += `⚠ ${warning}\n`;
+    });
+    
     updateConsole(output);
 }
 
+/**
+ * Show sweep chart and threshold table
+ */
+function renderSweepResults() {
+    if (!appState.sweepResults) return;
+    
+    const metricSelect = document.getElementById('sweep-metric-select');
+    populateSelect(
+        'sweep-metric-select',
+        SWEEP_CONFIG.metrics.map(metric => ({ value: metric.id, label: metric.label })),
+        metricSelect ? metricSelect.value || 'riskIndex' : 'riskIndex'
+    );
+    
+    setElementVisible('sweep-results', true);
+    renderSweepChart();
+    renderSweepThresholds(appState.sweepResults);
+}
+
+/**
+ * Chart the selected sweep metric against discharge for every segment
+ */
+function renderSweepChart() {
+    if (!appState.sweepResults) return;
+    
+    const metricSelect = document.getElementById('sweep-metric-select');
+    const metricId = metricSelect ? metricSelect.value : 'riskIndex';
+    const metric = SWEEP_CONFIG.metrics.find(m => m.id === metricId) || SWEEP_CONFIG.metrics[0];
+    
+    const series = appState.sweepResults.map((segment, index) => ({
+        label: segment.name,
+        color: CHART_CONFIG.palette[index % CHART_CONFIG.palette.length],
+        points: segment.points.map(p => ({ x: p.discharge, y: p[metric.id] }))
+    }));
+    
+    const markers = [];
+    appState.sweepResults.forEach((segment, index) => {
+        segment.thresholds.forEach(threshold => {
+            markers.push({
+                x: threshold.discharge,
+                color: CHART_CONFIG.palette[index % CHART_CONFIG.palette.length],
+                label: `${segment.name}: ${threshold.fromCategory} → ${threshold.toCategory} at ${threshold.discharge} m³/s`
+            });
+        });
+    });
+    
+    const guides = metric.id === 'riskIndex' ? getClassificationGuides() : [];
+    
+    renderLineChart('sweep-chart', series, {
+        xLabel: 'Discharge (m³/s)',
+        yLabel: metric.unit ? `${metric.label} (${metric.unit})` : metric.label,
+        markers: markers,
+        guides: guides,
+        showLegend: true
+    });
+}
+
 // ========================================
 // Global Access
 // ========================================
@@ -0,0 +1,282 @@
+/**
+ * Channel Geometry Module
+ * Trapezoidal and compound (main channel + floodplain) cross-sections
+ *
+ * Segment properties:
+ *   channel_width          bottom width of the main channel (m)
+ *   side_slope             bank side slope z, horizontal:vertical (0 = rectangular)
+ *   bankfull_depth         depth at which flow leaves the main channel (m);
+ *                          falls back to lidar_avg_bank_height_m
+ *   floodplain_width       combined width of both floodplains (m)
+ *   floodplain_manning_n   floodplain roughness
+ */
+
+/**
+ * Build a channel geometry description from segment properties
+ */
+function getChannelGeometry(props, channelWidth, manningN) {
+    const bankfullDepth = props.bankfull_depth || props.lidar_avg_bank_height_m || Infinity;
+    
+    return {
+        bottomWidth: channelWidth,
+        sideSlope: props.side_slope || CHANNEL_GEOMETRY_PARAMS.defaultSideSlope,
+        bankfullDepth: bankfullDepth,
+        manningN: manningN,
+        floodplainWidth: props.floodplain_width || 0,
+        floodplainManningN: props.floodplain_manning_n || CHANNEL_GEOMETRY_PARAMS.floodplainManningN
+    };
+}
+
+/**
+ * Calculate main channel and floodplain section properties at a flow depth
+ * Uses the divided-channel method: vertical interfaces are not counted as wetted perimeter
+ */
+function calculateSectionProperties(depth, geometry) {
+    const { bottomWidth, sideSlope, bankfullDepth, floodplainWidth } = geometry;
+    const sideLength = Math.sqrt(1 + sideSlope * sideSlope);
+    const inChannelDepth = Math.min(depth, bankfullDepth);
+    const overbankDepth = Math.max(0, depth - bankfullDepth);
+    const bankfullTopWidth = bottomWidth + 2 * sideSlope * inChannelDepth;
+    
+    let mainArea = (bottomWidth + sideSlope * inChannelDepth) * inChannelDepth;
+    let mainPerimeter = bottomWidth + 2 * inChannelDepth * sideLength;
+    
+    let floodplainArea = 0;
+    let floodplainPerimeter = 0;
+    
+    if (overbankDepth > 0) {
+        mainArea += bankfullTopWidth * overbankDepth;
+        
+        if (floodplainWidth > 0) {
+            floodplainArea = floodplainWidth * overbankDepth;
+            floodplainPerimeter = floodplainWidth + 2 * overbankDepth;
+        } else {
+            // No floodplain defined: flow stays confined between vertical walls
+            mainPerimeter += 2 * overbankDepth;
+        }
+    }
+    
+    return {
+        mainArea: mainArea,
+        mainPerimeter: mainPerimeter,
+        mainTopWidth: bankfullTopWidth,
+        floodplainArea: floodplainArea,
+        floodplainPerimeter: floodplainPerimeter,
+        floodplainTopWidth: floodplainArea > 0 ? floodplainWidth : 0,
+        overbankDepth: overbankDepth
+    };
+}
+
+/**
+ * Manning discharge through one subsection
+ */
+function calculateSubsectionDischarge(area, perimeter, manningN, baseSlope) {
+    if (area <= 0 || perimeter <= 0) {
+        return 0;
+    }
+    
+    return (1 / manningN) * area * Math.pow(area / perimeter, 2 / 3) * Math.sqrt(baseSlope);
+}
+
+/**
+ * Total discharge carried by the section at a flow depth
+ */
+function calculateCompoundDischarge(depth, geometry, baseSlope) {
+    const section = calculateSectionProperties(depth, geometry);
+    const mainDischarge = calculateSubsectionDischarge(section.mainArea, section.mainPerimeter, geometry.manningN, baseSlope);
+    const floodplainDischarge = calculateSubsectionDischarge(section.floodplainArea, section.floodplainPerimeter, geometry.floodplainManningN, baseSlope);
+    
+    return {
+        section: section,
+        mainDischarge: mainDischarge,
+        floodplainDischarge: floodplainDischarge,
+        totalDischarge: mainDischarge + floodplainDischarge
+    };
+}
+
+/**
+ * Total flow area and water-surface top width at a flow depth
+ */
+function calculateFlowAreaAndTopWidth(depth, geometry) {
+    const section = calculateSectionProperties(depth, geometry);
+    
+    return {
+        area: section.mainArea + section.floodplainArea,
+        topWidth: section.mainTopWidth + section.floodplainTopWidth
+    };
+}
+
+/**
+ * Find a root of a monotonic function with Newton steps safeguarded by bisection
+ * Returns { value, converged, iterations, residual, method }
+ */
+function solveMonotonicRoot(fn, initialGuess, target, tolerance = CHANNEL_GEOMETRY_PARAMS.solverTolerance) {
+    const maxIterations = CHANNEL_GEOMETRY_PARAMS.maxIterations;
+    const increasing = fn(2 * Math.max(initialGuess, tolerance)) > fn(Math.max(initialGuess, tolerance) / 2);
+    const below = h => (increasing ? fn(h) < target : fn(h) > target);
+    
+    // Bracket the root
+    let low = 0;
+    let high = Math.max(initialGuess, 0.1);
+    let expansions = 0;
+    
+    while (below(high)) {
+        low = high;
+        high *= 2;
+        if (++expansions > 60) {
+            return { value: NaN, converged: false, iterations: expansions, residual: NaN, method: 'bracket' };
+        }
+    }
+    
+    let h = Math.min(Math.max(initialGuess, low), high);
+    let usedBisection = false;
+    
+    for (let i = 1; i <= maxIterations; i++) {
+        const residual = fn(h) - target;
+        const step = Math.max(h * 1e-6, 1e-8);
+        const derivative = (fn(h + step) - fn(Math.max(h - step, 0))) / (h + step - Math.max(h - step, 0));
+        
+        if (below(h)) {
+            low = h;
+        } else {
+            high = h;
+        }
+        
+        let next = derivative !== 0 && isFinite(derivative) ? h - residual / derivative : NaN;
+        
+        if (!(next > low && next < high)) {
+            next = (low + high) / 2;
+            usedBisection = true;
+        }
+        
+        if (Math.abs(next - h) < tolerance || high - low < tolerance) {
+            return {
+                value: next,
+                converged: true,
+                iterations: i,
+                residual: Math.abs(fn(next) - target),
+                method: usedBisection ? 'newton-bisection' : 'newton'
+            };
+        }
+        
+        h = next;
+    }
+    
+    return {
+        value: h,
+        converged: false,
+        iterations: maxIterations,
+        residual: Math.abs(fn(h) - target),
+        method: usedBisection ? 'newton-bisection' : 'newton'
+    };
+}
+
+/**
+ * Solve for normal depth: the depth at which Manning's equation carries the discharge
+ */
+function solveNormalDepth(discharge, geometry, baseSlope) {
+    if (!(baseSlope > 0)) {
+        return { value: NaN, converged: false, iterations: 0, residual: NaN, method: 'none', message: 'Bed slope must be positive to solve for normal depth' };
+    }
+    
+    if (!(discharge > 0)) {
+        return { value: NaN, converged: false, iterations: 0, residual: NaN, method: 'none', message: 'Discharge must be positive to solve for normal depth' };
+    }
+    
+    const initialGuess = calculateFlowDepth(discharge, geometry.bottomWidth, geometry.manningN, baseSlope);
+    const result = solveMonotonicRoot(
+        depth => calculateCompoundDischarge(depth, geometry, baseSlope).totalDischarge,
+        isFinite(initialGuess) ? initialGuess : 1.0,
+        discharge
+    );
+    
+    if (!result.converged) {
+        result.message = `Normal depth did not converge after ${result.iterations} iterations (residual ${isFinite(result.residual) ? result.residual.toFixed(3) : 'n/a'} m³/s)`;
+    }
+    
+    return result;
+}
+
+/**
+ * Solve for critical depth: the depth at which Q²T / (gA³) = 1
+ */
+function solveCriticalDepth(discharge, geometry, gravity = 9.81) {
+    const froudeSquared = depth => {
+        const { area, topWidth } = calculateFlowAreaAndTopWidth(depth, geometry);
+        return area > 0 ? (discharge * discharge * topWidth) / (gravity * Math.pow(area, 3)) : Infinity;
+    };
+    
+    const initialGuess = Math.pow((discharge * discharge) / (gravity * geometry.bottomWidth * geometry.bottomWidth), 1 / 3);
+    const result = solveMonotonicRoot(froudeSquared, initialGuess, 1);
+    
+    if (!result.converged) {
+        result.message = `Critical depth did not converge after ${result.iterations} iterations`;
+    }
+    
+    return result;
+}
+
+/**
+ * Classify flow regime from the Froude number
+ */
+function getFlowRegime(froudeNumber) {
+    if (froudeNumber < 1 - FLOW_REGIME_CONFIG.criticalBand) return 'subcritical';
+    if (froudeNumber > 1 + FLOW_REGIME_CONFIG.criticalBand) return 'supercritical';
+    return 'critical';
+}
+
+/**
+ * Solve the compound section for normal depth and the associated flow state
+ */
+function solveCompoundFlowDepth(discharge, geometry, baseSlope, gravity = 9.81) {
+    const diagnostics = [];
+    const normal = solveNormalDepth(discharge, geometry, baseSlope);
+    
+    if (!isFinite(normal.value)) {
+        diagnostics.push({ code: 'normal-depth-failed', message: normal.message || 'Normal depth could not be solved' });
+        return { solved: false, diagnostics: diagnostics };
+    }
+    
+    if (!normal.converged) {
+        diagnostics.push({ code: 'normal-depth-not-converged', message: normal.message });
+    }
+    
+    const flowDepth = normal.value;
+    const result = calculateCompoundDischarge(flowDepth, geometry, baseSlope);
+    const section = result.section;
+    const { area, topWidth } = calculateFlowAreaAndTopWidth(flowDepth, geometry);
+    
+    const meanVelocity = discharge / area;
+    const hydraulicDepth = area / topWidth;
+    const froudeNumber = meanVelocity / Math.sqrt(gravity * hydraulicDepth);
+    const specificEnergy = flowDepth + (meanVelocity * meanVelocity) / (2 * gravity);
+    
+    const critical = solveCriticalDepth(discharge, geometry, gravity);
+    if (!critical.converged) {
+        diagnostics.push({ code: 'critical-depth-not-converged', message: critical.message });
+    }
+    
+    return {
+        solved: true,
+        flowDepth: flowDepth,
+        hydraulicRadius: section.mainArea / section.mainPerimeter,
+        mainArea: section.mainArea,
+        mainDischarge: result.mainDischarge,
+        overbankFlow: section.floodplainArea > 0,
+        floodplainDepth: section.floodplainArea > 0 ? section.overbankDepth : 0,
+        floodplainDischarge: result.floodplainDischarge,
+        floodplainVelocity: section.floodplainArea > 0 ? result.floodplainDischarge / section.floodplainArea : 0,
+        inundatedWidth: topWidth,
+        floodplainDischargeShare: result.totalDischarge > 0 ? result.floodplainDischarge / result.totalDischarge : 0,
+        criticalDepth: critical.value,
+        froudeNumber: froudeNumber,
+        specificEnergy: specificEnergy,
+        flowRegime: getFlowRegime(froudeNumber),
+        solverIterations: normal.iterations,
+        solverMethod: normal.method,
+        solverConverged: normal.converged,
+        diagnostics: diagnostics
+    };
+}
+
+console.log('Channel geometry module loaded');
@@ -0,0 +1,223 @@
+/**
+ * Chart Manager Module
+ * Lightweight SVG charts for sweep and time-series results
+ */
+
+/**
+ * Compute "nice" axis ticks covering a value range
+ */
+function calculateAxisTicks(min, max, targetCount = 5) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        min -= pad;
+        max += pad;
+    }
+    
+    const rawStep = (max - min) / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    
+    let niceStep;
+    if (residual > 5) niceStep = 10 * magnitude;
+    else if (residual > 2) niceStep = 5 * magnitude;
+    else if (residual > 1) niceStep = 2 * magnitude;
+    else niceStep = magnitude;
+    
+    const ticks = [];
+    const start = Math.floor(min / niceStep) * niceStep;
+    const end = Math.ceil(max / niceStep) * niceStep;
+    
+    for (let value = start; value <= end + niceStep / 2; value += niceStep) {
+        ticks.push(parseFloat(value.toPrecision(12)));
+    }
+    
+    return ticks;
+}
+
+/**
+ * Format a tick label compactly
+ */
+function formatTickLabel(value) {
+    const abs = Math.abs(value);
+    if (abs >= 10000) return (value / 1000).toFixed(0) + 'k';
+    if (abs >= 100) return value.toFixed(0);
+    if (abs >= 1) return parseFloat(value.toFixed(2)).toString();
+    if (abs === 0) return '0';
+    return parseFloat(value.toPrecision(2)).toString();
+}
+
+/**
+ * Escape text placed inside SVG/HTML markup
+ */
+function escapeChartText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a multi-series line chart as SVG into a container
+ *
+ * series:  [{ label, color, points: [{ x, y }] }]
+ * options: { xLabel, yLabel, xTickFormat, markers: [{ x, color, label }], guides: [{ y, color, label }] }
+ */
+function renderLineChart(containerId, series, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const allPoints = series.flatMap(s => s.points);
+    if (allPoints.length === 0) {
+        container.innerHTML = '<p class="text-xs text-gray-500">No data to chart</p>';
+        return;
+    }
+    
+    const { width, height, padding } = CHART_CONFIG;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    
+    const guideValues = (options.guides || []).map(g => g.y);
+    const xValues = allPoints.map(p => p.x);
+    const yValues = allPoints.map(p => p.y).concat(guideValues);
+    
+    const xTicks = calculateAxisTicks(Math.min(...xValues), Math.max(...xValues));
+    const yTicks = calculateAxisTicks(Math.min(...yValues), Math.max(...yValues));
+    const xMin = xTicks[0];
+    const xMax = xTicks[xTicks.length - 1];
+    const yMin = yTicks[0];
+    const yMax = yTicks[yTicks.length - 1];
+    
+    const scaleX = x => padding.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+    const scaleY = y => padding.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+    const formatX = options.xTickFormat || formatTickLabel;
+    
+    let html = `<svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">`;
+    
+    // Grid and axis labels
+    yTicks.forEach(tick => {
+        const y = scaleY(tick).toFixed(1);
+        html += `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y}" y2="${y}" stroke="${CHART_CONFIG.gridColor}"/>`;
+        html += `<text x="${padding.left - 4}" y="${y}" fill="${CHART_CONFIG.textColor}" font-size="9" text-anchor="end" dominant-baseline="middle">${formatTickLabel(tick)}</text>`;
+    });
+    
+    xTicks.forEach(tick => {
+        const x = scaleX(tick).toFixed(1);
+        html += `<line x1="${x}" x2="${x}" y1="${padding.top}" y2="${padding.top + plotHeight}" stroke="${CHART_CONFIG.gridColor}"/>`;
+        html += `<text x="${x}" y="${padding.top + plotHeight + 12}" fill="${CHART_CONFIG.textColor}" font-size="9" text-anchor="middle">${escapeChartText(formatX(tick))}</text>`;
+    });
+    
+    html += `<rect x="${padding.left}" y="${padding.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="${CHART_CONFIG.axisColor}"/>`;
+    
+    if (options.xLabel) {
+        html += `<text x="${padding.left + plotWidth / 2}" y="${height - 4}" fill="${CHART_CONFIG.textColor}" font-size="10" text-anchor="middle">${escapeChartText(options.xLabel)}</text>`;
+    }
+    
+    if (options.yLabel) {
+        html += `<text x="10" y="${padding.top + plotHeight / 2}" fill="${CHART_CONFIG.textColor}" font-size="10" text-anchor="middle" transform="rotate(-90 10 ${padding.top + plotHeight / 2})">${escapeChartText(options.yLabel)}</text>`;
+    }
+    
+    // Horizontal guides (e.g. category boundaries)
+    (options.guides || []).forEach(guide => {
+        const y = scaleY(guide.y).toFixed(1);
+        html += `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y}" y2="${y}" stroke="${guide.color || CHART_CONFIG.axisColor}" stroke-dasharray="4 3"/>`;
+    });
+    
+    // Vertical markers (e.g. threshold discharges)
+    (options.markers || []).forEach(marker => {
+        const x = scaleX(marker.x).toFixed(1);
+        html += `<line x1="${x}" x2="${x}" y1="${padding.top}" y2="${padding.top + plotHeight}" stroke="${marker.color || '#ffffff'}" stroke-width="1" stroke-dasharray="2 2">`;
+        if (marker.label) {
+            html += `<title>${escapeChartText(marker.label)}</title>`;
+        }
+        html += '</line>';
+    });
+    
+    // Series
+    series.forEach(s => {
+        if (s.points.length === 0) return;
+        const path = s.points
+            .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`)
+            .join(' ');
+        html += `<path d="${path}" fill="none" stroke="${s.color}" stroke-width="1.8"><title>${escapeChartText(s.label)}</title></path>`;
+    });
+    
+    html += '</svg>';
+    
+    // Legend
+    if (series.length > 1 || options.showLegend) {
+        html += '<div class="flex gap-3 mt-1" style="flex-wrap: wrap;">';
+        series.forEach(s => {
+            html += `<span class="text-xs text-gray-400"><span style="color: ${s.color};">■</span> ${escapeChartText(s.label)}</span>`;
+        });
+        html += '</div>';
+    }
+    
+    container.innerHTML = html;
+}
+
+/**
+ * Render a tornado chart: one horizontal bar per row spanning its low and high outcomes
+ *
+ * rows:    [{ label, lowValue, highValue, lowLabel, highLabel }] sorted largest swing first
+ * options: { baseValue, xLabel, lowColor, highColor }
+ */
+function renderTornadoChart(containerId, rows, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="text-xs text-gray-500">No data to chart</p>';
+        return;
+    }
+    
+    const width = CHART_CONFIG.width;
+    const rowHeight = 20;
+    const padding = { top: 8, right: 12, bottom: 30, left: 96 };
+    const height = padding.top + padding.bottom + rows.length * rowHeight;
+    const plotWidth = width - padding.left - padding.right;
+    const baseValue = options.baseValue !== undefined ? options.baseValue : 0;
+    
+    const values = rows.flatMap(row => [row.lowValue, row.highValue]).concat([baseValue]).filter(v => isFinite(v));
+    const ticks = calculateAxisTicks(Math.min(...values), Math.max(...values));
+    const xMin = ticks[0];
+    const xMax = ticks[ticks.length - 1];
+    const scaleX = x => padding.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+    const plotBottom = padding.top + rows.length * rowHeight;
+    
+    let html = `<svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">`;
+    
+    ticks.forEach(tick => {
+        const x = scaleX(tick).toFixed(1);
+        html += `<line x1="${x}" x2="${x}" y1="${padding.top}" y2="${plotBottom}" stroke="${CHART_CONFIG.gridColor}"/>`;
+        html += `<text x="${x}" y="${plotBottom + 12}" fill="${CHART_CONFIG.textColor}" font-size="9" text-anchor="middle">${formatTickLabel(tick)}</text>`;
+    });
+    
+    rows.forEach((row, i) => {
+        const y = padding.top + i * rowHeight + 3;
+        const barHeight = rowHeight - 6;
+        
+        [[row.lowValue, options.lowColor || CHART_CONFIG.palette[0], row.lowLabel],
+         [row.highValue, options.highColor || CHART_CONFIG.palette[5], row.highLabel]].forEach(([value, color, label]) => {
+            if (!isFinite(value)) return;
+            const x1 = scaleX(Math.min(value, baseValue));
+            const x2 = scaleX(Math.max(value, baseValue));
+            html += `<rect x="${x1.toFixed(1)}" y="${y}" width="${Math.max(x2 - x1, 1).toFixed(1)}" height="${barHeight}" fill="${color}" opacity="0.85">`;
+            html += `<title>${escapeChartText(label || value)}</title></rect>`;
+        });
+        
+        html += `<text x="${padding.left - 4}" y="${y + barHeight / 2}" fill="${CHART_CONFIG.textColor}" font-size="9" text-anchor="end" dominant-baseline="middle">${escapeChartText(row.label)}</text>`;
+    });
+    
+    const baseX = scaleX(baseValue).toFixed(1);
+    html += `<line x1="${baseX}" x2="${baseX}" y1="${padding.top}" y2="${plotBottom}" stroke="#ffffff" stroke-width="1"/>`;
+    
+    if (options.xLabel) {
+        html += `<text x="${padding.left + plotWidth / 2}" y="${height - 4}" fill="${CHART_CONFIG.textColor}" font-size="10" text-anchor="middle">${escapeChartText(options.xLabel)}</text>`;
+    }
+    
+    html += '</svg>';
+    container.innerHTML = html;
+}
+
+console.log('Chart manager module loaded');
@@ -0,0 +1,387 @@
+/**
+ * Classification Module
+ * Risk index classification schemes (fixed, quantile and natural breaks)
+ *
+ * A scheme is { id, name, method, classes: [{ name, color, weight }], breaks }.
+ * Classes run from lowest to highest risk index and class i covers
+ * [breaks[i - 1], breaks[i]) below the neutral index and (breaks[i - 1], breaks[i]]
+ * above it: an index on a break goes to the class nearer balance. Quantile and
+ * natural-breaks schemes get their breaks from the risk indices of the last
+ * full analysis run and cannot classify before one.
+ */
+
+let activeClassificationScheme = null;
+
+/**
+ * Build the default scheme from RISK_CATEGORIES
+ */
+function buildDefaultScheme() {
+    const categories = Object.values(RISK_CATEGORIES).slice().sort((a, b) => a.minIndex - b.minIndex);
+    
+    return {
+        id: CLASSIFICATION_CONFIG.defaultSchemeId,
+        name: 'Default (5 classes)',
+        method: 'fixed',
+        builtIn: true,
+        breaks: categories.slice(1).map(category => category.minIndex),
+        classes: categories.map(category => ({
+            name: category.name,
+            color: category.color,
+            weight: category.weight
+        }))
+    };
+}
+
+/**
+ * Deep copy a scheme so callers cannot mutate the stored definition
+ */
+function copyScheme(scheme) {
+    return JSON.parse(JSON.stringify(scheme));
+}
+
+/**
+ * Check a scheme definition and throw on the first problem
+ */
+function validateScheme(scheme) {
+    if (!scheme.name || !String(scheme.name).trim()) {
+        throw new Error('Scheme name is required');
+    }
+    
+    if (!CLASSIFICATION_CONFIG.methods.some(method => method.id === scheme.method)) {
+        throw new Error(`Unknown classification method "${scheme.method}"`);
+    }
+    
+    if (!Array.isArray(scheme.classes) || scheme.classes.length < 2) {
+        throw new Error('A scheme needs at least two classes');
+    }
+    
+    const names = scheme.classes.map(cls => cls.name);
+    if (names.some(name => !name) || new Set(names).size !== names.length) {
+        throw new Error('Class names must be unique and non-empty');
+    }
+    
+    if (scheme.method === 'fixed') {
+        const breaks = scheme.breaks || [];
+        
+        if (breaks.length !== scheme.classes.length - 1) {
+            throw new Error(`${scheme.classes.length} classes need ${scheme.classes.length - 1} breaks, got ${breaks.length}`);
+        }
+        
+        if (breaks.some(b => typeof b !== 'number' || !isFinite(b))) {
+            throw new Error('Breaks must be numbers');
+        }
+        
+        if (breaks.some((b, i) => i > 0 && b <= breaks[i - 1])) {
+            throw new Error('Breaks must be strictly increasing');
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Assign ramp colours and line weights to a list of class names
+ */
+function buildSchemeClasses(names) {
+    const ramp = CLASSIFICATION_CONFIG.colorRamp;
+    const mid = (names.length - 1) / 2;
+    
+    return names.map((name, i) => ({
+        name: name,
+        color: ramp[Math.round((i / (names.length - 1)) * (ramp.length - 1))],
+        weight: 4 + Math.round((3 * Math.abs(i - mid)) / mid)
+    }));
+}
+
+/**
+ * Read user-defined schemes from localStorage (empty when storage is unavailable)
+ */
+function loadSavedSchemes() {
+    try {
+        const stored = localStorage.getItem(CLASSIFICATION_CONFIG.storageKey);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        console.warn('Could not read saved classification schemes:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Write user-defined schemes to localStorage
+ */
+function writeSavedSchemes(schemes) {
+    try {
+        localStorage.setItem(CLASSIFICATION_CONFIG.storageKey, JSON.stringify(schemes));
+        return true;
+    } catch (error) {
+        console.warn('Could not save classification schemes:', error.message);
+        return false;
+    }
+}
+
+/**
+ * List built-in and saved schemes
+ */
+function getAvailableSchemes() {
+    const builtIn = [buildDefaultScheme()].concat(
+        CLASSIFICATION_CONFIG.builtInSchemes.map(scheme => ({ ...copyScheme(scheme), builtIn: true }))
+    );
+    
+    return builtIn.concat(loadSavedSchemes());
+}
+
+/**
+ * Save a user-defined scheme, replacing any saved scheme with the same id
+ * Data-driven breaks are not stored because they belong to a particular run
+ */
+function saveClassificationScheme(scheme) {
+    validateScheme(scheme);
+    
+    const id = scheme.id || 'custom-' + String(scheme.name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    if (getAvailableSchemes().some(existing => existing.builtIn && existing.id === id)) {
+        throw new Error(`"${id}" is a built-in scheme and cannot be overwritten`);
+    }
+    
+    const stored = copyScheme({ ...scheme, id: id });
+    delete stored.builtIn;
+    if (stored.method !== 'fixed') {
+        delete stored.breaks;
+    }
+    
+    const schemes = loadSavedSchemes().filter(existing => existing.id !== id);
+    schemes.push(stored);
+    const persisted = writeSavedSchemes(schemes);
+    
+    return { scheme: stored, persisted: persisted };
+}
+
+/**
+ * Delete a user-defined scheme
+ */
+function deleteClassificationScheme(schemeId) {
+    const schemes = loadSavedSchemes();
+    const remaining = schemes.filter(scheme => scheme.id !== schemeId);
+    
+    if (remaining.length === schemes.length) {
+        throw new Error('Only saved custom schemes can be deleted');
+    }
+    
+    writeSavedSchemes(remaining);
+    
+    if (activeClassificationScheme && activeClassificationScheme.id === schemeId) {
+        setActiveScheme(CLASSIFICATION_CONFIG.defaultSchemeId);
+    }
+}
+
+/**
+ * Get the active scheme, restoring the last choice from localStorage on first use
+ */
+function getActiveScheme() {
+    if (!activeClassificationScheme) {
+        let savedId = null;
+        try {
+            savedId = localStorage.getItem(CLASSIFICATION_CONFIG.activeStorageKey);
+        } catch (error) {
+            savedId = null;
+        }
+        
+        const schemes = getAvailableSchemes();
+        activeClassificationScheme = schemes.find(scheme => scheme.id === savedId) || schemes[0];
+    }
+    
+    return activeClassificationScheme;
+}
+
+/**
+ * Switch the active scheme
+ */
+function setActiveScheme(schemeId) {
+    const scheme = getAvailableSchemes().find(candidate => candidate.id === schemeId);
+    if (!scheme) {
+        throw new Error(`Unknown classification scheme "${schemeId}"`);
+    }
+    
+    activeClassificationScheme = scheme;
+    
+    try {
+        localStorage.setItem(CLASSIFICATION_CONFIG.activeStorageKey, schemeId);
+    } catch (error) {
+        console.warn('Could not remember classification scheme:', error.message);
+    }
+    
+    return scheme;
+}
+
+/**
+ * Whether a scheme computes its breaks from the data
+ */
+function isDataDrivenScheme(scheme) {
+    return scheme.method === 'quantile' || scheme.method === 'natural-breaks';
+}
+
+/**
+ * Quantile breaks: equal numbers of values per class
+ */
+function calculateQuantileBreaks(values, classCount) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const breaks = [];
+    
+    for (let i = 1; i < classCount; i++) {
+        const rank = (i / classCount) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+    }
+    
+    return breaks;
+}
+
+/**
+ * Jenks natural breaks: minimise within-class squared deviation (dynamic programming)
+ */
+function calculateNaturalBreaks(values, classCount) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    const k = Math.min(classCount, n);
+    
+    // Prefix sums give the squared deviation of any run in constant time
+    const sum = [0];
+    const sumSq = [0];
+    sorted.forEach((v, i) => {
+        sum.push(sum[i] + v);
+        sumSq.push(sumSq[i] + v * v);
+    });
+    const cost = (from, to) => {
+        const count = to - from;
+        const s = sum[to] - sum[from];
+        return sumSq[to] - sumSq[from] - (s * s) / count;
+    };
+    
+    // best[c][j]: least cost of splitting the first j values into c classes
+    const best = [new Array(n + 1).fill(Infinity)];
+    const split = [new Array(n + 1).fill(0)];
+    best[0][0] = 0;
+    
+    for (let c = 1; c <= k; c++) {
+        best.push(new Array(n + 1).fill(Infinity));
+        split.push(new Array(n + 1).fill(0));
+        
+        for (let j = c; j <= n; j++) {
+            for (let i = c - 1; i < j; i++) {
+                const candidate = best[c - 1][i] + cost(i, j);
+                if (candidate < best[c][j]) {
+                    best[c][j] = candidate;
+                    split[c][j] = i;
+                }
+            }
+        }
+    }
+    
+    const starts = [];
+    let end = n;
+    for (let c = k; c > 1; c--) {
+        end = split[c][end];
+        starts.unshift(end);
+    }
+    
+    // Place each break midway between neighbouring classes
+    const breaks = starts.map(start => (sorted[start - 1] + sorted[start]) / 2);
+    
+    // Fewer distinct values than classes: leave the upper classes empty
+    while (breaks.length < classCount - 1) {
+        breaks.push(sorted[n - 1] + breaks.length + 1);
+    }
+    
+    return breaks;
+}
+
+/**
+ * Compute data-driven breaks for a scheme from a set of risk indices
+ */
+function calculateSchemeBreaks(scheme, riskIndices) {
+    const values = riskIndices.filter(v => typeof v === 'number' && isFinite(v));
+    if (values.length === 0) {
+        return null;
+    }
+    
+    const classCount = scheme.classes.length;
+    const breaks = scheme.method === 'quantile'
+        ? calculateQuantileBreaks(values, classCount)
+        : calculateNaturalBreaks(values, classCount);
+    
+    return breaks.map(b => parseFloat(b.toFixed(3)));
+}
+
+/**
+ * Expand a scheme into classes with minIndex/maxIndex
+ */
+function getSchemeClasses(scheme = getActiveScheme()) {
+    const breaks = scheme.breaks || [];
+    
+    return scheme.classes.map((cls, i) => ({
+        ...cls,
+        minIndex: i === 0 ? -Infinity : breaks[i - 1],
+        maxIndex: i === scheme.classes.length - 1 ? Infinity : breaks[i]
+    }));
+}
+
+/**
+ * Find a class of the active scheme by name
+ */
+function getSchemeClass(name, scheme = getActiveScheme()) {
+    return getSchemeClasses(scheme).find(cls => cls.name === name) || null;
+}
+
+/**
+ * Throw when a data-driven scheme has no breaks yet
+ */
+function requireSchemeBreaks(scheme = getActiveScheme()) {
+    if (!scheme.breaks) {
+        throw new Error(`The "${scheme.name}" scheme takes its breaks from an analysis run; run the analysis first`);
+    }
+    
+    return scheme;
+}
+
+/**
+ * Classify a risk index with a scheme
+ */
+function classifyRiskIndex(riskIndex, scheme = getActiveScheme()) {
+    const classes = getSchemeClasses(requireSchemeBreaks(scheme));
+    const neutral = CLASSIFICATION_CONFIG.neutralIndex;
+    
+    for (let i = classes.length - 1; i > 0; i--) {
+        const min = classes[i].minIndex;
+        if (riskIndex > min || (riskIndex === min && min <= neutral)) {
+            return classes[i];
+        }
+    }
+    
+    return classes[0];
+}
+
+/**
+ * Recompute data-driven breaks from a full run and reclassify its segments
+ */
+function refreshClassification(geojsonData) {
+    const scheme = getActiveScheme();
+    if (!isDataDrivenScheme(scheme) || !geojsonData || !geojsonData.features) {
+        return scheme;
+    }
+    
+    const calculated = geojsonData.features
+        .map(feature => feature.properties && feature.properties.calculated)
+        .filter(Boolean);
+    
+    const breaks = calculateSchemeBreaks(scheme, calculated.map(calc => calc.riskIndex));
+    if (breaks) {
+        scheme.breaks = breaks;
+        calculated.forEach(calc => {
+            calc.riskCategory = classifyRiskIndex(calc.riskIndex, scheme).name;
+        });
+    }
+    
+    return scheme;
+}
+
+console.log('Classification module loaded');
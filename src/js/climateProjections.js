@@ -0,0 +1,337 @@
+/**
+ * Climate Projections Module
+ * Library of climate and land-use change projections, run as one batch
+ *
+ * A projection is:
+ *   { id, name, horizon, dischargeMultiplier, regionMultipliers: { region: m },
+ *     segmentMultipliers: { segmentId: m }, vegDensityChange, roughnessMultiplier }
+ * A segment's discharge multiplier is its own segmentMultipliers entry (or its
+ * parent's, for reaches), else its region's entry (CLIMATE_CONFIG.regionProperty),
+ * else dischargeMultiplier. Vegetation density changes additively within
+ * PARAMETER_RANGES; Manning's n is scaled by roughnessMultiplier.
+ */
+
+/**
+ * Read user-defined projections from localStorage (empty when storage is unavailable)
+ */
+function loadSavedProjections() {
+    try {
+        const stored = localStorage.getItem(CLIMATE_CONFIG.storageKey);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        console.warn('Could not read saved climate projections:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Write user-defined projections to localStorage
+ */
+function writeSavedProjections(projections) {
+    try {
+        localStorage.setItem(CLIMATE_CONFIG.storageKey, JSON.stringify(projections));
+        return true;
+    } catch (error) {
+        console.warn('Could not save climate projections:', error.message);
+        return false;
+    }
+}
+
+/**
+ * List built-in and saved projections, ordered by horizon
+ */
+function getAvailableProjections() {
+    const builtIn = CLIMATE_CONFIG.builtInProjections.map(projection => ({ ...JSON.parse(JSON.stringify(projection)), builtIn: true }));
+    
+    return builtIn.concat(loadSavedProjections())
+        .sort((a, b) => a.horizon - b.horizon || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a projection definition and throw on the first problem
+ */
+function validateProjection(projection) {
+    const { min, max } = CLIMATE_CONFIG.multiplierRange;
+    const inRange = value => typeof value === 'number' && value >= min && value <= max;
+    
+    if (!projection.name || !String(projection.name).trim()) {
+        throw new Error('Projection name is required');
+    }
+    
+    if (!Number.isInteger(projection.horizon)) {
+        throw new Error('Horizon must be a year');
+    }
+    
+    if (!inRange(projection.dischargeMultiplier)) {
+        throw new Error(`Discharge multiplier must be between ${min} and ${max}`);
+    }
+    
+    [['region', projection.regionMultipliers], ['segment', projection.segmentMultipliers]].forEach(([kind, multipliers]) => {
+        Object.entries(multipliers || {}).forEach(([key, value]) => {
+            if (!inRange(value)) {
+                throw new Error(`Multiplier for ${kind} "${key}" must be between ${min} and ${max}`);
+            }
+        });
+    });
+    
+    if (typeof projection.vegDensityChange !== 'number' || Math.abs(projection.vegDensityChange) > PARAMETER_RANGES.vegDensity.max) {
+        throw new Error(`Vegetation density change must be between -${PARAMETER_RANGES.vegDensity.max} and ${PARAMETER_RANGES.vegDensity.max}`);
+    }
+    
+    const roughness = CLIMATE_CONFIG.roughnessRange;
+    if (typeof projection.roughnessMultiplier !== 'number' || projection.roughnessMultiplier < roughness.min || projection.roughnessMultiplier > roughness.max) {
+        throw new Error(`Roughness multiplier must be between ${roughness.min} and ${roughness.max}`);
+    }
+    
+    return true;
+}
+
+/**
+ * Save a user-defined projection, replacing any saved projection with the same id
+ */
+function saveProjection(projection) {
+    validateProjection(projection);
+    
+    const id = projection.id || 'custom-' + String(projection.name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    if (CLIMATE_CONFIG.builtInProjections.some(existing => existing.id === id)) {
+        throw new Error(`"${id}" is a built-in projection and cannot be overwritten`);
+    }
+    
+    const stored = {
+        id: id,
+        name: String(projection.name).trim(),
+        horizon: projection.horizon,
+        dischargeMultiplier: projection.dischargeMultiplier,
+        regionMultipliers: { ...(projection.regionMultipliers || {}) },
+        segmentMultipliers: { ...(projection.segmentMultipliers || {}) },
+        vegDensityChange: projection.vegDensityChange,
+        roughnessMultiplier: projection.roughnessMultiplier
+    };
+    
+    const projections = loadSavedProjections().filter(existing => existing.id !== id);
+    projections.push(stored);
+    const persisted = writeSavedProjections(projections);
+    
+    return { projection: stored, persisted: persisted };
+}
+
+/**
+ * Delete a user-defined projection
+ */
+function deleteProjection(projectionId) {
+    const projections = loadSavedProjections();
+    const remaining = projections.filter(projection => projection.id !== projectionId);
+    
+    if (remaining.length === projections.length) {
+        throw new Error('Only saved custom projections can be deleted');
+    }
+    
+    writeSavedProjections(remaining);
+}
+
+/**
+ * Parse region and segment multipliers, one per line: "region:North=1.2" or "segment:3=1.4"
+ */
+function parseMultiplierOverrides(text) {
+    const regionMultipliers = {};
+    const segmentMultipliers = {};
+    
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        
+        const match = trimmed.match(/^(region|segment)\s*:\s*(.+?)\s*=\s*([-+0-9.eE]+)$/);
+        if (!match || !isFinite(parseFloat(match[3]))) {
+            throw new Error(`Line ${i + 1}: expected "region:<name>=<multiplier>" or "segment:<id>=<multiplier>"`);
+        }
+        
+        const target = match[1] === 'region' ? regionMultipliers : segmentMultipliers;
+        target[match[2]] = parseFloat(match[3]);
+    });
+    
+    return { regionMultipliers, segmentMultipliers };
+}
+
+/**
+ * Discharge multiplier for one feature: segment, then region, then global
+ */
+function getProjectionMultiplier(feature, index, projection) {
+    const props = feature.properties || {};
+    const segmentMultipliers = projection.segmentMultipliers || {};
+    const regionMultipliers = projection.regionMultipliers || {};
+    
+    // Inflow points take their segment's multiplier
+    const ids = isLineFeature(feature)
+        ? [getSegmentId(feature, index), props.parent_id]
+        : [props.segment_id, props.parent_segment_id];
+    
+    for (const id of ids) {
+        if (id !== undefined && id !== null && segmentMultipliers[String(id)] !== undefined) {
+            return segmentMultipliers[String(id)];
+        }
+    }
+    
+    const region = props[CLIMATE_CONFIG.regionProperty];
+    if (region !== undefined && regionMultipliers[String(region)] !== undefined) {
+        return regionMultipliers[String(region)];
+    }
+    
+    return projection.dischargeMultiplier;
+}
+
+/**
+ * Copy of the dataset with a projection's parameter changes and scaled inflows
+ * Headwater boundary discharge is written to source_discharge so routed runs
+ * see each headwater's own multiplier
+ */
+function applyProjection(geojsonData, projection, boundaryDischarge) {
+    const data = cloneGeoJSON(geojsonData);
+    const network = buildRiverNetwork(data);
+    const supplied = value => value !== undefined && value !== null && value !== '';
+    const vegProperty = PARAMETER_PROPERTY_MAP.vegDensity;
+    const roughnessProperty = PARAMETER_PROPERTY_MAP.manningN;
+    
+    data.features.forEach((feature, index) => {
+        const props = feature.properties || {};
+        const multiplier = getProjectionMultiplier(feature, index, projection);
+        
+        if (!isLineFeature(feature)) {
+            if (supplied(props.inflow)) {
+                props.inflow = parseFloat(props.inflow) * multiplier;
+            }
+            return;
+        }
+        
+        // Rejected values stay as they are so validation still reports them
+        const veg = validateParameterValue('vegDensity', props[vegProperty]);
+        if (veg.status !== PARAMETER_STATUS.REJECTED) {
+            const range = PARAMETER_RANGES.vegDensity;
+            props[vegProperty] = parseFloat(Math.min(range.max, Math.max(range.min, veg.value + projection.vegDensityChange)).toFixed(3));
+        }
+        
+        const roughness = validateParameterValue('manningN', props[roughnessProperty]);
+        if (roughness.status !== PARAMETER_STATUS.REJECTED) {
+            props[roughnessProperty] = parseFloat((roughness.value * projection.roughnessMultiplier).toPrecision(4));
+        }
+        
+        const segment = network.segments[getSegmentId(feature, index)];
+        if (segment && segment.upstream.length === 0) {
+            const source = supplied(props.source_discharge) ? parseFloat(props.source_discharge) : boundaryDischarge;
+            props.source_discharge = source * multiplier;
+        }
+        ['tributary_inflow', 'lateral_inflow'].forEach(property => {
+            if (supplied(props[property])) {
+                props[property] = parseFloat(props[property]) * multiplier;
+            }
+        });
+        
+        feature.properties = props;
+    });
+    
+    return data;
+}
+
+/**
+ * Run the analysis for one projection
+ */
+function runProjection(geojsonData, projection, discharge, params = {}, routed = false) {
+    const data = applyProjection(geojsonData, projection, discharge);
+    
+    if (routed) {
+        return calculateRoutedRiskProfile(discharge * projection.dischargeMultiplier, data, params);
+    }
+    
+    const multipliers = new Map();
+    data.features.forEach((feature, index) => multipliers.set(feature, getProjectionMultiplier(feature, index, projection)));
+    
+    return calculateRiskProfile(feature => discharge * multipliers.get(feature), data, params);
+}
+
+/**
+ * Segment-by-projection matrix of risk categories
+ * shift counts classes moved relative to the baseline (positive = more erosive)
+ */
+function buildProjectionMatrix(baselineResults, runs) {
+    const rank = {};
+    getSchemeClasses().forEach((cls, i) => {
+        rank[cls.name] = i;
+    });
+    
+    const runsById = runs.map(run => {
+        const byId = {};
+        run.results.features.forEach((feature, index) => {
+            byId[getSegmentId(feature, index)] = feature.properties.calculated;
+        });
+        return { projection: run.projection, byId: byId };
+    });
+    
+    const rows = [];
+    baselineResults.features.forEach((feature, index) => {
+        if (!isLineFeature(feature)) return;
+        
+        const id = getSegmentId(feature, index);
+        const base = feature.properties.calculated;
+        const cells = {};
+        
+        runsById.forEach(({ projection, byId }) => {
+            const calc = byId[id];
+            cells[projection.id] = calc ? {
+                riskIndex: calc.riskIndex,
+                riskCategory: calc.riskCategory,
+                discharge: parseFloat(calc.discharge.toFixed(1)),
+                shift: base && rank[calc.riskCategory] !== undefined && rank[base.riskCategory] !== undefined
+                    ? rank[calc.riskCategory] - rank[base.riskCategory]
+                    : null
+            } : null;
+        });
+        
+        rows.push({
+            id: id,
+            name: feature.properties.name || 'Segment ' + id,
+            baseline: base ? { riskIndex: base.riskIndex, riskCategory: base.riskCategory } : null,
+            cells: cells
+        });
+    });
+    
+    return {
+        columns: runs.map(run => ({ id: run.projection.id, name: run.projection.name, horizon: run.projection.horizon })),
+        rows: rows
+    };
+}
+
+/**
+ * Run the baseline and every projection at the same boundary discharge
+ */
+function calculateProjectionBatch(geojsonData, projections, discharge, params = {}, routed = false) {
+    if (!geojsonData || !geojsonData.features) {
+        throw new Error('Invalid GeoJSON data');
+    }
+    
+    if (projections.length === 0) {
+        throw new Error('Select at least one projection');
+    }
+    
+    projections.forEach(validateProjection);
+    
+    const baseline = routed
+        ? calculateRoutedRiskProfile(discharge, cloneGeoJSON(geojsonData), params)
+        : calculateRiskProfile(discharge, cloneGeoJSON(geojsonData), params);
+    
+    const runs = projections
+        .slice()
+        .sort((a, b) => a.horizon - b.horizon || a.name.localeCompare(b.name))
+        .map(projection => ({
+            projection: projection,
+            results: runProjection(geojsonData, projection, discharge, params, routed)
+        }));
+    
+    return {
+        discharge: discharge,
+        routed: routed,
+        baseline: baseline,
+        runs: runs,
+        matrix: buildProjectionMatrix(baseline, runs)
+    };
+}
+
+console.log('Climate projections module loaded');
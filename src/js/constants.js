@@ -27,6 +27,284 @@ const HYDRODYNAMIC_PARAMS = {
     curvatureDefaultValue: 1.0
 };
 
+// ========================================
+// Channel Geometry Parameters
+// ========================================
+
+const CHANNEL_GEOMETRY_PARAMS = {
+    defaultSideSlope: 0,          // H:V, rectangular when not supplied
+    floodplainManningN: 0.06,
+    solverTolerance: 1e-4,        // m
+    maxIterations: 100
+};
+
+const FLOW_REGIME_CONFIG = {
+    criticalBand: 0.05            // Froude numbers within 1 ± band are reported as critical
+};
+
+// ========================================
+// Sediment Parameters
+// ========================================
+
+const SEDIMENT_PARAMS = {
+    sedimentDensity: 2650,        // kg/m³
+    d50: 0.0003,                  // m
+    d90ToD50Ratio: 2.5,           // used when d90 is not supplied
+    kinematicViscosity: 1.0e-6,   // m²/s
+    criticalShields: 0.047,
+    defaultBedloadFormula: 'mpm',
+    defaultTotalLoadFormula: 'engelund-hansen',
+    bedloadFormulas: [
+        { id: 'mpm', label: 'Meyer-Peter Müller' },
+        { id: 'van-rijn', label: 'van Rijn (2007)' }
+    ],
+    totalLoadFormulas: [
+        { id: 'engelund-hansen', label: 'Engelund-Hansen' },
+        { id: 'van-rijn', label: 'van Rijn (2007)' }
+    ]
+};
+
+// ========================================
+// Bank Erosion Parameters
+// ========================================
+
+const BANK_EROSION_PARAMS = {
+    bankShearRatio: 0.75,         // Bank shear as a fraction of boundary shear
+    erosiveDaysPerYear: 60,       // Days per year the analysed discharge is sustained
+    defaultBankSlopeDeg: 90,      // Vertical bank when lidar_bank_slope is missing
+    minBankSlopeDeg: 5,           // Guards against unrealistic retreat on near-flat banks
+    banksPerSegment: 2
+};
+
+// ========================================
+// Geometry Configuration
+// ========================================
+
+const GEOMETRY_CONFIG = {
+    earthRadius: 6371008.8        // m (mean radius)
+};
+
+// Coordinate reference systems read from GeoKeys (LAS and GeoTIFF)
+const CRS_CONFIG = {
+    wgs84: {
+        semiMajorAxis: 6378137,   // m
+        flattening: 1 / 298.257223563
+    },
+    utm: {
+        scaleFactor: 0.9996,
+        falseEasting: 500000,     // m
+        falseNorthing: 10000000   // m, southern hemisphere
+    },
+    geoKeys: {
+        modelType: 1024,
+        rasterType: 1025,
+        geographicType: 2048,
+        projectedType: 3072,
+        projLinearUnits: 3076,
+        verticalUnits: 4099
+    },
+    modelTypeGeographic: 2,
+    rasterPixelIsPoint: 2,
+    geographicEpsg: 4326,
+    utmNorthEpsg: 32600,          // + zone (WGS 84 / UTM zone N)
+    utmSouthEpsg: 32700,          // + zone (WGS 84 / UTM zone S)
+    // GeoTIFF linear unit codes -> metres
+    unitsToMetres: {
+        9001: 1,                  // metre
+        9002: 0.3048,             // foot
+        9003: 1200 / 3937         // US survey foot
+    }
+};
+
+// ========================================
+// Flow Routing Configuration
+// ========================================
+
+const ROUTING_CONFIG = {
+    endpointToleranceM: 50,       // Max gap between connecting segment endpoints
+    maxSnapDistanceM: 5000        // Max distance to snap an inflow point to a segment
+};
+
+// ========================================
+// Geometry-Derived Parameters
+// ========================================
+
+const DERIVATION_CONFIG = {
+    defaultSource: 'supplied',    // 'supplied' prefers GeoJSON values, 'derived' prefers geometry
+    sources: [
+        { id: 'supplied', label: 'Supplied (derive when missing)' },
+        { id: 'derived', label: 'Derived from geometry' }
+    ],
+    upstreamElevationProperty: 'upstream_elevation',
+    downstreamElevationProperty: 'downstream_elevation',
+    // HEC-15 bend coefficient Kb = f(Rc / T)
+    bendTightRatio: 2,            // Rc/T at or below which Kb = 2.0
+    bendGentleRatio: 10,          // Rc/T at or above which Kb = 1.05
+    bendWindowWidths: 2,          // bend radius is measured over this many channel widths either side of a station
+    straightSinuosity: 1.05,      // below this sinuosity a line counts as straight
+    straightCurvature: 1.0        // Used when the line has no measurable bend
+};
+
+// ========================================
+// LiDAR Matching
+// ========================================
+
+const LIDAR_CONFIG = {
+    bufferDistanceM: 200,         // points this close to the polyline are aggregated
+    maxMatchDistanceM: 1000,      // fallback: nearest point to the centre within this distance
+    indexLeafSize: 16,            // points per k-d tree leaf
+    queryPieceBuffers: 4,         // long edges are range-searched in pieces of this many buffer widths
+    defaultStatistic: 'median',
+    defaultPercentile: 75,
+    idwPower: 2,
+    idwMinDistanceM: 1,           // floor on distance so a point on the line does not take all the weight
+    statistics: [
+        { id: 'mean', label: 'Mean' },
+        { id: 'median', label: 'Median' },
+        { id: 'percentile', label: 'Percentile' },
+        { id: 'idw', label: 'Inverse-distance weighted' }
+    ],
+    // Point column -> segment property; positive fields ignore zero and negative samples
+    fields: [
+        { column: 'bank_height_m', property: 'lidar_avg_bank_height_m', positive: true, decimals: 2 },
+        { column: 'veg_density', property: 'lidar_riparian_veg_density', positive: false, decimals: 3 },
+        { column: 'bank_slope', property: 'lidar_bank_slope', positive: true, decimals: 3 },
+        { column: 'roughness_coefficient', property: 'manning_n', positive: true, decimals: 4 },
+        { column: 'bed_slope', property: 'base_slope', positive: true, decimals: 6 }
+    ],
+    // Where merged points came from, recorded with each merge
+    sources: [
+        { id: 'points', label: 'LiDAR points' },
+        { id: 'las', label: 'LAS point cloud' },
+        { id: 'dem', label: 'DEM' }
+    ]
+};
+
+// ========================================
+// CSV Import
+// ========================================
+
+const CSV_CONFIG = {
+    delimiters: [',', ';', '\t', '|'],
+    sniffRows: 20,                // rows examined to detect the delimiter and decimal comma
+    // LiDAR point fields offered in the column-mapping step; aliases match normalised headers
+    lidarFields: [
+        { id: 'segment_id', label: 'Segment / point ID', aliases: ['segment', 'seg_id', 'id', 'reach_id', 'point_id', 'fid'] },
+        { id: 'latitude', label: 'Latitude', required: true, aliases: ['lat', 'y', 'lat_dd', 'latitude_deg', 'wgs84_lat'] },
+        { id: 'longitude', label: 'Longitude', required: true, aliases: ['lon', 'long', 'lng', 'x', 'lon_dd', 'longitude_deg', 'wgs84_lon'] },
+        { id: 'bank_height_m', label: 'Bank height (m)', aliases: ['bank_ht_m', 'bankheight_m', 'bank_h_m'] },
+        { id: 'bank_height_ft', label: 'Bank height (ft)', aliases: ['bank_ht_ft', 'bankheight_ft', 'bank_h_ft'] },
+        { id: 'bank_height', label: 'Bank height (upload units)', aliases: ['bank_ht', 'bankheight', 'bank_h'] },
+        { id: 'veg_density', label: 'Vegetation density', aliases: ['vegetation_density', 'veg', 'veg_dens', 'canopy_cover'] },
+        { id: 'bank_slope', label: 'Bank slope', aliases: ['bankslope', 'slope'] },
+        { id: 'roughness_coefficient', label: "Roughness (Manning's n)", aliases: ['roughness', 'manning_n', 'mannings_n'] },
+        { id: 'bed_slope', label: 'Bed slope (m/m)', aliases: ['base_slope', 'channel_slope', 'bedslope'] }
+    ],
+    // Surveyed cross-section fields: one row per station-elevation point
+    crossSectionFields: [
+        { id: 'section_id', label: 'Cross-section ID', required: true, aliases: ['xs_id', 'xs', 'section', 'cross_section', 'river_station', 'rs'] },
+        { id: 'station', label: 'Station', required: true, aliases: ['sta', 'offset', 'chainage', 'distance'] },
+        { id: 'elevation', label: 'Elevation', required: true, aliases: ['elev', 'z', 'level', 'height'] },
+        { id: 'segment_id', label: 'Segment ID', aliases: ['segment', 'seg_id', 'reach_id', 'reach'] },
+        { id: 'latitude', label: 'Latitude', aliases: ['lat', 'lat_dd'] },
+        { id: 'longitude', label: 'Longitude', aliases: ['lon', 'long', 'lng', 'lon_dd'] },
+        { id: 'bank', label: 'Bank marker (L / R)', aliases: ['bank_station', 'bank_marker', 'marker'] }
+    ]
+};
+
+// ========================================
+// LAS Point Clouds
+// ========================================
+
+const LAS_CONFIG = {
+    maxPoints: 20000000,          // larger clouds must be tiled or thinned first
+    stationSpacingM: 100,         // bank metrics are derived per station along each line
+    bankTopPercentile: 95,        // of ground elevations in the bank buffer
+    waterFallbackPercentile: 5,   // of ground elevations, when no water returns are present
+    minGroundReturns: 10,         // per station, for a bank height
+    minReturns: 20,               // per station, for a vegetation density
+    classes: {
+        ground: 2,
+        vegetation: [3, 4, 5],    // low, medium, high
+        water: 9,
+        noise: [7, 18]            // low and high noise are dropped when reading
+    },
+    projectionUserId: 'LASF_Projection',
+    geoKeyRecords: { directory: 34735, doubles: 34736, ascii: 34737 },
+    // Minimum point record length by point data format
+    recordLengths: { 0: 20, 1: 28, 2: 26, 3: 34, 4: 57, 5: 63, 6: 30, 7: 36, 8: 38, 9: 59, 10: 67 }
+};
+
+// ========================================
+// DEM Rasters (GeoTIFF)
+// ========================================
+
+const DEM_CONFIG = {
+    maxPixels: 50000000,          // larger rasters must be clipped to the river corridor first
+    stationSpacingM: 100,         // profile and cross sections are sampled this often along each line
+    bankMarginM: 50,              // cross sections reach this far beyond half the channel width
+    transectSamples: 20,          // samples on each side of the centreline
+    slopeWindowM: 1000,           // bed slope at a station is fitted over this much of the profile
+    minSlopeSamples: 3,
+    // Baseline TIFF and GeoTIFF tags read by the reader
+    tags: {
+        imageWidth: 256,
+        imageLength: 257,
+        bitsPerSample: 258,
+        compression: 259,
+        stripOffsets: 273,
+        samplesPerPixel: 277,
+        rowsPerStrip: 278,
+        stripByteCounts: 279,
+        planarConfiguration: 284,
+        predictor: 317,
+        tileWidth: 322,
+        tileLength: 323,
+        tileOffsets: 324,
+        tileByteCounts: 325,
+        sampleFormat: 339,
+        modelPixelScale: 33550,
+        modelTiepoint: 33922,
+        modelTransformation: 34264,
+        geoKeyDirectory: 34735,
+        geoDoubleParams: 34736,
+        geoAsciiParams: 34737,
+        gdalNoData: 42113
+    },
+    compressions: { 1: 'none', 5: 'lzw', 8: 'deflate', 32946: 'deflate' }
+};
+
+// ========================================
+// Surveyed Cross Sections
+// ========================================
+
+const CROSS_SECTION_CONFIG = {
+    maxSnapDistanceM: 500,        // located sections farther than this from every line stay unsnapped
+    minPoints: 3,
+    // Side slopes are measured on each bank face between these fractions of bankfull depth
+    bankFaceLevels: [0.1, 0.9],
+    // HEC-RAS geometry text: fixed-width fields
+    hecRas: {
+        valueWidth: 8,            // #Sta/Elev, 10 values per line
+        gisWidth: 16,             // XS GIS Cut Line, 4 values per line
+        crossSectionType: 1       // "Type RM Length L Ch R" node type of a cross section
+    },
+    groundColor: '#a16207',
+    waterColor: '#3b82f6',
+    bankfullColor: '#9ca3af'
+};
+
+// ========================================
+// Reach Segmentation
+// ========================================
+
+const SEGMENTATION_CONFIG = {
+    defaultReachLengthKm: 5,
+    minReachLengthKm: 0.1,
+    minReachFraction: 0.5,        // Shorter trailing pieces join the previous reach
+    maxReaches: 5000
+};
+
 // ========================================
 // Default Parameter Ranges
 // ========================================
@@ -41,6 +319,319 @@ const PARAMETER_RANGES = {
     vegDensity: { min: 0, max: 1.0, default: 0.5 }
 };
 
+// Segment property holding each PARAMETER_RANGES entry
+const PARAMETER_PROPERTY_MAP = {
+    baseSlope: 'base_slope',
+    manningN: 'manning_n',
+    criticalShear: 'critical_shear',
+    channelWidth: 'channel_width',
+    curvature: 'curvature',
+    bankHeight: 'lidar_avg_bank_height_m',
+    vegDensity: 'lidar_riparian_veg_density'
+};
+
+// ========================================
+// Uncertainty Analysis Configuration
+// ========================================
+
+const UNCERTAINTY_CONFIG = {
+    defaultRealisations: 500,
+    maxRealisations: 10000,
+    seed: 20240601,
+    percentiles: [5, 25, 50, 75, 95],
+    targetCategory: 'High Erosion',
+    defaultDistributions: {
+        manningN: { type: 'normal', cv: 0.15 },
+        criticalShear: { type: 'lognormal', cv: 0.3 },
+        vegDensity: { type: 'uniform', halfWidth: 0.15 }
+    },
+    probabilityColors: [
+        { min: 0.75, color: '#ef4444' },
+        { min: 0.5, color: '#f97316' },
+        { min: 0.25, color: '#facc15' },
+        { min: 0.05, color: '#a3e635' },
+        { min: 0, color: '#22c55e' }
+    ]
+};
+
+// ========================================
+// Discharge Sweep Configuration
+// ========================================
+
+const SWEEP_CONFIG = {
+    defaultMin: 50,
+    defaultMax: 5000,
+    defaultStep: 50,
+    maxSteps: 500,
+    thresholdTolerance: 1,        // m³/s
+    metrics: [
+        { id: 'riskIndex', label: 'Risk Index', unit: '' },
+        { id: 'shearStress', label: 'Shear Stress', unit: 'Pa' },
+        { id: 'velocity', label: 'Velocity', unit: 'm/s' },
+        { id: 'flowDepth', label: 'Flow Depth', unit: 'm' }
+    ]
+};
+
+// ========================================
+// Scenario Configuration
+// ========================================
+
+const SCENARIO_CONFIG = {
+    baselineId: 'baseline',
+    unchangedTolerance: 0.01,     // |Δ riskIndex| treated as no change
+    differenceColors: [
+        { min: 0.5, color: '#dc2626', label: '≥ +0.5' },
+        { min: 0.1, color: '#fb923c', label: '+0.1 to +0.5' },
+        { min: -0.1, color: '#9ca3af', label: '±0.1' },
+        { min: -0.5, color: '#60a5fa', label: '−0.5 to −0.1' },
+        { min: -Infinity, color: '#1d4ed8', label: '≤ −0.5' }
+    ],
+    categoryChangeWeight: 8
+};
+
+// ========================================
+// Climate and Land-Use Projections
+// ========================================
+
+const CLIMATE_CONFIG = {
+    storageKey: 'riverRisk.climateProjections',
+    regionProperty: 'region',     // segment property matched by regionMultipliers
+    baselineLabel: 'Today',
+    // Illustrative projections; replace with catchment-specific values for reporting
+    builtInProjections: [
+        {
+            id: 'moderate-2050',
+            name: 'Moderate 2050',
+            horizon: 2050,
+            dischargeMultiplier: 1.1,
+            regionMultipliers: {},
+            segmentMultipliers: {},
+            vegDensityChange: -0.05,
+            roughnessMultiplier: 1.0
+        },
+        {
+            id: 'moderate-2080',
+            name: 'Moderate 2080',
+            horizon: 2080,
+            dischargeMultiplier: 1.2,
+            regionMultipliers: {},
+            segmentMultipliers: {},
+            vegDensityChange: -0.1,
+            roughnessMultiplier: 0.95
+        },
+        {
+            id: 'high-2050',
+            name: 'High 2050',
+            horizon: 2050,
+            dischargeMultiplier: 1.2,
+            regionMultipliers: {},
+            segmentMultipliers: {},
+            vegDensityChange: -0.1,
+            roughnessMultiplier: 0.95
+        },
+        {
+            id: 'high-2080',
+            name: 'High 2080',
+            horizon: 2080,
+            dischargeMultiplier: 1.4,
+            regionMultipliers: {},
+            segmentMultipliers: {},
+            vegDensityChange: -0.2,
+            roughnessMultiplier: 0.9
+        }
+    ],
+    multiplierRange: { min: 0.1, max: 10 },
+    roughnessRange: { min: 0.5, max: 2 }
+};
+
+// ========================================
+// Mitigation Planner Configuration
+// ========================================
+
+const MITIGATION_CONFIG = {
+    targetCategory: 'Stable',
+    bisectionIterations: 40,
+    // Each intervention moves one parameter towards the Stable band; cost = unitCost × km × change / unitStep
+    interventions: {
+        vegetation: {
+            label: 'Riparian planting',
+            paramKey: 'vegDensity',
+            direction: 'increase',
+            unitStep: 0.1,
+            unitLabel: 'per km per +0.1 density',
+            defaultUnitCost: 25000,
+            decimals: 3
+        },
+        riprap: {
+            label: 'Riprap armour',
+            paramKey: 'criticalShear',
+            direction: 'increase',
+            unitStep: 1,
+            unitLabel: 'per km per +1 Pa',
+            defaultUnitCost: 60000,
+            decimals: 2
+        },
+        realignment: {
+            label: 'Bend easing',
+            paramKey: 'curvature',
+            direction: 'decrease',
+            unitStep: 0.1,
+            unitLabel: 'per km per −0.1 curvature',
+            defaultUnitCost: 120000,
+            decimals: 3
+        }
+    },
+    riprapShields: 0.047,         // critical Shields number for riprap-equivalent D50
+    riprapDensity: 2650,          // kg/m³
+    defaultBudget: 500000,
+    budgetResolution: 1000        // knapsack cost bins
+};
+
+// ========================================
+// Sensitivity Analysis Configuration
+// ========================================
+
+const SENSITIVITY_CONFIG = {
+    parameters: ['baseSlope', 'manningN', 'criticalShear', 'channelWidth', 'curvature', 'bankHeight', 'vegDensity'],
+    logScaleParameters: ['baseSlope', 'channelWidth'],
+    defaultRangeMode: 'local',
+    localFraction: 0.25,          // ± fraction of the segment value in 'local' mode
+    defaultSamples: 256,
+    maxSamples: 4096,
+    seed: 7919,
+    lowColor: '#60a5fa',
+    highColor: '#f97316'
+};
+
+// ========================================
+// Flood Frequency Configuration
+// ========================================
+
+const FLOOD_FREQUENCY_CONFIG = {
+    returnPeriods: [2, 10, 50, 100],   // years
+    minRecords: 5,
+    defaultDistribution: 'lp3',
+    defaultGaugeId: 'default',
+    distributions: [
+        { id: 'gumbel', label: 'Gumbel (EV1)' },
+        { id: 'lp3', label: 'Log-Pearson III' }
+    ]
+};
+
+// ========================================
+// Unit Systems
+// ========================================
+
+const UNIT_CONFIG = {
+    storageKey: 'riverRisk.displayUnits',
+    defaultDisplaySystem: 'si',
+    defaultInputSystem: 'si',
+    // Factor converting one of each unit to the SI unit of its quantity
+    units: {
+        'm': { quantity: 'length', toSI: 1, label: 'm' },
+        'ft': { quantity: 'length', toSI: 0.3048, label: 'ft' },
+        'km': { quantity: 'length', toSI: 1000, label: 'km' },
+        'mi': { quantity: 'length', toSI: 1609.344, label: 'mi' },
+        'mm': { quantity: 'length', toSI: 0.001, label: 'mm' },
+        'in': { quantity: 'length', toSI: 0.0254, label: 'in' },
+        'm3/s': { quantity: 'discharge', toSI: 1, label: 'm³/s' },
+        'cfs': { quantity: 'discharge', toSI: 0.028316846592, label: 'cfs' },
+        'Pa': { quantity: 'shearStress', toSI: 1, label: 'Pa' },
+        'psf': { quantity: 'shearStress', toSI: 47.88025898, label: 'lb/ft²' },
+        'm/s': { quantity: 'velocity', toSI: 1, label: 'm/s' },
+        'ft/s': { quantity: 'velocity', toSI: 0.3048, label: 'ft/s' },
+        'kg/m3': { quantity: 'density', toSI: 1, label: 'kg/m³' },
+        'lb/ft3': { quantity: 'density', toSI: 16.01846337, label: 'lb/ft³' },
+        'm/yr': { quantity: 'retreatRate', toSI: 1, label: 'm/yr' },
+        'ft/yr': { quantity: 'retreatRate', toSI: 0.3048, label: 'ft/yr' },
+        'm2/yr': { quantity: 'areaRate', toSI: 1, label: 'm²/yr' },
+        'ft2/yr': { quantity: 'areaRate', toSI: 0.09290304, label: 'ft²/yr' },
+        'm3/yr': { quantity: 'volumeRate', toSI: 1, label: 'm³/yr' },
+        'ft3/yr': { quantity: 'volumeRate', toSI: 0.028316846592, label: 'ft³/yr' },
+        'kg/s/m': { quantity: 'transport', toSI: 1, label: 'kg/s/m' },
+        'lb/s/ft': { quantity: 'transport', toSI: 1.488163944, label: 'lb/s/ft' }
+    },
+    systems: [
+        {
+            id: 'si',
+            label: 'SI (m, m³/s, Pa)',
+            units: {
+                length: 'm', grainSize: 'm', discharge: 'm3/s', shearStress: 'Pa', velocity: 'm/s', density: 'kg/m3',
+                retreatRate: 'm/yr', areaRate: 'm2/yr', volumeRate: 'm3/yr', transport: 'kg/s/m'
+            }
+        },
+        {
+            id: 'us',
+            label: 'US customary (ft, cfs, lb/ft²)',
+            units: {
+                length: 'ft', grainSize: 'in', discharge: 'cfs', shearStress: 'psf', velocity: 'ft/s', density: 'lb/ft3',
+                retreatRate: 'ft/yr', areaRate: 'ft2/yr', volumeRate: 'ft3/yr', transport: 'lb/s/ft'
+            }
+        }
+    ],
+    // Dimensional input properties, converted to SI at ingest
+    inputProperties: {
+        channel_width: 'length',
+        lidar_avg_bank_height_m: 'length',
+        bankfull_depth: 'length',
+        floodplain_width: 'length',
+        upstream_elevation: 'length',
+        downstream_elevation: 'length',
+        reach_length_m: 'length',
+        d50: 'grainSize',
+        d90: 'grainSize',
+        critical_shear: 'shearStress',
+        sediment_density: 'density',
+        source_discharge: 'discharge',
+        tributary_inflow: 'discharge',
+        lateral_inflow: 'discharge',
+        inflow: 'discharge'
+    },
+    // Dimensional members of properties.calculated
+    calculatedFields: {
+        discharge: 'discharge',
+        routedDischarge: 'discharge',
+        upstreamInflow: 'discharge',
+        localInflow: 'discharge',
+        mainChannelDischarge: 'discharge',
+        floodplainDischarge: 'discharge',
+        shearStress: 'shearStress',
+        adjustedCriticalShear: 'shearStress',
+        bankShear: 'shearStress',
+        velocity: 'velocity',
+        floodplainVelocity: 'velocity',
+        flowDepth: 'length',
+        hydraulicRadius: 'length',
+        criticalDepth: 'length',
+        specificEnergy: 'length',
+        bankHeight: 'length',
+        floodplainDepth: 'length',
+        inundatedWidth: 'length',
+        segmentLength: 'length',
+        bedloadCapacity: 'transport',
+        totalLoadCapacity: 'transport',
+        bankRetreatRate: 'retreatRate',
+        bankVolumeLossPerMetre: 'areaRate',
+        bankVolumeLoss: 'volumeRate'
+    },
+    // LiDAR columns whose name carries the unit; unsuffixed bank_height follows the file's system
+    lidarLengthColumns: { bank_height_m: 'm', bank_height_ft: 'ft', bank_height: null }
+};
+
+// ========================================
+// Chart Configuration
+// ========================================
+
+const CHART_CONFIG = {
+    width: 400,
+    height: 220,
+    padding: { top: 12, right: 12, bottom: 34, left: 48 },
+    palette: ['#60a5fa', '#f472b6', '#facc15', '#34d399', '#a78bfa', '#fb923c', '#22d3ee', '#f87171'],
+    axisColor: '#6b7280',
+    gridColor: 'rgba(255, 255, 255, 0.08)',
+    textColor: '#9ca3af'
+};
+
 // ========================================
 // Risk Categories & Colors
 // ========================================
@@ -83,6 +674,78 @@ const RISK_CATEGORIES = {
     }
 };
 
+// ========================================
+// Classification Schemes
+// ========================================
+
+// Schemes list classes from lowest to highest risk index. Class i covers
+// [breaks[i - 1], breaks[i]); data-driven methods compute breaks after a run.
+const CLASSIFICATION_CONFIG = {
+    defaultSchemeId: 'default',
+    storageKey: 'riverRisk.classificationSchemes',
+    activeStorageKey: 'riverRisk.activeClassificationScheme',
+    // Risk index at balance; a value on a break goes to the class nearer it
+    neutralIndex: 1.0,
+    methods: [
+        { id: 'fixed', label: 'Fixed breaks' },
+        { id: 'quantile', label: 'Quantile' },
+        { id: 'natural-breaks', label: 'Natural breaks (Jenks)' }
+    ],
+    colorRamp: ['#4338ca', '#6366f1', '#3b82f6', '#22c55e', '#facc15', '#f97316', '#ef4444', '#b91c1c'],
+    builtInSchemes: [
+        {
+            id: 'agency-3',
+            name: 'Agency (3 classes)',
+            method: 'fixed',
+            breaks: [0.9, 1.1],
+            classes: [
+                { name: 'Deposition', color: '#3b82f6', weight: 6 },
+                { name: 'Stable', color: '#22c55e', weight: 4 },
+                { name: 'Erosion', color: '#ef4444', weight: 7 }
+            ]
+        },
+        {
+            id: 'research-7',
+            name: 'Research (7 classes)',
+            method: 'fixed',
+            breaks: [0.4, 0.6, 0.9, 1.1, 1.5, 2.0],
+            classes: [
+                { name: 'Severe Deposition', color: '#4338ca', weight: 7 },
+                { name: 'High Deposition', color: '#6366f1', weight: 6 },
+                { name: 'Medium Deposition', color: '#3b82f6', weight: 5 },
+                { name: 'Stable', color: '#22c55e', weight: 4 },
+                { name: 'Medium Erosion', color: '#f97316', weight: 5 },
+                { name: 'High Erosion', color: '#ef4444', weight: 6 },
+                { name: 'Severe Erosion', color: '#b91c1c', weight: 7 }
+            ]
+        },
+        {
+            id: 'quantile-5',
+            name: 'Quantile (5 classes)',
+            method: 'quantile',
+            classes: [
+                { name: 'Lowest Quintile', color: '#6366f1', weight: 7 },
+                { name: 'Low Quintile', color: '#3b82f6', weight: 6 },
+                { name: 'Middle Quintile', color: '#22c55e', weight: 4 },
+                { name: 'High Quintile', color: '#f97316', weight: 6 },
+                { name: 'Highest Quintile', color: '#ef4444', weight: 7 }
+            ]
+        },
+        {
+            id: 'jenks-5',
+            name: 'Natural Breaks (5 classes)',
+            method: 'natural-breaks',
+            classes: [
+                { name: 'Break Class 1', color: '#6366f1', weight: 7 },
+                { name: 'Break Class 2', color: '#3b82f6', weight: 6 },
+                { name: 'Break Class 3', color: '#22c55e', weight: 4 },
+                { name: 'Break Class 4', color: '#f97316', weight: 6 },
+                { name: 'Break Class 5', color: '#ef4444', weight: 7 }
+            ]
+        }
+    ]
+};
+
 // ========================================
 // Map Configuration
 // ========================================
@@ -98,6 +761,13 @@ const MAP_CONFIG = {
         weight: 1,
         fillColor: '#1f2937',
         fillOpacity: 0.5
+    },
+    // Segments without results (skipped by strict validation, solver failures, not yet run)
+    unanalysedStyle: {
+        color: '#9ca3af',
+        weight: 4,
+        opacity: 0.9,
+        dashArray: '4 6'
     }
 };
 
@@ -119,7 +789,8 @@ const DEFAULT_GEOJSON = {
                 critical_shear: 4.5,
                 channel_width: 150,
                 lidar_avg_bank_height_m: 8.0,
-                lidar_riparian_veg_density: 0.8
+                lidar_riparian_veg_density: 0.8,
+                downstream_id: 2
             },
             geometry: {
                 type: 'LineString',
@@ -137,7 +808,8 @@ const DEFAULT_GEOJSON = {
                 critical_shear: 2.0,
                 channel_width: 600,
                 lidar_avg_bank_height_m: 15.0,
-                lidar_riparian_veg_density: 0.3
+                lidar_riparian_veg_density: 0.3,
+                downstream_id: 3
             },
             geometry: {
                 type: 'LineString',
@@ -155,7 +827,8 @@ const DEFAULT_GEOJSON = {
                 critical_shear: 1.8,
                 channel_width: 700,
                 lidar_avg_bank_height_m: 12.0,
-                lidar_riparian_veg_density: 0.2
+                lidar_riparian_veg_density: 0.2,
+                downstream_id: 4
             },
             geometry: {
                 type: 'LineString',
@@ -0,0 +1,547 @@
+/**
+ * Cross Sections Module
+ * Imports surveyed station-elevation cross sections, snaps them to river
+ * segments and derives channel geometry from them
+ *
+ * Two formats are read:
+ *   CSV        one row per point: section_id, station, elevation, and optionally
+ *              segment_id, latitude / longitude and a bank column marking the
+ *              left (L) and right (R) bank stations
+ *   HEC-RAS    geometry text (.g01 ...): "Type RM Length L Ch R" cross sections
+ *              with #Sta/Elev, Bank Sta and, when in WGS 84, XS GIS Cut Line
+ * Stations run left to right looking downstream. Without bank stations the
+ * highest point on each side of the thalweg is taken as the bank top.
+ *
+ * Each section is reduced to an equivalent trapezoid with the same bankfull
+ * area, depth and side slopes, so channel_width is the trapezoid's bottom
+ * width as getChannelGeometry expects.
+ */
+
+/**
+ * Elevation at a station by linear interpolation (ends extend flat)
+ */
+function interpolateSectionElevation(points, station) {
+    if (station <= points[0].station) return points[0].elevation;
+    
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (station <= b.station) {
+            return b.station > a.station
+                ? a.elevation + (b.elevation - a.elevation) * (station - a.station) / (b.station - a.station)
+                : b.elevation;
+        }
+    }
+    
+    return points[points.length - 1].elevation;
+}
+
+/**
+ * Flow area, wetted perimeter and top width below a water level
+ * between two stations; ends higher than the water level are closed by
+ * vertical walls when walls is set
+ */
+function calculateSectionFlow(points, stage, fromStation = -Infinity, toStation = Infinity, walls = false) {
+    let area = 0;
+    let perimeter = 0;
+    let topWidth = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+        let a = points[i - 1];
+        let b = points[i];
+        if (b.station <= fromStation || a.station >= toStation) continue;
+        
+        // Clip the edge to the station range
+        if (a.station < fromStation) a = { station: fromStation, elevation: interpolateSectionElevation(points, fromStation) };
+        if (b.station > toStation) b = { station: toStation, elevation: interpolateSectionElevation(points, toStation) };
+        
+        const depthA = stage - a.elevation;
+        const depthB = stage - b.elevation;
+        if (depthA <= 0 && depthB <= 0) continue;
+        
+        const width = b.station - a.station;
+        let wetWidth = width;
+        let wetLength = Math.hypot(width, b.elevation - a.elevation);
+        
+        if (depthA < 0 || depthB < 0) {
+            // Partly wet: keep the part below the water level
+            const fraction = Math.max(depthA, depthB) / (Math.abs(depthA) + Math.abs(depthB));
+            wetWidth = width * fraction;
+            wetLength *= fraction;
+            area += wetWidth * Math.max(depthA, depthB) / 2;
+        } else {
+            area += width * (depthA + depthB) / 2;
+        }
+        
+        perimeter += wetLength;
+        topWidth += wetWidth;
+    }
+    
+    if (walls) {
+        const first = points.find(point => point.station >= fromStation) || points[0];
+        const last = points.slice().reverse().find(point => point.station <= toStation) || points[points.length - 1];
+        perimeter += Math.max(0, stage - first.elevation) + Math.max(0, stage - last.elevation);
+    }
+    
+    return { area: area, perimeter: perimeter, topWidth: topWidth };
+}
+
+/**
+ * First station, walking from one bank toward the thalweg, where the ground
+ * falls to an elevation
+ */
+function findBankFaceCrossing(points, fromIndex, toIndex, elevation) {
+    const step = toIndex > fromIndex ? 1 : -1;
+    
+    for (let i = fromIndex; i !== toIndex; i += step) {
+        const a = points[i];
+        const b = points[i + step];
+        if (a.elevation >= elevation && b.elevation <= elevation) {
+            return a.elevation === b.elevation
+                ? a.station
+                : a.station + (b.station - a.station) * (a.elevation - elevation) / (a.elevation - b.elevation);
+        }
+    }
+    
+    return points[toIndex].station;
+}
+
+/**
+ * Derive bank and channel geometry from one section's points (metres)
+ * Returns thalweg, bank stations and elevations, bankfull stage, depth, area
+ * and top width, left / right bank heights and side slopes (H:V), and the
+ * equivalent trapezoid's bottom width
+ */
+function deriveCrossSectionGeometry(section) {
+    const points = section.points;
+    if (!points || points.length < CROSS_SECTION_CONFIG.minPoints) {
+        throw new Error(`needs at least ${CROSS_SECTION_CONFIG.minPoints} points`);
+    }
+    
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].station < points[i - 1].station) {
+            throw new Error(`stations must increase from left to right (${points[i].station} after ${points[i - 1].station})`);
+        }
+    }
+    
+    const first = points[0].station;
+    const last = points[points.length - 1].station;
+    const hasBanks = section.leftBank !== undefined && section.rightBank !== undefined;
+    if (hasBanks && !(section.leftBank >= first && section.rightBank <= last && section.leftBank < section.rightBank)) {
+        throw new Error(`bank stations ${section.leftBank}, ${section.rightBank} are not within the section (${first} to ${last})`);
+    }
+    
+    // Thalweg: lowest point between the banks (the middle of a flat bed)
+    const between = points.map((point, index) => index)
+        .filter(index => !hasBanks || (points[index].station >= section.leftBank && points[index].station <= section.rightBank));
+    if (between.length === 0) {
+        throw new Error('no points between the bank stations');
+    }
+    const thalwegElevation = Math.min(...between.map(index => points[index].elevation));
+    const lowest = between.filter(index => points[index].elevation === thalwegElevation);
+    const thalweg = lowest[Math.floor((lowest.length - 1) / 2)];
+    
+    let leftIndex = 0;
+    let rightIndex = points.length - 1;
+    for (let i = 0; i <= thalweg; i++) {
+        if (points[i].elevation > points[leftIndex].elevation) leftIndex = i;
+    }
+    for (let i = points.length - 1; i >= thalweg; i--) {
+        if (points[i].elevation > points[rightIndex].elevation) rightIndex = i;
+    }
+    
+    const leftStation = hasBanks ? section.leftBank : points[leftIndex].station;
+    const rightStation = hasBanks ? section.rightBank : points[rightIndex].station;
+    const leftElevation = interpolateSectionElevation(points, leftStation);
+    const rightElevation = interpolateSectionElevation(points, rightStation);
+    const bankfullStage = Math.min(leftElevation, rightElevation);
+    const bankfullDepth = bankfullStage - thalwegElevation;
+    
+    if (!(bankfullDepth > 0)) {
+        throw new Error('no channel below the bank tops');
+    }
+    
+    const flow = calculateSectionFlow(points, bankfullStage, leftStation, rightStation);
+    
+    // Side slopes: run across each bank face between two depth fractions
+    const [lowLevel, highLevel] = CROSS_SECTION_CONFIG.bankFaceLevels;
+    const low = thalwegElevation + lowLevel * bankfullDepth;
+    const high = thalwegElevation + highLevel * bankfullDepth;
+    const rise = (highLevel - lowLevel) * bankfullDepth;
+    // Walk in from the last point outside each bank station
+    let leftFrom = 0;
+    while (leftFrom < thalweg && points[leftFrom + 1].station <= leftStation) leftFrom++;
+    let rightFrom = points.length - 1;
+    while (rightFrom > thalweg && points[rightFrom - 1].station >= rightStation) rightFrom--;
+    const sideSlopeLeft = Math.abs(findBankFaceCrossing(points, leftFrom, thalweg, low) - findBankFaceCrossing(points, leftFrom, thalweg, high)) / rise;
+    const sideSlopeRight = Math.abs(findBankFaceCrossing(points, rightFrom, thalweg, low) - findBankFaceCrossing(points, rightFrom, thalweg, high)) / rise;
+    const sideSlope = (sideSlopeLeft + sideSlopeRight) / 2;
+    
+    // Trapezoid with the same area: A = (b + z D) D
+    const warnings = [];
+    let bottomWidth = flow.area / bankfullDepth - sideSlope * bankfullDepth;
+    if (bottomWidth < PARAMETER_RANGES.channelWidth.min) {
+        warnings.push(`equivalent bottom width ${bottomWidth.toFixed(1)} m raised to ${PARAMETER_RANGES.channelWidth.min} m`);
+        bottomWidth = PARAMETER_RANGES.channelWidth.min;
+    }
+    
+    return {
+        thalwegStation: points[thalweg].station,
+        thalwegElevation: thalwegElevation,
+        leftBankStation: leftStation,
+        rightBankStation: rightStation,
+        leftBankElevation: leftElevation,
+        rightBankElevation: rightElevation,
+        bankSource: hasBanks ? 'surveyed' : 'highest',
+        bankfullStage: bankfullStage,
+        bankfullDepth: bankfullDepth,
+        bankfullArea: flow.area,
+        topWidth: flow.topWidth,
+        bankHeightLeft: leftElevation - thalwegElevation,
+        bankHeightRight: rightElevation - thalwegElevation,
+        sideSlopeLeft: sideSlopeLeft,
+        sideSlopeRight: sideSlopeRight,
+        sideSlope: sideSlope,
+        bottomWidth: bottomWidth,
+        warnings: warnings
+    };
+}
+
+/**
+ * Water level that carries a discharge through a surveyed section
+ * Manning's equation over the whole section, closed by vertical walls at its ends
+ * Returns { stage, depth, area, topWidth, converged }
+ */
+function solveCrossSectionWaterLevel(section, discharge, manningN, baseSlope) {
+    const thalweg = Math.min(...section.points.map(point => point.elevation));
+    const dischargeAt = depth => {
+        const flow = calculateSectionFlow(section.points, thalweg + depth, -Infinity, Infinity, true);
+        return calculateSubsectionDischarge(flow.area, flow.perimeter, manningN, baseSlope);
+    };
+    
+    if (!(discharge > 0) || !(baseSlope > 0)) {
+        return { stage: NaN, depth: NaN, area: NaN, topWidth: NaN, converged: false };
+    }
+    
+    const result = solveMonotonicRoot(dischargeAt, 1.0, discharge);
+    const flow = calculateSectionFlow(section.points, thalweg + result.value, -Infinity, Infinity, true);
+    
+    return {
+        stage: thalweg + result.value,
+        depth: result.value,
+        area: flow.area,
+        topWidth: flow.topWidth,
+        converged: result.converged
+    };
+}
+
+/**
+ * Read CSV cross sections: rows grouped by section_id in file order
+ */
+function parseCrossSectionCSV(text, lengthUnit) {
+    const parsed = parseCSV(text);
+    const mapping = suggestColumnMapping(parsed.header, CSV_CONFIG.crossSectionFields);
+    const required = CSV_CONFIG.crossSectionFields.filter(field => field.required).map(field => field.id);
+    const rows = mapCSVRows(parsed, mapping, required);
+    const sections = new Map();
+    
+    rows.forEach((row, index) => {
+        const id = String(row.section_id);
+        const station = row.station;
+        const elevation = row.elevation;
+        if (typeof station !== 'number' || typeof elevation !== 'number') {
+            throw new Error(`Row ${index + 2}: station and elevation must be numbers`);
+        }
+        
+        if (!sections.has(id)) {
+            sections.set(id, { id: id, source: 'csv', points: [] });
+        }
+        const section = sections.get(id);
+        section.points.push({ station: convertToSI(station, lengthUnit), elevation: convertToSI(elevation, lengthUnit) });
+        
+        if (row.segment_id !== undefined && row.segment_id !== null && section.segmentId === undefined) {
+            section.segmentId = String(row.segment_id);
+        }
+        if (isCoordinateValue(row.latitude) && isCoordinateValue(row.longitude) && section.latitude === undefined) {
+            section.latitude = Number(row.latitude);
+            section.longitude = Number(row.longitude);
+        }
+        
+        const bank = String(row.bank ?? '').trim().toLowerCase();
+        if (bank === 'l' || bank === 'left') section.leftBank = convertToSI(station, lengthUnit);
+        if (bank === 'r' || bank === 'right') section.rightBank = convertToSI(station, lengthUnit);
+    });
+    
+    return Array.from(sections.values());
+}
+
+/**
+ * Split a fixed-width line into numbers
+ */
+function readFixedWidthValues(line, width) {
+    const values = [];
+    for (let i = 0; i < line.length; i += width) {
+        const field = line.slice(i, i + width).trim();
+        if (field !== '') values.push(Number(field));
+    }
+    
+    return values;
+}
+
+/**
+ * Read cross sections from HEC-RAS geometry text
+ * Other node types (bridges, culverts, inline structures) are skipped
+ */
+function parseHecRasGeometry(text, lengthUnit) {
+    const { valueWidth, gisWidth, crossSectionType } = CROSS_SECTION_CONFIG.hecRas;
+    const lines = text.split(/\r\n|\r|\n/);
+    const sections = [];
+    let river = '';
+    let reach = '';
+    let section = null;
+    
+    // Values of a multi-line block: count values, widthwise fields, from line i + 1
+    const readBlock = (start, count, width) => {
+        const values = [];
+        let i = start + 1;
+        while (values.length < count && i < lines.length) {
+            values.push(...readFixedWidthValues(lines[i], width));
+            i++;
+        }
+        if (values.length < count || values.some(value => !isFinite(value))) {
+            throw new Error(`Line ${start + 1}: expected ${count} numbers`);
+        }
+        return values.slice(0, count);
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const [key, ...rest] = line.split('=');
+        const value = rest.join('=');
+        
+        if (key === 'River Reach') {
+            [river, reach] = value.split(',').map(part => part.trim());
+            section = null;
+        } else if (key.startsWith('Type RM Length L Ch R')) {
+            const [type, riverStation] = value.split(',').map(part => part.trim());
+            section = null;
+            if (Number(type) === crossSectionType) {
+                section = { id: `${reach || river} ${riverStation}`, source: 'hec-ras', river: river, reach: reach, riverStation: riverStation, segmentHint: reach || river, points: [] };
+                sections.push(section);
+            }
+        } else if (section && key === '#Sta/Elev') {
+            const values = readBlock(i, 2 * parseInt(value, 10), valueWidth);
+            for (let j = 0; j < values.length; j += 2) {
+                section.points.push({ station: convertToSI(values[j], lengthUnit), elevation: convertToSI(values[j + 1], lengthUnit) });
+            }
+        } else if (section && key === 'Bank Sta') {
+            const [left, right] = value.split(',').map(Number);
+            if (isFinite(left) && isFinite(right)) {
+                section.leftBank = convertToSI(left, lengthUnit);
+                section.rightBank = convertToSI(right, lengthUnit);
+            }
+        } else if (section && key === 'XS GIS Cut Line') {
+            const values = readBlock(i, 2 * parseInt(value, 10), gisWidth);
+            const coords = [];
+            for (let j = 0; j < values.length; j += 2) coords.push([values[j], values[j + 1]]);
+            
+            // Cut lines are in the project's coordinate system; only WGS 84 can be placed
+            if (coords.length > 0 && coords.every(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90)) {
+                const middle = getPointAlongPath(coords, calculatePathLength(coords) / 2);
+                section.longitude = middle[0];
+                section.latitude = middle[1];
+            }
+        }
+    }
+    
+    return sections;
+}
+
+/**
+ * Parse a cross-section file, detecting HEC-RAS geometry text or CSV
+ * Stations and elevations are in the given unit system and are returned in metres
+ */
+function parseCrossSections(text, system = UNIT_CONFIG.defaultInputSystem) {
+    const lengthUnit = getSystemUnit('length', system);
+    const isHecRas = /^#Sta\/Elev=/m.test(text);
+    const sections = isHecRas ? parseHecRasGeometry(text, lengthUnit) : parseCrossSectionCSV(text, lengthUnit);
+    
+    if (sections.length === 0) {
+        throw new Error('No cross sections found');
+    }
+    
+    return { format: isHecRas ? 'hec-ras' : 'csv', sections: sections };
+}
+
+/**
+ * Distance (m) from a location to a feature's line, with the chainage of the nearest point
+ */
+function measureDistanceToLine(geometry, lon, lat) {
+    let best = { distance: Infinity, chainage: 0 };
+    let chainage = 0;
+    
+    getLineParts(geometry).forEach(part => {
+        for (let i = 1; i < part.length; i++) {
+            const edge = haversineDistance(part[i - 1][1], part[i - 1][0], part[i][1], part[i][0]);
+            const distance = calculatePointToSegmentDistance([lon, lat], part[i - 1], part[i]);
+            if (distance < best.distance) {
+                const toStart = haversineDistance(lat, lon, part[i - 1][1], part[i - 1][0]);
+                const along = Math.sqrt(Math.max(0, toStart * toStart - distance * distance));
+                best = { distance: distance, chainage: chainage + Math.min(edge, along) };
+            }
+            chainage += edge;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Features a section belongs to: [{ index, distance, chainage }]
+ * Sections naming a segment (by id or name) go to it, or to its reaches;
+ * located sections go to the nearest line within maxDistance. A HEC-RAS reach
+ * name is only a segmentHint: when no segment has that name, a located section
+ * is snapped by location instead.
+ */
+function snapCrossSection(riverGeoJSON, section, maxDistance) {
+    const located = section.latitude !== undefined && section.longitude !== undefined;
+    const nameKey = section.segmentId !== undefined ? 'segmentId' : section.segmentHint !== undefined ? 'segmentHint' : null;
+    let candidates = riverGeoJSON.features
+        .map((feature, index) => ({ feature, index }))
+        .filter(({ feature }) => feature.geometry && feature.geometry.type !== 'Point');
+    let matchedByName = false;
+    
+    if (nameKey) {
+        const id = section[nameKey];
+        const named = candidates.filter(({ feature, index }) => {
+            const props = feature.properties || {};
+            return getSegmentId(feature, index) === id || String(props.parent_id) === id || props.name === id;
+        });
+        
+        if (named.length > 0) {
+            // A section matched by name keeps the segment's id, so later snaps to reaches find it
+            const byName = named.find(({ feature }) => feature.properties.name === id && feature.properties.parent_id === undefined);
+            if (byName && named.length === 1) {
+                section[nameKey] = getSegmentId(byName.feature, byName.index);
+            }
+            
+            if (!located) {
+                return { matches: named.map(({ index }) => ({ index: index, distance: null, chainage: null })) };
+            }
+            candidates = named;
+            matchedByName = true;
+        } else if (nameKey === 'segmentId' || !located) {
+            return { matches: [], reason: `no segment "${id}"` };
+        }
+    } else if (!located) {
+        return { matches: [], reason: 'no segment id or location' };
+    }
+    
+    const measured = candidates.map(({ feature, index }) => ({ index, ...measureDistanceToLine(feature.geometry, section.longitude, section.latitude) }));
+    const nearest = measured.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best), { distance: Infinity });
+    
+    if (!matchedByName && !(nearest.distance <= maxDistance)) {
+        return { matches: [], reason: `nearest segment ${isFinite(nearest.distance) ? Math.round(nearest.distance) : '∞'} m away` };
+    }
+    
+    return { matches: [nearest] };
+}
+
+/**
+ * Snap sections to segments and set their channel geometry
+ * Each segment takes the median over its sections of:
+ *   channel_width        equivalent trapezoid bottom width (m)
+ *   bankfull_depth       lower bank top above the thalweg (m)
+ *   side_slope           mean of the left and right bank face slopes (H:V)
+ *   bank_height_left_m, bank_height_right_m
+ * and lidar_avg_bank_height_m when it has none. The sections themselves are
+ * kept in properties.cross_sections for viewing; the collection's
+ * crossSectionMerge member summarises the import.
+ */
+function applyCrossSections(riverGeoJSON, sections, options = {}) {
+    if (!riverGeoJSON || !riverGeoJSON.features) {
+        throw new Error('Invalid river GeoJSON');
+    }
+    
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : CROSS_SECTION_CONFIG.maxSnapDistanceM;
+    if (!(maxDistance > 0)) {
+        throw new Error('Maximum snap distance must be positive');
+    }
+    
+    const summary = { sections: sections.length, snapped: 0, segments: 0, maxDistanceM: maxDistance, unsnapped: [], invalid: [], warnings: [] };
+    const byFeature = new Map();
+    
+    riverGeoJSON.features.forEach(feature => {
+        if (feature.properties) delete feature.properties.cross_sections;
+    });
+    
+    sections.forEach(section => {
+        let geometry;
+        try {
+            geometry = deriveCrossSectionGeometry(section);
+        } catch (error) {
+            summary.invalid.push({ id: section.id, message: error.message });
+            return;
+        }
+        
+        const snap = snapCrossSection(riverGeoJSON, section, maxDistance);
+        if (snap.matches.length === 0) {
+            summary.unsnapped.push({ id: section.id, reason: snap.reason });
+            return;
+        }
+        
+        summary.snapped++;
+        geometry.warnings.forEach(warning => summary.warnings.push(`${section.id}: ${warning}`));
+        snap.matches.forEach(match => {
+            if (!byFeature.has(match.index)) byFeature.set(match.index, []);
+            byFeature.get(match.index).push({ section, geometry, match });
+        });
+    });
+    
+    const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+    const median = values => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+    
+    byFeature.forEach((entries, index) => {
+        const props = riverGeoJSON.features[index].properties;
+        const of = key => median(entries.map(entry => entry.geometry[key]));
+        
+        props.channel_width = round(of('bottomWidth'), 1);
+        props.bankfull_depth = round(of('bankfullDepth'), 2);
+        props.side_slope = round(of('sideSlope'), 2);
+        props.bank_height_left_m = round(of('bankHeightLeft'), 2);
+        props.bank_height_right_m = round(of('bankHeightRight'), 2);
+        if (props.lidar_avg_bank_height_m === undefined || props.lidar_avg_bank_height_m === null) {
+            props.lidar_avg_bank_height_m = round((props.bank_height_left_m + props.bank_height_right_m) / 2, 2);
+        }
+        
+        props.cross_sections = entries
+            .sort((a, b) => (a.match.chainage || 0) - (b.match.chainage || 0))
+            .map(({ section, geometry, match }) => ({
+                id: section.id,
+                source: section.source,
+                chainageM: match.chainage !== null ? Math.round(match.chainage) : null,
+                snapDistanceM: match.distance !== null ? round(match.distance, 1) : null,
+                points: section.points.map(point => [round(point.station, 3), round(point.elevation, 3)]),
+                geometry: Object.fromEntries(Object.entries(geometry)
+                    .map(([key, value]) => [key, typeof value === 'number' ? round(value, 3) : value]))
+            }));
+        
+        summary.segments++;
+    });
+    
+    riverGeoJSON.crossSectionMerge = summary;
+    return riverGeoJSON;
+}
+
+/**
+ * Stored section as { points: [{ station, elevation }] } for the solvers
+ */
+function getStoredCrossSection(stored) {
+    return { ...stored, points: stored.points.map(([station, elevation]) => ({ station, elevation })) };
+}
+
+console.log('Cross sections module loaded');
@@ -0,0 +1,301 @@
+/**
+ * CSV Parser Module
+ * RFC 4180 CSV parsing with delimiter, encoding and decimal-comma detection,
+ * and mapping of arbitrary headers onto the fields a loader expects
+ *
+ * Quoted fields may contain delimiters, line breaks and doubled quotes ("").
+ * Rows may end in LF, CRLF or CR. A leading byte order mark is ignored.
+ */
+
+/**
+ * Decode file bytes, detecting the encoding
+ * UTF-8 and UTF-16 byte order marks are honoured; otherwise the bytes are
+ * read as UTF-8, falling back to Windows-1252 when they are not valid UTF-8
+ */
+function decodeCSVBytes(buffer) {
+    const bytes = new Uint8Array(buffer);
+    
+    let encoding = null;
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        encoding = 'utf-8';
+    } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        encoding = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        encoding = 'utf-16be';
+    }
+    
+    if (encoding) {
+        return { text: new TextDecoder(encoding).decode(bytes), encoding: encoding, bom: true };
+    }
+    
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8', bom: false };
+    } catch (error) {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252', bom: false };
+    }
+}
+
+/**
+ * Split CSV text into rows of raw field strings
+ * Blank lines are skipped; parsing stops after maxRows rows
+ */
+function parseCSVRows(text, delimiter, maxRows = Infinity) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let wasQuoted = false;
+    let line = 1;
+    let quoteLine = 1;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || field !== '' || wasQuoted) {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+        wasQuoted = false;
+    };
+    
+    while (i < text.length && rows.length < maxRows) {
+        const c = text[i];
+        
+        if (quoted) {
+            if (c === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                quoted = false;
+            } else {
+                if (c === '\n') line++;
+                field += c;
+            }
+            i++;
+            continue;
+        }
+        
+        if (c === '"' && field === '' && !wasQuoted) {
+            quoted = true;
+            wasQuoted = true;
+            quoteLine = line;
+            i++;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+            wasQuoted = false;
+            i++;
+        } else if (c === '\r' || c === '\n') {
+            endRow();
+            line++;
+            i += c === '\r' && text[i + 1] === '\n' ? 2 : 1;
+        } else {
+            field += c;
+            i++;
+        }
+    }
+    
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+    
+    if ((field !== '' || row.length > 0 || wasQuoted) && rows.length < maxRows) {
+        endRow();
+    }
+    
+    return rows;
+}
+
+/**
+ * Pick the delimiter that splits the first rows into the most consistent columns
+ */
+function detectCSVDelimiter(text) {
+    let best = { delimiter: CSV_CONFIG.delimiters[0], score: -1 };
+    
+    CSV_CONFIG.delimiters.forEach(delimiter => {
+        let rows;
+        try {
+            rows = parseCSVRows(text, delimiter, CSV_CONFIG.sniffRows);
+        } catch (error) {
+            return;
+        }
+        
+        const columns = rows.length > 0 ? rows[0].length : 0;
+        if (columns < 2) return;
+        
+        // Share of rows matching the header's column count, then more columns wins
+        const consistent = rows.filter(row => row.length === columns).length / rows.length;
+        const score = consistent * 1000 + columns;
+        if (score > best.score) {
+            best = { delimiter: delimiter, score: score };
+        }
+    });
+    
+    return best.delimiter;
+}
+
+/**
+ * True when numeric fields use a decimal comma (e.g. "12,5" in a semicolon file)
+ */
+function detectDecimalComma(rows, delimiter) {
+    if (delimiter === ',') {
+        return false;
+    }
+    
+    let commas = 0;
+    let points = 0;
+    rows.slice(1, CSV_CONFIG.sniffRows).forEach(row => row.forEach(value => {
+        const trimmed = value.trim();
+        if (/^[-+]?\d*,\d+$/.test(trimmed)) commas++;
+        if (/^[-+]?\d*\.\d+$/.test(trimmed)) points++;
+    }));
+    
+    return commas > 0 && points === 0;
+}
+
+/**
+ * Convert a field to a number when it is numeric, otherwise return it trimmed
+ * Empty fields are null so they read as missing rather than as text
+ */
+function parseCSVValue(value, decimalComma = false) {
+    const trimmed = value === undefined ? '' : String(value).trim();
+    if (trimmed === '') {
+        return null;
+    }
+    
+    const number = Number(decimalComma ? trimmed.replace(',', '.') : trimmed);
+    return isFinite(number) ? number : trimmed;
+}
+
+/**
+ * Parse CSV text into { header, rows, delimiter, decimalComma }
+ * options.delimiter and options.decimalComma override detection
+ */
+function parseCSV(text, options = {}) {
+    const delimiter = options.delimiter || detectCSVDelimiter(text);
+    const rows = parseCSVRows(text, delimiter);
+    
+    if (rows.length < 2) {
+        throw new Error('CSV must contain header and at least one data row');
+    }
+    
+    return {
+        header: rows[0].map(column => column.trim()),
+        rows: rows.slice(1),
+        delimiter: delimiter,
+        decimalComma: options.decimalComma !== undefined ? options.decimalComma : detectDecimalComma(rows, delimiter)
+    };
+}
+
+/**
+ * Normalise a header for alias matching: "Bank Ht (ft)" -> "bank_ht_ft"
+ */
+function normalizeHeaderName(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Suggest a column for each field: { fieldId: columnIndex }
+ * Exact field names are matched before aliases; each column is used once
+ */
+function suggestColumnMapping(header, fields) {
+    const normalised = header.map(normalizeHeaderName);
+    const used = new Set();
+    const mapping = {};
+    
+    const claim = (field, name) => {
+        const index = normalised.findIndex((column, i) => column === name && !used.has(i));
+        if (index !== -1 && mapping[field.id] === undefined) {
+            mapping[field.id] = index;
+            used.add(index);
+        }
+    };
+    
+    fields.forEach(field => claim(field, field.id));
+    fields.forEach(field => field.aliases.forEach(alias => claim(field, normalizeHeaderName(alias))));
+    
+    return mapping;
+}
+
+/**
+ * Parse a "field=Header,field=Header" mapping against a header row
+ */
+function parseColumnMappingSpec(spec, header, fields) {
+    const mapping = {};
+    
+    String(spec).split(',').map(item => item.trim()).filter(item => item !== '').forEach(item => {
+        const [field, column] = item.split('=').map(part => part && part.trim());
+        if (!fields.some(candidate => candidate.id === field)) {
+            throw new Error(`Unknown field "${field}" (expected ${fields.map(candidate => candidate.id).join(', ')})`);
+        }
+        
+        const index = header.indexOf(column);
+        if (index === -1) {
+            throw new Error(`No column "${column}" in the CSV header`);
+        }
+        
+        mapping[field] = index;
+    });
+    
+    return mapping;
+}
+
+/**
+ * Turn parsed rows into objects
+ * Mapped fields take their column's value; unmapped columns keep their header
+ * name. Rows with an empty required field are dropped.
+ */
+function mapCSVRows(parsed, mapping, requiredFields = []) {
+    const missing = requiredFields.filter(field => mapping[field] === undefined || mapping[field] === null);
+    if (missing.length > 0) {
+        throw new Error(`Missing required columns: ${missing.join(', ')}`);
+    }
+    
+    const mappedColumns = new Set(Object.values(mapping));
+    const data = [];
+    
+    parsed.rows.forEach(values => {
+        const obj = {};
+        
+        parsed.header.forEach((column, idx) => {
+            if (!mappedColumns.has(idx)) {
+                obj[column] = parseCSVValue(values[idx], parsed.decimalComma);
+            }
+        });
+        
+        Object.entries(mapping).forEach(([field, idx]) => {
+            obj[field] = parseCSVValue(values[idx], parsed.decimalComma);
+        });
+        
+        if (requiredFields.every(field => obj[field] !== null)) {
+            data.push(obj);
+        }
+    });
+    
+    if (data.length === 0) {
+        throw new Error('No valid data rows found in CSV');
+    }
+    
+    return data;
+}
+
+/**
+ * Parse CSV text into array of objects keyed by header
+ */
+function parseCSVText(csvText, requiredColumns = ['segment_id', 'latitude', 'longitude']) {
+    const parsed = parseCSV(csvText);
+    const mapping = {};
+    
+    parsed.header.forEach((column, idx) => {
+        if (mapping[column] === undefined) {
+            mapping[column] = idx;
+        }
+    });
+    
+    return mapCSVRows(parsed, mapping, requiredColumns);
+}
+
+console.log('CSV parser module loaded');
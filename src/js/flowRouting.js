@@ -0,0 +1,269 @@
+/**
+ * Flow Routing Module
+ * Accumulates discharge down a connected river network
+ *
+ * Topology comes from each segment's downstream_id property, or is inferred
+ * when a segment's last vertex meets another segment's first vertex.
+ * Inflows:
+ *   source_discharge   discharge entering a headwater segment (m³/s);
+ *                      headwaters without it take the upstream boundary discharge
+ *   tributary_inflow   point inflow at the segment's upstream end (m³/s)
+ *   lateral_inflow     distributed inflow along the segment (m³/s)
+ *   Point features with an inflow property are tributary point sources, attached
+ *   to their segment_id or snapped to the nearest segment.
+ * Each segment is analysed at the discharge leaving its downstream end.
+ */
+
+/**
+ * Check whether a feature is a river line segment
+ */
+function isLineFeature(feature) {
+    return !!feature && !!feature.geometry &&
+        (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString');
+}
+
+/**
+ * Get first and last vertices of a line feature
+ */
+function getLineEndpoints(geometry) {
+    const parts = getLineParts(geometry).filter(part => part.length > 0);
+    if (parts.length === 0) return null;
+    
+    const lastPart = parts[parts.length - 1];
+    return {
+        start: parts[0][0],
+        end: lastPart[lastPart.length - 1]
+    };
+}
+
+/**
+ * Distance from a point to the nearest vertex of a line feature (m)
+ */
+function calculateVertexDistance(lon, lat, geometry) {
+    let minDistance = Infinity;
+    
+    getLineParts(geometry).forEach(part => {
+        part.forEach(coord => {
+            minDistance = Math.min(minDistance, haversineDistance(lat, lon, coord[1], coord[0]));
+        });
+    });
+    
+    return minDistance;
+}
+
+/**
+ * Build network topology for the line segments of a FeatureCollection
+ */
+function buildRiverNetwork(geojsonData) {
+    const segments = {};
+    const warnings = [];
+    
+    geojsonData.features.forEach((feature, index) => {
+        if (!isLineFeature(feature)) return;
+        
+        const id = getSegmentId(feature, index);
+        segments[id] = {
+            id: id,
+            feature: feature,
+            endpoints: getLineEndpoints(feature.geometry),
+            downstream: null,
+            upstream: [],
+            pointInflow: 0
+        };
+    });
+    
+    const ids = Object.keys(segments);
+    
+    // Downstream links: declared first, inferred from shared endpoints otherwise
+    ids.forEach(id => {
+        const segment = segments[id];
+        const props = segment.feature.properties || {};
+        
+        if (props.downstream_id !== undefined) {
+            if (props.downstream_id === null || props.downstream_id === '') return;
+            
+            const target = String(props.downstream_id);
+            if (segments[target] && target !== id) {
+                segment.downstream = target;
+            } else {
+                warnings.push(`Segment ${id}: downstream_id ${target} does not match a segment`);
+            }
+            return;
+        }
+        
+        if (!segment.endpoints) return;
+        
+        const [endLon, endLat] = segment.endpoints.end;
+        let best = null;
+        let bestDistance = ROUTING_CONFIG.endpointToleranceM;
+        
+        ids.forEach(otherId => {
+            if (otherId === id || !segments[otherId].endpoints) return;
+            const [startLon, startLat] = segments[otherId].endpoints.start;
+            const distance = haversineDistance(endLat, endLon, startLat, startLon);
+            if (distance <= bestDistance) {
+                best = otherId;
+                bestDistance = distance;
+            }
+        });
+        
+        segment.downstream = best;
+    });
+    
+    ids.forEach(id => {
+        const downstream = segments[id].downstream;
+        if (downstream) {
+            segments[downstream].upstream.push(id);
+        }
+    });
+    
+    // Tributary point sources
+    geojsonData.features.forEach(feature => {
+        if (!feature || !feature.geometry || feature.geometry.type !== 'Point') return;
+        
+        const props = feature.properties || {};
+        const inflow = parseFloat(props.inflow);
+        if (isNaN(inflow)) return;
+        
+        let target = props.segment_id !== undefined ? String(props.segment_id) : null;
+        
+        if (!target || !segments[target]) {
+            const [lon, lat] = feature.geometry.coordinates;
+            let bestDistance = ROUTING_CONFIG.maxSnapDistanceM;
+            target = null;
+            
+            ids.forEach(id => {
+                const distance = calculateVertexDistance(lon, lat, segments[id].feature.geometry);
+                if (distance <= bestDistance) {
+                    target = id;
+                    bestDistance = distance;
+                }
+            });
+        }
+        
+        if (target) {
+            segments[target].pointInflow += inflow;
+        } else {
+            warnings.push(`Point source ${props.name || props.id || '(unnamed)'} is not within ${ROUTING_CONFIG.maxSnapDistanceM} m of a segment`);
+        }
+    });
+    
+    return { segments: segments, warnings: warnings };
+}
+
+/**
+ * Order segments so every segment comes after all of its upstream segments
+ */
+function getTopologicalOrder(network) {
+    const remaining = {};
+    const queue = [];
+    const order = [];
+    
+    Object.values(network.segments).forEach(segment => {
+        remaining[segment.id] = segment.upstream.length;
+        if (segment.upstream.length === 0) {
+            queue.push(segment.id);
+        }
+    });
+    
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        
+        const downstream = network.segments[id].downstream;
+        if (downstream && --remaining[downstream] === 0) {
+            queue.push(downstream);
+        }
+    }
+    
+    if (order.length < Object.keys(network.segments).length) {
+        const cyclic = Object.keys(remaining).filter(id => remaining[id] > 0);
+        throw new Error(`River network contains a loop involving segments: ${cyclic.join(', ')}`);
+    }
+    
+    return order;
+}
+
+/**
+ * Accumulate discharge down the network from an upstream boundary discharge
+ */
+function routeDischarge(geojsonData, boundaryDischarge) {
+    const network = buildRiverNetwork(geojsonData);
+    const order = getTopologicalOrder(network);
+    const routed = {};
+    
+    order.forEach(id => {
+        const segment = network.segments[id];
+        const props = segment.feature.properties || {};
+        
+        let upstreamInflow;
+        if (segment.upstream.length > 0) {
+            upstreamInflow = segment.upstream.reduce((sum, upId) => sum + routed[upId].outflow, 0);
+        } else {
+            const supplied = props.source_discharge !== undefined && props.source_discharge !== null && props.source_discharge !== '';
+            upstreamInflow = supplied ? parseFloat(props.source_discharge) : boundaryDischarge;
+        }
+        
+        const localInflow = (parseFloat(props.tributary_inflow) || 0) +
+            (parseFloat(props.lateral_inflow) || 0) +
+            segment.pointInflow;
+        
+        routed[id] = {
+            upstreamInflow: upstreamInflow,
+            localInflow: localInflow,
+            outflow: upstreamInflow + localInflow,
+            upstream: segment.upstream,
+            downstream: segment.downstream
+        };
+    });
+    
+    return { routed: routed, order: order, warnings: network.warnings };
+}
+
+/**
+ * Calculate risk profile with each segment at its routed discharge
+ * Features outside the network (neither lines nor inflow points) take the
+ * boundary discharge, as in calculateRiskProfile
+ */
+function calculateRoutedRiskProfile(boundaryDischarge, geojsonData, params = {}) {
+    if (!geojsonData || !geojsonData.features) {
+        console.error('Invalid GeoJSON data');
+        return geojsonData;
+    }
+    
+    const routing = routeDischarge(geojsonData, boundaryDischarge);
+    const keys = new Map();
+    geojsonData.features.forEach((feature, index) => {
+        if (isLineFeature(feature)) keys.set(feature, getSegmentId(feature, index));
+    });
+    const routeOf = feature => (keys.has(feature) ? routing.routed[keys.get(feature)] : undefined);
+    
+    const results = calculateRiskProfile(
+        feature => (routeOf(feature) ? routeOf(feature).outflow : boundaryDischarge),
+        geojsonData,
+        params
+    );
+    
+    results.features.forEach(feature => {
+        const route = routeOf(feature);
+        if (!route || !feature.properties.calculated) return;
+        
+        Object.assign(feature.properties.calculated, {
+            routedDischarge: parseFloat(route.outflow.toFixed(1)),
+            upstreamInflow: parseFloat(route.upstreamInflow.toFixed(1)),
+            localInflow: parseFloat(route.localInflow.toFixed(1)),
+            upstreamSegments: route.upstream,
+            downstreamSegment: route.downstream
+        });
+    });
+    
+    results.routing = {
+        boundaryDischarge: boundaryDischarge,
+        order: routing.order,
+        warnings: routing.warnings
+    };
+    
+    return results;
+}
+
+console.log('Flow routing module loaded');
@@ -0,0 +1,796 @@
+/**
+ * GeoTIFF Reader Module
+ * Reads single-band GeoTIFF elevation models and samples them along river segments
+ *
+ * Strip and tile layouts are read, uncompressed or LZW / Deflate compressed,
+ * with horizontal or floating-point predictors. Georeferencing comes from
+ * ModelTiepoint + ModelPixelScale or ModelTransformation, and the coordinate
+ * system from GeoKeys (WGS 84 or WGS 84 / UTM). Only the first band is read.
+ *
+ * Every DEM_CONFIG.stationSpacingM along each line a station samples the
+ * centreline and a cross section reaching past both banks:
+ *   bank_height_m - mean of the left and right bank tops above the channel
+ *                   (lowest sample of the cross section)
+ *   bed_slope     - fall of the centreline profile, fitted over DEM_CONFIG.slopeWindowM
+ * The stations are ordinary LiDAR points for mergeLidarWithRiver, and
+ * attachDemProfiles stores each segment's sampled elevations for charting.
+ */
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8, 17: 8, 18: 8 };
+
+// Deflate (RFC 1951) length and distance code bases and extra bits
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman table from code lengths: { counts, symbols }
+ */
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    lengths.forEach(length => counts[length]++);
+    counts[0] = 0;
+    
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 16; length++) {
+        offsets[length] = offsets[length - 1] + counts[length - 1];
+    }
+    
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length > 0) symbols[offsets[length]++] = symbol;
+    });
+    
+    return { counts: counts, symbols: symbols };
+}
+
+/**
+ * Decompress zlib-wrapped Deflate data (TIFF compression 8)
+ * expectedLength sizes the output; it grows if the data is longer
+ */
+function inflateZlib(input, expectedLength = input.length * 4) {
+    if (input.length < 2 || (input[0] & 0x0F) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0) {
+        throw new Error('Invalid Deflate stream header');
+    }
+    
+    let output = new Uint8Array(Math.max(expectedLength, 1024));
+    let outLength = 0;
+    let position = 2;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    
+    const ensure = extra => {
+        if (outLength + extra <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+        grown.set(output.subarray(0, outLength));
+        output = grown;
+    };
+    
+    const bits = count => {
+        while (bitCount < count) {
+            if (position >= input.length) throw new Error('Deflate stream is truncated');
+            bitBuffer |= input[position++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+    
+    const decodeSymbol = table => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= bits(1);
+            const count = table.counts[length];
+            if (code - count < first) return table.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid Deflate code');
+    };
+    
+    const fixedLengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    const fixedLiterals = buildHuffmanTable(fixedLengths);
+    const fixedDistances = buildHuffmanTable(new Array(30).fill(5));
+    
+    let finalBlock = 0;
+    while (!finalBlock) {
+        finalBlock = bits(1);
+        const type = bits(2);
+        
+        if (type === 0) {
+            // Stored block: skip to the byte boundary
+            bitBuffer = 0;
+            bitCount = 0;
+            const length = input[position] | (input[position + 1] << 8);
+            position += 4;
+            if (position + length > input.length) throw new Error('Deflate stream is truncated');
+            ensure(length);
+            output.set(input.subarray(position, position + length), outLength);
+            outLength += length;
+            position += length;
+            continue;
+        }
+        
+        let literals = fixedLiterals;
+        let distances = fixedDistances;
+        
+        if (type === 2) {
+            const literalCount = bits(5) + 257;
+            const distanceCount = bits(5) + 1;
+            const codeLengthCount = bits(4) + 4;
+            
+            const codeLengths = new Array(19).fill(0);
+            for (let i = 0; i < codeLengthCount; i++) {
+                codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = bits(3);
+            }
+            const codeLengthTable = buildHuffmanTable(codeLengths);
+            
+            const lengths = [];
+            while (lengths.length < literalCount + distanceCount) {
+                const symbol = decodeSymbol(codeLengthTable);
+                if (symbol < 16) {
+                    lengths.push(symbol);
+                } else if (symbol === 16) {
+                    if (lengths.length === 0) throw new Error('Invalid Deflate code lengths');
+                    const previous = lengths[lengths.length - 1];
+                    for (let repeat = 3 + bits(2); repeat > 0; repeat--) lengths.push(previous);
+                } else {
+                    for (let repeat = symbol === 17 ? 3 + bits(3) : 11 + bits(7); repeat > 0; repeat--) lengths.push(0);
+                }
+            }
+            
+            literals = buildHuffmanTable(lengths.slice(0, literalCount));
+            distances = buildHuffmanTable(lengths.slice(literalCount, literalCount + distanceCount));
+        } else if (type !== 1) {
+            throw new Error('Invalid Deflate block type');
+        }
+        
+        for (;;) {
+            const symbol = decodeSymbol(literals);
+            if (symbol < 256) {
+                ensure(1);
+                output[outLength++] = symbol;
+                continue;
+            }
+            if (symbol === 256) break;
+            
+            const lengthCode = symbol - 257;
+            const length = INFLATE_LENGTH_BASE[lengthCode] + bits(INFLATE_LENGTH_EXTRA[lengthCode]);
+            const distanceCode = decodeSymbol(distances);
+            const distance = INFLATE_DISTANCE_BASE[distanceCode] + bits(INFLATE_DISTANCE_EXTRA[distanceCode]);
+            if (distance > outLength) throw new Error('Invalid Deflate distance');
+            
+            ensure(length);
+            for (let i = 0; i < length; i++) {
+                output[outLength] = output[outLength - distance];
+                outLength++;
+            }
+        }
+    }
+    
+    return output.subarray(0, outLength);
+}
+
+/**
+ * Decompress TIFF LZW data (compression 5): MSB-first codes of 9 to 12 bits,
+ * widening one code early as TIFF specifies
+ */
+function decodeTiffLzw(input, expectedLength) {
+    const clearCode = 256;
+    const endCode = 257;
+    const prefixes = new Int32Array(4096);
+    const suffixes = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffixes[i] = i;
+        lengths[i] = 1;
+        prefixes[i] = -1;
+    }
+    
+    let output = new Uint8Array(Math.max(expectedLength, 1024));
+    let outLength = 0;
+    let bitPosition = 0;
+    let codeWidth = 9;
+    let nextCode = 258;
+    let previous = -1;
+    
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < codeWidth; i++) {
+            const byte = input[(bitPosition + i) >> 3];
+            code = (code << 1) | ((byte >> (7 - ((bitPosition + i) & 7))) & 1);
+        }
+        bitPosition += codeWidth;
+        return code;
+    };
+    
+    const writeEntry = code => {
+        const length = lengths[code];
+        if (outLength + length > output.length) {
+            const grown = new Uint8Array(Math.max(output.length * 2, outLength + length));
+            grown.set(output.subarray(0, outLength));
+            output = grown;
+        }
+        for (let i = length - 1, entry = code; i >= 0; i--, entry = prefixes[entry]) {
+            output[outLength + i] = suffixes[entry];
+        }
+        outLength += length;
+    };
+    
+    const firstByte = code => {
+        while (prefixes[code] !== -1) code = prefixes[code];
+        return suffixes[code];
+    };
+    
+    while (bitPosition + codeWidth <= input.length * 8) {
+        const code = readCode();
+        if (code === endCode) break;
+        
+        if (code === clearCode) {
+            codeWidth = 9;
+            nextCode = 258;
+            previous = -1;
+            continue;
+        }
+        
+        if (previous === -1) {
+            if (code > 255) throw new Error('Invalid LZW code');
+            writeEntry(code);
+            previous = code;
+            continue;
+        }
+        
+        if (code > nextCode || nextCode >= 4096) {
+            throw new Error('Invalid LZW code');
+        }
+        
+        // Add previous + first byte of the current entry (or of previous itself for the KwKwK case)
+        prefixes[nextCode] = previous;
+        suffixes[nextCode] = firstByte(code < nextCode ? code : previous);
+        lengths[nextCode] = lengths[previous] + 1;
+        nextCode++;
+        writeEntry(code);
+        previous = code;
+        
+        if (nextCode + 1 >= (1 << codeWidth) && codeWidth < 12) {
+            codeWidth++;
+        }
+    }
+    
+    return output.subarray(0, outLength);
+}
+
+/**
+ * Read one IFD entry's values (inline or at an offset)
+ */
+function readTiffTagValues(view, entryOffset, littleEndian) {
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) {
+        return null;
+    }
+    
+    const offset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+    if (offset + size * count > view.byteLength) {
+        throw new Error('TIFF tag points past the end of the file');
+    }
+    
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) text += String.fromCharCode(view.getUint8(offset + i));
+        return text.replace(/\0+$/, '');
+    }
+    
+    const read = {
+        1: i => view.getUint8(offset + i),
+        3: i => view.getUint16(offset + i * 2, littleEndian),
+        4: i => view.getUint32(offset + i * 4, littleEndian),
+        5: i => view.getUint32(offset + i * 8, littleEndian) / view.getUint32(offset + i * 8 + 4, littleEndian),
+        6: i => view.getInt8(offset + i),
+        7: i => view.getUint8(offset + i),
+        8: i => view.getInt16(offset + i * 2, littleEndian),
+        9: i => view.getInt32(offset + i * 4, littleEndian),
+        10: i => view.getInt32(offset + i * 8, littleEndian) / view.getInt32(offset + i * 8 + 4, littleEndian),
+        11: i => view.getFloat32(offset + i * 4, littleEndian),
+        12: i => view.getFloat64(offset + i * 8, littleEndian)
+    }[type];
+    if (!read) {
+        return null;
+    }
+    
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) values[i] = read(i);
+    return values;
+}
+
+/**
+ * Read the first image file directory: { tagId: values }
+ */
+function readTiffDirectory(view) {
+    const byteOrder = view.byteLength >= 8 ? String.fromCharCode(view.getUint8(0), view.getUint8(1)) : '';
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        throw new Error('Not a TIFF file');
+    }
+    
+    const littleEndian = byteOrder === 'II';
+    const magic = view.getUint16(2, littleEndian);
+    if (magic === 43) {
+        throw new Error('BigTIFF files are not supported; clip the DEM to the river corridor');
+    }
+    if (magic !== 42) {
+        throw new Error('Not a TIFF file');
+    }
+    
+    const ifdOffset = view.getUint32(4, littleEndian);
+    if (ifdOffset + 2 > view.byteLength) {
+        throw new Error('TIFF directory points past the end of the file');
+    }
+    
+    const tags = {};
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        const values = readTiffTagValues(view, entryOffset, littleEndian);
+        if (values !== null) {
+            tags[view.getUint16(entryOffset, littleEndian)] = values;
+        }
+    }
+    
+    return { tags: tags, littleEndian: littleEndian };
+}
+
+/**
+ * Undo the floating-point predictor (3) on one decoded row of bytes
+ * Bytes are differenced across the row, then stored most significant byte plane first
+ */
+function undoFloatPredictor(bytes, offset, width, samplesPerPixel, bytesPerSample, littleEndian) {
+    const rowLength = width * samplesPerPixel * bytesPerSample;
+    const row = bytes.subarray(offset, offset + rowLength);
+    
+    for (let i = samplesPerPixel; i < rowLength; i++) {
+        row[i] = (row[i] + row[i - samplesPerPixel]) & 0xFF;
+    }
+    
+    const shuffled = row.slice();
+    const samples = width * samplesPerPixel;
+    for (let sample = 0; sample < samples; sample++) {
+        for (let b = 0; b < bytesPerSample; b++) {
+            // Plane 0 holds the most significant bytes
+            const target = littleEndian ? bytesPerSample - 1 - b : b;
+            row[sample * bytesPerSample + target] = shuffled[b * samples + sample];
+        }
+    }
+}
+
+/**
+ * Read the first band of a GeoTIFF DEM
+ * Returns { width, height, values (Float32Array, metres, NaN for no data),
+ * crs, toPixel(lon, lat) -> [column, row], pixelSizeM, compression, layout, bounds }
+ */
+function readGeoTiff(buffer) {
+    const view = ArrayBuffer.isView(buffer)
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    const { tags: raw, littleEndian } = readTiffDirectory(view);
+    const T = DEM_CONFIG.tags;
+    const first = tag => (raw[tag] !== undefined ? raw[tag][0] : undefined);
+    
+    const width = first(T.imageWidth);
+    const height = first(T.imageLength);
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('TIFF has no image size');
+    }
+    
+    if (width * height > DEM_CONFIG.maxPixels) {
+        throw new Error(`${width} × ${height} pixels exceeds the limit of ${DEM_CONFIG.maxPixels}; clip the DEM to the river corridor`);
+    }
+    
+    const compressionCode = first(T.compression) || 1;
+    const compression = DEM_CONFIG.compressions[compressionCode];
+    if (!compression) {
+        throw new Error(`Unsupported TIFF compression ${compressionCode} (expected none, LZW or Deflate)`);
+    }
+    
+    const samplesPerPixel = first(T.samplesPerPixel) || 1;
+    const planar = (first(T.planarConfiguration) || 1) === 2;
+    const bitsPerSample = first(T.bitsPerSample) || 1;
+    const sampleFormat = first(T.sampleFormat) || 1;
+    const predictor = first(T.predictor) || 1;
+    const bytesPerSample = bitsPerSample / 8;
+    
+    const sampleReaders = {
+        '1:8': (v, o) => v.getUint8(o),
+        '1:16': (v, o) => v.getUint16(o, littleEndian),
+        '1:32': (v, o) => v.getUint32(o, littleEndian),
+        '2:8': (v, o) => v.getInt8(o),
+        '2:16': (v, o) => v.getInt16(o, littleEndian),
+        '2:32': (v, o) => v.getInt32(o, littleEndian),
+        '3:32': (v, o) => v.getFloat32(o, littleEndian),
+        '3:64': (v, o) => v.getFloat64(o, littleEndian)
+    };
+    const readSample = sampleReaders[`${sampleFormat}:${bitsPerSample}`];
+    if (!readSample) {
+        throw new Error(`Unsupported sample type (format ${sampleFormat}, ${bitsPerSample} bits)`);
+    }
+    
+    if (predictor === 3 && sampleFormat !== 3) {
+        throw new Error('Floating-point predictor on integer samples');
+    }
+    
+    const tiled = raw[T.tileOffsets] !== undefined;
+    const blockWidth = tiled ? first(T.tileWidth) : width;
+    const blockHeight = tiled ? first(T.tileLength) : Math.min(first(T.rowsPerStrip) || height, height);
+    const offsets = raw[tiled ? T.tileOffsets : T.stripOffsets];
+    const byteCounts = raw[tiled ? T.tileByteCounts : T.stripByteCounts];
+    if (!offsets || !byteCounts || !(blockWidth > 0) || !(blockHeight > 0)) {
+        throw new Error('TIFF has no strip or tile layout');
+    }
+    
+    const blocksAcross = Math.ceil(width / blockWidth);
+    const blocksDown = Math.ceil(height / blockHeight);
+    // Planar images store each band's blocks in turn; only the first band is read
+    const pixelStride = planar ? 1 : samplesPerPixel;
+    const rowBytes = blockWidth * pixelStride * bytesPerSample;
+    const blockBytes = rowBytes * blockHeight;
+    
+    const noDataText = raw[T.gdalNoData];
+    const noData = typeof noDataText === 'string' && noDataText.trim() !== '' ? parseFloat(noDataText) : null;
+    
+    const geoKeys = raw[T.geoKeyDirectory]
+        ? parseGeoKeyDirectory(raw[T.geoKeyDirectory], raw[T.geoDoubleParams] || [], raw[T.geoAsciiParams] || '', { doubles: T.geoDoubleParams, ascii: T.geoAsciiParams })
+        : null;
+    if (!geoKeys) {
+        throw new Error('No GeoKey directory: the coordinate system is unknown');
+    }
+    const crs = getGeoKeyCRS(geoKeys);
+    
+    const values = new Float32Array(width * height).fill(NaN);
+    
+    for (let blockIndex = 0; blockIndex < blocksAcross * blocksDown; blockIndex++) {
+        const offset = offsets[blockIndex];
+        const byteCount = byteCounts[blockIndex];
+        if (offset + byteCount > view.byteLength) {
+            throw new Error('TIFF block points past the end of the file');
+        }
+        
+        const stored = new Uint8Array(view.buffer, view.byteOffset + offset, byteCount);
+        let bytes = compression === 'lzw'
+            ? decodeTiffLzw(stored, blockBytes)
+            : compression === 'deflate' ? inflateZlib(stored, blockBytes) : stored.slice();
+        
+        if (bytes.length < blockBytes) {
+            // Short final strips hold only the rows inside the image
+            const padded = new Uint8Array(blockBytes);
+            padded.set(bytes);
+            bytes = padded;
+        }
+        
+        if (predictor === 3) {
+            for (let row = 0; row < blockHeight; row++) {
+                undoFloatPredictor(bytes, row * rowBytes, blockWidth, pixelStride, bytesPerSample, littleEndian);
+            }
+        }
+        
+        const blockView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const column0 = (blockIndex % blocksAcross) * blockWidth;
+        const row0 = Math.floor(blockIndex / blocksAcross) * blockHeight;
+        const integerRange = Math.pow(2, bitsPerSample);
+        
+        for (let row = 0; row < blockHeight && row0 + row < height; row++) {
+            let previous = 0;
+            for (let column = 0; column < blockWidth; column++) {
+                let value = readSample(blockView, row * rowBytes + column * pixelStride * bytesPerSample);
+                
+                if (predictor === 2) {
+                    // Horizontal differencing wraps within the sample's integer range
+                    if (column > 0) {
+                        value = (value + previous) % integerRange;
+                        if (sampleFormat === 2 && value >= integerRange / 2) value -= integerRange;
+                        if (sampleFormat === 2 && value < -integerRange / 2) value += integerRange;
+                        if (sampleFormat === 1 && value < 0) value += integerRange;
+                    }
+                    previous = value;
+                }
+                
+                if (column0 + column < width) {
+                    values[(row0 + row) * width + column0 + column] = value === noData || !isFinite(value)
+                        ? NaN
+                        : value * crs.verticalUnitM;
+                }
+            }
+        }
+    }
+    
+    // Affine pixel -> model transform, with pixel corners at integer positions
+    let transform;
+    if (raw[T.modelTransformation]) {
+        const m = raw[T.modelTransformation];
+        transform = [m[3], m[0], m[1], m[7], m[4], m[5]];
+    } else if (raw[T.modelTiepoint] && raw[T.modelPixelScale]) {
+        const [i, j, , x, y] = raw[T.modelTiepoint];
+        const [scaleX, scaleY] = raw[T.modelPixelScale];
+        transform = [x - i * scaleX, scaleX, 0, y + j * scaleY, 0, -scaleY];
+    } else {
+        throw new Error('GeoTIFF has no georeferencing (ModelTiepoint and ModelPixelScale, or ModelTransformation)');
+    }
+    
+    if (geoKeys[CRS_CONFIG.geoKeys.rasterType] === CRS_CONFIG.rasterPixelIsPoint) {
+        // Tie points name pixel centres; move the origin to the corner
+        transform[0] -= (transform[1] + transform[2]) / 2;
+        transform[3] -= (transform[4] + transform[5]) / 2;
+    }
+    
+    const [x0, a, b, y0, c, d] = transform;
+    const determinant = a * d - b * c;
+    if (determinant === 0) {
+        throw new Error('GeoTIFF georeferencing is degenerate');
+    }
+    
+    const project = createProjectionTransform(crs);
+    const toPixel = (lon, lat) => {
+        const [x, y] = project(lon, lat);
+        return [(d * (x - x0) - b * (y - y0)) / determinant, (a * (y - y0) - c * (x - x0)) / determinant];
+    };
+    const toLonLat = createLonLatTransform(crs);
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+        .map(([col, row]) => toLonLat(x0 + a * col + b * row, y0 + c * col + d * row));
+    const [centreLon, centreLat] = toLonLat(x0 + a * width / 2 + b * height / 2, y0 + c * width / 2 + d * height / 2);
+    const [nextLon, nextLat] = toLonLat(x0 + a * (width / 2 + 1) + b * height / 2, y0 + c * (width / 2 + 1) + d * height / 2);
+    
+    let valid = 0;
+    let minElevation = Infinity;
+    let maxElevation = -Infinity;
+    values.forEach(value => {
+        if (value === value) {
+            valid++;
+            if (value < minElevation) minElevation = value;
+            if (value > maxElevation) maxElevation = value;
+        }
+    });
+    
+    if (valid === 0) {
+        throw new Error('DEM has no valid elevations');
+    }
+    
+    return {
+        width: width,
+        height: height,
+        values: values,
+        crs: crs,
+        toPixel: toPixel,
+        pixelSizeM: haversineDistance(centreLat, centreLon, nextLat, nextLon),
+        compression: compression,
+        layout: tiled ? 'tiles' : 'strips',
+        validPixels: valid,
+        bounds: {
+            minLon: Math.min(...corners.map(corner => corner[0])),
+            maxLon: Math.max(...corners.map(corner => corner[0])),
+            minLat: Math.min(...corners.map(corner => corner[1])),
+            maxLat: Math.max(...corners.map(corner => corner[1])),
+            minElevation: minElevation,
+            maxElevation: maxElevation
+        }
+    };
+}
+
+/**
+ * Elevation (m) at a location, bilinear between pixel centres
+ * Falls back to the nearest pixel next to no-data; null outside the raster
+ */
+function sampleDem(dem, lon, lat) {
+    const [u, v] = dem.toPixel(lon, lat);
+    if (!(u >= 0 && v >= 0 && u < dem.width && v < dem.height)) {
+        return null;
+    }
+    
+    const pixel = (column, row) => dem.values[Math.min(dem.height - 1, Math.max(0, row)) * dem.width + Math.min(dem.width - 1, Math.max(0, column))];
+    const x = u - 0.5;
+    const y = v - 0.5;
+    const column = Math.floor(x);
+    const row = Math.floor(y);
+    const fx = x - column;
+    const fy = y - row;
+    
+    const value = pixel(column, row) * (1 - fx) * (1 - fy) + pixel(column + 1, row) * fx * (1 - fy) +
+        pixel(column, row + 1) * (1 - fx) * fy + pixel(column + 1, row + 1) * fx * fy;
+    if (value === value) {
+        return value;
+    }
+    
+    const nearest = pixel(Math.floor(u), Math.floor(v));
+    return nearest === nearest ? nearest : null;
+}
+
+/**
+ * Location offset metres to the left (negative: right) of a heading
+ */
+function offsetLonLat(lon, lat, heading, offset) {
+    const dx = -heading[1] * offset;
+    const dy = heading[0] * offset;
+    return [
+        lon + (dx / (GEOMETRY_CONFIG.earthRadius * Math.cos(toRadians(lat)))) * 180 / Math.PI,
+        lat + (dy / GEOMETRY_CONFIG.earthRadius) * 180 / Math.PI
+    ];
+}
+
+/**
+ * Sample the centreline and a cross section at one station
+ * heading is the unit flow direction in local metres [east, north]
+ */
+function sampleDemCrossSection(dem, lon, lat, heading, halfWidth) {
+    const step = halfWidth / DEM_CONFIG.transectSamples;
+    const centre = sampleDem(dem, lon, lat);
+    const sides = { left: [], right: [] };
+    
+    for (let i = 1; i <= DEM_CONFIG.transectSamples; i++) {
+        const left = sampleDem(dem, ...offsetLonLat(lon, lat, heading, i * step));
+        const right = sampleDem(dem, ...offsetLonLat(lon, lat, heading, -i * step));
+        if (left !== null) sides.left.push(left);
+        if (right !== null) sides.right.push(right);
+    }
+    
+    const all = sides.left.concat(sides.right, centre !== null ? [centre] : []);
+    if (all.length === 0) {
+        return null;
+    }
+    
+    const channel = all.reduce((min, value) => Math.min(min, value), Infinity);
+    const bankTop = side => (side.length > 0 ? side.reduce((max, value) => Math.max(max, value), -Infinity) : null);
+    
+    return { centre: centre, channel: channel, leftBank: bankTop(sides.left), rightBank: bankTop(sides.right) };
+}
+
+/**
+ * Fall per metre of profile elevations within half a slope window of a station
+ * (least squares); null with too few samples
+ */
+function fitProfileSlope(profile, station) {
+    const window = profile.filter(sample => sample.elevation !== null && Math.abs(sample.distance - station) <= DEM_CONFIG.slopeWindowM / 2);
+    if (window.length < DEM_CONFIG.minSlopeSamples) {
+        return null;
+    }
+    
+    const meanX = window.reduce((sum, sample) => sum + sample.distance, 0) / window.length;
+    const meanZ = window.reduce((sum, sample) => sum + sample.elevation, 0) / window.length;
+    let sxx = 0;
+    let sxz = 0;
+    window.forEach(sample => {
+        sxx += Math.pow(sample.distance - meanX, 2);
+        sxz += (sample.distance - meanX) * (sample.elevation - meanZ);
+    });
+    
+    return sxx > 0 ? -sxz / sxx : null;
+}
+
+/**
+ * Derive bed slope and bank heights at stations along every river segment
+ * Lines run upstream to downstream. Cross sections reach half the segment's
+ * channel width plus DEM_CONFIG.bankMarginM each side. Returns LiDAR points
+ * for mergeLidarWithRiver; stations off the raster are left out.
+ */
+function sampleDemAlongRiver(riverGeoJSON, dem) {
+    if (!riverGeoJSON || !riverGeoJSON.features) {
+        throw new Error('Invalid river GeoJSON');
+    }
+    
+    const round = (value, decimals) => (value === null || value === undefined ? undefined : parseFloat(value.toFixed(decimals)));
+    const stations = [];
+    
+    riverGeoJSON.features.forEach((feature, featureIndex) => {
+        const segmentId = getSegmentId(feature, featureIndex);
+        const channelWidth = validateParameterValue('channelWidth', (feature.properties || {}).channel_width).value;
+        const halfWidth = channelWidth / 2 + DEM_CONFIG.bankMarginM;
+        let chainage = 0;
+        
+        getLineParts(feature.geometry).forEach(part => {
+            const samples = splitPathByLength(part, DEM_CONFIG.stationSpacingM).map(piece => {
+                const centreDistance = (piece.end - piece.start) / 2;
+                const [lon, lat] = getPointAlongPath(piece.coordinates, centreDistance);
+                const start = piece.coordinates[0];
+                const end = piece.coordinates[piece.coordinates.length - 1];
+                const [dx, dy] = projectToLocalMetres([end[0] - start[0], end[1] - start[1]], lat);
+                const length = Math.hypot(dx, dy);
+                const section = length > 0 ? sampleDemCrossSection(dem, lon, lat, [dx / length, dy / length], halfWidth) : null;
+                
+                return { distance: chainage + piece.start + centreDistance, lon: lon, lat: lat, section: section, elevation: section ? section.centre : null };
+            });
+            
+            samples.forEach(sample => {
+                if (!sample.section) return;
+                
+                const { channel, leftBank, rightBank } = sample.section;
+                const heights = [leftBank, rightBank].filter(bank => bank !== null).map(bank => bank - channel);
+                const bankHeight = heights.length > 0 ? heights.reduce((sum, h) => sum + h, 0) / heights.length : null;
+                
+                stations.push({
+                    segment_id: segmentId,
+                    station_m: Math.round(sample.distance),
+                    latitude: sample.lat,
+                    longitude: sample.lon,
+                    bank_height_m: bankHeight > 0 ? round(bankHeight, 2) : undefined,
+                    bank_height_left_m: leftBank !== null ? round(leftBank - channel, 2) : undefined,
+                    bank_height_right_m: rightBank !== null ? round(rightBank - channel, 2) : undefined,
+                    bed_slope: round(fitProfileSlope(samples, sample.distance), 7),
+                    centreline_elevation_m: round(sample.section.centre, 2),
+                    channel_elevation_m: round(channel, 2),
+                    left_bank_elevation_m: round(leftBank, 2),
+                    right_bank_elevation_m: round(rightBank, 2)
+                });
+            });
+            
+            chainage += calculatePathLength(part);
+        });
+    });
+    
+    if (stations.length === 0) {
+        throw new Error('No river segment crosses the DEM');
+    }
+    
+    return stations;
+}
+
+/**
+ * Store each segment's sampled elevations in properties.dem_profile
+ * Reaches made by segmentRiverNetwork take their parent's stations within
+ * their chainage, measured from the reach start.
+ */
+function attachDemProfiles(riverGeoJSON, stations) {
+    const bySegment = {};
+    stations.forEach(station => {
+        (bySegment[station.segment_id] = bySegment[station.segment_id] || []).push(station);
+    });
+    
+    let attached = 0;
+    riverGeoJSON.features.forEach((feature, index) => {
+        const props = feature.properties || {};
+        delete props.dem_profile;
+        
+        const isReach = props.parent_id !== undefined && props.chainage_start_m !== undefined;
+        const start = isReach ? props.chainage_start_m : 0;
+        const own = bySegment[getSegmentId(feature, index)];
+        const selected = own || (isReach ? (bySegment[String(props.parent_id)] || [])
+            .filter(station => station.station_m >= props.chainage_start_m && station.station_m < props.chainage_end_m) : []);
+        if (selected.length === 0) return;
+        
+        props.dem_profile = {
+            spacingM: DEM_CONFIG.stationSpacingM,
+            stations: selected.map(station => ({
+                distanceM: station.station_m - (own ? 0 : start),
+                centrelineM: station.centreline_elevation_m,
+                channelM: station.channel_elevation_m,
+                leftBankM: station.left_bank_elevation_m,
+                rightBankM: station.right_bank_elevation_m
+            }))
+        };
+        attached++;
+    });
+    
+    return attached;
+}
+
+/**
+ * Summary of a DEM for status messages
+ */
+function getDemSummary(dem) {
+    return {
+        width: dem.width,
+        height: dem.height,
+        epsg: dem.crs.epsg,
+        pixelSizeM: parseFloat(dem.pixelSizeM.toFixed(2)),
+        compression: dem.compression,
+        layout: dem.layout,
+        validPixels: dem.validPixels,
+        minElevationM: parseFloat(dem.bounds.minElevation.toFixed(2)),
+        maxElevationM: parseFloat(dem.bounds.maxElevation.toFixed(2))
+    };
+}
+
+console.log('GeoTIFF reader module loaded');
@@ -0,0 +1,282 @@
+/**
+ * Geometry Utilities Module
+ * Geodesic helpers for river segment geometry
+ */
+
+/**
+ * Convert degrees to radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points in metres (haversine)
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.pow(Math.sin(dLat / 2), 2) +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.pow(Math.sin(dLon / 2), 2);
+    
+    return 2 * GEOMETRY_CONFIG.earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Get the coordinate arrays making up a line geometry
+ */
+function getLineParts(geometry) {
+    if (!geometry || !geometry.coordinates) {
+        return [];
+    }
+    
+    if (geometry.type === 'LineString') {
+        return [geometry.coordinates];
+    }
+    
+    if (geometry.type === 'MultiLineString') {
+        return geometry.coordinates;
+    }
+    
+    return [];
+}
+
+/**
+ * Geodesic length of a coordinate array in metres
+ */
+function calculatePathLength(coords) {
+    let length = 0;
+    
+    for (let i = 1; i < coords.length; i++) {
+        length += haversineDistance(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]);
+    }
+    
+    return length;
+}
+
+/**
+ * Geodesic length of a LineString or MultiLineString in metres
+ */
+function calculateLineLength(geometry) {
+    return getLineParts(geometry).reduce((total, part) => total + calculatePathLength(part), 0);
+}
+
+/**
+ * Project [lon, lat] to local planar metres (equirectangular about a reference latitude)
+ */
+function projectToLocalMetres(coord, refLat) {
+    return [
+        GEOMETRY_CONFIG.earthRadius * toRadians(coord[0]) * Math.cos(toRadians(refLat)),
+        GEOMETRY_CONFIG.earthRadius * toRadians(coord[1])
+    ];
+}
+
+/**
+ * Distance in metres from a [lon, lat] point to the line between two [lon, lat] points
+ * Planar about the line's mid latitude, so intended for short lines
+ */
+function calculatePointToSegmentDistance(point, start, end) {
+    const refLat = (start[1] + end[1]) / 2;
+    const [px, py] = projectToLocalMetres(point, refLat);
+    const [ax, ay] = projectToLocalMetres(start, refLat);
+    const [bx, by] = projectToLocalMetres(end, refLat);
+    
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+    
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Radius of the circle through three planar points (Infinity when collinear)
+ */
+function calculateCircumradius(a, b, c) {
+    const ab = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const bc = Math.hypot(c[0] - b[0], c[1] - b[1]);
+    const ca = Math.hypot(a[0] - c[0], a[1] - c[1]);
+    const twiceArea = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+    
+    if (twiceArea < 1e-9) {
+        return Infinity;
+    }
+    
+    return (ab * bc * ca) / (2 * twiceArea);
+}
+
+/**
+ * Inverse transverse Mercator for WGS 84 / UTM: easting and northing (m) to [lon, lat]
+ * Series expansion (Snyder 1987); sub-millimetre within a zone
+ */
+function utmToLonLat(easting, northing, zone, southern = false) {
+    const { semiMajorAxis: a, flattening: f } = CRS_CONFIG.wgs84;
+    const { scaleFactor: k0, falseEasting, falseNorthing } = CRS_CONFIG.utm;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    
+    const x = easting - falseEasting;
+    const y = southern ? northing - falseNorthing : northing;
+    
+    // Footpoint latitude from the meridian arc
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * Math.pow(e2, 3) / 256));
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+        (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+        (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+        (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+    
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const c1 = ep2 * cosPhi * cosPhi;
+    const t1 = Math.tan(phi1) * Math.tan(phi1);
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const d = x / (n1 * k0);
+    
+    const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+        d * d / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+    );
+    const lon = (
+        d -
+        (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+    ) / cosPhi;
+    
+    return [(zone - 1) * 6 - 177 + lon * 180 / Math.PI, lat * 180 / Math.PI];
+}
+
+/**
+ * Forward transverse Mercator for WGS 84 / UTM: [lon, lat] to easting and northing (m)
+ * Krüger series in the third flattening; sub-millimetre within a zone
+ */
+function lonLatToUtm(lon, lat, zone, southern = false) {
+    const { semiMajorAxis: a, flattening: f } = CRS_CONFIG.wgs84;
+    const { scaleFactor: k0, falseEasting, falseNorthing } = CRS_CONFIG.utm;
+    const n = f / (2 - f);
+    const rectifyingRadius = a / (1 + n) * (1 + n * n / 4 + Math.pow(n, 4) / 64);
+    const alpha = [
+        n / 2 - 2 * n * n / 3 + 5 * Math.pow(n, 3) / 16,
+        13 * n * n / 48 - 3 * Math.pow(n, 3) / 5,
+        61 * Math.pow(n, 3) / 240
+    ];
+    
+    const phi = toRadians(lat);
+    const dLambda = toRadians(lon - ((zone - 1) * 6 - 177));
+    const e = 2 * Math.sqrt(n) / (1 + n);
+    const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+    const xi = Math.atan(t / Math.cos(dLambda));
+    const eta = Math.atanh(Math.sin(dLambda) / Math.sqrt(1 + t * t));
+    
+    let x = eta;
+    let y = xi;
+    alpha.forEach((coefficient, j) => {
+        x += coefficient * Math.cos(2 * (j + 1) * xi) * Math.sinh(2 * (j + 1) * eta);
+        y += coefficient * Math.sin(2 * (j + 1) * xi) * Math.cosh(2 * (j + 1) * eta);
+    });
+    
+    return [falseEasting + k0 * rectifyingRadius * x, (southern ? falseNorthing : 0) + k0 * rectifyingRadius * y];
+}
+
+/**
+ * Read a GeoKey directory into { keyId: value }
+ * directory is the array of unsigned shorts (header then 4 per key); values
+ * held elsewhere are taken from doubleParams or asciiParams
+ */
+function parseGeoKeyDirectory(directory, doubleParams = [], asciiParams = '', tags = { doubles: 34736, ascii: 34737 }) {
+    const keys = {};
+    const count = directory[3] || 0;
+    
+    for (let i = 0; i < count; i++) {
+        const [keyId, location, valueCount, value] = Array.from(directory.slice(4 + i * 4, 8 + i * 4));
+        
+        if (location === 0) {
+            keys[keyId] = value;
+        } else if (location === tags.doubles) {
+            keys[keyId] = valueCount === 1 ? doubleParams[value] : Array.from(doubleParams.slice(value, value + valueCount));
+        } else if (location === tags.ascii) {
+            keys[keyId] = asciiParams.slice(value, value + valueCount).replace(/[|\0]+$/, '');
+        }
+    }
+    
+    return keys;
+}
+
+/**
+ * Coordinate reference system from GeoKeys
+ * Supports WGS 84 (EPSG:4326) and WGS 84 / UTM (EPSG:326xx north, 327xx south).
+ * Returns { epsg, type, zone, southern, linearUnitM, verticalUnitM }.
+ */
+function getGeoKeyCRS(geoKeys) {
+    const ids = CRS_CONFIG.geoKeys;
+    const unitToMetres = (code, fallback) => {
+        if (code === undefined) return fallback;
+        const factor = CRS_CONFIG.unitsToMetres[code];
+        if (!factor) {
+            throw new Error(`Unsupported linear unit code ${code}`);
+        }
+        return factor;
+    };
+    
+    const projected = geoKeys[ids.projectedType];
+    if (projected !== undefined) {
+        const north = projected > CRS_CONFIG.utmNorthEpsg && projected <= CRS_CONFIG.utmNorthEpsg + 60;
+        const south = projected > CRS_CONFIG.utmSouthEpsg && projected <= CRS_CONFIG.utmSouthEpsg + 60;
+        if (!north && !south) {
+            throw new Error(`Unsupported coordinate system EPSG:${projected} (expected EPSG:4326 or WGS 84 / UTM, EPSG:326xx or 327xx)`);
+        }
+        
+        const linearUnitM = unitToMetres(geoKeys[ids.projLinearUnits], 1);
+        return {
+            epsg: projected,
+            type: 'utm',
+            zone: projected - (north ? CRS_CONFIG.utmNorthEpsg : CRS_CONFIG.utmSouthEpsg),
+            southern: south,
+            linearUnitM: linearUnitM,
+            verticalUnitM: unitToMetres(geoKeys[ids.verticalUnits], linearUnitM)
+        };
+    }
+    
+    const geographic = geoKeys[ids.geographicType];
+    if (geographic === CRS_CONFIG.geographicEpsg || (geographic === undefined && geoKeys[ids.modelType] === CRS_CONFIG.modelTypeGeographic)) {
+        return {
+            epsg: CRS_CONFIG.geographicEpsg,
+            type: 'geographic',
+            zone: null,
+            southern: false,
+            linearUnitM: null,
+            verticalUnitM: unitToMetres(geoKeys[ids.verticalUnits], 1)
+        };
+    }
+    
+    throw new Error(geographic !== undefined
+        ? `Unsupported coordinate system EPSG:${geographic} (expected EPSG:4326 or WGS 84 / UTM, EPSG:326xx or 327xx)`
+        : 'GeoKeys do not name a coordinate system');
+}
+
+/**
+ * Function mapping lon, lat to a CRS's x, y (the inverse of createLonLatTransform)
+ */
+function createProjectionTransform(crs) {
+    if (crs.type === 'geographic') {
+        return (lon, lat) => [lon, lat];
+    }
+    
+    return (lon, lat) => lonLatToUtm(lon, lat, crs.zone, crs.southern).map(value => value / crs.linearUnitM);
+}
+
+/**
+ * Function mapping a CRS's x, y to [lon, lat]
+ */
+function createLonLatTransform(crs) {
+    if (crs.type === 'geographic') {
+        return (x, y) => [x, y];
+    }
+    
+    return (x, y) => utmToLonLat(x * crs.linearUnitM, y * crs.linearUnitM, crs.zone, crs.southern);
+}
+
+console.log('Geometry utilities loaded');
@@ -0,0 +1,261 @@
+/**
+ * Hydrology Module
+ * Discharge series parsing and flood-frequency analysis
+ */
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ */
+function standardNormalQuantile(p) {
+    if (p <= 0 || p >= 1) {
+        throw new Error('Probability must be between 0 and 1');
+    }
+    
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+    
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Calculate mean, sample standard deviation and skew coefficient
+ */
+function calculateSampleMoments(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    
+    let sumSq = 0;
+    let sumCube = 0;
+    values.forEach(v => {
+        sumSq += Math.pow(v - mean, 2);
+        sumCube += Math.pow(v - mean, 3);
+    });
+    
+    const stdDev = Math.sqrt(sumSq / (n - 1));
+    const skew = n > 2 && stdDev > 0
+        ? (n * sumCube) / ((n - 1) * (n - 2) * Math.pow(stdDev, 3))
+        : 0;
+    
+    return { n, mean, stdDev, skew };
+}
+
+/**
+ * Gumbel (EV1) frequency factor for a return period, method of moments
+ */
+function gumbelFrequencyFactor(returnPeriod) {
+    return -(Math.sqrt(6) / Math.PI) * (0.5772 + Math.log(Math.log(returnPeriod / (returnPeriod - 1))));
+}
+
+/**
+ * Pearson III frequency factor (Wilson-Hilferty approximation)
+ */
+function pearsonFrequencyFactor(returnPeriod, skew) {
+    const z = standardNormalQuantile(1 - 1 / returnPeriod);
+    
+    if (Math.abs(skew) < 1e-6) {
+        return z;
+    }
+    
+    const k = skew / 6;
+    return (2 / skew) * (Math.pow(1 + k * z - k * k, 3) - 1);
+}
+
+/**
+ * Fit a Gumbel distribution to annual peaks and return quantiles
+ */
+function fitGumbel(peaks, returnPeriods = FLOOD_FREQUENCY_CONFIG.returnPeriods) {
+    const moments = calculateSampleMoments(peaks);
+    const quantiles = {};
+    
+    returnPeriods.forEach(T => {
+        const discharge = moments.mean + gumbelFrequencyFactor(T) * moments.stdDev;
+        quantiles[T] = parseFloat(Math.max(discharge, 0).toFixed(1));
+    });
+    
+    return {
+        distribution: 'gumbel',
+        mean: parseFloat(moments.mean.toFixed(2)),
+        stdDev: parseFloat(moments.stdDev.toFixed(2)),
+        quantiles: quantiles
+    };
+}
+
+/**
+ * Fit a Log-Pearson III distribution to annual peaks and return quantiles
+ */
+function fitLogPearson3(peaks, returnPeriods = FLOOD_FREQUENCY_CONFIG.returnPeriods) {
+    if (peaks.some(q => q <= 0)) {
+        throw new Error('Log-Pearson III requires all annual peaks to be positive');
+    }
+    
+    const logMoments = calculateSampleMoments(peaks.map(q => Math.log10(q)));
+    const quantiles = {};
+    
+    returnPeriods.forEach(T => {
+        const K = pearsonFrequencyFactor(T, logMoments.skew);
+        quantiles[T] = parseFloat(Math.pow(10, logMoments.mean + K * logMoments.stdDev).toFixed(1));
+    });
+    
+    return {
+        distribution: 'lp3',
+        logMean: parseFloat(logMoments.mean.toFixed(4)),
+        logStdDev: parseFloat(logMoments.stdDev.toFixed(4)),
+        logSkew: parseFloat(logMoments.skew.toFixed(4)),
+        quantiles: quantiles
+    };
+}
+
+/**
+ * Parse annual peak discharge CSV (year, peak_discharge[, gauge_id])
+ * Peaks are converted from dischargeUnit to m³/s
+ */
+function parseAnnualPeaksCSV(csvText, dischargeUnit = 'm3/s') {
+    const rows = parseCSVText(csvText, ['year', 'peak_discharge']);
+    const series = {};
+    
+    rows.forEach(row => {
+        const gaugeId = row.gauge_id !== undefined && row.gauge_id !== null
+            ? String(row.gauge_id)
+            : FLOOD_FREQUENCY_CONFIG.defaultGaugeId;
+        
+        if (typeof row.peak_discharge !== 'number' || isNaN(row.peak_discharge)) {
+            throw new Error(`Non-numeric peak discharge for year ${row.year}`);
+        }
+        
+        if (!series[gaugeId]) {
+            series[gaugeId] = [];
+        }
+        series[gaugeId].push({ year: row.year, peak: convertToSI(row.peak_discharge, dischargeUnit) });
+    });
+    
+    return series;
+}
+
+/**
+ * Fit Gumbel and Log-Pearson III to every gauge in a peak series
+ */
+function calculateFloodFrequency(peakSeries, returnPeriods = FLOOD_FREQUENCY_CONFIG.returnPeriods) {
+    const gauges = {};
+    
+    Object.entries(peakSeries).forEach(([gaugeId, records]) => {
+        if (records.length < FLOOD_FREQUENCY_CONFIG.minRecords) {
+            throw new Error(`Gauge ${gaugeId} has ${records.length} annual peaks; at least ${FLOOD_FREQUENCY_CONFIG.minRecords} are required`);
+        }
+        
+        const peaks = records.map(r => r.peak);
+        const years = records.map(r => r.year);
+        
+        gauges[gaugeId] = {
+            records: records.length,
+            firstYear: Math.min(...years),
+            lastYear: Math.max(...years),
+            gumbel: fitGumbel(peaks, returnPeriods),
+            lp3: fitLogPearson3(peaks, returnPeriods)
+        };
+    });
+    
+    return gauges;
+}
+
+/**
+ * Pick the gauge fit that applies to a river segment
+ * Segments name their gauge with a gauge_id property; otherwise the first gauge is used
+ */
+function getSegmentGauge(feature, gauges) {
+    const gaugeIds = Object.keys(gauges);
+    const segmentGauge = feature.properties && feature.properties.gauge_id;
+    
+    if (segmentGauge !== undefined && gauges[String(segmentGauge)]) {
+        return gauges[String(segmentGauge)];
+    }
+    
+    return gauges[gaugeIds[0]];
+}
+
+/**
+ * Run calculateRiskProfile at each return-period discharge
+ */
+function calculateReturnPeriodProfiles(gauges, distribution, geojsonData, params = {}, returnPeriods = FLOOD_FREQUENCY_CONFIG.returnPeriods) {
+    if (!geojsonData || !geojsonData.features) {
+        throw new Error('Invalid GeoJSON data');
+    }
+    
+    const profiles = {};
+    
+    returnPeriods.forEach(T => {
+        profiles[T] = calculateRiskProfile(
+            feature => getSegmentGauge(feature, gauges)[distribution].quantiles[T],
+            cloneGeoJSON(geojsonData),
+            params
+        );
+    });
+    
+    return profiles;
+}
+
+/**
+ * Parse a daily discharge hydrograph CSV (date, discharge)
+ * Discharges are converted from dischargeUnit to m³/s
+ */
+function parseHydrographCSV(csvText, dischargeUnit = 'm3/s') {
+    const rows = parseCSVText(csvText, ['date', 'discharge']);
+    const seen = new Set();
+    
+    const series = rows.map((row, idx) => {
+        const date = String(row.date);
+        
+        if (!VALIDATION.dateRegex.test(date)) {
+            throw new Error(`Row ${idx + 1}: date "${date}" must be YYYY-MM-DD`);
+        }
+        
+        const time = Date.parse(date + 'T00:00:00Z');
+        if (isNaN(time) || new Date(time).toISOString().slice(0, 10) !== date) {
+            throw new Error(`Row ${idx + 1}: "${date}" is not a calendar date`);
+        }
+        
+        if (seen.has(date)) {
+            throw new Error(`Row ${idx + 1}: duplicate date ${date}`);
+        }
+        seen.add(date);
+        
+        if (typeof row.discharge !== 'number' || isNaN(row.discharge) || row.discharge < 0) {
+            throw new Error(`Row ${idx + 1}: discharge must be a non-negative number`);
+        }
+        
+        return { date: date, time: time, discharge: convertToSI(row.discharge, dischargeUnit) };
+    });
+    
+    series.sort((a, b) => a.time - b.time);
+    
+    // Each step represents the interval until the next record (last step reuses the previous interval)
+    const msPerDay = 86400000;
+    series.forEach((step, i) => {
+        if (i < series.length - 1) {
+            step.durationDays = (series[i + 1].time - step.time) / msPerDay;
+        } else {
+            step.durationDays = i > 0 ? series[i - 1].durationDays : 1;
+        }
+    });
+    
+    return series;
+}
+
+console.log('Hydrology module loaded');
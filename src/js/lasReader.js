@@ -0,0 +1,365 @@
+/**
+ * LAS Reader Module
+ * Reads classified LAS 1.2–1.4 point clouds and derives bank metrics along
+ * river segments
+ *
+ * Coordinates are located with the file's GeoKeys (WGS 84 or WGS 84 / UTM).
+ * Bank metrics are derived at stations every LAS_CONFIG.stationSpacingM
+ * along each line from the returns inside the bank buffer:
+ *   bank_height_m - bank-top (high percentile of ground) minus water-surface
+ *                   elevation (median of water returns, else a low ground percentile)
+ *   veg_density   - share of non-water returns classed as vegetation
+ * The stations are ordinary LiDAR points, so mergeLidarWithRiver aggregates
+ * them per segment or reach like any other LiDAR source.
+ */
+
+const lasIndexCache = new WeakMap();
+
+/**
+ * Read a 64-bit unsigned integer as a Number
+ */
+function readLasUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+}
+
+/**
+ * Read a fixed-length, NUL-padded ASCII field
+ */
+function readLasString(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+    }
+    
+    return text;
+}
+
+/**
+ * Read and check the public header block
+ */
+function readLasHeader(view) {
+    if (view.byteLength < 227 || readLasString(view, 0, 4) !== 'LASF') {
+        throw new Error('Not a LAS file (missing LASF signature)');
+    }
+    
+    const versionMajor = view.getUint8(24);
+    const versionMinor = view.getUint8(25);
+    if (versionMajor !== 1 || versionMinor < 2 || versionMinor > 4) {
+        throw new Error(`Unsupported LAS version ${versionMajor}.${versionMinor} (expected 1.2 to 1.4)`);
+    }
+    
+    const formatByte = view.getUint8(104);
+    if (formatByte & 0xC0) {
+        throw new Error('Compressed (LAZ) point data is not supported; decompress to LAS first');
+    }
+    
+    const header = {
+        version: `${versionMajor}.${versionMinor}`,
+        globalEncoding: view.getUint16(6, true),
+        headerSize: view.getUint16(94, true),
+        pointOffset: view.getUint32(96, true),
+        vlrCount: view.getUint32(100, true),
+        pointFormat: formatByte,
+        recordLength: view.getUint16(105, true),
+        pointCount: view.getUint32(107, true),
+        scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+        offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+        evlrOffset: 0,
+        evlrCount: 0
+    };
+    
+    if (versionMinor === 4 && view.byteLength >= 255) {
+        header.evlrOffset = readLasUint64(view, 235);
+        header.evlrCount = view.getUint32(243, true);
+        const extendedCount = readLasUint64(view, 247);
+        if (extendedCount > 0) {
+            header.pointCount = extendedCount;
+        }
+    }
+    
+    const minLength = LAS_CONFIG.recordLengths[header.pointFormat];
+    if (minLength === undefined) {
+        throw new Error(`Unsupported point data format ${header.pointFormat}`);
+    }
+    
+    if (header.recordLength < minLength) {
+        throw new Error(`Point record length ${header.recordLength} is too short for format ${header.pointFormat}`);
+    }
+    
+    if (header.pointOffset + header.pointCount * header.recordLength > view.byteLength) {
+        throw new Error(`File is truncated: header declares ${header.pointCount} points`);
+    }
+    
+    return header;
+}
+
+/**
+ * Collect the GeoKey records from the variable-length records (and, in LAS 1.4,
+ * the extended ones). Returns { keyId: value } or null when there are none.
+ */
+function readLasGeoKeys(view, header) {
+    const records = {};
+    const keep = (userId, recordId, offset, length) => {
+        if (userId === LAS_CONFIG.projectionUserId && offset + length <= view.byteLength) {
+            records[recordId] = { offset: offset, length: length };
+        }
+    };
+    
+    let offset = header.headerSize;
+    for (let i = 0; i < header.vlrCount && offset + 54 <= header.pointOffset; i++) {
+        const length = view.getUint16(offset + 20, true);
+        keep(readLasString(view, offset + 2, 16), view.getUint16(offset + 18, true), offset + 54, length);
+        offset += 54 + length;
+    }
+    
+    offset = header.evlrOffset;
+    for (let i = 0; i < header.evlrCount && offset + 60 <= view.byteLength; i++) {
+        const length = readLasUint64(view, offset + 20);
+        keep(readLasString(view, offset + 2, 16), view.getUint16(offset + 18, true), offset + 60, length);
+        offset += 60 + length;
+    }
+    
+    const ids = LAS_CONFIG.geoKeyRecords;
+    const directory = records[ids.directory];
+    if (!directory) {
+        return null;
+    }
+    
+    const shorts = [];
+    for (let i = 0; i + 2 <= directory.length; i += 2) {
+        shorts.push(view.getUint16(directory.offset + i, true));
+    }
+    
+    const doubles = [];
+    if (records[ids.doubles]) {
+        for (let i = 0; i + 8 <= records[ids.doubles].length; i += 8) {
+            doubles.push(view.getFloat64(records[ids.doubles].offset + i, true));
+        }
+    }
+    
+    const ascii = records[ids.ascii] ? readLasString(view, records[ids.ascii].offset, records[ids.ascii].length) : '';
+    
+    return parseGeoKeyDirectory(shorts, doubles, ascii, { doubles: ids.doubles, ascii: ids.ascii });
+}
+
+/**
+ * Read a LAS file into a point cloud
+ * Noise and withheld points are dropped. Elevations are in metres.
+ * Returns { version, pointFormat, crs, count, latitudes, longitudes, elevations,
+ * classes, classCounts, bounds }.
+ */
+function readLasFile(buffer) {
+    const view = ArrayBuffer.isView(buffer)
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    const header = readLasHeader(view);
+    
+    if (header.pointCount > LAS_CONFIG.maxPoints) {
+        throw new Error(`${header.pointCount} points exceeds the limit of ${LAS_CONFIG.maxPoints}; tile or thin the cloud first`);
+    }
+    
+    const geoKeys = readLasGeoKeys(view, header);
+    if (!geoKeys) {
+        throw new Error(header.globalEncoding & 0x10
+            ? 'WKT coordinate systems are not supported; the file needs GeoKeys (EPSG:4326 or WGS 84 / UTM)'
+            : 'No GeoKey directory: the coordinate system is unknown');
+    }
+    
+    const crs = getGeoKeyCRS(geoKeys);
+    const toLonLat = createLonLatTransform(crs);
+    const extended = header.pointFormat >= 6;
+    const noise = new Set(LAS_CONFIG.classes.noise);
+    
+    const latitudes = new Float64Array(header.pointCount);
+    const longitudes = new Float64Array(header.pointCount);
+    const elevations = new Float32Array(header.pointCount);
+    const classes = new Uint8Array(header.pointCount);
+    const classCounts = {};
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    const [sx, sy, sz] = header.scale;
+    const [ox, oy, oz] = header.offset;
+    let count = 0;
+    
+    for (let i = 0; i < header.pointCount; i++) {
+        const offset = header.pointOffset + i * header.recordLength;
+        
+        // Formats 6-10 hold the class in its own byte and the withheld flag in the flags byte
+        const classification = extended ? view.getUint8(offset + 16) : view.getUint8(offset + 15) & 0x1F;
+        const withheld = extended ? view.getUint8(offset + 15) & 0x04 : view.getUint8(offset + 15) & 0x80;
+        if (withheld || noise.has(classification)) continue;
+        
+        const [lon, lat] = toLonLat(
+            view.getInt32(offset, true) * sx + ox,
+            view.getInt32(offset + 4, true) * sy + oy
+        );
+        const z = (view.getInt32(offset + 8, true) * sz + oz) * crs.verticalUnitM;
+        
+        latitudes[count] = lat;
+        longitudes[count] = lon;
+        elevations[count] = z;
+        classes[count] = classification;
+        classCounts[classification] = (classCounts[classification] || 0) + 1;
+        count++;
+        
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+        bounds.minLon = Math.min(bounds.minLon, lon);
+        bounds.maxLon = Math.max(bounds.maxLon, lon);
+        bounds.minZ = Math.min(bounds.minZ, z);
+        bounds.maxZ = Math.max(bounds.maxZ, z);
+    }
+    
+    if (count === 0) {
+        throw new Error('LAS file has no usable points');
+    }
+    
+    return {
+        version: header.version,
+        pointFormat: header.pointFormat,
+        crs: crs,
+        count: count,
+        latitudes: latitudes.subarray(0, count),
+        longitudes: longitudes.subarray(0, count),
+        elevations: elevations.subarray(0, count),
+        classes: classes.subarray(0, count),
+        classCounts: classCounts,
+        bounds: bounds
+    };
+}
+
+/**
+ * Get the cached k-d tree for a point cloud, building it on first use
+ */
+function getLasIndex(cloud) {
+    let index = lasIndexCache.get(cloud);
+    if (!index) {
+        index = buildCoordinateIndex(cloud.count, i => cloud.latitudes[i], i => cloud.longitudes[i]);
+        lasIndexCache.set(cloud, index);
+    }
+    
+    return index;
+}
+
+/**
+ * Bank metrics from the returns with the given ids
+ * Returns null when there are too few returns for either metric
+ */
+function deriveLasStationMetrics(ids, cloud) {
+    const { ground: groundClass, water: waterClass } = LAS_CONFIG.classes;
+    const vegetationClasses = new Set(LAS_CONFIG.classes.vegetation);
+    const ground = [];
+    const water = [];
+    let vegetation = 0;
+    let land = 0;
+    
+    ids.forEach(id => {
+        const classification = cloud.classes[id];
+        if (classification === waterClass) {
+            water.push(cloud.elevations[id]);
+            return;
+        }
+        
+        land++;
+        if (classification === groundClass) ground.push(cloud.elevations[id]);
+        if (vegetationClasses.has(classification)) vegetation++;
+    });
+    
+    const metrics = { returns: land + water.length, groundReturns: ground.length, waterReturns: water.length, vegetationReturns: vegetation };
+    
+    if (ground.length >= LAS_CONFIG.minGroundReturns) {
+        ground.sort((a, b) => a - b);
+        water.sort((a, b) => a - b);
+        
+        metrics.bankTopM = calculatePercentile(ground, LAS_CONFIG.bankTopPercentile);
+        metrics.waterSource = water.length > 0 ? 'water' : 'ground';
+        metrics.waterSurfaceM = water.length > 0
+            ? calculatePercentile(water, 50)
+            : calculatePercentile(ground, LAS_CONFIG.waterFallbackPercentile);
+        metrics.bankHeightM = metrics.bankTopM - metrics.waterSurfaceM;
+    }
+    
+    if (land >= LAS_CONFIG.minReturns) {
+        metrics.vegDensity = vegetation / land;
+    }
+    
+    return metrics.bankHeightM > 0 || metrics.vegDensity !== undefined ? metrics : null;
+}
+
+/**
+ * Derive bank metrics at stations along every river segment
+ * Returns LiDAR points for mergeLidarWithRiver; stations without enough
+ * returns inside bankBuffer metres of the line are left out.
+ */
+function deriveLasBankMetrics(riverGeoJSON, cloud, bankBuffer = LIDAR_CONFIG.bufferDistanceM) {
+    if (!riverGeoJSON || !riverGeoJSON.features) {
+        throw new Error('Invalid river GeoJSON');
+    }
+    
+    if (!(bankBuffer > 0)) {
+        throw new Error('Bank buffer must be positive');
+    }
+    
+    const index = getLasIndex(cloud);
+    const stations = [];
+    
+    riverGeoJSON.features.forEach((feature, featureIndex) => {
+        const segmentId = getSegmentId(feature, featureIndex);
+        let chainage = 0;
+        
+        getLineParts(feature.geometry).forEach(part => {
+            splitPathByLength(part, LAS_CONFIG.stationSpacingM).forEach(piece => {
+                const ids = Array.from(collectIndexAlongLine({ type: 'LineString', coordinates: piece.coordinates }, index, bankBuffer).keys());
+                const metrics = ids.length > 0 ? deriveLasStationMetrics(ids, cloud) : null;
+                const centre = (piece.end - piece.start) / 2;
+                
+                if (metrics) {
+                    const [lon, lat] = getPointAlongPath(piece.coordinates, centre);
+                    stations.push({
+                        segment_id: segmentId,
+                        station_m: Math.round(chainage + piece.start + centre),
+                        latitude: lat,
+                        longitude: lon,
+                        bank_height_m: metrics.bankHeightM > 0 ? parseFloat(metrics.bankHeightM.toFixed(2)) : undefined,
+                        veg_density: metrics.vegDensity !== undefined ? parseFloat(metrics.vegDensity.toFixed(3)) : undefined,
+                        bank_top_elevation_m: metrics.bankTopM !== undefined ? parseFloat(metrics.bankTopM.toFixed(2)) : undefined,
+                        water_surface_elevation_m: metrics.waterSurfaceM !== undefined ? parseFloat(metrics.waterSurfaceM.toFixed(2)) : undefined,
+                        water_surface_source: metrics.waterSource,
+                        las_returns: metrics.returns,
+                        las_ground_returns: metrics.groundReturns,
+                        las_water_returns: metrics.waterReturns,
+                        las_vegetation_returns: metrics.vegetationReturns
+                    });
+                }
+            });
+            chainage += calculatePathLength(part);
+        });
+    });
+    
+    if (stations.length === 0) {
+        throw new Error(`No segment has enough LAS returns within ${bankBuffer} m of its line`);
+    }
+    
+    return stations;
+}
+
+/**
+ * Summary of a point cloud for status messages
+ */
+function getLasSummary(cloud) {
+    const { ground, water } = LAS_CONFIG.classes;
+    const vegetation = LAS_CONFIG.classes.vegetation.reduce((total, id) => total + (cloud.classCounts[id] || 0), 0);
+    
+    return {
+        version: cloud.version,
+        pointFormat: cloud.pointFormat,
+        epsg: cloud.crs.epsg,
+        points: cloud.count,
+        groundReturns: cloud.classCounts[ground] || 0,
+        waterReturns: cloud.classCounts[water] || 0,
+        vegetationReturns: vegetation
+    };
+}
+
+console.log('LAS reader module loaded');
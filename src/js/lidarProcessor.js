@@ -3,67 +3,158 @@
  * Handles LiDAR data parsing and merging with river segments
  */
 
+// k-d trees built for each LiDAR array, so repeated merges reuse the index
+const lidarIndexCache = new WeakMap();
+
 /**
- * Calculate distance between two points
+ * Calculate distance between two points in metres (great circle)
  */
 function calculateDistance(lat1, lon1, lat2, lon2) {
-    const dLat = Math.pow(lat2 - lat1, 2);
-    const dLon = Math.pow(lon2 - lon1, 2);
-    return Math.sqrt(dLat + dLon);
+    return haversineDistance(lat1, lon1, lat2, lon2);
 }
 
 /**
- * Parse CSV text into array of objects
+ * True for a usable coordinate; zero is valid, so presence is tested rather than truthiness
  */
-function parseCSVText(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim().length > 0);
-    
-    if (lines.length < 2) {
-        throw new Error('CSV must contain header and at least one data row');
-    }
-    
-    const header = lines[0].split(',').map(h => h.trim());
-    
-    const requiredColumns = ['segment_id', 'latitude', 'longitude'];
-    const missingColumns = requiredColumns.filter(col => !header.includes(col));
-    
-    if (missingColumns.length > 0) {
-        throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+function isCoordinateValue(value) {
+    return value !== undefined && value !== null && value !== '' && isFinite(value);
+}
+
+/**
+ * Position of a lat/lon on the unit sphere
+ * Chord length between these is monotonic in great-circle distance, so a
+ * Euclidean k-d tree over them gives geodesic nearest neighbours
+ */
+function toUnitSphere(lat, lon) {
+    const phi = toRadians(lat);
+    const lambda = toRadians(lon);
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Lon/lat of an indexed position on the unit sphere
+ */
+function fromUnitSphere(coords, id) {
+    const x = coords[id * 3];
+    const y = coords[id * 3 + 1];
+    const z = coords[id * 3 + 2];
+    return [Math.atan2(y, x) * 180 / Math.PI, Math.asin(Math.max(-1, Math.min(1, z))) * 180 / Math.PI];
+}
+
+/**
+ * Squared chord length on the unit sphere for a great-circle distance in metres
+ */
+function distanceToChordSquared(distance) {
+    const angle = distance / GEOMETRY_CONFIG.earthRadius;
+    if (!isFinite(angle) || angle >= Math.PI) {
+        return Infinity;
     }
     
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',').map(v => v.trim());
-        const obj = {};
+    return Math.pow(2 * Math.sin(angle / 2), 2);
+}
+
+/**
+ * Reorder ids[lo..hi] so ids[k] holds the median along axis (quickselect)
+ */
+function selectKdMedian(ids, coords, k, lo, hi, axis) {
+    while (hi > lo) {
+        const pivot = coords[ids[(lo + hi) >> 1] * 3 + axis];
+        let i = lo;
+        let j = hi;
         
-        header.forEach((column, idx) => {
-            const value = values[idx];
-            
-            if (!isNaN(value) && value !== '') {
-                obj[column] = parseFloat(value);
-            } else {
-                obj[column] = value;
+        while (i <= j) {
+            while (coords[ids[i] * 3 + axis] < pivot) i++;
+            while (coords[ids[j] * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const swap = ids[i];
+                ids[i] = ids[j];
+                ids[j] = swap;
+                i++;
+                j--;
             }
-        });
+        }
         
-        if (obj.segment_id && obj.latitude && obj.longitude) {
-            data.push(obj);
+        if (k <= j) {
+            hi = j;
+        } else if (k >= i) {
+            lo = i;
+        } else {
+            return;
+        }
+    }
+}
+
+/**
+ * Build a k-d tree over count positions given by latitudeOf(i) and longitudeOf(i)
+ * The tree is implicit: each range's median sits at its middle index.
+ * Positions without usable coordinates are left out.
+ */
+function buildCoordinateIndex(count, latitudeOf, longitudeOf) {
+    const usable = [];
+    for (let i = 0; i < count; i++) {
+        if (isCoordinateValue(latitudeOf(i)) && isCoordinateValue(longitudeOf(i))) {
+            usable.push(i);
         }
     }
     
-    if (data.length === 0) {
-        throw new Error('No valid data rows found in CSV');
+    const ids = Uint32Array.from(usable);
+    const coords = new Float64Array(count * 3);
+    usable.forEach(i => {
+        coords.set(toUnitSphere(latitudeOf(i), longitudeOf(i)), i * 3);
+    });
+    
+    const leafSize = LIDAR_CONFIG.indexLeafSize;
+    const stack = [[0, ids.length - 1, 0]];
+    while (stack.length > 0) {
+        const [lo, hi, depth] = stack.pop();
+        if (hi - lo < leafSize) continue;
+        
+        const mid = (lo + hi) >> 1;
+        selectKdMedian(ids, coords, mid, lo, hi, depth % 3);
+        stack.push([lo, mid - 1, depth + 1], [mid + 1, hi, depth + 1]);
+    }
+    
+    return { ids: ids, coords: coords, leafSize: leafSize };
+}
+
+/**
+ * Build a k-d tree over LiDAR points with usable coordinates
+ */
+function buildLidarIndex(lidarPoints) {
+    const index = buildCoordinateIndex(
+        lidarPoints.length,
+        i => lidarPoints[i].latitude,
+        i => lidarPoints[i].longitude
+    );
+    
+    return { ...index, points: lidarPoints };
+}
+
+/**
+ * Get the cached k-d tree for a LiDAR array, building it on first use
+ */
+function getLidarIndex(lidarPoints) {
+    let index = lidarIndexCache.get(lidarPoints);
+    if (!index) {
+        index = buildLidarIndex(lidarPoints);
+        lidarIndexCache.set(lidarPoints, index);
     }
     
-    return data;
+    return index;
 }
 
 /**
  * Process LiDAR CSV file
+ * csv is CSV text or the result of parseCSV; mapping is { fieldId: columnIndex }
+ * over CSV_CONFIG.lidarFields and defaults to the suggested mapping
  */
-function processLidarCSV(csvText) {
+function processLidarCSV(csv, mapping = null) {
     try {
-        return parseCSVText(csvText);
+        const parsed = typeof csv === 'string' ? parseCSV(csv) : csv;
+        const columns = mapping || suggestColumnMapping(parsed.header, CSV_CONFIG.lidarFields);
+        const required = CSV_CONFIG.lidarFields.filter(field => field.required).map(field => field.id);
+        
+        return mapCSVRows(parsed, columns, required);
     } catch (error) {
         console.error('Error processing LiDAR CSV:', error);
         throw new Error('Invalid LiDAR CSV format: ' + error.message);
@@ -84,8 +175,8 @@ function processLidarGeoJSON(geoJsonData) {
         
         return {
             segment_id: props.segment_id || props.id,
-            latitude: coords[1] || props.latitude,
-            longitude: coords[0] || props.longitude,
+            latitude: coords[1] !== undefined ? coords[1] : props.latitude,
+            longitude: coords[0] !== undefined ? coords[0] : props.longitude,
             bank_height_m: props.bank_height_m || props.lidar_avg_bank_height_m,
             veg_density: props.veg_density || props.lidar_riparian_veg_density,
             bank_slope: props.bank_slope || props.lidar_bank_slope,
@@ -96,21 +187,60 @@ function processLidarGeoJSON(geoJsonData) {
 }
 
 /**
- * Find nearest LiDAR point to a location
+ * Find nearest LiDAR point to a location within maxDistance metres
+ * Accepts a LiDAR array (indexed on first use) or an index from buildLidarIndex.
+ * Returns { point, distance } or null when no point is close enough.
  */
-function findNearestLidarPoint(lat, lon, lidarPoints) {
-    let nearestPoint = null;
-    let minDistance = Infinity;
-    
-    lidarPoints.forEach(point => {
-        const dist = calculateDistance(lat, lon, point.latitude, point.longitude);
-        if (dist < minDistance) {
-            minDistance = dist;
-            nearestPoint = point;
+function findNearestLidarPoint(lat, lon, lidarPoints, maxDistance = Infinity) {
+    const index = Array.isArray(lidarPoints) ? getLidarIndex(lidarPoints) : lidarPoints;
+    const { ids, coords, leafSize } = index;
+    const [x, y, z] = toUnitSphere(lat, lon);
+    const query = [x, y, z];
+    
+    let nearest = -1;
+    let bestSquared = distanceToChordSquared(maxDistance);
+    
+    const visit = id => {
+        const dx = coords[id * 3] - x;
+        const dy = coords[id * 3 + 1] - y;
+        const dz = coords[id * 3 + 2] - z;
+        const squared = dx * dx + dy * dy + dz * dz;
+        if (squared < bestSquared) {
+            bestSquared = squared;
+            nearest = id;
         }
-    });
+    };
+    
+    const search = (lo, hi, depth) => {
+        if (hi < lo) return;
+        
+        if (hi - lo < leafSize) {
+            for (let i = lo; i <= hi; i++) visit(ids[i]);
+            return;
+        }
+        
+        const mid = (lo + hi) >> 1;
+        const axis = depth % 3;
+        const diff = query[axis] - coords[ids[mid] * 3 + axis];
+        visit(ids[mid]);
+        
+        if (diff < 0) {
+            search(lo, mid - 1, depth + 1);
+            if (diff * diff < bestSquared) search(mid + 1, hi, depth + 1);
+        } else {
+            search(mid + 1, hi, depth + 1);
+            if (diff * diff < bestSquared) search(lo, mid - 1, depth + 1);
+        }
+    };
+    
+    search(0, ids.length - 1, 0);
+    
+    if (nearest === -1) {
+        return null;
+    }
     
-    return nearestPoint;
+    const point = index.points[nearest];
+    return { point: point, distance: calculateDistance(lat, lon, point.latitude, point.longitude) };
 }
 
 /**
@@ -141,10 +271,158 @@ function getSegmentCenter(geometry) {
     return null;
 }
 
+/**
+ * Ids of LiDAR points within radius metres of a location
+ */
+function findLidarPointsWithin(lat, lon, index, radius) {
+    const { ids, coords, leafSize } = index;
+    const query = toUnitSphere(lat, lon);
+    const limit = distanceToChordSquared(radius);
+    const found = [];
+    
+    const visit = id => {
+        const dx = coords[id * 3] - query[0];
+        const dy = coords[id * 3 + 1] - query[1];
+        const dz = coords[id * 3 + 2] - query[2];
+        if (dx * dx + dy * dy + dz * dz <= limit) {
+            found.push(id);
+        }
+    };
+    
+    const search = (lo, hi, depth) => {
+        if (hi < lo) return;
+        
+        if (hi - lo < leafSize) {
+            for (let i = lo; i <= hi; i++) visit(ids[i]);
+            return;
+        }
+        
+        const mid = (lo + hi) >> 1;
+        const axis = depth % 3;
+        const diff = query[axis] - coords[ids[mid] * 3 + axis];
+        visit(ids[mid]);
+        
+        if (diff <= 0 || diff * diff <= limit) search(lo, mid - 1, depth + 1);
+        if (diff >= 0 || diff * diff <= limit) search(mid + 1, hi, depth + 1);
+    };
+    
+    search(0, ids.length - 1, 0);
+    return found;
+}
+
+/**
+ * Indexed positions within bufferDistance metres of a line geometry: Map of id -> distance
+ * Edges are range-searched in pieces a few buffer widths long so each search stays local
+ */
+function collectIndexAlongLine(geometry, index, bufferDistance) {
+    const distances = new Map();
+    const pieceLength = LIDAR_CONFIG.queryPieceBuffers * bufferDistance;
+    const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    
+    getLineParts(geometry).forEach(part => {
+        for (let i = 0; i < part.length - 1; i++) {
+            const a = part[i];
+            const b = part[i + 1];
+            const length = haversineDistance(a[1], a[0], b[1], b[0]);
+            const pieces = Math.max(1, Math.ceil(length / pieceLength));
+            
+            for (let k = 0; k < pieces; k++) {
+                const start = lerp(a, b, k / pieces);
+                const end = lerp(a, b, (k + 1) / pieces);
+                const centre = lerp(a, b, (k + 0.5) / pieces);
+                
+                findLidarPointsWithin(centre[1], centre[0], index, length / pieces / 2 + bufferDistance).forEach(id => {
+                    const distance = calculatePointToSegmentDistance(fromUnitSphere(index.coords, id), start, end);
+                    if (distance <= bufferDistance && !(distances.get(id) <= distance)) {
+                        distances.set(id, distance);
+                    }
+                });
+            }
+        }
+    });
+    
+    return distances;
+}
+
+/**
+ * LiDAR points within bufferDistance metres of a line geometry, with their distance to it
+ */
+function collectLidarAlongLine(geometry, index, bufferDistance) {
+    const distances = collectIndexAlongLine(geometry, index, bufferDistance);
+    return Array.from(distances, ([id, distance]) => ({ point: index.points[id], distance: distance }));
+}
+
+/**
+ * Aggregate one LiDAR field over samples with the chosen statistic
+ * Returns { value, count, min, max, stdDev } or null when no sample has the field
+ */
+function aggregateLidarField(samples, field, statistic, percentile) {
+    const usable = samples
+        .map(sample => ({ value: parseFloat(sample.point[field.column]), distance: sample.distance }))
+        .filter(sample => isFinite(sample.value) && (!field.positive || sample.value > 0));
+    
+    if (usable.length === 0) {
+        return null;
+    }
+    
+    const values = usable.map(sample => sample.value).sort((a, b) => a - b);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+    
+    let value;
+    if (statistic === 'median') {
+        value = calculatePercentile(values, 50);
+    } else if (statistic === 'percentile') {
+        value = calculatePercentile(values, percentile);
+    } else if (statistic === 'idw') {
+        const weights = usable.map(sample => 1 / Math.pow(Math.max(sample.distance, LIDAR_CONFIG.idwMinDistanceM), LIDAR_CONFIG.idwPower));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        value = usable.reduce((sum, sample, i) => sum + sample.value * weights[i], 0) / totalWeight;
+    } else {
+        value = mean;
+    }
+    
+    const round = number => parseFloat(number.toFixed(field.decimals));
+    return {
+        value: round(value),
+        count: values.length,
+        min: round(values[0]),
+        max: round(values[values.length - 1]),
+        stdDev: round(Math.sqrt(variance))
+    };
+}
+
+// Bookkeeping a merge writes next to the merged fields
+const LIDAR_MERGE_PROPERTIES = ['lidar_merged', 'lidar_match_distance_m', 'lidar_samples', 'lidar_source_id', 'lidar_unmatched', 'lidar_premerge'];
+
+/**
+ * Undo a segment's previous LiDAR merge in place
+ * Merged fields get back the values recorded in lidar_premerge (null = absent)
+ */
+function clearLidarMerge(props) {
+    Object.entries(props.lidar_premerge || {}).forEach(([property, value]) => {
+        if (value === null) {
+            delete props[property];
+        } else {
+            props[property] = value;
+        }
+    });
+    
+    LIDAR_MERGE_PROPERTIES.forEach(property => delete props[property]);
+}
+
 /**
  * Merge LiDAR data with river segments
+ * Every point within options.bufferDistance metres of a segment's polyline is
+ * aggregated with options.statistic (mean, median, percentile, idw). Segments
+ * with no point in the buffer take the nearest point within options.maxDistance
+ * of their centre; segments with neither are left unmerged and flagged with
+ * lidar_unmatched. Merging again first undoes the previous merge, so values
+ * from an earlier file never outlive it. The collection's lidarMerge member
+ * summarises the merge.
+ * options.source records where the points came from (LIDAR_CONFIG.sources).
  */
-function mergeLidarWithRiver(riverGeoJSON, lidarArray) {
+function mergeLidarWithRiver(riverGeoJSON, lidarArray, options = {}) {
     if (!riverGeoJSON || !riverGeoJSON.features) {
         throw new Error('Invalid river GeoJSON');
     }
@@ -153,45 +431,129 @@ function mergeLidarWithRiver(riverGeoJSON, lidarArray) {
         throw new Error('Invalid LiDAR data array');
     }
     
-    const mergedFeatures = riverGeoJSON.features.map(feature => {
+    const bufferDistance = options.bufferDistance !== undefined ? options.bufferDistance : LIDAR_CONFIG.bufferDistanceM;
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : LIDAR_CONFIG.maxMatchDistanceM;
+    const statistic = options.statistic || LIDAR_CONFIG.defaultStatistic;
+    const percentile = options.percentile !== undefined ? options.percentile : LIDAR_CONFIG.defaultPercentile;
+    const source = options.source || LIDAR_CONFIG.sources[0].id;
+    
+    if (!(bufferDistance > 0)) {
+        throw new Error('Buffer distance must be positive');
+    }
+    
+    if (!(maxDistance > 0)) {
+        throw new Error('Maximum match distance must be positive');
+    }
+    
+    if (!LIDAR_CONFIG.statistics.some(candidate => candidate.id === statistic)) {
+        throw new Error(`Unknown LiDAR statistic "${statistic}"`);
+    }
+    
+    if (statistic === 'percentile' && !(percentile >= 0 && percentile <= 100)) {
+        throw new Error('Percentile must be between 0 and 100');
+    }
+    
+    const index = getLidarIndex(lidarArray);
+    const summary = {
+        source: source,
+        bufferM: bufferDistance,
+        maxDistanceM: maxDistance,
+        statistic: statistic,
+        percentile: statistic === 'percentile' ? percentile : null,
+        segments: 0,
+        matched: 0,
+        nearestOnly: 0,
+        unmatched: []
+    };
+    
+    const mergedFeatures = riverGeoJSON.features.map((feature, featureIndex) => {
         const center = getSegmentCenter(feature.geometry);
         
         if (!center) {
             return feature;
         }
         
-        const nearest = findNearestLidarPoint(center.latitude, center.longitude, lidarArray);
+        summary.segments++;
+        clearLidarMerge(feature.properties);
         
-        if (nearest) {
-            if (nearest.bank_height_m) {
-                feature.properties.lidar_avg_bank_height_m = nearest.bank_height_m;
-            }
-            
-            if (nearest.veg_density !== undefined && nearest.veg_density !== null) {
-                feature.properties.lidar_riparian_veg_density = nearest.veg_density;
-            }
-            
-            if (nearest.bank_slope) {
-                feature.properties.lidar_bank_slope = nearest.bank_slope;
-            }
+        let samples = collectLidarAlongLine(feature.geometry, index, bufferDistance);
+        let method = 'buffer';
+        
+        if (samples.length === 0) {
+            const match = findNearestLidarPoint(center.latitude, center.longitude, index, maxDistance);
             
-            if (nearest.roughness_coefficient) {
-                feature.properties.manning_n = nearest.roughness_coefficient;
+            if (!match) {
+                const closest = findNearestLidarPoint(center.latitude, center.longitude, index);
+                feature.properties.lidar_unmatched = {
+                    bufferM: bufferDistance,
+                    maxDistanceM: maxDistance,
+                    nearestDistanceM: closest ? Math.round(closest.distance) : null
+                };
+                summary.unmatched.push(getSegmentId(feature, featureIndex));
+                return feature;
             }
             
-            feature.properties.lidar_merged = true;
-            feature.properties.lidar_source_id = nearest.segment_id;
+            samples = [match];
+            method = 'nearest';
+            summary.nearestOnly++;
+            feature.properties.lidar_source_id = match.point.segment_id;
         }
         
+        feature.properties.lidar_premerge = Object.fromEntries(LIDAR_CONFIG.fields.map(field => {
+            const value = feature.properties[field.property];
+            return [field.property, value === undefined ? null : value];
+        }));
+        
+        const fields = {};
+        LIDAR_CONFIG.fields.forEach(field => {
+            const result = aggregateLidarField(samples, field, statistic, percentile);
+            if (result) {
+                feature.properties[field.property] = result.value;
+                fields[field.property] = result;
+            }
+        });
+        
+        summary.matched++;
+        feature.properties.lidar_merged = true;
+        feature.properties.lidar_match_distance_m = Math.round(samples.reduce((min, sample) => Math.min(min, sample.distance), Infinity));
+        feature.properties.lidar_samples = {
+            source: source,
+            method: method,
+            count: samples.length,
+            bufferM: bufferDistance,
+            statistic: statistic,
+            percentile: summary.percentile,
+            fields: fields
+        };
+        
         return feature;
     });
     
     return {
         ...riverGeoJSON,
-        features: mergedFeatures
+        features: mergedFeatures,
+        lidarMerge: summary
     };
 }
 
+/**
+ * Diagnostics for a segment left unmerged by mergeLidarWithRiver
+ */
+function getLidarMatchDiagnostics(props) {
+    const unmatched = props.lidar_unmatched;
+    if (!unmatched) {
+        return [];
+    }
+    
+    const nearest = unmatched.nearestDistanceM !== null
+        ? `nearest point ${(unmatched.nearestDistanceM / 1000).toFixed(1)} km away`
+        : 'no usable points';
+    return [{
+        code: 'lidar-unmatched',
+        message: `No LiDAR point within ${unmatched.bufferM} m of the line or ${unmatched.maxDistanceM} m of its centre (${nearest}); LiDAR values not merged`
+    }];
+}
+
 /**
  * Validate LiDAR data
  */
@@ -212,7 +574,7 @@ function validateLidarData(lidarArray) {
     let validPoints = 0;
     
     lidarArray.forEach((point, idx) => {
-        if (!point.latitude || !point.longitude) {
+        if (!isCoordinateValue(point.latitude) || !isCoordinateValue(point.longitude)) {
             result.errors.push(`Point ${idx}: Missing latitude or longitude`);
             return;
         }
@@ -275,16 +637,19 @@ function getLidarStatistics(lidarArray) {
     let bankHeightCount = 0;
     let vegDensityCount = 0;
     
+    // Blank or non-numeric cells are skipped rather than summed
     lidarArray.forEach(point => {
-        if (point.bank_height_m !== undefined) {
-            bankHeightSum += point.bank_height_m;
+        const bankHeight = parseFloat(point.bank_height_m);
+        if (isFinite(bankHeight)) {
+            bankHeightSum += bankHeight;
             bankHeightCount++;
-            stats.maxBankHeight = Math.max(stats.maxBankHeight, point.bank_height_m);
-            stats.minBankHeight = Math.min(stats.minBankHeight, point.bank_height_m);
+            stats.maxBankHeight = Math.max(stats.maxBankHeight, bankHeight);
+            stats.minBankHeight = Math.min(stats.minBankHeight, bankHeight);
         }
         
-        if (point.veg_density !== undefined) {
-            vegDensitySum += point.veg_density;
+        const vegDensity = parseFloat(point.veg_density);
+        if (isFinite(vegDensity)) {
+            vegDensitySum += vegDensity;
             vegDensityCount++;
         }
     });
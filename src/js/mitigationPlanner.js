@@ -0,0 +1,237 @@
+/**
+ * Mitigation Planner Module
+ * Inverts the risk model to find the intervention that brings an eroding
+ * segment into the Stable band, then picks the set of interventions that
+ * gives the largest risk reduction within a budget
+ *
+ * Interventions (MITIGATION_CONFIG.interventions) each move one parameter:
+ *   vegetation  - raise riparian vegetation density
+ *   riprap      - raise critical shear (reported as a riprap-equivalent D50)
+ *   realignment - reduce curvature
+ * The required value is found by bisection on the full segment model, so
+ * routing, compound channels and the bank height factor are all respected.
+ */
+
+/**
+ * Risk index the planner must get below: the top of the target class
+ * Falls back to the default scheme when the active scheme has no such class
+ */
+function getMitigationThreshold() {
+    const scheme = getActiveScheme();
+    const target = (scheme.breaks && getSchemeClass(MITIGATION_CONFIG.targetCategory, scheme)) ||
+        getSchemeClass(MITIGATION_CONFIG.targetCategory, buildDefaultScheme());
+    
+    if (!target || !isFinite(target.maxIndex)) {
+        throw new Error(`No upper limit for the "${MITIGATION_CONFIG.targetCategory}" class`);
+    }
+    
+    return target.maxIndex;
+}
+
+/**
+ * Riprap median stone size (mm) whose Shields critical shear equals criticalShear
+ */
+function calculateRiprapD50(criticalShear, waterDensity = 1000, gravity = 9.81) {
+    const d50 = criticalShear / (MITIGATION_CONFIG.riprapShields * (MITIGATION_CONFIG.riprapDensity - waterDensity) * gravity);
+    return parseFloat((d50 * 1000).toFixed(1));
+}
+
+/**
+ * Bisect one parameter until the model's riskIndex drops below threshold
+ * Returns { feasible, value, riskIndex }; infeasible when the range limit is not enough
+ */
+function solveInterventionValue(model, baseValues, intervention, threshold) {
+    const { paramKey, direction, decimals } = intervention;
+    const range = PARAMETER_RANGES[paramKey];
+    const limit = direction === 'increase' ? range.max : range.min;
+    const risk = value => model({ ...baseValues, [paramKey]: value });
+    
+    const limitRisk = risk(limit);
+    if (!(limitRisk < threshold)) {
+        return { feasible: false, value: limit, riskIndex: limitRisk };
+    }
+    
+    // fail keeps riskIndex at or above threshold, pass keeps it below
+    let fail = baseValues[paramKey];
+    let pass = limit;
+    for (let i = 0; i < MITIGATION_CONFIG.bisectionIterations; i++) {
+        const mid = (fail + pass) / 2;
+        if (risk(mid) < threshold) {
+            pass = mid;
+        } else {
+            fail = mid;
+        }
+    }
+    
+    // Round towards the limit so the rounded value still passes
+    const scale = Math.pow(10, decimals);
+    const rounded = direction === 'increase'
+        ? Math.min(limit, Math.ceil(pass * scale) / scale)
+        : Math.max(limit, Math.floor(pass * scale) / scale);
+    
+    return { feasible: true, value: rounded, riskIndex: risk(rounded) };
+}
+
+/**
+ * Required value and cost of every intervention for one segment
+ */
+function planSegmentMitigation(feature, index, discharge, unitCosts, threshold, params = {}) {
+    const props = feature.properties;
+    const calc = props.calculated;
+    const lengthKm = (props.reach_length_m !== undefined ? props.reach_length_m : calculateLineLength(feature.geometry)) / 1000;
+    
+    const baseValues = resolveSegmentParameters(feature, params).values;
+    const model = createRiskIndexModel(feature, discharge, params);
+    
+    const options = Object.entries(MITIGATION_CONFIG.interventions).map(([id, intervention]) => {
+        const from = baseValues[intervention.paramKey];
+        const solved = solveInterventionValue(model, baseValues, intervention, threshold);
+        const change = Math.abs(solved.value - from);
+        const unitCost = unitCosts[id] !== undefined ? unitCosts[id] : intervention.defaultUnitCost;
+        
+        const option = {
+            intervention: id,
+            label: intervention.label,
+            property: PARAMETER_PROPERTY_MAP[intervention.paramKey],
+            feasible: solved.feasible,
+            from: from,
+            to: solved.value,
+            change: parseFloat(change.toFixed(intervention.decimals)),
+            riskIndex: solved.riskIndex,
+            riskReduction: parseFloat((calc.riskIndex - solved.riskIndex).toFixed(2)),
+            cost: solved.feasible ? Math.round(unitCost * lengthKm * (change / intervention.unitStep)) : null
+        };
+        
+        if (id === 'riprap') {
+            option.riprapD50Mm = calculateRiprapD50(solved.value, params.waterDensity, params.gravity);
+        }
+        
+        return option;
+    });
+    
+    const feasible = options.filter(option => option.feasible);
+    const cheapest = feasible.reduce((best, option) => (!best || option.cost < best.cost ? option : best), null);
+    
+    return {
+        id: getSegmentId(feature, index),
+        name: props.name || 'Segment ' + getSegmentId(feature, index),
+        lengthKm: parseFloat(lengthKm.toFixed(2)),
+        riskIndex: calc.riskIndex,
+        riskCategory: calc.riskCategory,
+        discharge: discharge,
+        options: options,
+        cheapest: cheapest ? cheapest.intervention : null,
+        // Risk reduction per unit cost of the cheapest intervention, used for ranking
+        effectiveness: cheapest ? (cheapest.cost > 0 ? cheapest.riskReduction / cheapest.cost : Infinity) : 0
+    };
+}
+
+/**
+ * Choose at most one intervention per segment to maximise total risk reduction within budget
+ * Multiple-choice knapsack by dynamic programming over budget bins; costs round up
+ * to whole bins so the selection never exceeds the budget
+ */
+function selectInterventions(segments, budget) {
+    const bins = MITIGATION_CONFIG.budgetResolution;
+    const binSize = budget / bins;
+    
+    const items = segments.map(segment => segment.options
+        .map((option, optionIndex) => ({
+            optionIndex: optionIndex,
+            weight: Math.ceil(option.cost / binSize - 1e-9),
+            value: option.riskReduction
+        }))
+        .filter(item => segment.options[item.optionIndex].feasible && item.weight <= bins && item.value > 0));
+    
+    let best = new Float64Array(bins + 1);
+    const choices = [];
+    
+    items.forEach(options => {
+        const next = Float64Array.from(best);
+        const choice = new Int8Array(bins + 1).fill(-1);
+        
+        options.forEach((item, i) => {
+            for (let b = item.weight; b <= bins; b++) {
+                const candidate = best[b - item.weight] + item.value;
+                if (candidate > next[b] + 1e-9) {
+                    next[b] = candidate;
+                    choice[b] = i;
+                }
+            }
+        });
+        
+        choices.push(choice);
+        best = next;
+    });
+    
+    // The smallest capacity reaching the best total is the cheapest optimal plan
+    let b = 0;
+    while (b < bins && best[b] < best[bins] - 1e-9) b++;
+    
+    const selected = [];
+    for (let s = segments.length - 1; s >= 0; s--) {
+        const i = choices[s][b];
+        if (i === -1) continue;
+        
+        const item = items[s][i];
+        const option = segments[s].options[item.optionIndex];
+        selected.unshift({ id: segments[s].id, name: segments[s].name, ...option });
+        b -= item.weight;
+    }
+    
+    const totalCost = selected.reduce((sum, option) => sum + option.cost, 0);
+    const totalReduction = selected.reduce((sum, option) => sum + option.riskReduction, 0);
+    
+    return {
+        budget: budget,
+        totalCost: totalCost,
+        totalRiskReduction: parseFloat(totalReduction.toFixed(2)),
+        selected: selected
+    };
+}
+
+/**
+ * Plan mitigation for every segment above the Stable band
+ * unitCosts: { interventionId: cost } (MITIGATION_CONFIG defaults where missing)
+ */
+function calculateMitigationPlan(geojsonData, unitCosts = {}, budget = MITIGATION_CONFIG.defaultBudget, params = {}) {
+    if (!geojsonData || !geojsonData.features) {
+        throw new Error('Invalid GeoJSON data');
+    }
+    
+    if (!(budget > 0)) {
+        throw new Error('Budget must be positive');
+    }
+    
+    Object.entries(unitCosts).forEach(([id, cost]) => {
+        if (!MITIGATION_CONFIG.interventions[id]) {
+            throw new Error(`Unknown intervention "${id}"`);
+        }
+        if (!(cost >= 0)) {
+            throw new Error(`Unit cost for ${MITIGATION_CONFIG.interventions[id].label} must be zero or more`);
+        }
+    });
+    
+    const threshold = getMitigationThreshold();
+    const segments = [];
+    
+    geojsonData.features.forEach((feature, index) => {
+        const calc = feature.properties && feature.properties.calculated;
+        if (!calc || calc.riskIndex < threshold) return;
+        
+        segments.push(planSegmentMitigation(feature, index, calc.discharge, unitCosts, threshold, params));
+    });
+    
+    segments.sort((a, b) => b.effectiveness - a.effectiveness);
+    
+    return {
+        targetCategory: MITIGATION_CONFIG.targetCategory,
+        threshold: threshold,
+        unitCosts: Object.fromEntries(Object.entries(MITIGATION_CONFIG.interventions)
+            .map(([id, intervention]) => [id, unitCosts[id] !== undefined ? unitCosts[id] : intervention.defaultUnitCost])),
+        segments: segments,
+        selection: selectInterventions(segments, budget)
+    };
+}
+
+console.log('Mitigation planner module loaded');
@@ -0,0 +1,110 @@
+/**
+ * Parameter Validation Module
+ * Checks segment parameters against PARAMETER_RANGES before analysis
+ *
+ * Each property is recorded as:
+ *   supplied - present and within range, used as given
+ *   defaulted - missing, PARAMETER_RANGES default used
+ *   clamped  - numeric but outside range, clamped to the nearest limit
+ *   rejected - not a number or physically impossible, default used
+ * In strict mode a segment with any clamped or rejected property is not analysed.
+ */
+
+const PARAMETER_STATUS = {
+    SUPPLIED: 'supplied',
+    DEFAULTED: 'defaulted',
+    CLAMPED: 'clamped',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Validate one property value against its PARAMETER_RANGES entry
+ */
+function validateParameterValue(paramKey, rawValue) {
+    const range = PARAMETER_RANGES[paramKey];
+    
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+        return { status: PARAMETER_STATUS.DEFAULTED, value: range.default };
+    }
+    
+    const value = typeof rawValue === 'string' && rawValue.trim() !== '' ? Number(rawValue) : rawValue;
+    
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return {
+            status: PARAMETER_STATUS.REJECTED,
+            original: rawValue,
+            value: range.default,
+            message: `${JSON.stringify(rawValue)} is not a number`
+        };
+    }
+    
+    // Quantities with a positive lower limit cannot be zero; none can be negative
+    if (value < 0 || (value === 0 && range.min > 0)) {
+        return {
+            status: PARAMETER_STATUS.REJECTED,
+            original: rawValue,
+            value: range.default,
+            message: `${value} is not physically possible`
+        };
+    }
+    
+    if (value < range.min || value > range.max) {
+        const clamped = Math.min(range.max, Math.max(range.min, value));
+        return {
+            status: PARAMETER_STATUS.CLAMPED,
+            original: rawValue,
+            value: clamped,
+            message: `${value} is outside ${range.min}–${range.max}`
+        };
+    }
+    
+    return { status: PARAMETER_STATUS.SUPPLIED, value: value };
+}
+
+/**
+ * Validate every PARAMETER_RANGES property of a segment
+ * Returns the values to analyse with and a per-property report
+ */
+function validateSegmentParameters(props, strict = false) {
+    const values = {};
+    const parameters = {};
+    const counts = {};
+    Object.values(PARAMETER_STATUS).forEach(status => {
+        counts[status] = 0;
+    });
+    
+    Object.entries(PARAMETER_PROPERTY_MAP).forEach(([paramKey, property]) => {
+        const result = validateParameterValue(paramKey, props[property]);
+        values[paramKey] = result.value;
+        parameters[property] = result;
+        counts[result.status]++;
+    });
+    
+    const invalid = counts[PARAMETER_STATUS.CLAMPED] + counts[PARAMETER_STATUS.REJECTED] > 0;
+    
+    return {
+        values: values,
+        report: {
+            strict: strict,
+            analysed: !(strict && invalid),
+            counts: counts,
+            parameters: parameters
+        }
+    };
+}
+
+/**
+ * Diagnostics for clamped and rejected properties
+ */
+function getValidationDiagnostics(report) {
+    return Object.entries(report.parameters)
+        .filter(([, result]) => result.status === PARAMETER_STATUS.CLAMPED || result.status === PARAMETER_STATUS.REJECTED)
+        .map(([property, result]) => ({
+            code: `parameter-${result.status}`,
+            message: report.analysed
+                ? `${property}: ${result.message}; used ${result.value}`
+                : `${property}: ${result.message}; segment not analysed (strict validation)`
+        }));
+}
+
+console.log('Parameter validation module loaded');
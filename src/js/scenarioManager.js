@@ -0,0 +1,213 @@
+/**
+ * Scenario Manager Module
+ * Named what-if scenarios stored with the dataset and compared side by side
+ *
+ * Scenarios live in the FeatureCollection's `scenarios` member:
+ *   [{ id, name, discharge, overrides: { segmentId: { property: value } } }]
+ * Overrides keyed by a parent segment id also apply to that segment's reaches.
+ */
+
+/**
+ * Get the dataset's scenario list, creating it when missing
+ */
+function getScenarios(geojsonData) {
+    if (!Array.isArray(geojsonData.scenarios)) {
+        geojsonData.scenarios = [];
+    }
+    
+    return geojsonData.scenarios;
+}
+
+/**
+ * The implicit baseline: the dataset as loaded at the analysis discharge
+ */
+function getBaselineScenario(discharge) {
+    return { id: SCENARIO_CONFIG.baselineId, name: 'Baseline', discharge: discharge, overrides: {} };
+}
+
+/**
+ * Find a scenario by id (the baseline id returns the baseline)
+ */
+function findScenario(geojsonData, scenarioId, baselineDischarge) {
+    if (scenarioId === SCENARIO_CONFIG.baselineId) {
+        return getBaselineScenario(baselineDischarge);
+    }
+    
+    const scenario = getScenarios(geojsonData).find(candidate => candidate.id === scenarioId);
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${scenarioId}"`);
+    }
+    
+    return scenario;
+}
+
+/**
+ * Add a named scenario
+ */
+function createScenario(geojsonData, name, discharge) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('Scenario name is required');
+    }
+    
+    if (!(discharge > 0)) {
+        throw new Error('Scenario discharge must be positive');
+    }
+    
+    const scenarios = getScenarios(geojsonData);
+    if (scenarios.some(scenario => scenario.name === trimmed)) {
+        throw new Error(`A scenario named "${trimmed}" already exists`);
+    }
+    
+    let n = scenarios.length + 1;
+    while (scenarios.some(scenario => scenario.id === `scenario-${n}`)) n++;
+    
+    const scenario = { id: `scenario-${n}`, name: trimmed, discharge: discharge, overrides: {} };
+    scenarios.push(scenario);
+    return scenario;
+}
+
+/**
+ * Remove a scenario
+ */
+function deleteScenario(geojsonData, scenarioId) {
+    const scenarios = getScenarios(geojsonData);
+    const index = scenarios.findIndex(scenario => scenario.id === scenarioId);
+    
+    if (index === -1) {
+        throw new Error(`Unknown scenario "${scenarioId}"`);
+    }
+    
+    scenarios.splice(index, 1);
+}
+
+/**
+ * Set one property override on a list of segments
+ */
+function setScenarioOverrides(scenario, segmentIds, property, value) {
+    if (!Object.values(PARAMETER_PROPERTY_MAP).includes(property)) {
+        throw new Error(`"${property}" cannot be overridden`);
+    }
+    
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error('Override value must be a number');
+    }
+    
+    if (segmentIds.length === 0) {
+        throw new Error('Select at least one segment');
+    }
+    
+    segmentIds.forEach(segmentId => {
+        const key = String(segmentId);
+        scenario.overrides[key] = { ...(scenario.overrides[key] || {}), [property]: value };
+    });
+}
+
+/**
+ * Remove one property override from a segment
+ */
+function removeScenarioOverride(scenario, segmentId, property) {
+    const overrides = scenario.overrides[String(segmentId)];
+    if (!overrides) return;
+    
+    delete overrides[property];
+    if (Object.keys(overrides).length === 0) {
+        delete scenario.overrides[String(segmentId)];
+    }
+}
+
+/**
+ * Copy of the dataset with a scenario's overrides applied
+ */
+function applyScenario(geojsonData, scenario) {
+    const data = cloneGeoJSON(geojsonData);
+    delete data.scenarios;
+    
+    data.features.forEach((feature, index) => {
+        const props = feature.properties || {};
+        const own = scenario.overrides[getSegmentId(feature, index)];
+        const parent = props.parent_id !== undefined ? scenario.overrides[String(props.parent_id)] : null;
+        
+        if (parent || own) {
+            feature.properties = { ...props, ...(parent || {}), ...(own || {}) };
+        }
+    });
+    
+    return data;
+}
+
+/**
+ * Run the analysis for one scenario
+ */
+function runScenario(geojsonData, scenario, params = {}, routed = false) {
+    const data = applyScenario(geojsonData, scenario);
+    
+    return routed
+        ? calculateRoutedRiskProfile(scenario.discharge, data, params)
+        : calculateRiskProfile(scenario.discharge, data, params);
+}
+
+/**
+ * Compare two scenario runs segment by segment
+ * Returns scenario B's results with calculated.comparison on every segment
+ * analysed in both, and a scenarioComparison summary on the collection
+ */
+function compareScenarioResults(resultsA, resultsB, scenarioA, scenarioB) {
+    const byId = {};
+    resultsA.features.forEach((feature, index) => {
+        byId[getSegmentId(feature, index)] = feature;
+    });
+    
+    const comparison = cloneGeoJSON(resultsB);
+    const rows = [];
+    const summary = { compared: 0, increased: 0, decreased: 0, unchanged: 0, categoryChanges: 0 };
+    
+    comparison.features.forEach((feature, index) => {
+        const id = getSegmentId(feature, index);
+        const calcB = feature.properties.calculated;
+        const calcA = byId[id] && byId[id].properties.calculated;
+        if (!calcA || !calcB) return;
+        
+        const delta = parseFloat((calcB.riskIndex - calcA.riskIndex).toFixed(2));
+        const categoryChanged = calcA.riskCategory !== calcB.riskCategory;
+        const direction = Math.abs(delta) <= SCENARIO_CONFIG.unchangedTolerance
+            ? 'unchanged'
+            : delta > 0 ? 'increased' : 'decreased';
+        
+        calcB.comparison = {
+            baseRiskIndex: calcA.riskIndex,
+            baseRiskCategory: calcA.riskCategory,
+            deltaRiskIndex: delta,
+            categoryChanged: categoryChanged,
+            direction: direction
+        };
+        
+        summary.compared++;
+        summary[direction]++;
+        if (categoryChanged) summary.categoryChanges++;
+        
+        rows.push({
+            id: id,
+            name: feature.properties.name || 'Segment ' + id,
+            riskIndexA: calcA.riskIndex,
+            riskIndexB: calcB.riskIndex,
+            deltaRiskIndex: delta,
+            categoryA: calcA.riskCategory,
+            categoryB: calcB.riskCategory,
+            categoryChanged: categoryChanged,
+            bankVolumeLossA: calcA.bankVolumeLoss,
+            bankVolumeLossB: calcB.bankVolumeLoss
+        });
+    });
+    
+    comparison.scenarioComparison = {
+        a: { id: scenarioA.id, name: scenarioA.name, discharge: scenarioA.discharge, overrides: scenarioA.overrides },
+        b: { id: scenarioB.id, name: scenarioB.name, discharge: scenarioB.discharge, overrides: scenarioB.overrides },
+        summary: summary,
+        rows: rows
+    };
+    
+    return comparison;
+}
+
+console.log('Scenario manager module loaded');
@@ -0,0 +1,165 @@
+/**
+ * Sediment Transport Module
+ * Bedload and total-load transport capacity for river segments
+ *
+ * Grain sizes are read from segment properties in metres (d50, d90) and
+ * sediment density in kg/m³ (sediment_density). Capacities are returned
+ * as dry mass flux per unit channel width (kg/s/m).
+ */
+
+/**
+ * Calculate dimensionless grain size D*
+ */
+function calculateDimensionlessGrainSize(d50, specificGravity, gravity = 9.81, kinematicViscosity = SEDIMENT_PARAMS.kinematicViscosity) {
+    return d50 * Math.pow(((specificGravity - 1) * gravity) / Math.pow(kinematicViscosity, 2), 1 / 3);
+}
+
+/**
+ * Calculate Shields parameter for a bed shear stress
+ */
+function calculateShieldsParameter(bedShear, d50, sedimentDensity, waterDensity = 1000, gravity = 9.81) {
+    return bedShear / ((sedimentDensity - waterDensity) * gravity * d50);
+}
+
+/**
+ * Meyer-Peter Müller bedload capacity (kg/s/m)
+ */
+function calculateMeyerPeterMullerBedload(bedShear, grain, waterDensity = 1000, gravity = 9.81) {
+    const theta = calculateShieldsParameter(bedShear, grain.d50, grain.sedimentDensity, waterDensity, gravity);
+    const excess = theta - SEDIMENT_PARAMS.criticalShields;
+    
+    if (excess <= 0) {
+        return 0;
+    }
+    
+    const specificGravity = grain.sedimentDensity / waterDensity;
+    const volumetric = 8 * Math.pow(excess, 1.5) * Math.sqrt((specificGravity - 1) * gravity * Math.pow(grain.d50, 3));
+    return volumetric * grain.sedimentDensity;
+}
+
+/**
+ * Critical depth-averaged velocity for van Rijn (2007) simplified formulas
+ */
+function calculateVanRijnCriticalVelocity(flowDepth, grain) {
+    const roughnessTerm = Math.log10((12 * flowDepth) / (3 * grain.d90));
+    
+    if (grain.d50 < 0.0005) {
+        return 0.19 * Math.pow(grain.d50, 0.1) * roughnessTerm;
+    }
+    
+    return 8.5 * Math.pow(grain.d50, 0.6) * roughnessTerm;
+}
+
+/**
+ * Van Rijn (2007) mobility parameter Me
+ */
+function calculateVanRijnMobility(velocity, flowDepth, grain, waterDensity = 1000, gravity = 9.81) {
+    const specificGravity = grain.sedimentDensity / waterDensity;
+    const criticalVelocity = calculateVanRijnCriticalVelocity(flowDepth, grain);
+    return (velocity - criticalVelocity) / Math.sqrt((specificGravity - 1) * gravity * grain.d50);
+}
+
+/**
+ * Van Rijn (2007) simplified bedload capacity (kg/s/m)
+ */
+function calculateVanRijnBedload(velocity, flowDepth, grain, waterDensity = 1000, gravity = 9.81) {
+    const mobility = calculateVanRijnMobility(velocity, flowDepth, grain, waterDensity, gravity);
+    
+    if (mobility <= 0 || flowDepth <= 0) {
+        return 0;
+    }
+    
+    return 0.015 * grain.sedimentDensity * velocity * flowDepth *
+        Math.pow(grain.d50 / flowDepth, 1.2) * Math.pow(mobility, 1.5);
+}
+
+/**
+ * Van Rijn (2007) simplified suspended-load capacity (kg/s/m)
+ */
+function calculateVanRijnSuspendedLoad(velocity, flowDepth, grain, waterDensity = 1000, gravity = 9.81) {
+    const mobility = calculateVanRijnMobility(velocity, flowDepth, grain, waterDensity, gravity);
+    
+    if (mobility <= 0) {
+        return 0;
+    }
+    
+    const specificGravity = grain.sedimentDensity / waterDensity;
+    const dStar = calculateDimensionlessGrainSize(grain.d50, specificGravity, gravity);
+    
+    return 0.012 * grain.sedimentDensity * velocity * grain.d50 *
+        Math.pow(mobility, 2.4) * Math.pow(dStar, -0.6);
+}
+
+/**
+ * Engelund-Hansen total-load capacity (kg/s/m)
+ */
+function calculateEngelundHansenTotalLoad(velocity, bedShear, grain, waterDensity = 1000, gravity = 9.81) {
+    const specificGravity = grain.sedimentDensity / waterDensity;
+    const theta = calculateShieldsParameter(bedShear, grain.d50, grain.sedimentDensity, waterDensity, gravity);
+    
+    const volumetric = 0.05 * Math.pow(velocity, 2) *
+        Math.sqrt(grain.d50 / (gravity * (specificGravity - 1))) * Math.pow(theta, 1.5);
+    
+    return volumetric * grain.sedimentDensity;
+}
+
+/**
+ * Read grain properties from a segment, falling back to defaults
+ */
+function getSegmentGrainProperties(props) {
+    const d50 = props.d50 || SEDIMENT_PARAMS.d50;
+    
+    return {
+        d50: d50,
+        d90: props.d90 || Math.max(d50 * SEDIMENT_PARAMS.d90ToD50Ratio, d50),
+        sedimentDensity: props.sediment_density || SEDIMENT_PARAMS.sedimentDensity
+    };
+}
+
+/**
+ * Round small transport values without losing them to fixed decimals
+ */
+function roundTransport(value) {
+    return value === 0 ? 0 : parseFloat(value.toPrecision(3));
+}
+
+/**
+ * Calculate bedload and total-load capacity for a segment
+ *
+ * hydraulics: { velocity, flowDepth, bedShear }
+ */
+function calculateSedimentTransport(props, hydraulics, params = {}) {
+    const waterDensity = params.waterDensity || 1000;
+    const gravity = params.gravity || 9.81;
+    const bedloadFormula = params.bedloadFormula || SEDIMENT_PARAMS.defaultBedloadFormula;
+    const totalLoadFormula = params.totalLoadFormula || SEDIMENT_PARAMS.defaultTotalLoadFormula;
+    
+    const grain = getSegmentGrainProperties(props);
+    const { velocity, flowDepth, bedShear } = hydraulics;
+    
+    let bedload;
+    if (bedloadFormula === 'van-rijn') {
+        bedload = calculateVanRijnBedload(velocity, flowDepth, grain, waterDensity, gravity);
+    } else {
+        bedload = calculateMeyerPeterMullerBedload(bedShear, grain, waterDensity, gravity);
+    }
+    
+    let totalLoad;
+    if (totalLoadFormula === 'van-rijn') {
+        totalLoad = calculateVanRijnBedload(velocity, flowDepth, grain, waterDensity, gravity) +
+            calculateVanRijnSuspendedLoad(velocity, flowDepth, grain, waterDensity, gravity);
+    } else {
+        totalLoad = calculateEngelundHansenTotalLoad(velocity, bedShear, grain, waterDensity, gravity);
+    }
+    
+    return {
+        bedloadCapacity: roundTransport(bedload),
+        totalLoadCapacity: roundTransport(totalLoad),
+        shieldsParameter: roundTransport(calculateShieldsParameter(bedShear, grain.d50, grain.sedimentDensity, waterDensity, gravity)),
+        bedloadFormula: bedloadFormula,
+        totalLoadFormula: totalLoadFormula,
+        d50: grain.d50
+    };
+}
+
+console.log('Sediment transport module loaded');
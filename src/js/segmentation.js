@@ -0,0 +1,309 @@
+/**
+ * Segmentation Module
+ * Splits river segments into fixed-length analysis reaches and dissolves
+ * reach results back to their parent segments
+ *
+ * Reaches inherit their parent's properties and gain parent_id, reach_index,
+ * chainage_start_m and chainage_end_m (measured from the parent's first vertex).
+ * A parent's LiDAR merge is not inherited: reaches get the pre-merge values
+ * back and are merged with LiDAR on their own.
+ * Reaches within a parent are linked with downstream_id; the last reach links
+ * to the first reach of the parent's downstream segment.
+ */
+
+// Results, per-run state and located survey data that must not be copied onto reaches
+const NON_INHERITED_PROPERTIES = ['calculated', 'diagnostics', 'validation', 'derived', 'cross_sections'];
+
+/**
+ * Interpolate a coordinate between two vertices (lon/lat, and Z when present)
+ */
+function interpolateCoordinate(a, b, fraction) {
+    return a.map((value, i) => {
+        if (b[i] === undefined) return value;
+        return value + (b[i] - value) * fraction;
+    });
+}
+
+/**
+ * Coordinate at a distance in metres along a coordinate array
+ */
+function getPointAlongPath(coords, distance) {
+    let travelled = 0;
+    
+    for (let i = 1; i < coords.length; i++) {
+        const a = coords[i - 1];
+        const b = coords[i];
+        const edge = haversineDistance(a[1], a[0], b[1], b[0]);
+        
+        if (travelled + edge >= distance && edge > 0) {
+            return interpolateCoordinate(a, b, (distance - travelled) / edge);
+        }
+        travelled += edge;
+    }
+    
+    return coords[coords.length - 1];
+}
+
+/**
+ * Cut one coordinate array into pieces of reachLength metres
+ * A final piece shorter than minReachFraction × reachLength joins the piece before it
+ * Returns [{ coordinates, start, end }] with distances along the part
+ */
+function splitPathByLength(coords, reachLength) {
+    const totalLength = calculatePathLength(coords);
+    if (totalLength === 0) {
+        return [{ coordinates: coords.slice(), start: 0, end: 0 }];
+    }
+    
+    const reachCount = Math.max(1, Math.floor(totalLength / reachLength +
+        (totalLength % reachLength >= SEGMENTATION_CONFIG.minReachFraction * reachLength ? 1 : 0)));
+    const cuts = [];
+    for (let i = 1; i < reachCount; i++) {
+        cuts.push(i * reachLength);
+    }
+    
+    const pieces = [];
+    let current = [coords[0]];
+    let start = 0;
+    let travelled = 0;
+    
+    for (let i = 1; i < coords.length; i++) {
+        const a = coords[i - 1];
+        const b = coords[i];
+        const edge = haversineDistance(a[1], a[0], b[1], b[0]);
+        
+        while (cuts.length > 0 && cuts[0] <= travelled + edge && edge > 0) {
+            const point = interpolateCoordinate(a, b, (cuts[0] - travelled) / edge);
+            current.push(point);
+            pieces.push({ coordinates: current, start: start, end: cuts[0] });
+            current = [point];
+            start = cuts.shift();
+        }
+        
+        current.push(b);
+        travelled += edge;
+    }
+    
+    pieces.push({ coordinates: current, start: start, end: totalLength });
+    
+    return pieces;
+}
+
+/**
+ * Split one line feature into reaches
+ */
+function splitSegmentIntoReaches(feature, index, reachLength) {
+    const parentProps = feature.properties || {};
+    const parentId = getSegmentId(feature, index);
+    const parentName = parentProps.name || 'Segment ' + parentId;
+    const parentLength = calculateLineLength(feature.geometry);
+    
+    const pieces = [];
+    let offset = 0;
+    getLineParts(feature.geometry).forEach(part => {
+        if (part.length < 2) return;
+        splitPathByLength(part, reachLength).forEach(piece => {
+            pieces.push({ coordinates: piece.coordinates, start: offset + piece.start, end: offset + piece.end });
+        });
+        offset += calculatePathLength(part);
+    });
+    
+    const inherited = { ...parentProps };
+    NON_INHERITED_PROPERTIES.forEach(property => delete inherited[property]);
+    clearLidarMerge(inherited);
+    
+    return pieces.map((piece, i) => {
+        const props = {
+            ...inherited,
+            id: `${parentId}-${i + 1}`,
+            name: `${parentName} [${(piece.start / 1000).toFixed(1)}-${(piece.end / 1000).toFixed(1)} km]`,
+            parent_id: parentId,
+            reach_index: i + 1,
+            chainage_start_m: parseFloat(piece.start.toFixed(1)),
+            chainage_end_m: parseFloat(piece.end.toFixed(1)),
+            reach_length_m: parseFloat((piece.end - piece.start).toFixed(1))
+        };
+        
+        // Endpoint elevations interpolate linearly along the parent's chainage
+        const up = parentProps[DERIVATION_CONFIG.upstreamElevationProperty];
+        const down = parentProps[DERIVATION_CONFIG.downstreamElevationProperty];
+        if (typeof up === 'number' && typeof down === 'number' && parentLength > 0) {
+            props[DERIVATION_CONFIG.upstreamElevationProperty] = up + (down - up) * (piece.start / parentLength);
+            props[DERIVATION_CONFIG.downstreamElevationProperty] = up + (down - up) * (piece.end / parentLength);
+        }
+        
+        // Inflows: boundary and tributary inflows enter the first reach, lateral inflow is shared by length
+        if (i > 0) {
+            delete props.source_discharge;
+            delete props.tributary_inflow;
+        }
+        if (parentProps.lateral_inflow !== undefined && parentLength > 0) {
+            props.lateral_inflow = parseFloat((parseFloat(parentProps.lateral_inflow) * ((piece.end - piece.start) / parentLength)).toFixed(3));
+        }
+        
+        if (i < pieces.length - 1) {
+            props.downstream_id = `${parentId}-${i + 2}`;
+        }
+        
+        return {
+            type: 'Feature',
+            properties: props,
+            geometry: { type: 'LineString', coordinates: piece.coordinates }
+        };
+    });
+}
+
+/**
+ * Split every line segment of a FeatureCollection into reaches of reachLengthKm
+ */
+function segmentRiverNetwork(geojsonData, reachLengthKm) {
+    if (!geojsonData || !geojsonData.features) {
+        throw new Error('Invalid GeoJSON data');
+    }
+    
+    if (!(reachLengthKm >= SEGMENTATION_CONFIG.minReachLengthKm)) {
+        throw new Error(`Reach length must be at least ${SEGMENTATION_CONFIG.minReachLengthKm} km`);
+    }
+    
+    if (geojsonData.features.some(feature => feature.properties && feature.properties.parent_id !== undefined)) {
+        throw new Error('Data is already segmented; restore the original segments first');
+    }
+    
+    const reachLength = reachLengthKm * 1000;
+    const reachesByParent = {};
+    const lineFeatures = [];
+    const otherFeatures = [];
+    
+    geojsonData.features.forEach((feature, index) => {
+        if (!isLineFeature(feature)) {
+            otherFeatures.push(feature);
+            return;
+        }
+        
+        const reaches = splitSegmentIntoReaches(feature, index, reachLength);
+        reachesByParent[getSegmentId(feature, index)] = reaches;
+        lineFeatures.push(...reaches);
+    });
+    
+    if (lineFeatures.length > SEGMENTATION_CONFIG.maxReaches) {
+        throw new Error(`${lineFeatures.length} reaches exceeds the limit of ${SEGMENTATION_CONFIG.maxReaches}. Use a longer reach length.`);
+    }
+    
+    // Link each parent's last reach to the first reach of its downstream parent
+    Object.values(reachesByParent).forEach(reaches => {
+        const last = reaches[reaches.length - 1];
+        const target = last.properties.downstream_id;
+        
+        if (target !== undefined && target !== null && target !== '' && reachesByParent[String(target)]) {
+            last.properties.downstream_id = reachesByParent[String(target)][0].properties.id;
+        }
+    });
+    
+    // Inflow points attached to a parent move to its nearest reach
+    const points = otherFeatures.map(feature => {
+        const props = feature.properties || {};
+        const reaches = props.segment_id !== undefined ? reachesByParent[String(props.segment_id)] : null;
+        if (!reaches || !feature.geometry || feature.geometry.type !== 'Point') {
+            return feature;
+        }
+        
+        const [lon, lat] = feature.geometry.coordinates;
+        const nearest = reaches.reduce((best, reach) => {
+            const distance = calculateVertexDistance(lon, lat, reach.geometry);
+            return distance < best.distance ? { reach, distance } : best;
+        }, { reach: reaches[0], distance: Infinity });
+        
+        return {
+            ...feature,
+            properties: { ...props, segment_id: nearest.reach.properties.id, parent_segment_id: props.segment_id }
+        };
+    });
+    
+    return {
+        ...geojsonData,
+        features: lineFeatures.concat(points),
+        segmentation: {
+            reachLengthKm: reachLengthKm,
+            parentCount: Object.keys(reachesByParent).length,
+            reachCount: lineFeatures.length
+        }
+    };
+}
+
+/**
+ * Whether a FeatureCollection holds reaches made by segmentRiverNetwork
+ */
+function isSegmented(geojsonData) {
+    return !!geojsonData && !!geojsonData.segmentation;
+}
+
+/**
+ * Dissolve analysed reaches back to one summary feature per parent segment
+ */
+function dissolveReachResults(geojsonData) {
+    const groups = {};
+    const order = [];
+    
+    geojsonData.features.forEach(feature => {
+        const props = feature.properties || {};
+        if (props.parent_id === undefined || !isLineFeature(feature)) return;
+        
+        if (!groups[props.parent_id]) {
+            groups[props.parent_id] = [];
+            order.push(props.parent_id);
+        }
+        groups[props.parent_id].push(feature);
+    });
+    
+    const features = order.map(parentId => {
+        const reaches = groups[parentId].slice().sort((a, b) => a.properties.reach_index - b.properties.reach_index);
+        const analysed = reaches.filter(reach => reach.properties.calculated);
+        const name = (reaches[0].properties.name || '').replace(/ \[[^\]]*\]$/, '');
+        
+        const categoryLengths = {};
+        let weightedRisk = 0;
+        let analysedLength = 0;
+        let bankVolumeLoss = 0;
+        let worst = null;
+        
+        analysed.forEach(reach => {
+            const calc = reach.properties.calculated;
+            const length = reach.properties.reach_length_m;
+            
+            categoryLengths[calc.riskCategory] = parseFloat(((categoryLengths[calc.riskCategory] || 0) + length / 1000).toFixed(2));
+            weightedRisk += calc.riskIndex * length;
+            analysedLength += length;
+            bankVolumeLoss += calc.bankVolumeLoss || 0;
+            
+            if (!worst || calc.riskIndex > worst.properties.calculated.riskIndex) {
+                worst = reach;
+            }
+        });
+        
+        return {
+            type: 'Feature',
+            properties: {
+                id: parentId,
+                name: name,
+                reachCount: reaches.length,
+                analysedReaches: analysed.length,
+                lengthKm: parseFloat((reaches.reduce((sum, reach) => sum + reach.properties.reach_length_m, 0) / 1000).toFixed(2)),
+                meanRiskIndex: analysedLength > 0 ? parseFloat((weightedRisk / analysedLength).toFixed(2)) : null,
+                maxRiskIndex: worst ? worst.properties.calculated.riskIndex : null,
+                worstCategory: worst ? worst.properties.calculated.riskCategory : null,
+                worstReach: worst ? worst.properties.id : null,
+                worstReachChainageKm: worst ? parseFloat((worst.properties.chainage_start_m / 1000).toFixed(1)) : null,
+                categoryLengthsKm: categoryLengths,
+                bankVolumeLoss: parseFloat(bankVolumeLoss.toFixed(1))
+            },
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: reaches.map(reach => reach.geometry.coordinates)
+            }
+        };
+    });
+    
+    return { type: 'FeatureCollection', features: features };
+}
+
+console.log('Segmentation module loaded');
@@ -0,0 +1,203 @@
+/**
+ * Sensitivity Analysis Module
+ * One-at-a-time and variance-based (Sobol) sensitivity of riskIndex
+ * to the segment parameters listed in PARAMETER_RANGES
+ */
+
+/**
+ * Sampling bounds for one parameter of a segment
+ * 'full' spans PARAMETER_RANGES; 'local' spans ± localFraction of the segment value
+ */
+function getSensitivityBounds(paramKey, baseValue, rangeMode) {
+    const range = PARAMETER_RANGES[paramKey];
+    
+    if (rangeMode === 'local') {
+        const delta = Math.abs(baseValue) * SENSITIVITY_CONFIG.localFraction;
+        return {
+            min: Math.max(range.min, baseValue - delta),
+            max: Math.min(range.max, baseValue + delta)
+        };
+    }
+    
+    return { min: range.min, max: range.max };
+}
+
+/**
+ * Map a unit-interval sample onto parameter bounds (log scale where configured)
+ */
+function scaleSensitivitySample(paramKey, unit, bounds) {
+    if (SENSITIVITY_CONFIG.logScaleParameters.includes(paramKey) && bounds.min > 0) {
+        const logMin = Math.log(bounds.min);
+        const logMax = Math.log(bounds.max);
+        return Math.exp(logMin + unit * (logMax - logMin));
+    }
+    
+    return bounds.min + unit * (bounds.max - bounds.min);
+}
+
+/**
+ * Build a riskIndex model for one segment: parameter values in, riskIndex out
+ */
+function createRiskIndexModel(feature, discharge, params = {}) {
+    const trial = cloneGeoJSON(feature);
+    delete trial.properties.calculated;
+    
+    return function(values) {
+        Object.entries(values).forEach(([paramKey, value]) => {
+            trial.properties[PARAMETER_PROPERTY_MAP[paramKey]] = value;
+        });
+        
+        // Trial values are set explicitly, so geometry-derived values must not replace them
+        const calc = calculateSegmentRisk(trial, discharge, { ...params, parameterSource: 'supplied' }).properties.calculated;
+        return calc ? calc.riskIndex : NaN;
+    };
+}
+
+/**
+ * One-at-a-time sensitivity: riskIndex at each parameter's low and high bound
+ */
+function calculateOneAtATimeSensitivity(model, baseValues, bounds) {
+    const baseRisk = model(baseValues);
+    
+    const rows = Object.keys(bounds).map(paramKey => {
+        const riskLow = model({ ...baseValues, [paramKey]: bounds[paramKey].min });
+        const riskHigh = model({ ...baseValues, [paramKey]: bounds[paramKey].max });
+        
+        return {
+            parameter: paramKey,
+            property: PARAMETER_PROPERTY_MAP[paramKey],
+            low: bounds[paramKey].min,
+            high: bounds[paramKey].max,
+            riskLow: riskLow,
+            riskHigh: riskHigh,
+            swing: parseFloat(Math.abs(riskHigh - riskLow).toFixed(3))
+        };
+    });
+    
+    rows.sort((a, b) => b.swing - a.swing);
+    
+    return { baseRisk: baseRisk, rows: rows };
+}
+
+/**
+ * Variance-based Sobol indices (Saltelli sampling, Saltelli/Jansen estimators)
+ */
+function calculateSobolIndices(model, baseValues, bounds, samples, random) {
+    const keys = Object.keys(bounds);
+    const k = keys.length;
+    
+    const drawRow = () => keys.map(() => random());
+    const toValues = row => {
+        const values = { ...baseValues };
+        keys.forEach((paramKey, j) => {
+            values[paramKey] = scaleSensitivitySample(paramKey, row[j], bounds[paramKey]);
+        });
+        return values;
+    };
+    
+    const A = [];
+    const B = [];
+    for (let n = 0; n < samples; n++) {
+        A.push(drawRow());
+        B.push(drawRow());
+    }
+    
+    const fA = A.map(row => model(toValues(row)));
+    const fB = B.map(row => model(toValues(row)));
+    
+    const all = fA.concat(fB).filter(v => isFinite(v));
+    const mean = all.reduce((sum, v) => sum + v, 0) / all.length;
+    const variance = all.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / all.length;
+    
+    return keys.map((paramKey, i) => {
+        let firstSum = 0;
+        let totalSum = 0;
+        let count = 0;
+        
+        for (let n = 0; n < samples; n++) {
+            const mixed = A[n].slice();
+            mixed[i] = B[n][i];
+            const fABi = model(toValues(mixed));
+            
+            if (!isFinite(fABi) || !isFinite(fA[n]) || !isFinite(fB[n])) continue;
+            
+            firstSum += fB[n] * (fABi - fA[n]);
+            totalSum += Math.pow(fA[n] - fABi, 2);
+            count++;
+        }
+        
+        const first = variance > 0 && count > 0 ? firstSum / count / variance : 0;
+        const total = variance > 0 && count > 0 ? totalSum / (2 * count) / variance : 0;
+        
+        return {
+            parameter: paramKey,
+            property: PARAMETER_PROPERTY_MAP[paramKey],
+            firstOrder: parseFloat(first.toFixed(3)),
+            totalOrder: parseFloat(total.toFixed(3))
+        };
+    }).sort((a, b) => b.totalOrder - a.totalOrder);
+}
+
+/**
+ * Run one-at-a-time and Sobol sensitivity for one segment
+ */
+function calculateSegmentSensitivity(feature, discharge, options = {}, params = {}, random = Math.random) {
+    const props = feature.properties || {};
+    const rangeMode = options.rangeMode || SENSITIVITY_CONFIG.defaultRangeMode;
+    const samples = options.samples || SENSITIVITY_CONFIG.defaultSamples;
+    
+    const baseValues = {};
+    const bounds = {};
+    
+    const validated = resolveSegmentParameters(feature, params).values;
+    
+    SENSITIVITY_CONFIG.parameters.forEach(paramKey => {
+        const baseValue = validated[paramKey];
+        baseValues[paramKey] = baseValue;
+        bounds[paramKey] = getSensitivityBounds(paramKey, baseValue, rangeMode);
+    });
+    
+    const model = createRiskIndexModel(feature, discharge, params);
+    const oat = calculateOneAtATimeSensitivity(model, baseValues, bounds);
+    
+    return {
+        id: props.id,
+        name: props.name || 'Segment ' + props.id,
+        discharge: discharge,
+        rangeMode: rangeMode,
+        samples: samples,
+        baseRiskIndex: oat.baseRisk,
+        oneAtATime: oat.rows,
+        sobol: calculateSobolIndices(model, baseValues, bounds, samples, random)
+    };
+}
+
+/**
+ * Run sensitivity analysis for every analysed segment, keyed by segment id
+ */
+function calculateSensitivityProfile(discharge, geojsonData, options = {}, params = {}) {
+    if (!geojsonData || !geojsonData.features) {
+        console.error('Invalid GeoJSON data');
+        return {};
+    }
+    
+    const samples = options.samples || SENSITIVITY_CONFIG.defaultSamples;
+    if (!(samples >= 8) || samples > SENSITIVITY_CONFIG.maxSamples) {
+        throw new Error(`Sobol samples must be between 8 and ${SENSITIVITY_CONFIG.maxSamples}`);
+    }
+    
+    const random = createRandomGenerator(SENSITIVITY_CONFIG.seed);
+    const results = {};
+    
+    geojsonData.features.forEach((feature, index) => {
+        const calc = feature.properties && feature.properties.calculated;
+        if (!calc) return;
+        
+        const segmentDischarge = calc.discharge !== undefined ? calc.discharge : discharge;
+        results[getSegmentId(feature, index)] = calculateSegmentSensitivity(feature, segmentDischarge, options, params, random);
+    });
+    
+    return results;
+}
+
+console.log('Sensitivity analysis module loaded');
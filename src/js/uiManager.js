@@ -95,46 +95,984 @@ function updateLidarStatus(status, isSuccess = false) {
     }
 }
 
+/**
+ * Update the cross-section import status line
+ */
+function updateCrossSectionStatus(status) {
+    const statusEl = document.getElementById('cross-section-status');
+    if (statusEl) {
+        statusEl.textContent = status;
+    }
+}
+
 /**
  * Update data statistics display
  */
 function updateStatistics(stats) {
     if (!stats) return;
     
-    const elements = {
-        'stat-segments': stats.totalSegments,
-        'stat-high-erosion': stats.highErosion,
-        'stat-med-erosion': stats.mediumErosion,
-        'stat-stable': stats.stable,
-        'stat-deposition': stats.highDeposition
-    };
+    const segmentsEl = document.getElementById('stat-segments');
+    if (segmentsEl) {
+        segmentsEl.textContent = stats.totalSegments;
+    }
     
-    Object.entries(elements).forEach(([id, value]) => {
-        const el = document.getElementById(id);
-        if (el) {
-            el.textContent = value;
-        }
-    });
+    const categoriesEl = document.getElementById('stat-categories');
+    if (categoriesEl) {
+        categoriesEl.innerHTML = Object.entries(stats.categoryCounts).map(([name, count]) => {
+            const style = getRiskCategoryStyle(name);
+            return `<div class="flex justify-between"><span>${escapeChartText(name)}:</span> <span style="color: ${style ? style.color : '#9ca3af'};">${count}</span></div>`;
+        }).join('');
+    }
+    
+    const averagesEl = document.getElementById('stat-averages');
+    if (averagesEl) {
+        averagesEl.innerHTML = stats.totalSegments > 0 ? [
+            ['Avg Risk Index', stats.avgRiskIndex],
+            ['Avg Velocity', formatQuantity(stats.avgVelocity, 'velocity')],
+            ['Avg Shear Stress', formatQuantity(stats.avgShearStress, 'shearStress')]
+        ].map(([label, value]) => `<div class="flex justify-between"><span>${label}:</span> <span>${value}</span></div>`).join('') : '';
+    }
 }
 
 /**
- * Get discharge input value
+ * Get discharge input value in m³/s (the input shows display units)
  */
 function getDischargeValue() {
     const input = document.getElementById('discharge-input');
-    return input ? parseFloat(input.value) : 300;
+    return input ? fromDisplayValue(parseFloat(input.value), 'discharge') : 300;
 }
 
 /**
- * Set discharge input value
+ * Set a discharge input from a value in m³/s
  */
-function setDischargeValue(value) {
+function setDischargeValue(value, inputId = 'discharge-input') {
+    const input = document.getElementById(inputId);
+    if (input) {
+        // Two decimals so switching unit systems back and forth returns the same m³/s
+        input.value = parseFloat(convertFromSI(value, getSystemUnit('discharge', getDisplayUnitSystem())).toFixed(2));
+    }
+}
+
+/**
+ * Fill the unit selects and put the discharge inputs in display units
+ */
+function renderUnitControls() {
+    const systems = UNIT_CONFIG.systems.map(system => ({ value: system.id, label: system.label }));
+    const unitLabel = getDisplayUnitLabel('discharge');
+    
+    populateSelect('display-units-select', systems, getDisplayUnitSystem());
+    populateSelect('input-units-select', systems, document.getElementById('input-units-select')?.value || UNIT_CONFIG.defaultInputSystem);
+    
+    const labelEl = document.getElementById('discharge-unit-label');
+    if (labelEl) {
+        labelEl.textContent = unitLabel;
+    }
+    
     const input = document.getElementById('discharge-input');
     if (input) {
-        input.value = value;
+        input.min = Math.floor(toDisplayValue(VALIDATION.discharge.min, 'discharge'));
+        input.max = Math.ceil(toDisplayValue(VALIDATION.discharge.max, 'discharge'));
+        input.step = parseFloat(toDisplayValue(VALIDATION.discharge.step, 'discharge').toPrecision(1));
+    }
+    
+    const scenarioInput = document.getElementById('scenario-discharge-input');
+    if (scenarioInput) {
+        scenarioInput.title = `Scenario discharge (${unitLabel})`;
+    }
+}
+
+/**
+ * Show the LiDAR CSV column-mapping step with one column select per field
+ */
+function renderLidarColumnMapping(csvImport) {
+    const { parsed, encoding, mapping, fileName } = csvImport;
+    const delimiterNames = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+    
+    const info = document.getElementById('lidar-csv-info');
+    if (info) {
+        info.textContent = `${fileName}: ${parsed.rows.length} rows, ${delimiterNames[parsed.delimiter]} delimited, ${encoding}` +
+            (parsed.decimalComma ? ', decimal comma' : '');
+    }
+    
+    const el = document.getElementById('lidar-mapping-fields');
+    if (el) {
+        const columnOptions = parsed.header
+            .map((column, i) => `<option value="${i}">${escapeChartText(column || `Column ${i + 1}`)}</option>`)
+            .join('');
+        
+        el.innerHTML = CSV_CONFIG.lidarFields.map(field => `
+            <div class="flex items-center gap-2 text-xs">
+                <label for="lidar-map-${field.id}" class="w-1/2 text-gray-400">${escapeChartText(field.label)}${field.required ? ' *' : ''}</label>
+                <select id="lidar-map-${field.id}" data-field="${field.id}" class="lidar-mapping-select w-1/2 bg-gray-800/50 border border-white/10 rounded-lg py-1 px-2">
+                    <option value="">— not mapped —</option>${columnOptions}
+                </select>
+            </div>
+        `).join('');
+        
+        CSV_CONFIG.lidarFields.forEach(field => {
+            const select = document.getElementById(`lidar-map-${field.id}`);
+            if (select && mapping[field.id] !== undefined) {
+                select.value = String(mapping[field.id]);
+            }
+        });
+    }
+    
+    setElementVisible('lidar-column-mapping', true);
+}
+
+/**
+ * Read the LiDAR column mapping: { fieldId: columnIndex }
+ */
+function getLidarColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('.lidar-mapping-select').forEach(select => {
+        if (select.value !== '') {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        }
+    });
+    
+    return mapping;
+}
+
+/**
+ * Get LiDAR merge options: buffer and fallback distances (m), statistic and percentile
+ */
+function getLidarMergeOptions() {
+    const number = (id, fallback) => {
+        const input = document.getElementById(id);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) ? fallback : value;
+    };
+    const statistic = document.getElementById('lidar-statistic-select');
+    
+    return {
+        bufferDistance: number('lidar-buffer-input', LIDAR_CONFIG.bufferDistanceM),
+        maxDistance: number('lidar-max-distance-input', LIDAR_CONFIG.maxMatchDistanceM),
+        statistic: statistic ? statistic.value : LIDAR_CONFIG.defaultStatistic,
+        percentile: number('lidar-percentile-input', LIDAR_CONFIG.defaultPercentile)
+    };
+}
+
+/**
+ * Unit system assumed for uploads without unit metadata
+ */
+function getInputUnitSystem() {
+    const select = document.getElementById('input-units-select');
+    return select && select.value ? select.value : UNIT_CONFIG.defaultInputSystem;
+}
+
+/**
+ * Get selected sediment transport formulas
+ */
+function getSedimentFormulas() {
+    const bedload = document.getElementById('bedload-formula-select');
+    const totalLoad = document.getElementById('total-load-formula-select');
+    
+    return {
+        bedloadFormula: bedload ? bedload.value : SEDIMENT_PARAMS.defaultBedloadFormula,
+        totalLoadFormula: totalLoad ? totalLoad.value : SEDIMENT_PARAMS.defaultTotalLoadFormula
+    };
+}
+
+/**
+ * Get whether slope and curvature come from properties or geometry
+ */
+function getParameterSource() {
+    const select = document.getElementById('parameter-source-select');
+    return select ? select.value : DERIVATION_CONFIG.defaultSource;
+}
+
+/**
+ * Check whether network flow routing is enabled
+ */
+function isRoutingEnabled() {
+    const toggle = document.getElementById('routing-toggle');
+    return toggle ? toggle.checked : true;
+}
+
+/**
+ * Get discharge sweep range inputs
+ */
+function getSweepInputs() {
+    const read = (id, fallback) => {
+        const input = document.getElementById(id);
+        return input ? parseFloat(input.value) : fallback;
+    };
+    
+    return {
+        min: read('sweep-min-input', SWEEP_CONFIG.defaultMin),
+        max: read('sweep-max-input', SWEEP_CONFIG.defaultMax),
+        step: read('sweep-step-input', SWEEP_CONFIG.defaultStep)
+    };
+}
+
+/**
+ * Fill a select element with options
+ */
+function populateSelect(selectId, options, selectedValue = null) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    
+    select.innerHTML = '';
+    options.forEach(option => {
+        const el = document.createElement('option');
+        el.value = option.value;
+        el.textContent = option.label;
+        if (selectedValue !== null && String(option.value) === String(selectedValue)) {
+            el.selected = true;
+        }
+        select.appendChild(el);
+    });
+}
+
+/**
+ * Show or hide an element by id
+ */
+function setElementVisible(elementId, visible = true) {
+    const el = document.getElementById(elementId);
+    if (el) {
+        el.classList.toggle('hidden', !visible);
     }
 }
 
+/**
+ * Render threshold discharges found by a sweep
+ */
+function renderSweepThresholds(sweepResults) {
+    const el = document.getElementById('sweep-thresholds');
+    if (!el) return;
+    
+    let html = '<p class="text-gray-300 mb-2"><strong>Category thresholds</strong></p>';
+    
+    sweepResults.forEach(segment => {
+        html += `<p class="mt-2 text-gray-300">${escapeChartText(segment.name)}</p>`;
+        
+        if (segment.thresholds.length === 0) {
+            const category = segment.points.length > 0 ? segment.points[0].riskCategory : 'n/a';
+            html += `<p class="text-gray-500">No change in range (${category})</p>`;
+            return;
+        }
+        
+        segment.thresholds.forEach(threshold => {
+            html += `<p>${threshold.fromCategory} → ${threshold.toCategory} at <strong>${threshold.discharge} m³/s</strong></p>`;
+        });
+    });
+    
+    el.innerHTML = html;
+}
+
+/**
+ * Get the selected flood-frequency distribution
+ */
+function getFloodDistribution() {
+    const select = document.getElementById('flood-distribution-select');
+    return select ? select.value : FLOOD_FREQUENCY_CONFIG.defaultDistribution;
+}
+
+/**
+ * Find the active scheme's class for a category name
+ */
+function getRiskCategoryStyle(categoryName) {
+    return getSchemeClass(categoryName);
+}
+
+/**
+ * Render fitted return-period discharges for each gauge
+ */
+function renderFloodGaugeSummary(gauges, distribution) {
+    const el = document.getElementById('flood-gauge-summary');
+    if (!el) return;
+    
+    let html = '';
+    Object.entries(gauges).forEach(([gaugeId, gauge]) => {
+        const quantiles = gauge[distribution].quantiles;
+        html += `<p class="text-gray-300"><strong>Gauge ${escapeChartText(gaugeId)}</strong> (${gauge.records} yrs, ${gauge.firstYear}-${gauge.lastYear})</p>`;
+        html += '<p>' + Object.entries(quantiles)
+            .map(([T, discharge]) => `Q${T}: ${discharge} m³/s`)
+            .join(' · ') + '</p>';
+    });
+    
+    el.innerHTML = html;
+}
+
+/**
+ * Render per-segment risk category by return period
+ */
+function renderReturnPeriodTable(profiles, returnPeriods) {
+    const el = document.getElementById('flood-frequency-table');
+    if (!el) return;
+    
+    const firstProfile = profiles[returnPeriods[0]];
+    if (!firstProfile) {
+        el.innerHTML = '';
+        return;
+    }
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    returnPeriods.forEach(T => {
+        html += `<th class="text-left py-1">${T}-yr</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    firstProfile.features.forEach((feature, index) => {
+        const props = feature.properties;
+        html += `<tr class="border-t border-white/10"><td class="py-1 pr-2">${escapeChartText(props.name || 'Segment ' + props.id)}</td>`;
+        
+        returnPeriods.forEach(T => {
+            const calc = profiles[T].features[index].properties.calculated;
+            if (!calc) {
+                html += '<td class="py-1">-</td>';
+                return;
+            }
+            const style = getRiskCategoryStyle(calc.riskCategory);
+            const color = style ? style.color : '#9ca3af';
+            html += `<td class="py-1 pr-2" style="color: ${color};" title="Index ${calc.riskIndex}">${calc.riskCategory}</td>`;
+        });
+        
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    el.innerHTML = html;
+}
+
+/**
+ * Render per-segment hydrograph metrics
+ */
+function renderHydrographSummary(hydrographResults) {
+    const el = document.getElementById('hydrograph-summary');
+    if (!el) return;
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    html += '<th class="text-left py-1" title="Days with shear above adjusted critical shear">Days &gt; τc</th>';
+    html += '<th class="text-left py-1" title="Sum of (τ − τc) over time">Σ excess (Pa·d)</th>';
+    html += '<th class="text-left py-1">Peak risk</th>';
+    html += '</tr></thead><tbody>';
+    
+    hydrographResults.forEach(segment => {
+        const style = getRiskCategoryStyle(segment.peakRiskCategory);
+        const color = style ? style.color : '#9ca3af';
+        html += '<tr class="border-t border-white/10">';
+        html += `<td class="py-1 pr-2">${escapeChartText(segment.name)}</td>`;
+        html += `<td class="py-1 pr-2">${segment.daysAboveCritical}</td>`;
+        html += `<td class="py-1 pr-2">${segment.cumulativeExcessShear}</td>`;
+        html += `<td class="py-1" style="color: ${color};" title="${segment.peakDischarge} m³/s, index ${segment.peakRiskIndex}">${segment.peakRiskDate || '-'}</td>`;
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    el.innerHTML = html;
+}
+
+/**
+ * Get requested number of Monte Carlo realisations
+ */
+function getRealisationsValue() {
+    const input = document.getElementById('realisations-input');
+    return input ? parseInt(input.value, 10) : UNCERTAINTY_CONFIG.defaultRealisations;
+}
+
+/**
+ * Get selected map symbology mode
+ */
+function getMapSymbology() {
+    const select = document.getElementById('map-symbology-select');
+    return select ? select.value : 'category';
+}
+
+/**
+ * Colour for a probability on the uncertainty ramp
+ */
+function getProbabilityColor(probability) {
+    const step = UNCERTAINTY_CONFIG.probabilityColors.find(s => probability >= s.min);
+    return step ? step.color : UNCERTAINTY_CONFIG.probabilityColors[UNCERTAINTY_CONFIG.probabilityColors.length - 1].color;
+}
+
+/**
+ * Colour for a scenario risk index difference
+ */
+function getDifferenceColor(delta) {
+    const step = SCENARIO_CONFIG.differenceColors.find(s => delta >= s.min);
+    return step ? step.color : SCENARIO_CONFIG.differenceColors[SCENARIO_CONFIG.differenceColors.length - 1].color;
+}
+
+/**
+ * Render per-segment Monte Carlo results
+ */
+function renderUncertaintyTable(geojsonData) {
+    const el = document.getElementById('uncertainty-table');
+    if (!el) return;
+    
+    const target = getUncertaintyTargetCategory();
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    html += `<th class="text-left py-1">P(${target})</th>`;
+    html += '<th class="text-left py-1">Median</th>';
+    html += '<th class="text-left py-1">P5-P95</th>';
+    html += '</tr></thead><tbody>';
+    
+    geojsonData.features.forEach(feature => {
+        const props = feature.properties;
+        const uncertainty = props.calculated && props.calculated.uncertainty;
+        if (!uncertainty) return;
+        
+        const probability = uncertainty.categoryProbabilities[target] || 0;
+        const pct = uncertainty.riskIndexPercentiles;
+        const breakdown = Object.entries(uncertainty.categoryProbabilities)
+            .map(([name, p]) => `${name}: ${Math.round(p * 100)}%`)
+            .join('\n');
+        
+        html += `<tr class="border-t border-white/10" title="${breakdown}">`;
+        html += `<td class="py-1 pr-2">${escapeChartText(props.name || 'Segment ' + props.id)}</td>`;
+        html += `<td class="py-1 pr-2" style="color: ${getProbabilityColor(probability)};">${Math.round(probability * 100)}%</td>`;
+        html += `<td class="py-1 pr-2">${pct.p50}</td>`;
+        html += `<td class="py-1">${pct.p5}-${pct.p95}</td>`;
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    el.innerHTML = html;
+}
+
+/**
+ * Get sensitivity analysis options
+ */
+function getSensitivityOptions() {
+    const range = document.getElementById('sensitivity-range-select');
+    const samples = document.getElementById('sensitivity-samples-input');
+    
+    return {
+        rangeMode: range ? range.value : SENSITIVITY_CONFIG.defaultRangeMode,
+        samples: samples ? parseInt(samples.value, 10) : SENSITIVITY_CONFIG.defaultSamples
+    };
+}
+
+/**
+ * Render Sobol indices for one segment
+ */
+function renderSobolTable(sensitivity) {
+    const el = document.getElementById('sobol-table');
+    if (!el) return;
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Parameter</th>';
+    html += '<th class="text-left py-1" title="Share of riskIndex variance explained by this parameter alone">First-order S<sub>i</sub></th>';
+    html += '<th class="text-left py-1" title="Share including interactions with other parameters">Total S<sub>Ti</sub></th>';
+    html += '</tr></thead><tbody>';
+    
+    sensitivity.sobol.forEach(row => {
+        html += '<tr class="border-t border-white/10">';
+        html += `<td class="py-1 pr-2">${row.property}</td>`;
+        html += `<td class="py-1 pr-2">${row.firstOrder}</td>`;
+        html += `<td class="py-1">${row.totalOrder}</td>`;
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += `<p class="text-xs text-gray-500 mt-1">${sensitivity.samples} Sobol samples, ${sensitivity.rangeMode} ranges, at ${sensitivity.discharge} m³/s</p>`;
+    el.innerHTML = html;
+}
+
+/**
+ * Get intervention unit costs and budget for the mitigation planner
+ */
+function getMitigationInputs() {
+    const unitCosts = {};
+    Object.entries(MITIGATION_CONFIG.interventions).forEach(([id, intervention]) => {
+        const input = document.getElementById(`cost-${id}-input`);
+        unitCosts[id] = input && input.value !== '' ? parseFloat(input.value) : intervention.defaultUnitCost;
+    });
+    
+    const budget = document.getElementById('mitigation-budget-input');
+    
+    return {
+        unitCosts: unitCosts,
+        budget: budget ? parseFloat(budget.value) : MITIGATION_CONFIG.defaultBudget
+    };
+}
+
+/**
+ * Render the mitigation plan: budget selection summary and per-segment options
+ */
+function renderMitigationPlan(plan) {
+    const { selection } = plan;
+    const chosen = {};
+    selection.selected.forEach(option => {
+        chosen[option.id] = option.intervention;
+    });
+    
+    const summaryEl = document.getElementById('mitigation-summary');
+    if (summaryEl) {
+        summaryEl.innerHTML = plan.segments.length === 0
+            ? `<p>No segments above the ${plan.targetCategory} band (risk index ${plan.threshold}).</p>`
+            : `<p>${plan.segments.length} segment(s) at or above risk index ${plan.threshold}. ` +
+                `Within a budget of ${selection.budget.toLocaleString()}: ${selection.selected.length} intervention(s), ` +
+                `cost ${selection.totalCost.toLocaleString()}, total risk reduction ${selection.totalRiskReduction}.</p>`;
+    }
+    
+    const el = document.getElementById('mitigation-table');
+    if (!el) return;
+    
+    const interventions = Object.entries(MITIGATION_CONFIG.interventions);
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    interventions.forEach(([, intervention]) => {
+        html += `<th class="text-left py-1">${intervention.label}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    plan.segments.forEach(segment => {
+        html += '<tr class="border-t border-white/10 align-top">';
+        html += `<td class="py-1 pr-2">${escapeChartText(segment.name)}<br><span class="text-gray-500">${segment.riskIndex}, ${segment.lengthKm} km</span></td>`;
+        
+        segment.options.forEach(option => {
+            const selected = chosen[segment.id] === option.intervention;
+            const detail = option.riprapD50Mm !== undefined ? ` (D50 ${option.riprapD50Mm} mm)` : '';
+            
+            html += `<td class="py-1 pr-2${selected ? ' text-green-400 font-semibold' : ''}">`;
+            html += option.feasible
+                ? `${option.from} → ${option.to}${detail}<br>${option.cost.toLocaleString()}`
+                : `<span class="text-gray-500" title="Best reachable risk index within PARAMETER_RANGES">Not enough (${option.riskIndex})</span>`;
+            html += '</td>';
+        });
+        
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '<p class="text-xs text-gray-500 mt-1">Ranked by risk reduction per unit cost; selected interventions in green</p>';
+    el.innerHTML = html;
+}
+
+/**
+ * Fill the classification scheme select and show the active scheme's classes
+ */
+function renderClassificationControls() {
+    const active = getActiveScheme();
+    
+    populateSelect(
+        'classification-scheme-select',
+        getAvailableSchemes().map(scheme => ({ value: scheme.id, label: scheme.builtIn ? scheme.name : `${scheme.name} (saved)` })),
+        active.id
+    );
+    populateSelect(
+        'scheme-method-select',
+        CLASSIFICATION_CONFIG.methods.map(method => ({ value: method.id, label: method.label })),
+        document.getElementById('scheme-method-select')?.value || 'fixed'
+    );
+    
+    const el = document.getElementById('classification-classes');
+    if (!el) return;
+    
+    if (isDataDrivenScheme(active) && !active.breaks) {
+        el.innerHTML = '<p class="text-gray-500">Breaks are computed from the next analysis run</p>';
+        return;
+    }
+    
+    el.innerHTML = getSchemeClasses(active).slice().reverse().map(cls => {
+        const range = cls.minIndex === -Infinity
+            ? `< ${cls.maxIndex}`
+            : cls.maxIndex === Infinity ? `≥ ${cls.minIndex}` : `${cls.minIndex} – ${cls.maxIndex}`;
+        return `<div class="flex justify-between"><span><span style="color: ${cls.color};">■</span> ${escapeChartText(cls.name)}</span><span>${range}</span></div>`;
+    }).join('');
+}
+
+/**
+ * Read the scheme editor into a scheme definition
+ */
+function getSchemeEditorValues() {
+    const name = document.getElementById('scheme-name-input')?.value.trim() || '';
+    const method = document.getElementById('scheme-method-select')?.value || 'fixed';
+    const classNames = (document.getElementById('scheme-classes-input')?.value || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(value => value !== '');
+    const breaksText = document.getElementById('scheme-breaks-input')?.value || '';
+    
+    const scheme = {
+        name: name,
+        method: method,
+        classes: classNames.length > 1 ? buildSchemeClasses(classNames) : []
+    };
+    
+    if (method === 'fixed') {
+        scheme.breaks = breaksText
+            .split(',')
+            .map(value => value.trim())
+            .filter(value => value !== '')
+            .map(value => parseFloat(value));
+    }
+    
+    return scheme;
+}
+
+/**
+ * Whether strict parameter validation is switched on
+ */
+function isStrictValidationEnabled() {
+    const toggle = document.getElementById('strict-validation-toggle');
+    return toggle ? toggle.checked : false;
+}
+
+/**
+ * Render the per-segment parameter validation table
+ */
+function renderValidationTable(geojsonData) {
+    const el = document.getElementById('validation-table');
+    const summaryEl = document.getElementById('validation-summary');
+    if (!el || !geojsonData) return;
+    
+    const statusStyles = {
+        supplied: { letter: 'S', color: '#22c55e' },
+        defaulted: { letter: 'D', color: '#facc15' },
+        clamped: { letter: 'C', color: '#f97316' },
+        rejected: { letter: 'R', color: '#ef4444' }
+    };
+    const properties = Object.values(PARAMETER_PROPERTY_MAP);
+    const totals = { supplied: 0, defaulted: 0, clamped: 0, rejected: 0 };
+    let skipped = 0;
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    properties.forEach(property => {
+        html += `<th class="text-left py-1" title="${property}">${property.replace(/^lidar_/, '').replace(/_/g, ' ')}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    geojsonData.features.forEach(feature => {
+        const props = feature.properties;
+        const validation = props.validation;
+        if (!validation) return;
+        
+        if (!validation.analysed) skipped++;
+        
+        html += '<tr class="border-t border-white/10">';
+        html += `<td class="py-1 pr-2">${escapeChartText(props.name || 'Segment ' + props.id)}${validation.analysed ? '' : ' <span style="color: #ef4444;">(skipped)</span>'}</td>`;
+        
+        properties.forEach(property => {
+            const result = validation.parameters[property];
+            const style = statusStyles[result.status];
+            let detail = result.message ? `${result.status}: ${result.message}` : `${result.status}: ${result.value}`;
+            if (result.derived) {
+                detail += ` (derived: ${props.derived.values[property].method})`;
+            }
+            totals[result.status]++;
+            html += `<td class="py-1 pr-2" style="color: ${style.color};" title="${escapeChartText(detail)}">${style.letter}${result.derived ? '*' : ''}</td>`;
+        });
+        
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    el.innerHTML = html;
+    
+    if (summaryEl) {
+        summaryEl.innerHTML = Object.entries(totals)
+            .map(([status, count]) => `<span style="color: ${statusStyles[status].color};">${statusStyles[status].letter}</span> ${status} ${count}`)
+            .join(' · ') + (skipped > 0 ? ` · ${skipped} segment(s) skipped` : '') + ' · * derived from geometry';
+    }
+}
+
+/**
+ * Get reach length input value (km)
+ */
+function getReachLengthValue() {
+    const input = document.getElementById('reach-length-input');
+    return input ? parseFloat(input.value) : SEGMENTATION_CONFIG.defaultReachLengthKm;
+}
+
+/**
+ * Render reach results dissolved back to their parent segments
+ */
+function renderParentSummary(dissolved) {
+    const el = document.getElementById('parent-summary');
+    if (!el) return;
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    html += '<th class="text-left py-1">Reaches</th>';
+    html += '<th class="text-left py-1">Mean</th>';
+    html += '<th class="text-left py-1">Worst</th>';
+    html += '</tr></thead><tbody>';
+    
+    dissolved.features.forEach(feature => {
+        const props = feature.properties;
+        const style = getRiskCategoryStyle(props.worstCategory);
+        const breakdown = Object.entries(props.categoryLengthsKm)
+            .map(([name, km]) => `${name}: ${km} km`)
+            .join('\n');
+        
+        html += `<tr class="border-t border-white/10" title="${escapeChartText(breakdown)}">`;
+        html += `<td class="py-1 pr-2">${escapeChartText(props.name)} (${props.lengthKm} km)</td>`;
+        html += `<td class="py-1 pr-2">${props.analysedReaches}/${props.reachCount}</td>`;
+        html += `<td class="py-1 pr-2">${props.meanRiskIndex !== null ? props.meanRiskIndex : '—'}</td>`;
+        html += `<td class="py-1" style="color: ${style ? style.color : '#9ca3af'};">${props.maxRiskIndex !== null ? `${props.maxRiskIndex} at km ${props.worstReachChainageKm}` : '—'}</td>`;
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    el.innerHTML = html;
+}
+
+/**
+ * Fill the scenario selects and list the selected scenario's overrides
+ */
+function renderScenarioControls(geojsonData, selectedId = null) {
+    const scenarios = geojsonData ? getScenarios(geojsonData) : [];
+    const scenarioOptions = scenarios.map(scenario => ({
+        value: scenario.id,
+        label: `${scenario.name} (${formatQuantity(scenario.discharge, 'discharge')})`
+    }));
+    const compareOptions = [{ value: SCENARIO_CONFIG.baselineId, label: 'Baseline (current discharge)' }].concat(scenarioOptions);
+    
+    const current = document.getElementById('scenario-select');
+    const selected = selectedId || (current ? current.value : null);
+    populateSelect('scenario-select', scenarioOptions, selected);
+    
+    ['scenario-compare-a', 'scenario-compare-b'].forEach((id, i) => {
+        const select = document.getElementById(id);
+        const fallback = i === 0 ? SCENARIO_CONFIG.baselineId : (scenarios.length > 0 ? scenarios[scenarios.length - 1].id : SCENARIO_CONFIG.baselineId);
+        populateSelect(id, compareOptions, select && select.value ? select.value : fallback);
+    });
+    
+    const segmentOptions = [];
+    if (geojsonData) {
+        geojsonData.features.forEach((feature, index) => {
+            if (!isLineFeature(feature)) return;
+            const id = getSegmentId(feature, index);
+            segmentOptions.push({ value: id, label: feature.properties.name || 'Segment ' + id });
+        });
+    }
+    const segmentSelect = document.getElementById('scenario-segments-select');
+    const chosenSegments = segmentSelect ? Array.from(segmentSelect.selectedOptions).map(option => option.value) : [];
+    populateSelect('scenario-segments-select', segmentOptions);
+    if (segmentSelect) {
+        Array.from(segmentSelect.options).forEach(option => {
+            option.selected = chosenSegments.includes(option.value);
+        });
+    }
+    
+    const propertySelect = document.getElementById('scenario-property-select');
+    populateSelect('scenario-property-select', Object.values(PARAMETER_PROPERTY_MAP).map(property => ({
+        value: property,
+        label: property
+    })), propertySelect ? propertySelect.value : null);
+    
+    renderScenarioOverrides(scenarios.find(scenario => scenario.id === getSelectedScenarioId()) || null);
+}
+
+/**
+ * List a scenario's overrides with remove buttons
+ */
+function renderScenarioOverrides(scenario) {
+    const el = document.getElementById('scenario-overrides');
+    if (!el) return;
+    
+    const entries = scenario
+        ? Object.entries(scenario.overrides).flatMap(([segmentId, overrides]) =>
+            Object.entries(overrides).map(([property, value]) => ({ segmentId, property, value })))
+        : [];
+    
+    if (entries.length === 0) {
+        el.innerHTML = scenario ? '<p>No overrides yet — only the discharge differs from the baseline.</p>' : '';
+        return;
+    }
+    
+    el.innerHTML = entries.map(entry => `
+        <div class="flex items-center justify-between gap-2">
+            <span>${escapeChartText(entry.segmentId)}: ${entry.property} = ${entry.value}</span>
+            <button class="remove-override-btn text-gray-500 hover:text-red-400" data-segment="${escapeChartText(entry.segmentId)}" data-property="${entry.property}" title="Remove override"><i class="ph-x"></i></button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Get the scenario selected for editing
+ */
+function getSelectedScenarioId() {
+    const select = document.getElementById('scenario-select');
+    return select && select.value ? select.value : null;
+}
+
+/**
+ * Get new scenario name and discharge inputs
+ */
+function getNewScenarioValues() {
+    const name = document.getElementById('scenario-name-input');
+    const discharge = document.getElementById('scenario-discharge-input');
+    
+    return {
+        name: name ? name.value : '',
+        discharge: discharge ? fromDisplayValue(parseFloat(discharge.value), 'discharge') : getDischargeValue()
+    };
+}
+
+/**
+ * Get the override editor inputs
+ */
+function getOverrideEditorValues() {
+    const segments = document.getElementById('scenario-segments-select');
+    const property = document.getElementById('scenario-property-select');
+    const value = document.getElementById('scenario-value-input');
+    
+    return {
+        segmentIds: segments ? Array.from(segments.selectedOptions).map(option => option.value) : [],
+        property: property ? property.value : null,
+        value: value && value.value !== '' ? parseFloat(value.value) : NaN
+    };
+}
+
+/**
+ * Get the two scenarios chosen for comparison
+ */
+function getComparisonSelection() {
+    const a = document.getElementById('scenario-compare-a');
+    const b = document.getElementById('scenario-compare-b');
+    
+    return {
+        a: a ? a.value : SCENARIO_CONFIG.baselineId,
+        b: b ? b.value : SCENARIO_CONFIG.baselineId
+    };
+}
+
+/**
+ * Render the scenario comparison summary and per-segment table
+ */
+function renderScenarioComparison(comparison) {
+    const { a, b, summary, rows } = comparison.scenarioComparison;
+    
+    const summaryEl = document.getElementById('scenario-summary');
+    if (summaryEl) {
+        summaryEl.innerHTML = `<p><strong>${escapeChartText(b.name)}</strong> vs <strong>${escapeChartText(a.name)}</strong>: ` +
+            `${summary.increased} higher, ${summary.decreased} lower, ${summary.unchanged} unchanged; ` +
+            `${summary.categoryChanges} of ${summary.compared} segments change category.</p>`;
+    }
+    
+    const el = document.getElementById('scenario-comparison-table');
+    if (!el) return;
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    html += '<th class="text-left py-1">A</th>';
+    html += '<th class="text-left py-1">B</th>';
+    html += '<th class="text-left py-1">Δ</th>';
+    html += '</tr></thead><tbody>';
+    
+    rows.slice().sort((x, y) => Math.abs(y.deltaRiskIndex) - Math.abs(x.deltaRiskIndex)).forEach(row => {
+        const title = row.categoryChanged ? `${row.categoryA} → ${row.categoryB}` : row.categoryB;
+        
+        html += `<tr class="border-t border-white/10" title="${escapeChartText(title)}">`;
+        html += `<td class="py-1 pr-2">${escapeChartText(row.name)}${row.categoryChanged ? ' ●' : ''}</td>`;
+        html += `<td class="py-1 pr-2">${row.riskIndexA}</td>`;
+        html += `<td class="py-1 pr-2">${row.riskIndexB}</td>`;
+        html += `<td class="py-1" style="color: ${getDifferenceColor(row.deltaRiskIndex)};">${row.deltaRiskIndex > 0 ? '+' : ''}${row.deltaRiskIndex}</td>`;
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '<p class="text-xs text-gray-500 mt-1">● category changed; hover a row for the categories</p>';
+    el.innerHTML = html;
+}
+
+/**
+ * List available projections with checkboxes (saved ones can be deleted)
+ */
+function renderProjectionList() {
+    const el = document.getElementById('projection-list');
+    if (!el) return;
+    
+    const checked = new Set(getSelectedProjectionIds());
+    const firstRender = el.children.length === 0;
+    
+    el.innerHTML = getAvailableProjections().map(projection => {
+        const regional = Object.keys(projection.regionMultipliers || {}).length + Object.keys(projection.segmentMultipliers || {}).length;
+        const summary = `Q×${projection.dischargeMultiplier}${regional > 0 ? ` (+${regional} local)` : ''}, veg ${projection.vegDensityChange >= 0 ? '+' : ''}${projection.vegDensityChange}, n×${projection.roughnessMultiplier}`;
+        
+        return `
+            <div class="flex items-center justify-between gap-2">
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" class="projection-checkbox" value="${escapeChartText(projection.id)}"${firstRender || checked.has(projection.id) ? ' checked' : ''}>
+                    <span>${escapeChartText(projection.name)} <span class="text-gray-500">${projection.horizon} · ${summary}</span></span>
+                </label>
+                ${projection.builtIn ? '' : `<button class="delete-projection-btn text-gray-500 hover:text-red-400" data-projection="${escapeChartText(projection.id)}" title="Delete projection"><i class="ph-x"></i></button>`}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Get the ids of the ticked projections
+ */
+function getSelectedProjectionIds() {
+    return Array.from(document.querySelectorAll('.projection-checkbox'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+}
+
+/**
+ * Read the projection editor into a projection definition
+ */
+function getProjectionEditorValues() {
+    const value = id => document.getElementById(id)?.value || '';
+    
+    return {
+        name: value('projection-name-input').trim(),
+        horizon: parseInt(value('projection-horizon-input'), 10),
+        dischargeMultiplier: parseFloat(value('projection-discharge-input')),
+        vegDensityChange: parseFloat(value('projection-veg-input')),
+        roughnessMultiplier: parseFloat(value('projection-roughness-input')),
+        ...parseMultiplierOverrides(value('projection-overrides-input'))
+    };
+}
+
+/**
+ * Render the segment × projection category matrix
+ */
+function renderProjectionMatrix(batch) {
+    const el = document.getElementById('projection-matrix');
+    if (!el) return;
+    
+    const cell = (calc, shift) => {
+        if (!calc) return '<td class="py-1 pr-2 text-gray-500">—</td>';
+        const style = getRiskCategoryStyle(calc.riskCategory);
+        const arrow = shift > 0 ? ' ↑' : shift < 0 ? ' ↓' : '';
+        return `<td class="py-1 pr-2" title="${escapeChartText(calc.riskCategory)}"><span style="color: ${style ? style.color : '#9ca3af'};">■</span> ${calc.riskIndex}${arrow}</td>`;
+    };
+    
+    let html = '<table class="w-full text-xs text-gray-300"><thead><tr>';
+    html += '<th class="text-left py-1">Segment</th>';
+    html += `<th class="text-left py-1">${CLIMATE_CONFIG.baselineLabel}</th>`;
+    batch.matrix.columns.forEach(column => {
+        html += `<th class="text-left py-1">${escapeChartText(column.name)}<br><span class="text-gray-500 font-normal">${column.horizon}</span></th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    batch.matrix.rows.forEach(row => {
+        html += '<tr class="border-t border-white/10">';
+        html += `<td class="py-1 pr-2">${escapeChartText(row.name)}</td>`;
+        html += cell(row.baseline, 0);
+        batch.matrix.columns.forEach(column => {
+            const projected = row.cells[column.id];
+            html += cell(projected, projected ? projected.shift : 0);
+        });
+        html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += `<p class="text-xs text-gray-500 mt-1">Risk index and class at ${batch.discharge} m³/s${batch.routed ? ' (routed)' : ''}; ↑/↓ class moved up/down from ${CLIMATE_CONFIG.baselineLabel.toLowerCase()}</p>`;
+    el.innerHTML = html;
+}
+
+/**
+ * Get which scenario result the map shows
+ */
+function getScenarioMapMode() {
+    const select = document.getElementById('scenario-map-select');
+    return select ? select.value : 'difference';
+}
+
 /**
  * Get GeoJSON file input
  */
@@ -176,6 +1114,20 @@ function getButtons() {
     return {
         runAnalysis: document.getElementById('run-analysis-btn'),
         mergeLidar: document.getElementById('merge-lidar-btn'),
+        runSweep: document.getElementById('run-sweep-btn'),
+        runUncertainty: document.getElementById('run-uncertainty-btn'),
+        runSensitivity: document.getElementById('run-sensitivity-btn'),
+        runMitigation: document.getElementById('run-mitigation-btn'),
+        mitigationScenario: document.getElementById('mitigation-scenario-btn'),
+        segmentReaches: document.getElementById('segment-reaches-btn'),
+        restoreSegments: document.getElementById('restore-segments-btn'),
+        createScenario: document.getElementById('create-scenario-btn'),
+        deleteScenario: document.getElementById('delete-scenario-btn'),
+        addOverride: document.getElementById('add-override-btn'),
+        compareScenarios: document.getElementById('compare-scenarios-btn'),
+        runProjections: document.getElementById('run-projections-btn'),
+        saveProjection: document.getElementById('save-projection-btn'),
+        exportComparison: document.getElementById('export-comparison-btn'),
         exportData: document.getElementById('export-data-btn'),
         clearData: document.getElementById('clear-data-btn')
     };
@@ -0,0 +1,233 @@
+/**
+ * Uncertainty Analysis Module
+ * Monte Carlo sampling of segment parameters through calculateSegmentRisk
+ *
+ * Distributions default to UNCERTAINTY_CONFIG.defaultDistributions, centred on the
+ * segment's value and truncated to PARAMETER_RANGES. A segment can override them
+ * with an `uncertainty` property keyed by property name, e.g.
+ *   { "manning_n": { "type": "uniform", "min": 0.025, "max": 0.04 },
+ *     "critical_shear": { "type": "normal", "mean": 2.0, "sd": 0.4 },
+ *     "lidar_riparian_veg_density": { "type": "fixed" } }
+ * Supported types: uniform, normal, lognormal, triangular, fixed.
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so runs are reproducible
+ */
+function createRandomGenerator(seed) {
+    let state = seed >>> 0;
+    
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal variate (Box-Muller)
+ */
+function sampleStandardNormal(random) {
+    const u1 = Math.max(random(), 1e-12);
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Resolve the sampling distribution for one parameter of a segment
+ */
+function resolveParameterDistribution(paramKey, baseValue, override) {
+    const range = PARAMETER_RANGES[paramKey];
+    const defaults = UNCERTAINTY_CONFIG.defaultDistributions[paramKey] || { type: 'fixed' };
+    const spec = { ...defaults, ...(override || {}) };
+    
+    const distribution = {
+        type: spec.type,
+        min: spec.min !== undefined ? spec.min : range.min,
+        max: spec.max !== undefined ? spec.max : range.max
+    };
+    
+    switch (spec.type) {
+        case 'uniform':
+            if (override && override.min !== undefined && override.max !== undefined) break;
+            distribution.min = Math.max(range.min, baseValue - spec.halfWidth);
+            distribution.max = Math.min(range.max, baseValue + spec.halfWidth);
+            break;
+        case 'normal':
+        case 'lognormal':
+            distribution.mean = spec.mean !== undefined ? spec.mean : baseValue;
+            distribution.sd = spec.sd !== undefined ? spec.sd : Math.abs(distribution.mean) * spec.cv;
+            break;
+        case 'triangular':
+            distribution.mode = spec.mode !== undefined ? spec.mode : baseValue;
+            break;
+        case 'fixed':
+            distribution.value = spec.value !== undefined ? spec.value : baseValue;
+            break;
+        default:
+            throw new Error(`Unknown distribution "${spec.type}" for ${PARAMETER_PROPERTY_MAP[paramKey]}`);
+    }
+    
+    return distribution;
+}
+
+/**
+ * Draw one value from a resolved distribution, truncated to its bounds
+ */
+function sampleDistribution(distribution, random) {
+    const { type, min, max } = distribution;
+    
+    if (type === 'fixed') {
+        return distribution.value;
+    }
+    
+    if (type === 'uniform') {
+        return min + random() * (max - min);
+    }
+    
+    if (type === 'triangular') {
+        const u = random();
+        const split = (distribution.mode - min) / (max - min);
+        return u < split
+            ? min + Math.sqrt(u * (max - min) * (distribution.mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - distribution.mode));
+    }
+    
+    // Normal and lognormal: rejection sampling inside [min, max]
+    for (let attempt = 0; attempt < 100; attempt++) {
+        let value;
+        if (type === 'lognormal') {
+            const sigmaSq = Math.log(1 + Math.pow(distribution.sd / distribution.mean, 2));
+            const mu = Math.log(distribution.mean) - sigmaSq / 2;
+            value = Math.exp(mu + Math.sqrt(sigmaSq) * sampleStandardNormal(random));
+        } else {
+            value = distribution.mean + distribution.sd * sampleStandardNormal(random);
+        }
+        
+        if (value >= min && value <= max) {
+            return value;
+        }
+    }
+    
+    return Math.min(max, Math.max(min, distribution.mean));
+}
+
+/**
+ * Category whose probability is mapped: UNCERTAINTY_CONFIG.targetCategory when
+ * the active scheme has it, otherwise the scheme's highest-risk class
+ */
+function getUncertaintyTargetCategory() {
+    const classes = getSchemeClasses();
+    const target = classes.find(cls => cls.name === UNCERTAINTY_CONFIG.targetCategory);
+    return (target || classes[classes.length - 1]).name;
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ */
+function calculatePercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return null;
+    
+    const rank = (percentile / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Run N Monte Carlo realisations for one segment
+ */
+function calculateSegmentUncertainty(feature, discharge, realisations, params = {}, random = Math.random) {
+    const props = feature.properties || {};
+    const overrides = props.uncertainty || {};
+    const trial = cloneGeoJSON(feature);
+    delete trial.properties.calculated;
+    
+    const distributions = {};
+    const validated = resolveSegmentParameters(feature, params).values;
+    const trialParams = { ...params, parameterSource: 'supplied' };
+    
+    Object.entries(PARAMETER_PROPERTY_MAP).forEach(([paramKey, property]) => {
+        const baseValue = validated[paramKey];
+        trial.properties[property] = baseValue;
+        const distribution = resolveParameterDistribution(paramKey, baseValue, overrides[property]);
+        if (distribution.type !== 'fixed') {
+            distributions[property] = distribution;
+        }
+    });
+    
+    const categoryCounts = {};
+    getSchemeClasses().forEach(cls => {
+        categoryCounts[cls.name] = 0;
+    });
+    
+    const riskIndices = [];
+    
+    for (let i = 0; i < realisations; i++) {
+        Object.entries(distributions).forEach(([property, distribution]) => {
+            trial.properties[property] = sampleDistribution(distribution, random);
+        });
+        
+        const calc = calculateSegmentRisk(trial, discharge, trialParams).properties.calculated;
+        if (!calc) continue;
+        
+        riskIndices.push(calc.riskIndex);
+        categoryCounts[calc.riskCategory] = (categoryCounts[calc.riskCategory] || 0) + 1;
+    }
+    
+    const completed = riskIndices.length;
+    const sorted = riskIndices.slice().sort((a, b) => a - b);
+    const mean = completed > 0 ? sorted.reduce((sum, v) => sum + v, 0) / completed : null;
+    
+    const categoryProbabilities = {};
+    Object.entries(categoryCounts).forEach(([name, count]) => {
+        categoryProbabilities[name] = completed > 0 ? parseFloat((count / completed).toFixed(3)) : 0;
+    });
+    
+    const riskIndexPercentiles = {};
+    UNCERTAINTY_CONFIG.percentiles.forEach(p => {
+        const value = calculatePercentile(sorted, p);
+        riskIndexPercentiles['p' + p] = value === null ? null : parseFloat(value.toFixed(2));
+    });
+    
+    return {
+        realisations: completed,
+        discharge: discharge,
+        categoryProbabilities: categoryProbabilities,
+        riskIndexPercentiles: riskIndexPercentiles,
+        meanRiskIndex: mean === null ? null : parseFloat(mean.toFixed(2)),
+        sampledParameters: distributions
+    };
+}
+
+/**
+ * Run Monte Carlo uncertainty analysis for every analysed segment
+ * Each segment is sampled at the discharge it was last analysed at
+ */
+function calculateUncertaintyProfile(discharge, geojsonData, realisations, params = {}, seed = UNCERTAINTY_CONFIG.seed) {
+    if (!geojsonData || !geojsonData.features) {
+        console.error('Invalid GeoJSON data');
+        return geojsonData;
+    }
+    
+    if (!(realisations >= 1) || realisations > UNCERTAINTY_CONFIG.maxRealisations) {
+        throw new Error(`Realisations must be between 1 and ${UNCERTAINTY_CONFIG.maxRealisations}`);
+    }
+    
+    requireSchemeBreaks();
+    const random = createRandomGenerator(seed);
+    
+    geojsonData.features.forEach(feature => {
+        const calc = feature.properties && feature.properties.calculated;
+        if (!calc) return;
+        
+        const segmentDischarge = calc.discharge !== undefined ? calc.discharge : discharge;
+        calc.uncertainty = calculateSegmentUncertainty(feature, segmentDischarge, Math.floor(realisations), params, random);
+    });
+    
+    return geojsonData;
+}
+
+console.log('Uncertainty analysis module loaded');
@@ -0,0 +1,331 @@
+/**
+ * Units Module
+ * SI / US customary conversion for uploaded data and displayed results
+ *
+ * All calculations run in SI. Uploaded files are converted at ingest using
+ * their unit metadata, a `units` member on the FeatureCollection or on a
+ * feature's properties:
+ *   "us"                                          - whole file in one system
+ *   { system: "us", properties: { d50: "mm" } }   - system plus per-property units
+ * Files without metadata use the input system chosen in the UI (or on the
+ * command line). Display conversion happens only when formatting.
+ */
+
+/**
+ * Look up a unit definition, throwing on unknown units
+ */
+function getUnitDefinition(unit) {
+    const definition = UNIT_CONFIG.units[unit];
+    if (!definition) {
+        throw new Error(`Unknown unit "${unit}"`);
+    }
+    
+    return definition;
+}
+
+/**
+ * Look up a unit system, throwing on unknown ids
+ */
+function getUnitSystem(systemId) {
+    const system = UNIT_CONFIG.systems.find(candidate => candidate.id === systemId);
+    if (!system) {
+        throw new Error(`Unknown unit system "${systemId}" (expected ${UNIT_CONFIG.systems.map(candidate => candidate.id).join(' or ')})`);
+    }
+    
+    return system;
+}
+
+/**
+ * Unit a system uses for a quantity (length, discharge, ...)
+ */
+function getSystemUnit(quantity, systemId) {
+    const unit = getUnitSystem(systemId).units[quantity];
+    if (!unit) {
+        throw new Error(`No unit for quantity "${quantity}"`);
+    }
+    
+    return unit;
+}
+
+/**
+ * Convert a value in the given unit to SI
+ */
+function convertToSI(value, unit) {
+    return value * getUnitDefinition(unit).toSI;
+}
+
+/**
+ * Convert an SI value to the given unit
+ */
+function convertFromSI(value, unit) {
+    return value / getUnitDefinition(unit).toSI;
+}
+
+/**
+ * Round a converted value to about four significant figures (at most three decimals)
+ */
+function roundConvertedValue(value) {
+    if (!isFinite(value) || value === 0) {
+        return value;
+    }
+    
+    const decimals = Math.min(3, Math.max(0, 3 - Math.floor(Math.log10(Math.abs(value)))));
+    return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Display unit system preference from localStorage
+ */
+function getDisplayUnitSystem() {
+    try {
+        const stored = localStorage.getItem(UNIT_CONFIG.storageKey);
+        if (stored && UNIT_CONFIG.systems.some(system => system.id === stored)) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Could not read display unit preference:', error.message);
+    }
+    
+    return UNIT_CONFIG.defaultDisplaySystem;
+}
+
+/**
+ * Store the display unit system preference
+ */
+function setDisplayUnitSystem(systemId) {
+    getUnitSystem(systemId);
+    
+    try {
+        localStorage.setItem(UNIT_CONFIG.storageKey, systemId);
+    } catch (error) {
+        console.warn('Could not save display unit preference:', error.message);
+    }
+    
+    return systemId;
+}
+
+/**
+ * Label of the display unit for a quantity, e.g. "cfs"
+ */
+function getDisplayUnitLabel(quantity, systemId = getDisplayUnitSystem()) {
+    return getUnitDefinition(getSystemUnit(quantity, systemId)).label;
+}
+
+/**
+ * SI value converted to the display system, rounded
+ * Values are returned unchanged when the display system is SI
+ */
+function toDisplayValue(valueSI, quantity, systemId = getDisplayUnitSystem()) {
+    if (typeof valueSI !== 'number' || systemId === 'si') {
+        return valueSI;
+    }
+    
+    return roundConvertedValue(convertFromSI(valueSI, getSystemUnit(quantity, systemId)));
+}
+
+/**
+ * Display value back to SI
+ */
+function fromDisplayValue(value, quantity, systemId = getDisplayUnitSystem()) {
+    if (systemId === 'si') {
+        return value;
+    }
+    
+    return parseFloat(convertToSI(value, getSystemUnit(quantity, systemId)).toFixed(3));
+}
+
+/**
+ * Format an SI value with its display unit, e.g. "10594 cfs"
+ */
+function formatQuantity(valueSI, quantity, systemId = getDisplayUnitSystem()) {
+    return `${toDisplayValue(valueSI, quantity, systemId)} ${getDisplayUnitLabel(quantity, systemId)}`;
+}
+
+/**
+ * Parse a `units` member into { system, properties: { property: unit } }
+ * Per-property units must measure the same quantity as the property
+ */
+function parseUnitMetadata(units, fallbackSystem = UNIT_CONFIG.defaultInputSystem) {
+    if (units === undefined || units === null) {
+        return { system: fallbackSystem, properties: {} };
+    }
+    
+    const metadata = typeof units === 'string' ? { system: units } : units;
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('units must be a system id or an object');
+    }
+    
+    const system = metadata.system !== undefined ? String(metadata.system).toLowerCase() : fallbackSystem;
+    getUnitSystem(system);
+    
+    const properties = {};
+    Object.entries(metadata.properties || {}).forEach(([property, unit]) => {
+        const quantity = UNIT_CONFIG.inputProperties[property];
+        if (!quantity) {
+            throw new Error(`units: "${property}" is not a dimensional input property`);
+        }
+        
+        const expected = getUnitDefinition(getSystemUnit(quantity, 'si')).quantity;
+        if (getUnitDefinition(unit).quantity !== expected) {
+            throw new Error(`units: "${unit}" is not a ${expected} unit (${property})`);
+        }
+        
+        properties[property] = unit;
+    });
+    
+    return { system: system, properties: properties };
+}
+
+/**
+ * Unit of one input property under file and feature metadata
+ * A feature's own per-property units win, then its system, then the file's
+ * per-property units, then the file's system
+ */
+function resolvePropertyUnit(property, fileUnits, featureUnits) {
+    if (featureUnits && featureUnits.properties[property]) {
+        return featureUnits.properties[property];
+    }
+    
+    if (featureUnits && featureUnits.hasSystem) {
+        return getSystemUnit(UNIT_CONFIG.inputProperties[property], featureUnits.system);
+    }
+    
+    return fileUnits.properties[property] || getSystemUnit(UNIT_CONFIG.inputProperties[property], fileUnits.system);
+}
+
+/**
+ * Convert one properties object to SI in place
+ * Returns the converted properties with their original values and units
+ */
+function convertPropertiesToSI(props, unitOf) {
+    const converted = {};
+    
+    Object.keys(UNIT_CONFIG.inputProperties).forEach(property => {
+        if (props[property] === undefined || props[property] === null || props[property] === '') return;
+        
+        const unit = unitOf(property);
+        if (getUnitDefinition(unit).toSI === 1) return;
+        
+        // Non-numeric values are left for parameter validation to reject
+        const value = parseFloat(props[property]);
+        if (!isFinite(value)) return;
+        
+        props[property] = parseFloat(convertToSI(value, unit).toPrecision(10));
+        converted[property] = { value: value, unit: unit };
+    });
+    
+    return converted;
+}
+
+/**
+ * Convert the Z values of a geometry's positions to metres in place
+ * Returns the number of values converted
+ */
+function convertCoordinateElevationsToSI(coordinates, unit) {
+    if (!Array.isArray(coordinates)) return 0;
+    
+    if (typeof coordinates[0] === 'number') {
+        if (typeof coordinates[2] !== 'number' || !isFinite(coordinates[2])) return 0;
+        coordinates[2] = parseFloat(convertToSI(coordinates[2], unit).toPrecision(10));
+        return 1;
+    }
+    
+    return coordinates.reduce((count, child) => count + convertCoordinateElevationsToSI(child, unit), 0);
+}
+
+/**
+ * Convert a river FeatureCollection to SI in place at ingest
+ * Original values are kept in properties.unit_conversion; scenario discharges
+ * and overrides use the file's units. Z coordinates take the unit of the
+ * endpoint elevation properties so both slope sources agree. The collection's `units` member is
+ * replaced with the SI annotation, so normalising twice changes nothing.
+ */
+function normalizeInputUnits(geojsonData, defaultSystem = UNIT_CONFIG.defaultInputSystem) {
+    const fileUnits = parseUnitMetadata(geojsonData.units, defaultSystem);
+    const fileUnitOf = property => resolvePropertyUnit(property, fileUnits, null);
+    const summary = { system: fileUnits.system, features: 0, values: 0, properties: [] };
+    const properties = new Set();
+    
+    geojsonData.features.forEach((feature, index) => {
+        const props = feature.properties || {};
+        let featureUnits = null;
+        
+        if (props.units !== undefined) {
+            try {
+                featureUnits = { ...parseUnitMetadata(props.units, fileUnits.system), hasSystem: typeof props.units === 'string' || props.units.system !== undefined };
+            } catch (error) {
+                throw new Error(`Feature ${getSegmentId(feature, index)}: ${error.message}`);
+            }
+            delete props.units;
+        }
+        
+        const unitOf = property => resolvePropertyUnit(property, fileUnits, featureUnits);
+        const converted = convertPropertiesToSI(props, unitOf);
+        
+        const zUnit = unitOf(DERIVATION_CONFIG.upstreamElevationProperty);
+        if (feature.geometry && getUnitDefinition(zUnit).toSI !== 1) {
+            const zValues = convertCoordinateElevationsToSI(feature.geometry.coordinates, zUnit);
+            if (zValues > 0) {
+                converted.coordinates_z = { values: zValues, unit: zUnit };
+            }
+        }
+        
+        const count = Object.keys(converted).length;
+        if (count > 0) {
+            props.unit_conversion = converted;
+            summary.features++;
+            summary.values += count;
+            Object.keys(converted).forEach(property => properties.add(property));
+        }
+    });
+    
+    (Array.isArray(geojsonData.scenarios) ? geojsonData.scenarios : []).forEach(scenario => {
+        if (typeof scenario.discharge === 'number') {
+            scenario.discharge = parseFloat(convertToSI(scenario.discharge, getSystemUnit('discharge', fileUnits.system)).toPrecision(10));
+        }
+        Object.values(scenario.overrides || {}).forEach(overrides => convertPropertiesToSI(overrides, fileUnitOf));
+    });
+    
+    geojsonData.units = getUnitAnnotations();
+    summary.properties = Array.from(properties);
+    
+    return summary;
+}
+
+/**
+ * Convert LiDAR bank heights to metres in place
+ * bank_height_ft is always feet; unsuffixed bank_height follows the file's system
+ */
+function normalizeLidarUnits(points, system = UNIT_CONFIG.defaultInputSystem) {
+    let converted = 0;
+    
+    points.forEach(point => {
+        Object.entries(UNIT_CONFIG.lidarLengthColumns).forEach(([column, unit]) => {
+            if (column === 'bank_height_m' || point[column] === undefined) return;
+            
+            const value = parseFloat(point[column]);
+            if (!isFinite(parseFloat(point.bank_height_m)) && isFinite(value)) {
+                point.bank_height_m = parseFloat(convertToSI(value, unit || getSystemUnit('length', system)).toPrecision(10));
+                converted++;
+            }
+            delete point[column];
+        });
+    });
+    
+    return converted;
+}
+
+/**
+ * Unit annotation written to exports: everything is SI
+ */
+function getUnitAnnotations() {
+    const siUnits = quantity => getSystemUnit(quantity, 'si');
+    
+    return {
+        system: 'si',
+        properties: Object.fromEntries(Object.entries(UNIT_CONFIG.inputProperties).map(([property, quantity]) => [property, siUnits(quantity)])),
+        calculated: Object.fromEntries(Object.entries(UNIT_CONFIG.calculatedFields).map(([field, quantity]) => [field, siUnits(quantity)]))
+    };
+}
+
+console.log('Units module loaded');
@@ -0,0 +1,99 @@
+/**
+ * Node.js entry point
+ * Loads the browser calculation modules into one shared context and exports
+ * their top-level functions and constants. The DOM modules (app, uiManager,
+ * chartManager, mapManager) are not loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the <script> tags in index.html; later modules use earlier globals
+const MODULE_FILES = [
+    'constants.js',
+    'units.js',
+    'classification.js',
+    'parameterValidation.js',
+    'geometryUtils.js',
+    'channelGeometry.js',
+    'analyzeRiver.js',
+    'sedimentTransport.js',
+    'bankErosion.js',
+    'flowRouting.js',
+    'segmentation.js',
+    'scenarioManager.js',
+    'climateProjections.js',
+    'uncertaintyAnalysis.js',
+    'sensitivityAnalysis.js',
+    'mitigationPlanner.js',
+    'csvParser.js',
+    'lidarProcessor.js',
+    'lasReader.js',
+    'geoTiffReader.js',
+    'crossSections.js',
+    'hydrology.js'
+];
+
+const SOURCE_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Names declared at the top level of a module (functions and constants)
+ */
+function getTopLevelNames(source) {
+    const names = [];
+    const pattern = /^(?:function\s*\*?|const)\s+([A-Za-z_$][\w$]*)/gm;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        names.push(match[1]);
+    }
+
+    return names;
+}
+
+/**
+ * In-memory stand-in for the browser's localStorage (saved schemes and projections)
+ */
+function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Load the calculation modules into a fresh context
+ * Module load messages are dropped unless options.verbose is set; warnings
+ * and errors go to stderr. options.storage replaces the in-memory storage.
+ * Each call returns an independent instance.
+ */
+function createRiverAnalysis(options = {}) {
+    const context = vm.createContext({
+        console: {
+            log: options.verbose ? (...args) => console.error(...args) : () => {},
+            warn: (...args) => console.warn(...args),
+            error: (...args) => console.error(...args)
+        },
+        localStorage: options.storage || createMemoryStorage(),
+        TextDecoder: TextDecoder
+    });
+
+    const names = [];
+    MODULE_FILES.forEach(file => {
+        const filename = path.join(SOURCE_DIR, file);
+        const source = fs.readFileSync(filename, 'utf8');
+        vm.runInContext(source, context, { filename: filename });
+        names.push(...getTopLevelNames(source));
+    });
+
+    // const declarations are not properties of the context object, so read them from inside it
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = createRiverAnalysis();
+module.exports.createRiverAnalysis = createRiverAnalysis;
+module.exports.MODULE_FILES = MODULE_FILES;
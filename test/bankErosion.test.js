@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const bank = (props = {}) => ({ type: 'Feature', properties: { id: 1, ...props }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] } });
+
+// Boundary shear 20 Pa puts 15 Pa on the banks, 10 Pa above critical
+const hydraulics = { shearStress: 20, adjustedCriticalShear: 5, criticalShear: 5, bankHeight: 3 };
+
+test('bank retreat follows E = kd (τ - τc) over the erosive days', () => {
+    const result = river.calculateBankErosion(bank({ erodibility_coefficient: 1e-8 }), hydraulics);
+    
+    // 1e-8 × 10 m/s for 60 days; two 3 m banks
+    assert.strictEqual(result.bankShear, 15);
+    assert.strictEqual(result.bankErodibilitySource, 'supplied');
+    assert.strictEqual(result.bankRetreatRate, 0.518);
+    assert.strictEqual(result.bankVolumeLossPerMetre, 3.11);
+    assert.ok(Math.abs(result.bankVolumeLoss - 3.1104 * result.segmentLength) < 3);
+});
+
+test('inclined banks retreat further and banks below critical shear do not retreat', () => {
+    const vertical = river.calculateBankErosion(bank({ erodibility_coefficient: 1e-8 }), hydraulics);
+    const inclined = river.calculateBankErosion(bank({ erodibility_coefficient: 1e-8, lidar_bank_slope: 30 }), hydraulics);
+    const stable = river.calculateBankErosion(bank(), { ...hydraulics, shearStress: 6 });
+    
+    assert.ok(Math.abs(inclined.bankRetreatRate - 2 * vertical.bankRetreatRate) <= 0.001);
+    assert.strictEqual(stable.bankRetreatRate, 0);
+    assert.strictEqual(stable.bankVolumeLoss, 0);
+});
+
+test('erodibility is estimated from critical shear when not supplied', () => {
+    const result = river.calculateBankErosion(bank(), { ...hydraulics, criticalShear: 4 });
+    
+    // Hanson & Simon: 0.2 τc^-0.5 cm³/N·s
+    assert.strictEqual(result.bankErodibilitySource, 'estimated');
+    assert.strictEqual(result.bankErodibility, 1e-7);
+});
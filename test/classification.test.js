@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRiverAnalysis } = require('../src/node');
+
+const profile = () => ({
+    type: 'FeatureCollection',
+    features: [10, 30, 60, 120, 240].map((width, i) => ({
+        type: 'Feature',
+        properties: { id: i + 1, channel_width: width, base_slope: 0.001 },
+        geometry: { type: 'LineString', coordinates: [[13.5 + i * 0.01, 52.3], [13.51 + i * 0.01, 52.3]] }
+    }))
+});
+
+test('the default scheme keeps its strict boundaries', () => {
+    const river = createRiverAnalysis();
+    const name = index => river.classifyRiskIndex(index).name;
+    
+    assert.strictEqual(name(1.5), 'Medium Erosion');
+    assert.strictEqual(name(1.5001), 'High Erosion');
+    assert.strictEqual(name(1.1), 'Stable');
+    assert.strictEqual(name(0.9), 'Stable');
+    assert.strictEqual(name(0.6), 'Medium Deposition');
+    assert.strictEqual(name(0.5999), 'High Deposition');
+});
+
+test('a data-driven scheme classifies only once its breaks exist', () => {
+    const river = createRiverAnalysis();
+    river.saveClassificationScheme({ id: 'q', name: 'Quartiles', method: 'quantile', classes: river.buildSchemeClasses(['Q1', 'Q2', 'Q3', 'Q4']) });
+    river.setActiveScheme('q');
+    
+    assert.throws(() => river.classifyRiskIndex(1), /run the analysis first/);
+    assert.throws(() => river.calculateSweepProfile(100, 300, 100, profile(), river.HYDRODYNAMIC_PARAMS), /run the analysis first/);
+    
+    const results = river.calculateRiskProfile(300, profile(), river.HYDRODYNAMIC_PARAMS);
+    const names = new Set(['Q1', 'Q2', 'Q3', 'Q4']);
+    assert.ok(results.features.every(feature => names.has(feature.properties.calculated.riskCategory)));
+    
+    const sweep = river.calculateSweepProfile(100, 300, 100, profile(), river.HYDRODYNAMIC_PARAMS);
+    assert.ok(sweep.every(segment => segment.points.every(point => names.has(point.riskCategory))));
+});
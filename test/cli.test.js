@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, EXIT_CODES } = require('../bin/river-analysis');
+
+const line = (id, coordinates, props = {}) => ({ type: 'Feature', properties: { id, ...props }, geometry: { type: 'LineString', coordinates } });
+
+/**
+ * Write fixture files to a fresh directory, run the CLI there and read back the statistics
+ * Progress lines are discarded and warnings collected
+ */
+function runCli(files, args) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'river-cli-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    });
+    
+    const warnings = [];
+    const { log, error, warn } = console;
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = message => warnings.push(String(message));
+    try {
+        const code = main(args.map(arg => arg.replace('$DIR', dir)).concat(['-o', dir]));
+        const statsFile = path.join(dir, 'river-stats.json');
+        const stats = fs.existsSync(statsFile) ? JSON.parse(fs.readFileSync(statsFile, 'utf8')) : null;
+        return { code, warnings, stats };
+    } finally {
+        Object.assign(console, { log, error, warn });
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const river = {
+    type: 'FeatureCollection',
+    features: [
+        line('a', [[13.50, 52.30], [13.51, 52.30]], { source_discharge: 0 }),
+        line('b', [[13.51, 52.30], [13.52, 52.30]])
+    ]
+};
+
+test('strict mode exits 0 when only the solver fails and reports the segments', () => {
+    const { code, warnings, stats } = runCli({ 'river.geojson': river }, ['$DIR/river.geojson', '-d', '100', '-r', '-s']);
+    
+    assert.strictEqual(code, EXIT_CODES.OK);
+    assert.deepStrictEqual(stats.runs[0].validation.solverFailed, ['a', 'b']);
+    assert.deepStrictEqual(stats.runs[0].validation.strictSkipped, []);
+    assert.ok(warnings.some(message => /no solution for segments a, b/.test(message)));
+});
+
+test('--quiet also silences warnings', () => {
+    const { code, warnings } = runCli({ 'river.geojson': river }, ['$DIR/river.geojson', '-d', '100', '-r', '-q']);
+    
+    assert.strictEqual(code, EXIT_CODES.OK);
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('strict mode exits 4 for segments skipped by validation', () => {
+    const invalid = { type: 'FeatureCollection', features: [line('a', [[13.50, 52.30], [13.51, 52.30]], { manning_n: 5 })] };
+    const { code } = runCli({ 'river.geojson': invalid }, ['$DIR/river.geojson', '-d', '100', '-s']);
+    
+    assert.strictEqual(code, EXIT_CODES.VALIDATION_FAILED);
+});
+
+test('bad merge options are usage errors and unusable LiDAR is invalid input', () => {
+    const files = { 'river.geojson': river, 'points.geojson': { type: 'FeatureCollection', features: [] } };
+    
+    assert.strictEqual(runCli(files, ['$DIR/river.geojson', '-d', '100', '-b', '0']).code, EXIT_CODES.USAGE);
+    assert.strictEqual(runCli(files, ['$DIR/river.geojson', '-d', '100', '--statistic', 'mode']).code, EXIT_CODES.USAGE);
+    assert.strictEqual(runCli(files, ['$DIR/river.geojson', '-d', '100', '-l', '$DIR/points.geojson']).code, EXIT_CODES.INVALID_INPUT);
+});
+
+test('US discharges name the results files as entered and keep SI for the analysis', () => {
+    const result = runCli({ 'river.geojson': river }, ['$DIR/river.geojson', '-d', '10000,20000', '-u', 'us']);
+    
+    assert.strictEqual(result.code, EXIT_CODES.OK);
+    assert.deepStrictEqual(result.stats.runs.map(run => run.enteredDischarge.value), [10000, 20000]);
+    assert.strictEqual(result.stats.runs[0].discharge, 283.168);
+    assert.match(result.stats.runs[0].resultsFile, /river-results-q10000\.geojson$/);
+});
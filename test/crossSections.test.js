@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+// 20 m bed, 2:1 banks, 3 m deep
+const trapezoid = [[0, 103], [6, 100], [26, 100], [32, 103]].map(([station, elevation]) => ({ station, elevation }));
+
+const segment = (id, props = {}) => ({ type: 'Feature', properties: { id, ...props }, geometry: { type: 'LineString', coordinates: [[13.50, 52.30], [13.52, 52.30]] } });
+
+// HEC-RAS geometry with one section on reach "Upper"; the cut line crosses the segment at its middle
+const hecRas = cutLine => [
+    'River Reach=Main River    ,Upper       ',
+    'Type RM Length L Ch R = 1 ,1000    ,100,100,100',
+    ...(cutLine ? ['XS GIS Cut Line=2', [13.51, 52.299, 13.51, 52.301].map(v => String(v).padStart(16)).join('')] : []),
+    '#Sta/Elev= 4 ',
+    [0, 103, 6, 100, 26, 100, 32, 103].map(v => String(v).padStart(8)).join(''),
+    'Bank Sta=0,32',
+    ''
+].join('\n');
+
+test('a trapezoidal section gives its depth, side slopes and bottom width', () => {
+    const geometry = river.deriveCrossSectionGeometry({ points: trapezoid });
+    
+    assert.strictEqual(geometry.bankSource, 'highest');
+    assert.strictEqual(geometry.bankfullDepth, 3);
+    assert.strictEqual(geometry.topWidth, 32);
+    close(geometry.sideSlope, 2);
+    close(geometry.bottomWidth, 20);
+});
+
+test('surveyed bank stations set the bankfull stage at the lower bank', () => {
+    const points = [[0, 104], [6, 100], [26, 100], [32, 103], [40, 103.5]].map(([station, elevation]) => ({ station, elevation }));
+    const geometry = river.deriveCrossSectionGeometry({ points, leftBank: 0, rightBank: 32 });
+    
+    assert.strictEqual(geometry.bankSource, 'surveyed');
+    assert.strictEqual(geometry.bankfullStage, 103);
+    assert.strictEqual(geometry.bankHeightLeft, 4);
+    assert.strictEqual(geometry.bankHeightRight, 3);
+    
+    assert.throws(() => river.deriveCrossSectionGeometry({ points, leftBank: 0, rightBank: 50 }), /not within the section/);
+    assert.throws(() => river.deriveCrossSectionGeometry({ points: points.slice().reverse() }), /stations must increase/);
+});
+
+test('sections are applied to the segment they name', () => {
+    const data = { type: 'FeatureCollection', features: [segment('s1'), segment('s2')] };
+    const { sections } = river.parseCrossSections('section_id,segment_id,station,elevation\nA,s2,0,103\nA,s2,6,100\nA,s2,26,100\nA,s2,32,103\n', 'si');
+    
+    river.applyCrossSections(data, sections);
+    const props = data.features[1].properties;
+    
+    assert.strictEqual(data.features[0].properties.channel_width, undefined);
+    assert.strictEqual(props.channel_width, 20);
+    assert.strictEqual(props.side_slope, 2);
+    assert.strictEqual(props.lidar_avg_bank_height_m, 3);
+    assert.strictEqual(props.cross_sections[0].id, 'A');
+});
+
+test('a HEC-RAS reach name that matches no segment falls back to the cut line location', () => {
+    const located = { type: 'FeatureCollection', features: [segment('s1')] };
+    river.applyCrossSections(located, river.parseCrossSections(hecRas(true), 'si').sections);
+    
+    assert.strictEqual(located.crossSectionMerge.snapped, 1);
+    assert.strictEqual(located.features[0].properties.channel_width, 20);
+    close(located.features[0].properties.cross_sections[0].snapDistanceM, 0, 0.5);
+    
+    const unlocated = { type: 'FeatureCollection', features: [segment('s1')] };
+    river.applyCrossSections(unlocated, river.parseCrossSections(hecRas(false), 'si').sections);
+    
+    assert.strictEqual(unlocated.crossSectionMerge.snapped, 0);
+    assert.match(unlocated.crossSectionMerge.unsnapped[0].reason, /no segment "Upper"/);
+});
+
+test('a HEC-RAS reach name that matches a segment name is used before the location', () => {
+    const data = { type: 'FeatureCollection', features: [segment('s1'), segment('s2', { name: 'Upper' })] };
+    river.applyCrossSections(data, river.parseCrossSections(hecRas(true), 'si').sections);
+    
+    assert.strictEqual(data.features[0].properties.cross_sections, undefined);
+    assert.strictEqual(data.features[1].properties.channel_width, 20);
+});
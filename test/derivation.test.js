@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const METRES_PER_DEGREE = (river.GEOMETRY_CONFIG.earthRadius * Math.PI) / 180;
+
+// Local metres about (13.5, 52.3) to [lon, lat]
+const toLonLat = ([x, y]) => [13.5 + x / (METRES_PER_DEGREE * Math.cos((52.3 * Math.PI) / 180)), 52.3 + y / METRES_PER_DEGREE];
+
+const segment = (points, props = {}) => ({
+    type: 'Feature',
+    properties: { id: 's', channel_width: 20, ...props },
+    geometry: { type: 'LineString', coordinates: points.map(toLonLat) }
+});
+
+// Half circle of the given radius digitised every 2 m
+const bend = radius => {
+    const points = [];
+    const steps = Math.round((Math.PI * radius) / 2);
+    for (let i = 0; i <= steps; i++) {
+        const angle = (Math.PI * i) / steps;
+        points.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+    }
+    return points;
+};
+
+test('curvature follows the HEC-15 bend coefficient of a densely digitised bend', () => {
+    const tight = river.deriveSegmentParameters(segment(bend(60)), 20).values.curvature;
+    const gentle = river.deriveSegmentParameters(segment(bend(400)), 20).values.curvature;
+    
+    assert.ok(Math.abs(tight.minBendRadiusM - 60) <= 1, `radius ${tight.minBendRadiusM}`);
+    assert.strictEqual(tight.value, parseFloat(river.calculateBendCoefficient(3).toFixed(2)));
+    assert.strictEqual(gentle.value, 1.05);
+});
+
+test('digitising jitter on a straight line does not read as a bend', () => {
+    const points = [];
+    for (let i = 0; i <= 1000; i++) {
+        points.push([2 * i, i % 2 === 0 ? 0.2 : -0.2]);
+    }
+    
+    const curvature = river.deriveSegmentParameters(segment(points), 20).values.curvature;
+    
+    assert.ok(curvature.sinuosity < river.DERIVATION_CONFIG.straightSinuosity);
+    assert.ok(curvature.minBendRadiusM > 10 * 20, `radius ${curvature.minBendRadiusM}`);
+    assert.strictEqual(curvature.value, river.DERIVATION_CONFIG.straightCurvature);
+});
+
+test('bed slope is fitted to Z coordinates, or taken from endpoint elevations', () => {
+    const withZ = segment([[0, 0], [500, 0], [1000, 0]]);
+    withZ.geometry.coordinates.forEach((coord, i) => coord.push(20 - i * 1.5));
+    const fromZ = river.deriveSegmentParameters(withZ, 20).values.base_slope;
+    
+    const fromEnds = river.deriveSegmentParameters(segment([[0, 0], [1000, 0]], { upstream_elevation: 20, downstream_elevation: 17 }), 20).values.base_slope;
+    
+    assert.ok(Math.abs(fromZ.value - 0.003) < 1e-5);
+    assert.ok(Math.abs(fromEnds.value - 0.003) < 1e-5);
+    assert.notStrictEqual(fromZ.method, fromEnds.method);
+});
@@ -0,0 +1,118 @@
+/**
+ * Test helpers
+ * Builders for small binary fixtures (LAS point clouds and GeoTIFF DEMs)
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Build a LAS 1.2 point format 1 file
+ * points: [{ x, y, z, classification }]; geoKeys: [[keyId, location, count, value]]
+ */
+function buildLas(points, geoKeys, scale = [0.01, 0.01, 0.01], offset = [0, 0, 0]) {
+    const headerSize = 227;
+    const recordLength = 28;
+    
+    const shorts = [1, 1, 0, geoKeys.length, ...geoKeys.flat()];
+    const geoKeyData = Buffer.alloc(shorts.length * 2);
+    shorts.forEach((value, i) => geoKeyData.writeUInt16LE(value, i * 2));
+    
+    const vlrHeader = Buffer.alloc(54);
+    vlrHeader.write('LASF_Projection', 2, 'ascii');
+    vlrHeader.writeUInt16LE(34735, 18);
+    vlrHeader.writeUInt16LE(geoKeyData.length, 20);
+    
+    const records = Buffer.alloc(points.length * recordLength);
+    points.forEach((point, i) => {
+        const o = i * recordLength;
+        records.writeInt32LE(Math.round((point.x - offset[0]) / scale[0]), o);
+        records.writeInt32LE(Math.round((point.y - offset[1]) / scale[1]), o + 4);
+        records.writeInt32LE(Math.round((point.z - offset[2]) / scale[2]), o + 8);
+        records.writeUInt8(0x09, o + 14);
+        records.writeUInt8(point.classification & 0x1f, o + 15);
+    });
+    
+    const header = Buffer.alloc(headerSize);
+    header.write('LASF', 0, 'ascii');
+    header.writeUInt8(1, 24);
+    header.writeUInt8(2, 25);
+    header.writeUInt16LE(headerSize, 94);
+    header.writeUInt32LE(headerSize + vlrHeader.length + geoKeyData.length, 96);
+    header.writeUInt32LE(1, 100);
+    header.writeUInt8(1, 104);
+    header.writeUInt16LE(recordLength, 105);
+    header.writeUInt32LE(points.length, 107);
+    scale.forEach((value, i) => header.writeDoubleLE(value, 131 + i * 8));
+    offset.forEach((value, i) => header.writeDoubleLE(value, 155 + i * 8));
+    
+    return Buffer.concat([header, vlrHeader, geoKeyData, records]);
+}
+
+/**
+ * Build a single-strip float32 GeoTIFF in WGS 84
+ * origin is the [lon, lat] of the top-left corner; pixel is [dLon, dLat] in degrees
+ */
+function buildGeoTiff({ width, height, values, origin, pixel, compression = 'none', noData = null }) {
+    const raster = Buffer.alloc(width * height * 4);
+    values.forEach((value, i) => raster.writeFloatLE(value, i * 4));
+    const strip = compression === 'deflate' ? zlib.deflateSync(raster) : raster;
+    
+    // [tag, type, values]; types: 3 SHORT, 4 LONG, 12 DOUBLE, 2 ASCII
+    const entries = [
+        [256, 4, [width]],
+        [257, 4, [height]],
+        [258, 3, [32]],
+        [259, 3, [compression === 'deflate' ? 8 : 1]],
+        [262, 3, [1]],
+        [273, 4, [0]],
+        [277, 3, [1]],
+        [278, 4, [height]],
+        [279, 4, [strip.length]],
+        [339, 3, [3]],
+        [33550, 12, [pixel[0], pixel[1], 0]],
+        [33922, 12, [0, 0, 0, origin[0], origin[1], 0]],
+        [34735, 3, [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]]
+    ];
+    if (noData !== null) {
+        entries.push([42113, 2, String(noData) + '\0']);
+    }
+    
+    const sizes = { 2: 1, 3: 2, 4: 4, 12: 8 };
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let dataOffset = 8 + ifdSize;
+    const extra = [];
+    const ifd = Buffer.alloc(ifdSize);
+    ifd.writeUInt16LE(entries.length, 0);
+    
+    entries.forEach(([tag, type, data], i) => {
+        const count = data.length;
+        const bytes = Buffer.alloc(Math.max(4, count * sizes[type]));
+        for (let k = 0; k < count; k++) {
+            if (type === 2) bytes.write(data[k], k, 'latin1');
+            if (type === 3) bytes.writeUInt16LE(data[k], k * 2);
+            if (type === 4) bytes.writeUInt32LE(data[k], k * 4);
+            if (type === 12) bytes.writeDoubleLE(data[k], k * 8);
+        }
+        
+        const o = 2 + i * 12;
+        ifd.writeUInt16LE(tag, o);
+        ifd.writeUInt16LE(type, o + 2);
+        ifd.writeUInt32LE(count, o + 4);
+        if (count * sizes[type] <= 4) {
+            bytes.copy(ifd, o + 8, 0, 4);
+        } else {
+            ifd.writeUInt32LE(dataOffset, o + 8);
+            extra.push(bytes);
+            dataOffset += bytes.length;
+        }
+    });
+    
+    // The strip follows the out-of-line tag data
+    const stripEntry = 2 + entries.findIndex(([tag]) => tag === 273) * 12;
+    ifd.writeUInt32LE(dataOffset, stripEntry + 8);
+    
+    const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+    return Buffer.concat([header, ifd, ...extra, strip]);
+}
+
+module.exports = { buildLas, buildGeoTiff };
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected}`);
+
+const line = (id, props = {}) => ({ type: 'Feature', properties: { id, ...props }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] } });
+
+test('Gumbel and Log-Pearson III quantiles follow their frequency factors', () => {
+    const gauges = river.calculateFloodFrequency(river.parseAnnualPeaksCSV(
+        'year,peak_discharge,gauge_id\n2001,100,A\n2002,200,A\n2003,400,A\n2004,800,A\n2005,1600,A\n'
+    ));
+    const { gumbel, lp3 } = gauges.A;
+    
+    assert.strictEqual(gauges.A.records, 5);
+    assert.strictEqual(gumbel.mean, 620);
+    // Gumbel K(100) = 3.137; a zero-skew log series gives the normal quantile z(0.99) = 2.326
+    close(gumbel.quantiles[100], 620 + 3.137 * gumbel.stdDev, 0.5);
+    assert.strictEqual(lp3.logSkew, 0);
+    close(lp3.quantiles[100], Math.pow(10, Math.log10(400) + 2.326348 * Math.log10(2) * Math.sqrt(2.5)), 0.1);
+    assert.ok(lp3.quantiles[2] < lp3.quantiles[10] && lp3.quantiles[10] < lp3.quantiles[100]);
+});
+
+test('too short a record is rejected', () => {
+    const peaks = river.parseAnnualPeaksCSV('year,peak_discharge\n2001,100\n2002,200\n');
+    assert.throws(() => river.calculateFloodFrequency(peaks), /at least 5 are required/);
+});
+
+test('return-period profiles run each segment at its own gauge\'s quantile', () => {
+    const gauges = river.calculateFloodFrequency(river.parseAnnualPeaksCSV(
+        'year,peak_discharge,gauge_id\n' +
+        [100, 150, 200, 250, 300].map((q, i) => `${2001 + i},${q},up`).join('\n') + '\n' +
+        [400, 450, 500, 550, 600].map((q, i) => `${2001 + i},${q},down`).join('\n') + '\n'
+    ));
+    const data = { type: 'FeatureCollection', features: [line('a'), line('b', { gauge_id: 'down' })] };
+    
+    const profiles = river.calculateReturnPeriodProfiles(gauges, 'gumbel', data, river.HYDRODYNAMIC_PARAMS);
+    const [a, b] = profiles[10].features.map(feature => feature.properties.calculated.discharge);
+    
+    assert.deepStrictEqual(Object.keys(profiles), ['2', '10', '50', '100']);
+    assert.strictEqual(a, gauges.up.gumbel.quantiles[10]);
+    assert.strictEqual(b, gauges.down.gumbel.quantiles[10]);
+});
+
+test('a hydrograph response accumulates days and excess shear above critical', () => {
+    const segment = line('a', { channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20 });
+    const hydrograph = river.parseHydrographCSV('date,discharge\n2024-01-01,10\n2024-01-02,400\n2024-01-04,600\n2024-01-05,10\n');
+    
+    const [response] = river.calculateHydrographResponse(hydrograph, { type: 'FeatureCollection', features: [segment] });
+    const excess = discharge => {
+        const calc = river.evaluateSegmentAtDischarge(segment, discharge);
+        return calc.shearStress - calc.adjustedCriticalShear;
+    };
+    
+    assert.deepStrictEqual(Array.from(hydrograph, step => step.durationDays), [1, 2, 1, 1]);
+    assert.ok(excess(10) < 0 && excess(400) > 0);
+    assert.strictEqual(response.daysAboveCritical, 3);
+    close(response.cumulativeExcessShear, 2 * excess(400) + excess(600), 0.02);
+    assert.strictEqual(response.peakRiskDate, '2024-01-04');
+    assert.strictEqual(response.peakDischarge, 600);
+    assert.strictEqual(response.timeline.length, 4);
+});
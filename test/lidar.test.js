@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = (props = {}) => ({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { id: 1, ...props }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] } }]
+});
+
+test('LiDAR points within the buffer are aggregated onto the segment', () => {
+    const merged = river.mergeLidarWithRiver(segment(), [
+        { latitude: 52.3, longitude: 13.502, bank_height_m: 4 },
+        { latitude: 52.3, longitude: 13.508, bank_height_m: 6 },
+        { latitude: 52.4, longitude: 13.6, bank_height_m: 50 }
+    ], { bufferDistance: 100 });
+    const props = merged.features[0].properties;
+    
+    assert.strictEqual(props.lidar_avg_bank_height_m, 5);
+    assert.strictEqual(props.lidar_samples.count, 2);
+    assert.strictEqual(props.lidar_merged, true);
+});
+
+test('re-merging with no point in range clears the previous merge', () => {
+    const data = segment({ manning_n: 0.04 });
+    river.mergeLidarWithRiver(data, [{ latitude: 52.3, longitude: 13.505, bank_height_m: 22, roughness_coefficient: 0.05 }]);
+    assert.strictEqual(data.features[0].properties.lidar_avg_bank_height_m, 22);
+    assert.strictEqual(data.features[0].properties.manning_n, 0.05);
+    
+    const remerged = river.mergeLidarWithRiver(data, [{ latitude: 50, longitude: 14, bank_height_m: 3 }], { maxDistance: 1000 });
+    const props = remerged.features[0].properties;
+    
+    assert.strictEqual(props.lidar_avg_bank_height_m, undefined);
+    assert.strictEqual(props.manning_n, 0.04);
+    assert.strictEqual(props.lidar_merged, undefined);
+    assert.strictEqual(props.lidar_match_distance_m, undefined);
+    assert.strictEqual(props.lidar_samples, undefined);
+    assert.ok(props.lidar_unmatched);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(remerged.lidarMerge.unmatched)), ['1']);
+});
+
+test('re-merging replaces rather than accumulates merged values', () => {
+    const data = segment();
+    river.mergeLidarWithRiver(data, [{ latitude: 52.3, longitude: 13.505, bank_height_m: 22, veg_density: 0.8 }]);
+    river.mergeLidarWithRiver(data, [{ latitude: 52.3, longitude: 13.505, bank_height_m: 3 }]);
+    const props = data.features[0].properties;
+    
+    assert.strictEqual(props.lidar_avg_bank_height_m, 3);
+    assert.strictEqual(props.lidar_riparian_veg_density, undefined);
+});
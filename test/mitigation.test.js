@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = (props = {}) => ({
+    type: 'Feature',
+    properties: { id: 's1', channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20, ...props },
+    geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] }
+});
+
+const option = (intervention, cost, riskReduction) => ({ intervention, cost, riskReduction, feasible: true });
+
+test('the selection maximises risk reduction without exceeding the budget', () => {
+    const segments = [
+        { id: 'a', name: 'A', options: [option('riprap', 60, 1.0), option('vegetation', 30, 0.6)] },
+        { id: 'b', name: 'B', options: [option('riprap', 50, 0.9), { ...option('vegetation', null, 0.2), feasible: false }] }
+    ];
+    
+    const selection = river.selectInterventions(segments, 100);
+    
+    assert.deepStrictEqual(Array.from(selection.selected, chosen => [chosen.id, chosen.intervention]), [['a', 'vegetation'], ['b', 'riprap']]);
+    assert.strictEqual(selection.totalCost, 80);
+    assert.strictEqual(selection.totalRiskReduction, 1.5);
+    assert.strictEqual(river.selectInterventions(segments, 40).selected[0].intervention, 'vegetation');
+});
+
+test('eroding segments get interventions that reach the Stable band, chosen within budget', () => {
+    const data = river.calculateRiskProfile(30, {
+        type: 'FeatureCollection',
+        features: [segment({ critical_shear: 3 }), segment({ id: 's2', critical_shear: 5 }), segment({ id: 's3', critical_shear: 8 })]
+    });
+    
+    const plan = river.calculateMitigationPlan(data, {}, 50000);
+    const [weak, weaker] = ['s2', 's1'].map(id => plan.segments.find(planned => planned.id === id));
+    const riprap = weak.options.find(candidate => candidate.intervention === 'riprap');
+    
+    assert.strictEqual(plan.segments.length, 2);
+    assert.ok(plan.segments[0].effectiveness >= plan.segments[1].effectiveness);
+    assert.strictEqual(weak.cheapest, 'riprap');
+    assert.ok(riprap.feasible && riprap.riskIndex < plan.threshold, String(riprap.riskIndex));
+    assert.strictEqual(riprap.riprapD50Mm, river.calculateRiprapD50(riprap.to));
+    weaker.options.filter(candidate => candidate.feasible).forEach(candidate => assert.ok(candidate.riskIndex < plan.threshold));
+    
+    assert.deepStrictEqual(Array.from(plan.selection.selected, chosen => chosen.id), ['s2']);
+    assert.ok(plan.selection.totalCost <= 50000);
+    assert.strictEqual(river.calculateMitigationPlan(data, {}, 1e6).selection.selected.length, 2);
+    assert.throws(() => river.calculateMitigationPlan(data, { dredging: 1 }), /Unknown intervention "dredging"/);
+});
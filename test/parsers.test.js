@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+const { buildLas, buildGeoTiff } = require('./helpers');
+
+test('CSV delimiter, quoting and decimal commas are detected', () => {
+    const parsed = river.parseCSV('id;name;bank\r\n1;"North; ""upper""\nreach";2,5\r\n2;South;3,25\r\n');
+    
+    assert.strictEqual(parsed.delimiter, ';');
+    assert.ok(parsed.decimalComma);
+    assert.strictEqual(parsed.rows[0][1], 'North; "upper"\nreach');
+    assert.strictEqual(river.parseCSVValue(parsed.rows[1][2], parsed.decimalComma), 3.25);
+    assert.throws(() => river.parseCSV('a,b\n"1,2\n'), /Unterminated quoted field starting on line 2/);
+});
+
+test('CSV bytes are decoded from UTF-16 and Windows-1252', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('a,b\n1,2', 'utf16le')]);
+    assert.strictEqual(river.decodeCSVBytes(utf16).text, 'a,b\n1,2');
+    
+    const latin = river.decodeCSVBytes(Buffer.from([0x63, 0x61, 0x66, 0xE9]));
+    assert.strictEqual(latin.encoding, 'windows-1252');
+    assert.strictEqual(latin.text, 'café');
+});
+
+test('LiDAR CSV headers are mapped through aliases', () => {
+    const points = river.processLidarCSV('Lat,Lon,Bank Ht (ft)\n52.3,13.5,10\n52.4,13.6,12\n');
+    
+    assert.strictEqual(points.length, 2);
+    assert.strictEqual(points[0].latitude, 52.3);
+    assert.strictEqual(points[1].bank_height_ft, 12);
+});
+
+test('empty LiDAR cells are missing values, not text', () => {
+    const points = river.processLidarCSV('latitude,longitude,bank_height_m\n52.30,13.50,5\n52.31,13.51,\n52.32,13.52,7\n');
+    const stats = river.getLidarStatistics(points);
+    
+    assert.strictEqual(points[1].bank_height_m, null);
+    assert.strictEqual(stats.avgBankHeight, 6);
+    assert.strictEqual(stats.minBankHeight, 5);
+    assert.strictEqual(stats.maxBankHeight, 7);
+});
+
+test('hydrographs and annual peaks keep zero discharges', () => {
+    const hydrograph = river.parseHydrographCSV('date,discharge\n2024-01-01,0\n2024-01-02,12.5\n');
+    assert.strictEqual(hydrograph.length, 2);
+    assert.strictEqual(hydrograph[0].discharge, 0);
+    
+    const peaks = river.parseAnnualPeaksCSV('year,peak_discharge\n2001,0\n2002,150\n');
+    assert.strictEqual(Object.values(peaks)[0].length, 2);
+});
+
+test('LAS point clouds are read and projected from UTM', () => {
+    const las = buildLas([
+        { x: 400000, y: 5800000, z: 30.5, classification: 2 },
+        { x: 400010, y: 5800000, z: 28, classification: 9 },
+        { x: 400020, y: 5800000, z: 99, classification: 7 }
+    ], [[1024, 0, 1, 1], [3072, 0, 1, 32633]]);
+    
+    const cloud = river.readLasFile(las);
+    
+    assert.strictEqual(cloud.crs.epsg, 32633);
+    assert.strictEqual(cloud.count, 2);
+    assert.deepStrictEqual(Array.from(cloud.elevations), [30.5, 28]);
+    assert.ok(Math.abs(cloud.latitudes[0] - 52.34118) < 1e-4);
+    assert.throws(() => river.readLasFile(Buffer.from('not a point cloud'.repeat(20))), /LASF/);
+});
+
+test('GeoTIFF DEMs are read with no data, with and without Deflate', () => {
+    const values = [];
+    for (let row = 0; row < 4; row++) {
+        for (let column = 0; column < 5; column++) {
+            values.push(100 + column + 10 * row);
+        }
+    }
+    values[7] = -9999;
+    
+    ['none', 'deflate'].forEach(compression => {
+        const dem = river.readGeoTiff(buildGeoTiff({ width: 5, height: 4, values, origin: [13, 52], pixel: [0.001, 0.001], compression, noData: -9999 }));
+        
+        assert.strictEqual(dem.compression, compression);
+        assert.strictEqual(dem.validPixels, 19);
+        assert.ok(Number.isNaN(dem.values[7]));
+        assert.strictEqual(river.sampleDem(dem, 13.0015, 51.9995), 101);
+    });
+});
+
+test('cross sections are read from CSV', () => {
+    const text = 'section_id,station,elevation,latitude,longitude\nA,0,103,52.3,13.5\nA,10,100,,\nA,20,100,,\nA,30,103,,\n';
+    const { format, sections } = river.parseCrossSections(text, 'si');
+    
+    assert.strictEqual(format, 'csv');
+    assert.strictEqual(sections[0].points.length, 4);
+    
+    const geometry = river.deriveCrossSectionGeometry(sections[0]);
+    assert.strictEqual(geometry.bankfullDepth, 3);
+    assert.ok(Math.abs(geometry.bottomWidth - 10) < 1e-9);
+});
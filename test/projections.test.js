@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const line = (id, coordinates, props = {}) => ({ type: 'Feature', properties: { id, ...props }, geometry: { type: 'LineString', coordinates } });
+
+// Two headwaters joining into one downstream segment; a has an empty source_discharge
+const network = () => ({
+    type: 'FeatureCollection',
+    features: [
+        line('a', [[13.50, 52.31], [13.51, 52.30]], { source_discharge: '' }),
+        line('b', [[13.50, 52.29], [13.51, 52.30]], { source_discharge: 50 }),
+        line('c', [[13.51, 52.30], [13.52, 52.30]], { lateral_inflow: 10, tributary_inflow: '' })
+    ]
+});
+
+const wetter = {
+    id: 'wet-2050',
+    name: 'Wet 2050',
+    horizon: 2050,
+    dischargeMultiplier: 1.2,
+    regionMultipliers: {},
+    segmentMultipliers: { a: 1.5 },
+    vegDensityChange: 0,
+    roughnessMultiplier: 1.0
+};
+
+test('projections scale headwater sources and inflows, treating empty values as missing', () => {
+    const projected = river.applyProjection(network(), wetter, 100);
+    const [a, b, c] = projected.features.map(feature => feature.properties);
+    
+    assert.strictEqual(a.source_discharge, 150);
+    assert.strictEqual(b.source_discharge, 60);
+    assert.strictEqual(c.source_discharge, undefined);
+    assert.strictEqual(c.lateral_inflow, 12);
+    assert.strictEqual(c.tributary_inflow, '');
+});
+
+test('a routed projection batch fills every matrix cell', () => {
+    const batch = river.calculateProjectionBatch(network(), [wetter], 100, river.HYDRODYNAMIC_PARAMS, true);
+    const routed = Array.from(batch.runs[0].results.features, feature => feature.properties.calculated.routedDischarge);
+    
+    assert.deepStrictEqual(Array.from(batch.baseline.features, feature => feature.properties.calculated.routedDischarge), [100, 50, 160]);
+    assert.deepStrictEqual(routed, [150, 60, 222]);
+    batch.matrix.rows.forEach(row => {
+        assert.ok(row.cells['wet-2050'], `segment ${row.id}`);
+        assert.ok(row.cells['wet-2050'].shift >= 0);
+    });
+});
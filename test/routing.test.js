@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const line = (id, coordinates, props = {}) => ({ type: 'Feature', properties: { id, ...props }, geometry: { type: 'LineString', coordinates } });
+
+// Two headwaters joining into one downstream segment
+const network = (headProps = {}) => ({
+    type: 'FeatureCollection',
+    features: [
+        line('a', [[13.50, 52.31], [13.51, 52.30]], headProps),
+        line('b', [[13.50, 52.29], [13.51, 52.30]], { source_discharge: 50 }),
+        line('c', [[13.51, 52.30], [13.52, 52.30]], { lateral_inflow: 10 })
+    ]
+});
+
+test('discharge accumulates down the network', () => {
+    const { routed, order } = river.routeDischarge(network(), 100);
+    
+    assert.strictEqual(routed.c.upstreamInflow, 150);
+    assert.strictEqual(routed.c.outflow, 160);
+    assert.strictEqual(order[order.length - 1], 'c');
+});
+
+test('an empty source_discharge falls back to the boundary discharge', () => {
+    const { routed } = river.routeDischarge(network({ source_discharge: '' }), 100);
+    
+    assert.strictEqual(routed.a.outflow, 100);
+    assert.strictEqual(routed.c.outflow, 160);
+});
+
+test('features outside the network are analysed at the boundary discharge', () => {
+    const data = network();
+    data.features.push(
+        { type: 'Feature', properties: { id: 'lake', channel_width: 50 }, geometry: { type: 'Polygon', coordinates: [[[13.5, 52.3], [13.51, 52.3], [13.51, 52.31], [13.5, 52.3]]] } },
+        { type: 'Feature', properties: { id: 'empty' }, geometry: null }
+    );
+    
+    const results = river.calculateRoutedRiskProfile(100, data, river.HYDRODYNAMIC_PARAMS);
+    
+    assert.strictEqual(results.features[2].properties.calculated.routedDischarge, 160);
+    assert.strictEqual(results.features[3].properties.calculated.discharge, 100);
+    assert.strictEqual(results.features[3].properties.calculated.routedDischarge, undefined);
+});
+
+test('sweeps and hydrograph responses skip point inflows', () => {
+    const data = network();
+    data.features.push({ type: 'Feature', properties: { name: 'Trib', inflow: 200 }, geometry: { type: 'Point', coordinates: [13.51, 52.30] } });
+    const hydrograph = river.parseHydrographCSV('date,discharge\n2024-01-01,80\n2024-01-02,120\n');
+    
+    const curves = river.calculateSweepProfile(50, 150, 50, data);
+    const responses = river.calculateHydrographResponse(hydrograph, data);
+    
+    assert.deepStrictEqual(curves.map(curve => curve.id), ['a', 'b', 'c']);
+    assert.deepStrictEqual(responses.map(response => response.id), ['a', 'b', 'c']);
+});
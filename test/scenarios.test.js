@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = (props = {}) => ({
+    type: 'Feature',
+    properties: { id: 's1', channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20, ...props },
+    geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] }
+});
+
+test('overrides apply to their segment and to reaches of a parent segment', () => {
+    const data = {
+        type: 'FeatureCollection',
+        features: [segment(), segment({ id: 's2-1', parent_id: 's2' }), segment({ id: 's3' })]
+    };
+    const scenario = river.createScenario(data, ' Armoured banks ', 150);
+    
+    river.setScenarioOverrides(scenario, ['s1', 's2'], 'critical_shear', 60);
+    river.setScenarioOverrides(scenario, ['s1'], 'manning_n', 0.04);
+    river.removeScenarioOverride(scenario, 's1', 'manning_n');
+    const applied = river.applyScenario(data, scenario);
+    
+    assert.strictEqual(scenario.name, 'Armoured banks');
+    assert.deepStrictEqual(Array.from(applied.features, feature => feature.properties.critical_shear), [60, 60, 20]);
+    assert.strictEqual(applied.features[0].properties.manning_n, 0.035);
+    assert.strictEqual(applied.scenarios, undefined);
+    assert.strictEqual(data.features[0].properties.critical_shear, 20);
+    assert.throws(() => river.createScenario(data, 'Armoured banks', 150), /already exists/);
+    assert.throws(() => river.setScenarioOverrides(scenario, ['s1'], 'name', 1), /cannot be overridden/);
+});
+
+test('comparison reports per-segment risk deltas and a summary', () => {
+    const data = { type: 'FeatureCollection', features: [segment(), segment({ id: 's2' })] };
+    const baseline = river.getBaselineScenario(150);
+    const scenario = river.createScenario(data, 'Weakened', 150);
+    river.setScenarioOverrides(scenario, ['s1'], 'critical_shear', 5);
+    
+    const resultsA = river.runScenario(data, baseline);
+    const resultsB = river.runScenario(data, scenario);
+    const comparison = river.compareScenarioResults(resultsA, resultsB, baseline, scenario);
+    const [weakened, untouched] = comparison.features.map(feature => feature.properties.calculated.comparison);
+    
+    assert.strictEqual(weakened.direction, 'increased');
+    assert.strictEqual(weakened.deltaRiskIndex,
+        parseFloat((resultsB.features[0].properties.calculated.riskIndex - resultsA.features[0].properties.calculated.riskIndex).toFixed(2)));
+    assert.strictEqual(weakened.categoryChanged, true);
+    assert.strictEqual(untouched.direction, 'unchanged');
+    assert.strictEqual(comparison.scenarioComparison.summary.compared, 2);
+    assert.strictEqual(comparison.scenarioComparison.summary.increased, 1);
+    assert.strictEqual(comparison.scenarioComparison.summary.categoryChanges, 1);
+    assert.strictEqual(comparison.scenarioComparison.summary.unchanged, 1);
+    assert.strictEqual(comparison.scenarioComparison.b.name, 'Weakened');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+// 2 mm gravel under 5 Pa: Shields 5 / (1650 × 9.81 × 0.002) = 0.154
+const gravel = { d50: 0.002 };
+const hydraulics = { velocity: 1.5, flowDepth: 2, bedShear: 5 };
+
+test('Meyer-Peter Müller and Engelund-Hansen capacities match hand calculations', () => {
+    const result = river.calculateSedimentTransport(gravel, hydraulics);
+    
+    assert.strictEqual(result.shieldsParameter, 0.154);
+    // 8 (0.154 - 0.047)^1.5 √(1.65 g d³) × 2650
+    assert.strictEqual(result.bedloadCapacity, 0.269);
+    // 0.05 V² √(d / (1.65 g)) θ^1.5 × 2650
+    assert.strictEqual(result.totalLoadCapacity, 0.201);
+});
+
+test('no bedload moves below the critical Shields parameter', () => {
+    const result = river.calculateSedimentTransport(gravel, { velocity: 0.3, flowDepth: 2, bedShear: 1 }, { bedloadFormula: 'van-rijn' });
+    
+    assert.ok(result.shieldsParameter < river.SEDIMENT_PARAMS.criticalShields);
+    assert.strictEqual(result.bedloadCapacity, 0);
+    assert.strictEqual(river.calculateSedimentTransport(gravel, { velocity: 0.3, flowDepth: 2, bedShear: 1 }).bedloadCapacity, 0);
+});
+
+test('van Rijn total load adds suspended load to its bedload', () => {
+    const result = river.calculateSedimentTransport(gravel, hydraulics, { bedloadFormula: 'van-rijn', totalLoadFormula: 'van-rijn' });
+    
+    assert.strictEqual(result.bedloadFormula, 'van-rijn');
+    assert.ok(result.bedloadCapacity > 0);
+    assert.ok(result.totalLoadCapacity > result.bedloadCapacity);
+});
+
+test('segment results carry the transport capacity at the solved hydraulics', () => {
+    const feature = { type: 'Feature', properties: { id: 1, channel_width: 20, base_slope: 0.001, d50: 0.002 }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] } };
+    const low = river.evaluateSegmentAtDischarge(feature, 50);
+    const high = river.evaluateSegmentAtDischarge(feature, 500);
+    
+    assert.strictEqual(high.bedloadFormula, 'mpm');
+    assert.ok(high.bedloadCapacity > low.bedloadCapacity);
+    assert.ok(high.totalLoadCapacity > low.totalLoadCapacity);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+// About 2.5 km of river running east
+const parent = () => ({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { id: 1, name: 'Main', channel_width: 40 }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.537, 52.3]] } }]
+});
+
+test('reaches carry parent properties and chainage', () => {
+    const segmented = river.segmentRiverNetwork(parent(), 1);
+    const reaches = Array.from(segmented.features, feature => feature.properties);
+    
+    assert.strictEqual(reaches.length, 3);
+    assert.deepStrictEqual(reaches.map(props => props.id), ['1-1', '1-2', '1-3']);
+    assert.ok(reaches.every(props => props.channel_width === 40 && props.parent_id === '1'));
+    assert.strictEqual(reaches[1].chainage_start_m, 1000);
+});
+
+test('reaches do not inherit the parent\'s LiDAR merge', () => {
+    const points = [{ latitude: 52.3, longitude: 13.5005, bank_height_m: 22 }];
+    const merged = river.mergeLidarWithRiver(parent(), points, { bufferDistance: 100, maxDistance: 200 });
+    assert.strictEqual(merged.features[0].properties.lidar_avg_bank_height_m, 22);
+    
+    const segmented = river.segmentRiverNetwork(merged, 1);
+    segmented.features.forEach(feature => {
+        assert.strictEqual(feature.properties.lidar_avg_bank_height_m, undefined);
+        assert.strictEqual(feature.properties.lidar_merged, undefined);
+        assert.strictEqual(feature.properties.lidar_samples, undefined);
+    });
+    
+    // Only the reach next to the point gets it once the reaches are merged
+    const remerged = river.mergeLidarWithRiver(segmented, points, { bufferDistance: 100, maxDistance: 200 });
+    assert.deepStrictEqual(Array.from(remerged.features, feature => feature.properties.lidar_avg_bank_height_m), [22, undefined, undefined]);
+    assert.deepStrictEqual(Array.from(remerged.lidarMerge.unmatched), ['1-2', '1-3']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = (props = {}) => ({
+    type: 'Feature',
+    properties: { id: 's1', channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20, ...props },
+    geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] }
+});
+
+// Additive model with analytic first-order indices 16/17 and 1/17
+const additive = values => 4 * values.criticalShear + values.bankHeight;
+const unitBounds = { criticalShear: { min: 0, max: 1 }, bankHeight: { min: 0, max: 1 } };
+
+test('one-at-a-time swings are ranked by their effect on the model', () => {
+    const result = river.calculateOneAtATimeSensitivity(additive, { criticalShear: 0.5, bankHeight: 0.5 }, unitBounds);
+    
+    assert.strictEqual(result.baseRisk, 2.5);
+    assert.deepStrictEqual(Array.from(result.rows, row => [row.parameter, row.swing]), [['criticalShear', 4], ['bankHeight', 1]]);
+    assert.strictEqual(result.rows[0].property, 'critical_shear');
+});
+
+test('Sobol indices match the analytic values of an additive model', () => {
+    const indices = river.calculateSobolIndices(additive, { criticalShear: 0.5, bankHeight: 0.5 }, unitBounds, 4096, river.createRandomGenerator(11));
+    const byKey = Object.fromEntries(indices.map(row => [row.parameter, row]));
+    
+    assert.strictEqual(indices[0].parameter, 'criticalShear');
+    assert.ok(Math.abs(byKey.criticalShear.firstOrder - 16 / 17) < 0.1, String(byKey.criticalShear.firstOrder));
+    assert.ok(Math.abs(byKey.bankHeight.firstOrder - 1 / 17) < 0.1, String(byKey.bankHeight.firstOrder));
+    assert.ok(Math.abs(byKey.criticalShear.totalOrder - 16 / 17) < 0.05, String(byKey.criticalShear.totalOrder));
+});
+
+test('the sensitivity profile covers every analysed segment and is seeded', () => {
+    const data = river.calculateRiskProfile(150, { type: 'FeatureCollection', features: [segment(), segment({ id: 's2', critical_shear: 40 })] });
+    const run = () => JSON.parse(JSON.stringify(river.calculateSensitivityProfile(150, data, { samples: 32 })));
+    const profile = run();
+    
+    assert.deepStrictEqual(Object.keys(profile), ['s1', 's2']);
+    assert.deepStrictEqual(run(), profile);
+    profile.s1.sobol.forEach(row => assert.ok(isFinite(row.firstOrder) && isFinite(row.totalOrder)));
+    assert.strictEqual(profile.s1.baseRiskIndex, data.features[0].properties.calculated.riskIndex);
+    assert.throws(() => river.calculateSensitivityProfile(150, data, { samples: 4 }), /Sobol samples must be between/);
+});
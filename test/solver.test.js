@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const manning = (area, perimeter, n, slope) => (area * Math.pow(area / perimeter, 2 / 3) * Math.sqrt(slope)) / n;
+
+test('normal depth of a rectangular channel matches Manning\'s equation', () => {
+    const geometry = { ...river.getChannelGeometry({ bankfull_depth: 10 }, 20, 0.03), sideSlope: 0 };
+    const discharge = manning(20 * 2.5, 20 + 2 * 2.5, 0.03, 0.001);
+    
+    const result = river.solveNormalDepth(discharge, geometry, 0.001);
+    
+    assert.ok(result.converged);
+    assert.ok(Math.abs(result.value - 2.5) < 1e-4, `depth ${result.value}`);
+});
+
+test('normal depth of a trapezoid carries the discharge', () => {
+    const geometry = river.getChannelGeometry({ side_slope: 2, bankfull_depth: 5 }, 40, 0.035);
+    const result = river.solveNormalDepth(60, geometry, 0.001);
+    const area = (40 + 2 * result.value) * result.value;
+    const perimeter = 40 + 2 * result.value * Math.sqrt(5);
+    
+    assert.ok(result.converged);
+    assert.ok(Math.abs(manning(area, perimeter, 0.035, 0.001) - 60) < 1e-3);
+});
+
+test('flow above bankfull spreads onto the floodplain', () => {
+    const props = { side_slope: 2, bankfull_depth: 2, floodplain_width: 200 };
+    const geometry = river.getChannelGeometry(props, 30, 0.035);
+    const bankfull = river.calculateCompoundDischarge(2, geometry, 0.001).totalDischarge;
+    
+    const result = river.solveCompoundFlowDepth(bankfull * 3, geometry, 0.001);
+    
+    assert.ok(result.solved);
+    assert.ok(result.flowDepth > 2, `depth ${result.flowDepth}`);
+});
+
+test('normal depth is not solved for a flat bed or zero discharge', () => {
+    const geometry = river.getChannelGeometry({}, 20, 0.03);
+    
+    assert.ok(Number.isNaN(river.solveNormalDepth(100, geometry, 0).value));
+    assert.match(river.solveNormalDepth(0, geometry, 0.001).message, /Discharge must be positive/);
+});
+
+test('critical depth of a rectangular channel is (q²/g)^(1/3)', () => {
+    const geometry = { ...river.getChannelGeometry({}, 10, 0.03), sideSlope: 0 };
+    const result = river.solveCriticalDepth(50, geometry);
+    
+    assert.ok(Math.abs(result.value - Math.cbrt(25 / 9.81)) < 1e-4);
+});
+
+test('a risk profile classifies every analysed segment', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { id: 1, channel_width: 30, base_slope: 0.002 }, geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] } },
+            { type: 'Feature', properties: { id: 2, channel_width: 300, base_slope: 0.0001 }, geometry: { type: 'LineString', coordinates: [[13.51, 52.3], [13.52, 52.3]] } }
+        ]
+    };
+    
+    const results = river.calculateRiskProfile(500, geojson, river.HYDRODYNAMIC_PARAMS);
+    
+    results.features.forEach(feature => {
+        assert.ok(Number.isFinite(feature.properties.calculated.riskIndex));
+        assert.ok(feature.properties.calculated.flowDepth > 0);
+    });
+    assert.ok(results.features[0].properties.calculated.shearStress > results.features[1].properties.calculated.shearStress);
+});
+
+test('the inundated width is the water surface width at the solved depth', () => {
+    const geometry = river.getChannelGeometry({ side_slope: 2, bankfull_depth: 2, floodplain_width: 200 }, 30, 0.035);
+    
+    const inChannel = river.solveCompoundFlowDepth(20, geometry, 0.001);
+    assert.ok(!inChannel.overbankFlow);
+    assert.ok(Math.abs(inChannel.inundatedWidth - (30 + 4 * inChannel.flowDepth)) < 1e-9);
+    
+    const bankfull = river.calculateCompoundDischarge(2, geometry, 0.001).totalDischarge;
+    const overbank = river.solveCompoundFlowDepth(bankfull * 3, geometry, 0.001);
+    assert.ok(overbank.overbankFlow);
+    assert.ok(Math.abs(overbank.inundatedWidth - (30 + 4 * 2 + 200)) < 1e-9);
+});
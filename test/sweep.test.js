@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = {
+    type: 'Feature',
+    properties: { id: 's1', name: 'Lower reach', channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20 },
+    geometry: { type: 'LineString', coordinates: [[13.50, 52.30], [13.51, 52.30]] }
+};
+
+test('discharge series cover the range and end on the maximum', () => {
+    assert.deepStrictEqual(Array.from(river.buildDischargeSeries(0, 100, 30)), [0, 30, 60, 90, 100]);
+    assert.throws(() => river.buildDischargeSeries(100, 50, 10), /max discharge above min discharge/);
+    assert.throws(() => river.buildDischargeSeries(1, 10000, 1), /limit/);
+});
+
+test('a sweep gives a rising risk curve and brackets each category change', () => {
+    const [curve] = river.calculateSweepProfile(10, 1000, 90, { type: 'FeatureCollection', features: [segment] });
+    
+    assert.strictEqual(curve.name, 'Lower reach');
+    assert.strictEqual(curve.points.length, 12);
+    assert.strictEqual(curve.points[curve.points.length - 1].discharge, 1000);
+    curve.points.slice(1).forEach((point, i) => assert.ok(point.riskIndex >= curve.points[i].riskIndex));
+    
+    const toHigh = curve.thresholds.find(threshold => threshold.toCategory === 'High Erosion');
+    assert.strictEqual(toHigh.fromCategory, 'Medium Erosion');
+    assert.ok(toHigh.discharge > 190 && toHigh.discharge < 280);
+    
+    const categoryAt = discharge => river.evaluateSegmentAtDischarge(segment, discharge).riskCategory;
+    assert.strictEqual(categoryAt(toHigh.discharge), 'High Erosion');
+    assert.strictEqual(categoryAt(toHigh.discharge - river.SWEEP_CONFIG.thresholdTolerance), 'Medium Erosion');
+});
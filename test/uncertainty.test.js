@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+const segment = (props = {}) => ({
+    type: 'Feature',
+    properties: { id: 's1', channel_width: 20, manning_n: 0.035, base_slope: 0.0005, critical_shear: 20, ...props },
+    geometry: { type: 'LineString', coordinates: [[13.5, 52.3], [13.51, 52.3]] }
+});
+
+test('with every parameter fixed each realisation gives the deterministic result', () => {
+    const fixed = Object.fromEntries(Object.values(river.PARAMETER_PROPERTY_MAP).map(property => [property, { type: 'fixed' }]));
+    const feature = segment({ uncertainty: fixed });
+    const deterministic = river.evaluateSegmentAtDischarge(feature, 150);
+    
+    const result = river.calculateSegmentUncertainty(feature, 150, 20, {}, river.createRandomGenerator(1));
+    
+    assert.strictEqual(result.realisations, 20);
+    assert.strictEqual(result.categoryProbabilities[deterministic.riskCategory], 1);
+    assert.strictEqual(result.riskIndexPercentiles.p5, deterministic.riskIndex);
+    assert.strictEqual(result.riskIndexPercentiles.p95, deterministic.riskIndex);
+});
+
+test('seeded runs are reproducible and give ordered percentiles and probabilities summing to one', () => {
+    const run = () => river.calculateUncertaintyProfile(150, river.calculateRiskProfile(150, { type: 'FeatureCollection', features: [segment()] }), 200, {}, 7)
+        .features[0].properties.calculated.uncertainty;
+    const first = run();
+    const { p5, p50, p95 } = first.riskIndexPercentiles;
+    const total = Object.values(first.categoryProbabilities).reduce((sum, p) => sum + p, 0);
+    
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(run())), JSON.parse(JSON.stringify(first)));
+    assert.ok(p5 < p50 && p50 < p95, `${p5} ${p50} ${p95}`);
+    assert.ok(Math.abs(total - 1) < 0.01);
+    assert.throws(() => river.calculateUncertaintyProfile(150, { type: 'FeatureCollection', features: [] }, 0), /Realisations must be between/);
+});
+
+test('sampled values stay inside the distribution bounds', () => {
+    const random = river.createRandomGenerator(3);
+    const distributions = [
+        { type: 'uniform', min: 0.02, max: 0.04 },
+        { type: 'triangular', min: 0.02, max: 0.04, mode: 0.025 },
+        { type: 'normal', min: 0.02, max: 0.04, mean: 0.03, sd: 0.02 },
+        { type: 'lognormal', min: 0.02, max: 0.04, mean: 0.03, sd: 0.02 }
+    ];
+    
+    distributions.forEach(distribution => {
+        for (let i = 0; i < 200; i++) {
+            const value = river.sampleDistribution(distribution, random);
+            assert.ok(value >= 0.02 && value <= 0.04, `${distribution.type} ${value}`);
+        }
+    });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const river = require('../src/node');
+
+test('conversions to and from SI', () => {
+    assert.strictEqual(river.convertToSI(100, 'ft'), 30.48);
+    assert.ok(Math.abs(river.convertToSI(10000, 'cfs') - 283.16846592) < 1e-9);
+    assert.ok(Math.abs(river.convertFromSI(river.convertToSI(12.5, 'psf'), 'psf') - 12.5) < 1e-12);
+    assert.strictEqual(river.toDisplayValue(30.48, 'length', 'us'), 100);
+    assert.strictEqual(river.formatQuantity(300, 'discharge', 'si'), '300 m³/s');
+});
+
+test('unknown units and systems are rejected', () => {
+    assert.throws(() => river.convertToSI(1, 'furlong'), /Unknown unit "furlong"/);
+    assert.throws(() => river.parseUnitMetadata('imperial'), /Unknown unit system/);
+    assert.throws(() => river.parseUnitMetadata({ system: 'us', properties: { channel_width: 'cfs' } }), /not a length unit/);
+});
+
+test('river GeoJSON is converted to SI once, keeping the original values', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        units: 'us',
+        features: [
+            { type: 'Feature', properties: { id: 1, channel_width: 100 }, geometry: { type: 'LineString', coordinates: [[0, 0], [0.01, 0]] } },
+            { type: 'Feature', properties: { id: 2, channel_width: 50, units: 'si' }, geometry: { type: 'LineString', coordinates: [[0.01, 0], [0.02, 0]] } }
+        ]
+    };
+    
+    const summary = river.normalizeInputUnits(geojson);
+    
+    assert.strictEqual(summary.system, 'us');
+    assert.strictEqual(geojson.features[0].properties.channel_width, 30.48);
+    assert.strictEqual(geojson.features[0].properties.unit_conversion.channel_width.unit, 'ft');
+    assert.strictEqual(geojson.features[1].properties.channel_width, 50);
+    
+    river.normalizeInputUnits(geojson);
+    assert.strictEqual(geojson.features[0].properties.channel_width, 30.48);
+});
+
+test('Z coordinates are converted with the elevation properties', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        units: 'us',
+        features: [
+            { type: 'Feature', properties: { id: 'z' }, geometry: { type: 'LineString', coordinates: [[13.5, 52.30, 110], [13.5, 52.29, 100]] } },
+            { type: 'Feature', properties: { id: 'ends', upstream_elevation: 110, downstream_elevation: 100 }, geometry: { type: 'LineString', coordinates: [[13.5, 52.30], [13.5, 52.29]] } }
+        ]
+    };
+    
+    river.normalizeInputUnits(geojson);
+    const [fromZ, fromEnds] = geojson.features.map(feature => river.deriveSegmentParameters(feature, 30).values.base_slope);
+    
+    assert.deepStrictEqual(Array.from(geojson.features[0].geometry.coordinates, coord => coord[2]), [33.528, 30.48]);
+    assert.strictEqual(geojson.features[0].properties.unit_conversion.coordinates_z.unit, 'ft');
+    assert.strictEqual(fromZ.value, fromEnds.value);
+});
+
+test('LiDAR bank heights in feet become metres', () => {
+    const points = [{ bank_height_ft: 10 }, { bank_height: 10 }, { bank_height_m: 2 }];
+    
+    river.normalizeLidarUnits(points, 'us');
+    
+    assert.strictEqual(points[0].bank_height_m, 3.048);
+    assert.strictEqual(points[1].bank_height_m, 3.048);
+    assert.strictEqual(points[2].bank_height_m, 2);
+    assert.strictEqual(points[0].bank_height_ft, undefined);
+});
+
+test('an empty bank_height_m does not block the feet column', () => {
+    const points = [{ bank_height_m: '', bank_height_ft: 10 }, { bank_height_m: null, bank_height_ft: 5 }];
+    river.normalizeLidarUnits(points, 'si');
+    
+    assert.strictEqual(points[0].bank_height_m, 3.048);
+    assert.strictEqual(points[1].bank_height_m, 1.524);
+});